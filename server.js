@@ -3,6 +3,7 @@ const http = require('http');
 const app = require('./src/app');
 const connectDB = require('./src/config/database');
 const { initializeSocket } = require('./src/socket');
+const { startJobs, stopJobs } = require('./src/jobs');
 
 const PORT = process.env.PORT || 5000;
 
@@ -26,6 +27,9 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Start background jobs (hold expiry, etc.)
+    startJobs();
+
     // Start server
     server.listen(PORT, () => {
       console.log(`
@@ -59,6 +63,7 @@ process.on('unhandledRejection', (err) => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  stopJobs();
   server.close(() => {
     console.log('Process terminated');
   });
@@ -29,7 +29,15 @@ app.use(cors({
 }));
 
 // Body parsers
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    // Keep the raw body for webhook signature verification
+    if (req.originalUrl.startsWith('/api/v1/payments/webhook')) {
+      req.rawBody = buf.toString();
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Data sanitization against NoSQL injection
@@ -69,7 +69,47 @@ module.exports = {
     IN_PROGRESS: 'in_progress',
     COMPLETED: 'completed',
     CANCELLED: 'cancelled',
-    REFUNDED: 'refunded'
+    REFUNDED: 'refunded',
+    EXPIRED: 'expired'
+  },
+
+  // Booking state machine - allowed transitions and the roles that may make them
+  // (system: background jobs, refunds and cascades such as cancelling an event;
+  // staff: vendor team members who run bookings on the day)
+  BOOKING_TRANSITIONS: {
+    pending: {
+      confirmed: ['vendor'],
+      cancelled: ['organizer', 'vendor', 'admin', 'system'],
+      expired: ['system']
+    },
+    confirmed: {
+      in_progress: ['vendor', 'staff', 'organizer', 'system'],
+      completed: ['organizer', 'admin'],
+      cancelled: ['organizer', 'vendor', 'admin', 'system']
+    },
+    in_progress: {
+      completed: ['organizer', 'admin'],
+      cancelled: ['admin', 'system']
+    },
+    cancelled: {
+      refunded: ['admin', 'system']
+    },
+    completed: {},
+    refunded: {},
+    expired: {}
+  },
+
+  // Vendor organization member roles
+  // owner: manages members and receives payouts; manager: acts as the vendor on bookings;
+  // staff: views and runs bookings and talks to organizers
+  VENDOR_MEMBER_ROLES: {
+    OWNER: 'owner',
+    MANAGER: 'manager',
+    STAFF: 'staff'
+  },
+
+  VENDOR_ORGANIZATION_SETTINGS: {
+    MAX_MEMBERS: 50
   },
 
   // Payment Status
@@ -80,6 +120,141 @@ module.exports = {
     REFUNDED: 'refunded'
   },
 
+  // Online Payments
+  PAYMENT_SETTINGS: {
+    DEPOSIT_PERCENTAGE: 25,
+    MIN_ONLINE_AMOUNT: 1,
+    RSVP_HOLD_MINUTES: 15,
+    PLATFORM_FEE_PERCENTAGE: 5
+  },
+
+  // GST / Invoicing (booking prices are GST inclusive)
+  GST_SETTINGS: {
+    RATE: 18,
+    INVOICE_PREFIX: 'FES',
+    RECEIPT_PREFIX: 'RCT',
+    PLATFORM_NAME: 'Festivo'
+  },
+
+  // Currencies - rates are loaded by currencyService (EXCHANGE_RATES_FILE or the bundled offline stub)
+  CURRENCY_SETTINGS: {
+    BASE: 'INR',
+    SUPPORTED: ['INR', 'USD', 'EUR', 'GBP', 'AED', 'SGD', 'THB', 'MYR', 'LKR', 'NPR', 'MUR', 'IDR']
+  },
+
+  // Dynamic Pricing - quotes used to price and validate bookings
+  PRICING_SETTINGS: {
+    TIMEZONE: 'Asia/Kolkata',
+    WEEKEND_DAYS: [0, 6],
+    LAST_MINUTE_DAYS: 7,
+    DEFAULT_HOURS: 1,
+    QUOTE_TOLERANCE_PERCENTAGE: 10
+  },
+
+  // Vendor calendar - which booking statuses take capacity and which only hold it
+  CALENDAR_SETTINGS: {
+    BOOKED_STATUSES: ['confirmed', 'in_progress'],
+    HELD_STATUSES: ['pending'],
+    LOCK_RETRIES: 3
+  },
+
+  // External calendar import - busy periods from vendors' own calendars block their availability
+  CALENDAR_IMPORT_SETTINGS: {
+    MAX_CALENDARS: 5,
+    MAX_FILE_BYTES: 1024 * 1024,
+    HORIZON_DAYS: 365,
+    MAX_BUSY_PERIODS: 2000,
+    FETCH_TIMEOUT_MS: 10000,
+    SYNC_INTERVAL_MINUTES: 30
+  },
+
+  // iCalendar export and subscription feeds
+  ICAL_SETTINGS: {
+    UID_DOMAIN: 'festivo.app',
+    DEFAULT_EVENT_HOURS: 3,
+    FEED_REFRESH_HOURS: 6,
+    FEEDS: ['rsvps', 'organized', 'bookings']
+  },
+
+  // Tentative holds - a pending booking blocks the vendor's date until it expires
+  HOLD_SETTINGS: {
+    DEFAULT_HOURS: 48,
+    MAX_HOURS: 168,
+    REMINDER_HOURS: 12
+  },
+
+  // Requests for proposals - broadcast to matching services
+  RFP_SETTINGS: {
+    MAX_MATCHES: 50,
+    DEFAULT_RESPONSE_DAYS: 7,
+    MAX_RESPONSE_DAYS: 60
+  },
+
+  // Recurring event series - occurrences are expanded from the rule on read
+  RECURRENCE_SETTINGS: {
+    HORIZON_DAYS: 365,
+    MAX_COUNT: 500,
+    MAX_LISTED_SERIES: 200,
+    DEFAULT_OCCURRENCES: 20,
+    MAX_OCCURRENCES: 100
+  },
+
+  // Private event invitations - guests invited directly or through invite links
+  INVITATION_SETTINGS: {
+    STATUSES: ['sent', 'opened', 'accepted', 'declined', 'revoked'],
+    MAX_PER_REQUEST: 100,
+    DEFAULT_LINK_DAYS: 14,
+    MAX_LINK_DAYS: 90,
+    MAX_LINK_USES: 1000
+  },
+
+  // Waitlist for full events - promoted guests hold their seats until the offer runs out
+  WAITLIST_SETTINGS: {
+    OFFER_HOURS: 24,
+    SEAT_STATUSES: ['going', 'pending_payment', 'offered']
+  },
+
+  // Signed check-in tickets - QR codes scanners can verify offline with the event's public key
+  TICKET_SETTINGS: {
+    ISSUER: 'festivo-tickets',
+    ALGORITHM: 'ES256',
+    VALID_HOURS_AFTER_START: 24,
+    QR_WIDTH: 320,
+    FORMATS: ['png', 'svg', 'json'],
+    CHECK_IN_METHODS: ['manual', 'code', 'ticket']
+  },
+
+  // Door check-in - live dashboard and uploads of scans made while offline
+  CHECK_IN_SETTINGS: {
+    DASHBOARD_WINDOW_MINUTES: 60,
+    MAX_SYNC_BATCH: 500,
+    MAX_CLOCK_SKEW_MINUTES: 5,
+    MAX_OFFLINE_HOURS: 24, // Oldest scan an upload can still apply
+    OPENS_HOURS_BEFORE_START: 24 // Scans before this are refused
+  },
+
+  // Refund Policy - tiers by who cancelled, checked in order of days before the event
+  REFUND_POLICY: {
+    organizer: [
+      { minDaysBefore: 30, percentage: 100 },
+      { minDaysBefore: 7, percentage: 50 }
+    ],
+    vendor: [
+      { minDaysBefore: -Infinity, percentage: 100 }
+    ],
+    attendee: [
+      { minDaysBefore: 7, percentage: 100 },
+      { minDaysBefore: 2, percentage: 50 }
+    ],
+    event_cancelled: [
+      { minDaysBefore: -Infinity, percentage: 100 }
+    ],
+    // Platform intervention (disputes, policy breaches): the payer gets everything back
+    admin: [
+      { minDaysBefore: -Infinity, percentage: 100 }
+    ]
+  },
+
   // Task Status
   TASK_STATUS: {
     PENDING: 'pending',
@@ -101,6 +276,9 @@ module.exports = {
     GOING: 'going',
     MAYBE: 'maybe',
     NOT_GOING: 'not_going',
+    PENDING_PAYMENT: 'pending_payment',
+    WAITLISTED: 'waitlisted',
+    OFFERED: 'offered',
     CANCELLED: 'cancelled'
   },
 
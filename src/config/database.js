@@ -2,6 +2,27 @@ const mongoose = require('mongoose');
 
 let isConnected = false;
 
+// Indexes replaced by a schema change. Mongoose builds new indexes but never drops old ones,
+// so these are removed on startup.
+const OBSOLETE_INDEXES = [
+  // RSVPs became one per occurrence of a series: { event, attendee, occurrence } replaces it
+  { collection: 'rsvps', name: 'event_1_attendee_1' }
+];
+
+const dropObsoleteIndexes = async () => {
+  for (const { collection, name } of OBSOLETE_INDEXES) {
+    try {
+      await mongoose.connection.collection(collection).dropIndex(name);
+      console.log(`Dropped obsolete index ${collection}.${name}`);
+    } catch (error) {
+      // Already gone, or the collection doesn't exist yet
+      if (!['IndexNotFound', 'NamespaceNotFound'].includes(error.codeName)) {
+        console.warn(`Could not drop obsolete index ${collection}.${name}:`, error.message);
+      }
+    }
+  }
+};
+
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI, {
@@ -14,6 +35,8 @@ const connectDB = async () => {
     isConnected = true;
     console.log(`MongoDB Connected: ${conn.connection.host}`);
 
+    await dropObsoleteIndexes();
+
     // Handle connection events
     mongoose.connection.on('error', (err) => {
       console.error('MongoDB connection error:', err);
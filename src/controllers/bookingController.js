@@ -2,6 +2,16 @@ const Booking = require('../models/Booking');
 const Event = require('../models/Event');
 const Service = require('../models/Service');
 const Notification = require('../models/Notification');
+const paymentService = require('../services/paymentService');
+const refundService = require('../services/refundService');
+const invoiceService = require('../services/invoiceService');
+const pricingService = require('../services/pricingService');
+const availabilityService = require('../services/availabilityService');
+const bookingStatusService = require('../services/bookingStatusService');
+const vendorOrganizationService = require('../services/vendorOrganizationService');
+const bookingChangeService = require('../services/bookingChangeService');
+const { PAYMENT_SETTINGS, HOLD_SETTINGS } = require('../config/constants');
+const { formatCurrency } = require('../utils/helpers');
 const catchAsync = require('../utils/catchAsync');
 const ApiError = require('../utils/apiError');
 const ApiResponse = require('../utils/apiResponse');
@@ -16,22 +26,23 @@ exports.getBookings = catchAsync(async (req, res, next) => {
     status,
     paymentStatus,
     role, // 'organizer' or 'vendor'
+    organization, // vendor organization id, for one team's bookings
     sort = '-createdAt'
   } = req.query;
 
   // Build query based on user role in bookings
-  const query = {};
+  let query = {};
 
-  if (role === 'vendor') {
-    query.vendor = req.user._id;
+  if (role === 'vendor' || organization) {
+    // Includes bookings handled by the user's vendor organizations
+    const { filter } = await vendorOrganizationService.getVendorScope(req.user, organization);
+    query = filter;
   } else if (role === 'organizer') {
     query.organizer = req.user._id;
   } else {
     // Get all bookings where user is either organizer or vendor
-    query.$or = [
-      { organizer: req.user._id },
-      { vendor: req.user._id }
-    ];
+    const { filter } = await vendorOrganizationService.getVendorScope(req.user);
+    query.$or = [{ organizer: req.user._id }, ...filter.$or];
   }
 
   if (status) query.status = status;
@@ -69,22 +80,57 @@ exports.getBooking = catchAsync(async (req, res, next) => {
   }
 
   // Check if user is part of booking
-  if (
-    booking.organizer._id.toString() !== req.user._id.toString() &&
-    booking.vendor._id.toString() !== req.user._id.toString() &&
-    req.user.role !== 'admin'
-  ) {
+  const role = await bookingStatusService.getRole(booking, req.user);
+  if (!role) {
     return next(new ApiError('Not authorized to view this booking', 403));
   }
 
   res.json(ApiResponse.success(booking, 'Booking retrieved successfully'));
 });
 
+// @desc    Get booking status history
+// @route   GET /api/v1/bookings/:id/history
+// @access  Private
+exports.getBookingHistory = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id)
+    .select('status statusHistory organizer vendor vendorOrganization service eventDate startsAt endsAt offers')
+    .populate('statusHistory.actor', 'name profilePhoto')
+    .populate('service', 'calendar');
+
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
+
+  const role = await bookingStatusService.getRole(booking, req.user);
+  if (!role) {
+    return next(new ApiError('Not authorized to view this booking', 403));
+  }
+
+  res.json(ApiResponse.success({
+    status: booking.status,
+    history: booking.statusHistory,
+    allowedTransitions: bookingStatusService.getAllowedTransitions(booking, role)
+  }, 'Booking history retrieved'));
+});
+
 // @desc    Create booking
 // @route   POST /api/v1/bookings
 // @access  Private
 exports.createBooking = catchAsync(async (req, res, next) => {
-  const { eventId, serviceId, eventDate, priceAgreed, notes, requirements } = req.body;
+  const {
+    eventId,
+    serviceId,
+    eventDate,
+    slot,
+    priceAgreed,
+    guests,
+    hours,
+    notes,
+    requirements,
+    paymentSchedule,
+    packageId,
+    addOns
+  } = req.body;
 
   // Get event and service
   const event = await Event.findById(eventId);
@@ -102,6 +148,10 @@ exports.createBooking = catchAsync(async (req, res, next) => {
     return next(new ApiError('You can only create bookings for your own events', 403));
   }
 
+  if (event.isTemplate) {
+    return next(new ApiError('Templates cannot be booked. Create an event from it first', 400));
+  }
+
   // Check if service is available
   if (service.availability === 'not_taking_orders') {
     return next(new ApiError('This service is not accepting bookings', 400));
@@ -111,23 +161,62 @@ exports.createBooking = catchAsync(async (req, res, next) => {
   const existingBooking = await Booking.findOne({
     event: eventId,
     service: serviceId,
-    status: { $nin: ['cancelled', 'refunded'] }
+    status: { $nin: ['cancelled', 'refunded', 'expired'] }
   });
 
   if (existingBooking) {
     return next(new ApiError('A booking already exists for this service and event', 400));
   }
 
-  const booking = await Booking.create({
+  // Reject dates the vendor is already booked for; pending requests don't take capacity
+  const bookingDate = eventDate || event.date;
+  const interval = availabilityService.resolveInterval(service, bookingDate, slot);
+  availabilityService.assertAvailable(await availabilityService.checkInterval(service, interval));
+
+  // Price against the service's quote for the date
+  const quote = pricingService.getQuote(service, {
+    date: bookingDate,
+    guests: guests || event.expectedGuests,
+    hours,
+    timeZone: event.timezone,
+    packageId,
+    addOns
+  });
+
+  if (priceAgreed !== undefined && priceAgreed < pricingService.getMinimumPrice(quote)) {
+    return next(new ApiError(`Price agreed is too far below the quoted price of ${formatCurrency(quote.total, quote.currency)}`, 400));
+  }
+
+  const booking = new Booking({
     event: eventId,
     service: serviceId,
     organizer: req.user._id,
     vendor: service.provider,
-    eventDate: eventDate || event.date,
-    priceAgreed,
+    vendorOrganization: service.organization,
+    eventDate: bookingDate,
+    currency: service.currency,
+    priceAgreed: priceAgreed !== undefined ? priceAgreed : quote.total,
+    quote: {
+      total: quote.total,
+      unitPrice: quote.unitPrice,
+      units: quote.units,
+      guests: quote.guests,
+      hours: quote.hours,
+      dayType: quote.dayType,
+      quotedAt: quote.quotedAt
+    },
+    package: quote.package,
+    addOns: quote.addOns,
     notes,
     requirements
   });
+  availabilityService.applyInterval(booking, interval);
+
+  if (paymentSchedule && paymentSchedule.length > 0) {
+    booking.setPaymentSchedule(paymentSchedule);
+  }
+
+  await booking.save();
 
   // Notify vendor
   await Notification.createNotification({
@@ -154,7 +243,11 @@ exports.createBooking = catchAsync(async (req, res, next) => {
 // @route   PUT /api/v1/bookings/:id
 // @access  Private
 exports.updateBooking = catchAsync(async (req, res, next) => {
-  const { priceAgreed, notes, requirements } = req.body;
+  const { priceAgreed, notes, requirements, status } = req.body;
+
+  if (status !== undefined) {
+    return next(new ApiError('Use the confirm, start, complete and cancel endpoints to change booking status', 400));
+  }
 
   let booking = await Booking.findById(req.params.id);
 
@@ -167,16 +260,26 @@ exports.updateBooking = catchAsync(async (req, res, next) => {
     return next(new ApiError('Not authorized', 403));
   }
 
-  // Can only update pending bookings
+  // Can only update pending bookings; confirmed ones change through change requests
+  if (['confirmed', 'in_progress'].includes(booking.status)) {
+    return next(new ApiError('Confirmed bookings are changed through change requests', 400));
+  }
   if (booking.status !== 'pending') {
     return next(new ApiError('Cannot update booking that is not pending', 400));
   }
 
-  booking = await Booking.findByIdAndUpdate(
-    req.params.id,
-    { priceAgreed, notes, requirements },
-    { new: true, runValidators: true }
-  );
+  if (notes !== undefined) booking.notes = notes;
+  if (requirements !== undefined) booking.requirements = requirements;
+
+  if (priceAgreed !== undefined && priceAgreed !== booking.priceAgreed) {
+    if (booking.priceLockedAt) {
+      return next(new ApiError('Price was agreed through a quote and cannot be changed', 400));
+    }
+
+    booking.setPriceAgreed(priceAgreed);
+  }
+
+  await booking.save();
 
   res.json(ApiResponse.success(booking, 'Booking updated successfully'));
 });
@@ -191,16 +294,11 @@ exports.confirmBooking = catchAsync(async (req, res, next) => {
     return next(new ApiError('Booking not found', 404));
   }
 
-  if (booking.vendor.toString() !== req.user._id.toString()) {
-    return next(new ApiError('Only vendor can confirm booking', 403));
-  }
-
-  if (booking.status !== 'pending') {
-    return next(new ApiError('Booking is not pending', 400));
-  }
+  const role = await bookingStatusService.getRole(booking, req.user);
+  bookingStatusService.assertTransition(booking, 'confirmed', { role });
 
-  booking.status = 'confirmed';
-  await booking.save();
+  // Fails if another booking has taken the vendor's capacity for this time
+  await availabilityService.reserve(booking, { status: 'confirmed' }, { actor: req.user._id, role });
 
   // Notify organizer
   await Notification.createNotification({
@@ -215,6 +313,82 @@ exports.confirmBooking = catchAsync(async (req, res, next) => {
   res.json(ApiResponse.success(booking, 'Booking confirmed successfully'));
 });
 
+// @desc    Place a tentative hold on the vendor's date
+// @route   POST /api/v1/bookings/:id/hold
+// @access  Private
+exports.placeHold = catchAsync(async (req, res, next) => {
+  const hours = req.body.hours || HOLD_SETTINGS.DEFAULT_HOURS;
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
+
+  if (booking.organizer.toString() !== req.user._id.toString()) {
+    return next(new ApiError('Only organizer can place a hold', 403));
+  }
+
+  if (booking.status !== 'pending') {
+    return next(new ApiError('Only pending bookings can be held', 400));
+  }
+
+  if (booking.hasActiveHold()) {
+    return next(new ApiError('This booking already holds the date', 400));
+  }
+
+  const placedAt = new Date();
+  const expiresAt = new Date(placedAt.getTime() + hours * 60 * 60 * 1000);
+
+  // Fails if the vendor is already booked or held for this time
+  await availabilityService.reserve(booking, { hold: { placedAt, expiresAt } });
+
+  await Notification.createNotification({
+    recipient: booking.vendor,
+    type: 'booking',
+    title: 'Date On Hold',
+    message: `An organizer has placed a ${hours}h hold on ${booking.eventDate.toDateString()}. Confirm before ${expiresAt.toUTCString()} or it will be released.`,
+    relatedBooking: booking._id,
+    relatedEvent: booking.event,
+    actionUrl: `/bookings/${booking._id}`
+  });
+
+  res.json(ApiResponse.success(booking, 'Hold placed successfully'));
+});
+
+// @desc    Release a tentative hold
+// @route   DELETE /api/v1/bookings/:id/hold
+// @access  Private
+exports.releaseHold = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
+
+  if (booking.organizer.toString() !== req.user._id.toString()) {
+    return next(new ApiError('Only organizer can release a hold', 403));
+  }
+
+  if (!booking.hasActiveHold()) {
+    return next(new ApiError('This booking has no active hold', 400));
+  }
+
+  booking.hold = undefined;
+  await booking.save();
+
+  await Notification.createNotification({
+    recipient: booking.vendor,
+    type: 'booking',
+    title: 'Hold Released',
+    message: `The hold on ${booking.eventDate.toDateString()} has been released`,
+    relatedBooking: booking._id,
+    relatedEvent: booking.event,
+    actionUrl: `/bookings/${booking._id}`
+  });
+
+  res.json(ApiResponse.success(booking, 'Hold released successfully'));
+});
+
 // @desc    Cancel booking
 // @route   POST /api/v1/bookings/:id/cancel
 // @access  Private
@@ -226,40 +400,75 @@ exports.cancelBooking = catchAsync(async (req, res, next) => {
     return next(new ApiError('Booking not found', 404));
   }
 
-  // Check if user can cancel
-  if (
-    booking.organizer.toString() !== req.user._id.toString() &&
-    booking.vendor.toString() !== req.user._id.toString()
-  ) {
+  const role = await bookingStatusService.getRole(booking, req.user);
+  if (!role) {
     return next(new ApiError('Not authorized', 403));
   }
 
-  // Can't cancel completed bookings
-  if (booking.status === 'completed') {
-    return next(new ApiError('Cannot cancel completed booking', 400));
-  }
+  // Admins cancel on the platform's behalf; anyone else on the vendor side cancels as the vendor
+  const cancelledBy = ['organizer', 'admin'].includes(role) ? role : 'vendor';
 
-  booking.status = 'cancelled';
+  bookingStatusService.transition(booking, 'cancelled', { actor: req.user._id, role, reason });
   booking.cancellationReason = reason;
   booking.cancelledBy = req.user._id;
   booking.cancelledAt = new Date();
+
+  // Refund according to who cancelled and how close to the event it is
+  const refund = await refundService.processCancellationRefund(
+    booking,
+    booking.eventDate,
+    cancelledBy,
+    `Booking cancelled by ${cancelledBy}`
+  );
   await booking.save();
 
-  // Notify the other party
-  const notifyUser = booking.organizer.toString() === req.user._id.toString()
-    ? booking.vendor
-    : booking.organizer;
+  // Notify the other party, or both when an admin cancelled
+  const notifyUsers = {
+    organizer: [booking.vendor],
+    vendor: [booking.organizer],
+    admin: [booking.organizer, booking.vendor]
+  }[cancelledBy];
+  const refundText = refund.policy.amount > 0
+    ? ` Refund: ${formatCurrency(refund.policy.amount, booking.currency)} (${refund.policy.percentage}%).`
+    : '';
+
+  await Promise.all(notifyUsers.map(recipient => Notification.createNotification({
+    recipient,
+    type: 'booking',
+    title: 'Booking Cancelled',
+    message: `A booking has been cancelled. Reason: ${reason || 'No reason provided'}.${refundText}`,
+    relatedBooking: booking._id,
+    actionUrl: `/bookings/${booking._id}`
+  })));
+
+  res.json(ApiResponse.success(booking, 'Booking cancelled successfully', { refund }));
+});
+
+// @desc    Start booking (on the event date)
+// @route   POST /api/v1/bookings/:id/start
+// @access  Private
+exports.startBooking = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
 
+  const role = await bookingStatusService.getRole(booking, req.user);
+  bookingStatusService.transition(booking, 'in_progress', { actor: req.user._id, role });
+  await booking.save();
+
+  // Notify the other party
   await Notification.createNotification({
-    recipient: notifyUser,
+    recipient: bookingStatusService.isVendorSide(role) ? booking.organizer : booking.vendor,
     type: 'booking',
-    title: 'Booking Cancelled',
-    message: `A booking has been cancelled. Reason: ${reason || 'No reason provided'}`,
+    title: 'Booking In Progress',
+    message: 'Your booking has started',
     relatedBooking: booking._id,
     actionUrl: `/bookings/${booking._id}`
   });
 
-  res.json(ApiResponse.success(booking, 'Booking cancelled successfully'));
+  res.json(ApiResponse.success(booking, 'Booking started successfully'));
 });
 
 // @desc    Complete booking
@@ -272,16 +481,8 @@ exports.completeBooking = catchAsync(async (req, res, next) => {
     return next(new ApiError('Booking not found', 404));
   }
 
-  // Only organizer can mark as complete
-  if (booking.organizer.toString() !== req.user._id.toString()) {
-    return next(new ApiError('Only organizer can mark booking as complete', 403));
-  }
-
-  if (booking.status !== 'confirmed' && booking.status !== 'in_progress') {
-    return next(new ApiError('Booking must be confirmed or in progress to complete', 400));
-  }
-
-  booking.status = 'completed';
+  const role = await bookingStatusService.getRole(booking, req.user);
+  bookingStatusService.transition(booking, 'completed', { actor: req.user._id, role });
   booking.completedAt = new Date();
   await booking.save();
 
@@ -320,22 +521,16 @@ exports.updatePayment = catchAsync(async (req, res, next) => {
     amount,
     paymentMethod,
     transactionId,
+    recordedBy: 'organizer',
     paidAt: new Date(),
     notes
   });
 
-  // Calculate total paid from payments array
-  booking.totalPaid = booking.payments.reduce((sum, p) => sum + p.amount, 0);
-  booking.pricePaid = booking.totalPaid;
   booking.paymentMethod = paymentMethod;
   if (transactionId) booking.transactionId = transactionId;
 
-  // Update payment status
-  if (booking.totalPaid >= booking.priceAgreed) {
-    booking.paymentStatus = 'paid';
-  } else if (booking.totalPaid > 0) {
-    booking.paymentStatus = 'partial';
-  }
+  // Recalculate totals and payment status from payments array
+  booking.recalculatePaymentTotals();
 
   await booking.save();
 
@@ -344,7 +539,7 @@ exports.updatePayment = catchAsync(async (req, res, next) => {
     recipient: booking.vendor,
     type: 'payment',
     title: 'Payment Received',
-    message: `Payment of ₹${amount} received for booking`,
+    message: `Payment of ${formatCurrency(amount, booking.currency)} received for booking`,
     relatedBooking: booking._id,
     actionUrl: `/bookings/${booking._id}`
   });
@@ -368,8 +563,9 @@ exports.recordPayment = catchAsync(async (req, res, next) => {
     return next(new ApiError('Booking not found', 404));
   }
 
-  // Verify vendor owns the service
-  if (booking.vendor.toString() !== req.user._id.toString()) {
+  // Only the vendor (or a manager on their team) records payments
+  const role = await bookingStatusService.getRole(booking, req.user);
+  if (role !== 'vendor') {
     return next(new ApiError('Not authorized - only the vendor can record payments', 403));
   }
 
@@ -379,20 +575,13 @@ exports.recordPayment = catchAsync(async (req, res, next) => {
     amount,
     paymentMethod: paymentMethod || 'other',
     transactionId,
+    recordedBy: 'vendor',
     paidAt: new Date(),
     notes
   });
 
-  // Calculate total paid from payments array
-  booking.totalPaid = booking.payments.reduce((sum, p) => sum + p.amount, 0);
-  booking.pricePaid = booking.totalPaid;
-
-  // Update payment status
-  if (booking.totalPaid >= booking.priceAgreed) {
-    booking.paymentStatus = 'paid';
-  } else if (booking.totalPaid > 0) {
-    booking.paymentStatus = 'partial';
-  }
+  // Recalculate totals and payment status from payments array
+  booking.recalculatePaymentTotals();
 
   await booking.save();
 
@@ -401,7 +590,7 @@ exports.recordPayment = catchAsync(async (req, res, next) => {
     recipient: booking.organizer,
     type: 'payment',
     title: 'Payment Recorded',
-    message: `Vendor recorded a payment of ₹${amount} for your booking`,
+    message: `Vendor recorded a payment of ${formatCurrency(amount, booking.currency)} for your booking`,
     relatedBooking: booking._id,
     actionUrl: `/bookings/${booking._id}`
   });
@@ -409,6 +598,553 @@ exports.recordPayment = catchAsync(async (req, res, next) => {
   res.json(ApiResponse.success(booking, 'Payment recorded successfully'));
 });
 
+// @desc    Get quote and counter-offer history
+// @route   GET /api/v1/bookings/:id/offers
+// @access  Private
+exports.getOffers = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id)
+    .select('organizer vendor vendorOrganization priceAgreed priceLockedAt offers')
+    .populate('offers.createdBy', 'name profilePhoto')
+    .populate('offers.respondedBy', 'name profilePhoto');
+
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
+
+  const role = await bookingStatusService.getRole(booking, req.user);
+  if (!role) {
+    return next(new ApiError('Not authorized to view this booking', 403));
+  }
+
+  res.json(ApiResponse.success({
+    priceAgreed: booking.priceAgreed,
+    priceLockedAt: booking.priceLockedAt,
+    offers: booking.offers
+  }, 'Offers retrieved successfully'));
+});
+
+// @desc    Send a quote (vendor) or counter-offer (organizer)
+// @route   POST /api/v1/bookings/:id/offers
+// @access  Private
+exports.createOffer = catchAsync(async (req, res, next) => {
+  const { lineItems, message, validUntil } = req.body;
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
+
+  // Staff can't quote on the vendor's behalf
+  const role = await bookingStatusService.getRole(booking, req.user);
+  const isVendor = role === 'vendor';
+  const isOrganizer = role === 'organizer';
+
+  if (!isVendor && !isOrganizer) {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  if (booking.status !== 'pending') {
+    return next(new ApiError('Quotes can only be negotiated on pending bookings', 400));
+  }
+
+  if (booking.priceLockedAt) {
+    return next(new ApiError('Price has already been agreed for this booking', 400));
+  }
+
+  if (isOrganizer && !booking.offers.some(o => o.kind === 'quote')) {
+    return next(new ApiError('The vendor has not sent a quote yet', 400));
+  }
+
+  const offer = booking.addOffer({
+    kind: isVendor ? 'quote' : 'counter',
+    createdBy: req.user._id,
+    lineItems,
+    message,
+    validUntil
+  });
+
+  await booking.save();
+
+  await Notification.createNotification({
+    recipient: isVendor ? booking.organizer : booking.vendor,
+    type: 'booking',
+    title: isVendor ? 'New Quote Received' : 'Counter-Offer Received',
+    message: `${isVendor ? 'The vendor sent a quote' : 'The organizer sent a counter-offer'} of ${formatCurrency(offer.total, booking.currency)} (version ${offer.version})`,
+    relatedBooking: booking._id,
+    relatedEvent: booking.event,
+    actionUrl: `/bookings/${booking._id}/offers`
+  });
+
+  res.status(201).json(ApiResponse.success(offer, isVendor ? 'Quote sent successfully' : 'Counter-offer sent successfully'));
+});
+
+// Accept or reject the other party's open offer
+const respondToOffer = accept => catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
+
+  const role = await bookingStatusService.getRole(booking, req.user);
+  if (role !== 'organizer' && role !== 'vendor') {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  const offer = booking.offers.find(o => o.version === Number(req.params.version));
+
+  if (!offer) {
+    return next(new ApiError('Offer not found', 404));
+  }
+
+  if (offer.status !== 'open') {
+    return next(new ApiError(`This offer has been ${offer.status}`, 400));
+  }
+
+  // Quotes come from the vendor's side and counter-offers from the organizer
+  if ((offer.kind === 'quote') === (role === 'vendor')) {
+    return next(new ApiError('You cannot respond to your own offer', 400));
+  }
+
+  if (booking.status !== 'pending') {
+    return next(new ApiError('Quotes can only be negotiated on pending bookings', 400));
+  }
+
+  if (accept && offer.validUntil && offer.validUntil < new Date()) {
+    return next(new ApiError('This offer has expired', 400));
+  }
+
+  if (accept) {
+    booking.acceptOffer(offer, req.user._id);
+  } else {
+    offer.status = 'rejected';
+    offer.respondedBy = req.user._id;
+    offer.respondedAt = new Date();
+  }
+
+  await booking.save();
+
+  await Notification.createNotification({
+    recipient: offer.createdBy,
+    type: 'booking',
+    title: accept ? 'Offer Accepted' : 'Offer Rejected',
+    message: accept
+      ? `Your offer of ${formatCurrency(offer.total, booking.currency)} was accepted and the price is now locked`
+      : `Your offer of ${formatCurrency(offer.total, booking.currency)} was rejected`,
+    relatedBooking: booking._id,
+    relatedEvent: booking.event,
+    actionUrl: `/bookings/${booking._id}/offers`
+  });
+
+  res.json(ApiResponse.success(booking, accept ? 'Offer accepted successfully' : 'Offer rejected successfully'));
+});
+
+// @desc    Accept a quote or counter-offer (locks priceAgreed)
+// @route   POST /api/v1/bookings/:id/offers/:version/accept
+// @access  Private
+exports.acceptOffer = respondToOffer(true);
+
+// @desc    Reject a quote or counter-offer
+// @route   POST /api/v1/bookings/:id/offers/:version/reject
+// @access  Private
+exports.rejectOffer = respondToOffer(false);
+
+// @desc    Get change requests (pending and answered)
+// @route   GET /api/v1/bookings/:id/change-requests
+// @access  Private
+exports.getChangeRequests = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id)
+    .select('organizer vendor vendorOrganization status changeRequests')
+    .populate('changeRequests.requestedBy', 'name profilePhoto')
+    .populate('changeRequests.respondedBy', 'name profilePhoto');
+
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
+
+  const role = await bookingStatusService.getRole(booking, req.user);
+  if (!role) {
+    return next(new ApiError('Not authorized to view this booking', 403));
+  }
+
+  res.json(ApiResponse.success(booking.changeRequests, 'Change requests retrieved'));
+});
+
+// @desc    Propose a change to a confirmed booking (date, slot, requirements, price or payment schedule)
+// @route   POST /api/v1/bookings/:id/change-requests
+// @access  Private (Organizer or vendor)
+exports.createChangeRequest = catchAsync(async (req, res, next) => {
+  const { eventDate, slot, requirements, priceAgreed, paymentSchedule, reason } = req.body;
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
+
+  const role = await bookingStatusService.getRole(booking, req.user);
+  const request = await bookingChangeService.propose(
+    booking,
+    { changes: { eventDate, slot, requirements, priceAgreed, paymentSchedule }, reason },
+    { user: req.user, role }
+  );
+  await booking.save();
+
+  await Notification.createNotification({
+    recipient: bookingChangeService.getCounterparty(booking, request.requestedByRole),
+    type: 'booking',
+    title: 'Booking Change Requested',
+    message: `A change to your booking was requested (${Object.keys(request.toObject().changes).join(', ')}). Reason: ${reason || 'No reason provided'}`,
+    relatedBooking: booking._id,
+    relatedUser: req.user._id,
+    actionUrl: `/bookings/${booking._id}/change-requests`
+  });
+
+  res.status(201).json(ApiResponse.success(request, 'Change request sent successfully'));
+});
+
+// Accept or reject the other party's change request
+const respondToChangeRequest = accept => catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
+
+  const request = booking.changeRequests.id(req.params.requestId);
+  if (!request) {
+    return next(new ApiError('Change request not found', 404));
+  }
+
+  const role = await bookingStatusService.getRole(booking, req.user);
+  await bookingChangeService.respond(booking, request, accept, { user: req.user, role, note: req.body.note });
+  await booking.save();
+
+  await Notification.createNotification({
+    recipient: request.requestedBy,
+    type: 'booking',
+    title: accept ? 'Booking Change Accepted' : 'Booking Change Rejected',
+    message: accept
+      ? 'Your change request was accepted and the booking has been updated'
+      : `Your change request was rejected${req.body.note ? `: ${req.body.note}` : ''}`,
+    relatedBooking: booking._id,
+    actionUrl: `/bookings/${booking._id}/change-requests`
+  });
+
+  res.json(ApiResponse.success(booking, accept ? 'Change request accepted' : 'Change request rejected'));
+});
+
+// @desc    Accept a change request (applies it to the booking)
+// @route   POST /api/v1/bookings/:id/change-requests/:requestId/accept
+// @access  Private (The other party)
+exports.acceptChangeRequest = respondToChangeRequest(true);
+
+// @desc    Reject a change request
+// @route   POST /api/v1/bookings/:id/change-requests/:requestId/reject
+// @access  Private (The other party)
+exports.rejectChangeRequest = respondToChangeRequest(false);
+
+// @desc    Withdraw my change request
+// @route   DELETE /api/v1/bookings/:id/change-requests/:requestId
+// @access  Private (Requester)
+exports.withdrawChangeRequest = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
+
+  const request = booking.changeRequests.id(req.params.requestId);
+  if (!request) {
+    return next(new ApiError('Change request not found', 404));
+  }
+
+  bookingChangeService.withdraw(request, { user: req.user });
+  await booking.save();
+
+  res.json(ApiResponse.success(request, 'Change request withdrawn'));
+});
+
+// @desc    Create Razorpay order for booking balance, deposit or next milestone
+// @route   POST /api/v1/bookings/:id/checkout
+// @access  Private (Organizer only)
+exports.createCheckout = catchAsync(async (req, res, next) => {
+  const { type = 'full', amount } = req.body;
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
+
+  if (booking.organizer.toString() !== req.user._id.toString()) {
+    return next(new ApiError('Only organizer can pay for booking', 403));
+  }
+
+  if (!['pending', 'confirmed', 'in_progress'].includes(booking.status)) {
+    return next(new ApiError(`Cannot pay for a ${booking.status} booking`, 400));
+  }
+
+  const balance = booking.priceAgreed - booking.totalPaid;
+  if (balance <= 0) {
+    return next(new ApiError('Booking is already fully paid', 400));
+  }
+
+  // Work out how much to charge: explicit amount, deposit, or the full balance
+  let chargeAmount = balance;
+  if (amount) {
+    chargeAmount = Number(amount);
+  } else if (type === 'milestone') {
+    const milestone = booking.nextMilestone;
+    if (!milestone) {
+      return next(new ApiError('Booking has no outstanding milestones', 400));
+    }
+    chargeAmount = milestone.amount - milestone.amountPaid;
+  } else if (type === 'deposit') {
+    chargeAmount = Math.round(booking.priceAgreed * PAYMENT_SETTINGS.DEPOSIT_PERCENTAGE / 100);
+  }
+
+  if (chargeAmount > balance) {
+    return next(new ApiError(`Amount cannot exceed outstanding balance of ${formatCurrency(balance, booking.currency)}`, 400));
+  }
+
+  if (chargeAmount < PAYMENT_SETTINGS.MIN_ONLINE_AMOUNT) {
+    return next(new ApiError('Amount is too small for online payment', 400));
+  }
+
+  const order = await paymentService.createBookingPayment(booking, chargeAmount);
+
+  booking.razorpayOrderId = order.id;
+  await booking.save();
+
+  res.status(201).json(
+    ApiResponse.success(
+      {
+        orderId: order.id,
+        amount: chargeAmount,
+        currency: order.currency,
+        keyId: process.env.RAZORPAY_KEY_ID,
+        balance
+      },
+      'Checkout created successfully'
+    )
+  );
+});
+
+// @desc    Verify Razorpay checkout and record payment
+// @route   POST /api/v1/bookings/:id/checkout/verify
+// @access  Private (Organizer only)
+exports.verifyCheckout = catchAsync(async (req, res, next) => {
+  const { razorpayOrderId, razorpayPaymentId, razorpaySignature } = req.body;
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
+
+  if (booking.organizer.toString() !== req.user._id.toString()) {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  if (booking.razorpayOrderId !== razorpayOrderId) {
+    return next(new ApiError('Order does not belong to this booking', 400));
+  }
+
+  if (!paymentService.verifyPaymentSignature(razorpayOrderId, razorpayPaymentId, razorpaySignature)) {
+    return next(new ApiError('Invalid payment signature', 400));
+  }
+
+  // Fetch the payment so the recorded amount comes from Razorpay, not the client
+  const payment = await paymentService.getPayment(razorpayPaymentId);
+  if (payment.order_id !== razorpayOrderId) {
+    return next(new ApiError('Payment does not match order', 400));
+  }
+
+  if (payment.status === 'failed') {
+    return next(new ApiError('Payment failed. Please try again', 400));
+  }
+
+  // Authorized but not yet captured: the payment.captured webhook records it
+  if (payment.status !== 'captured') {
+    return res.status(202).json(
+      ApiResponse.success(booking, 'Payment is processing and will be recorded once captured', { paymentStatus: payment.status })
+    );
+  }
+
+  booking.razorpaySignature = razorpaySignature;
+  const result = await paymentService.applyCapturedPayment({ type: 'booking', doc: booking }, payment);
+
+  // A webhook may have recorded this payment first; still keep the signature
+  if (result.status === 'duplicate') {
+    await booking.save();
+  }
+
+  // Paid after the booking was cancelled or expired: the money is on its way back
+  if (result.refund) {
+    return res.json(ApiResponse.success(booking, `This booking is ${booking.status}, so the payment is being refunded`, {
+      refunded: result.refund.refunded,
+      pendingRefund: result.refund.pending
+    }));
+  }
+
+  res.json(ApiResponse.success(booking, 'Payment verified successfully'));
+});
+
+// @desc    Set payment schedule (milestones) of a pending booking
+// @route   PUT /api/v1/bookings/:id/schedule
+// @access  Private (Organizer or vendor)
+exports.updatePaymentSchedule = catchAsync(async (req, res, next) => {
+  const { paymentSchedule } = req.body;
+  const booking = await Booking.findById(req.params.id);
+
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
+
+  const role = await bookingStatusService.getRole(booking, req.user);
+  const isOrganizer = role === 'organizer';
+  const isVendor = role === 'vendor';
+
+  if (!isOrganizer && !isVendor) {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  // Once confirmed, both sides have to agree a new schedule
+  if (['confirmed', 'in_progress'].includes(booking.status)) {
+    return next(new ApiError('Propose the new schedule as a change request (POST /bookings/:id/change-requests)', 400));
+  }
+
+  if (booking.status !== 'pending') {
+    return next(new ApiError(`Cannot change payment schedule of a ${booking.status} booking`, 400));
+  }
+
+  booking.setPaymentSchedule(paymentSchedule);
+  await booking.save();
+
+  await Notification.createNotification({
+    recipient: isOrganizer ? booking.vendor : booking.organizer,
+    type: 'payment',
+    title: 'Payment Schedule Updated',
+    message: `The payment schedule for your booking now has ${booking.paymentSchedule.length} milestone(s)`,
+    relatedBooking: booking._id,
+    actionUrl: `/bookings/${booking._id}`
+  });
+
+  res.json(ApiResponse.success(booking, 'Payment schedule updated successfully'));
+});
+
+// @desc    Get bookings with overdue milestones (as organizer or vendor)
+// @route   GET /api/v1/bookings/milestones/overdue
+// @access  Private
+exports.getOverdueMilestones = catchAsync(async (req, res, next) => {
+  const { filter } = await vendorOrganizationService.getVendorScope(req.user);
+
+  const bookings = await Booking.find({
+    $or: [{ organizer: req.user._id }, ...filter.$or],
+    status: { $in: ['pending', 'confirmed', 'in_progress', 'completed'] },
+    paymentSchedule: {
+      $elemMatch: { status: { $ne: 'paid' }, dueDate: { $lt: new Date() } }
+    }
+  })
+    .populate('event', 'title date')
+    .populate('service', 'serviceName')
+    .populate('organizer', 'name')
+    .populate('vendor', 'name')
+    .sort('paymentSchedule.dueDate');
+
+  const result = bookings.map(booking => ({
+    booking: booking._id,
+    event: booking.event,
+    service: booking.service,
+    organizer: booking.organizer,
+    vendor: booking.vendor,
+    role: booking.organizer._id.toString() === req.user._id.toString() ? 'organizer' : 'vendor',
+    overdueMilestones: booking.overdueMilestones,
+    amountOverdue: booking.overdueMilestones.reduce((sum, m) => sum + m.amount - m.amountPaid, 0)
+  }));
+
+  res.json(ApiResponse.success(result, 'Overdue milestones retrieved'));
+});
+
+// Load a booking with everything invoices and receipts print
+const loadBookingForDocument = (id) => {
+  return Booking.findById(id)
+    .populate('event', 'title date city')
+    .populate('service', 'serviceName category priceUnit city businessName gstNumber panNumber')
+    .populate('organizer', 'name email phone city')
+    .populate('vendor', 'name email phone city');
+};
+
+
+// @desc    Download booking invoice
+// @route   GET /api/v1/bookings/:id/invoice.pdf
+// @access  Private (Organizer, vendor or admin)
+exports.getInvoice = catchAsync(async (req, res, next) => {
+  const { gstin } = req.query;
+  const booking = await loadBookingForDocument(req.params.id);
+
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
+
+  const role = await bookingStatusService.getRole(booking, req.user);
+  if (!role) {
+    return next(new ApiError('Not authorized to view this invoice', 403));
+  }
+
+  if (['pending', 'cancelled', 'expired'].includes(booking.status)) {
+    return next(new ApiError(`Cannot invoice a ${booking.status} booking`, 400));
+  }
+
+  if (gstin && !/^\d{2}[A-Z0-9]{13}$/.test(gstin)) {
+    return next(new ApiError('Invalid GSTIN', 400));
+  }
+
+  // The buyer GSTIN is part of the issued invoice and cannot change afterwards
+  if (booking.invoiceNumber && gstin && gstin !== booking.invoiceDetails.buyer.gstin) {
+    return next(new ApiError(`Invoice ${booking.invoiceNumber} has already been issued, its buyer GSTIN cannot be changed`, 400));
+  }
+
+  await invoiceService.assignInvoiceNumber(booking, { buyerGstin: gstin });
+  const pdf = invoiceService.buildInvoice(booking);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="invoice-${booking.invoiceNumber.replace(/\//g, '-')}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+});
+
+// @desc    Download payment receipt
+// @route   GET /api/v1/bookings/:id/payments/:paymentId/receipt.pdf
+// @access  Private (Organizer, vendor or admin)
+exports.getPaymentReceipt = catchAsync(async (req, res, next) => {
+  const booking = await loadBookingForDocument(req.params.id);
+
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
+
+  const role = await bookingStatusService.getRole(booking, req.user);
+  if (!role) {
+    return next(new ApiError('Not authorized to view this receipt', 403));
+  }
+
+  const payment = booking.payments.id(req.params.paymentId);
+  if (!payment || payment.status !== 'captured') {
+    return next(new ApiError('Payment not found', 404));
+  }
+
+  await invoiceService.assignReceiptNumber(booking, payment);
+  const pdf = invoiceService.buildReceipt(booking, payment);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="receipt-${payment.receiptNumber.replace(/\//g, '-')}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+});
+
 // @desc    Get bookings for event
 // @route   GET /api/v1/bookings/event/:eventId
 // @access  Private
@@ -437,15 +1173,14 @@ exports.getEventBookings = catchAsync(async (req, res, next) => {
 // @route   GET /api/v1/bookings/vendor/upcoming
 // @access  Private
 exports.getVendorUpcomingBookings = catchAsync(async (req, res, next) => {
-  const bookings = await Booking.find({
-    vendor: req.user._id,
-    status: { $in: ['pending', 'confirmed'] },
-    eventDate: { $gte: new Date() }
-  })
+  const organizationIds = req.query.organization
+    ? (await vendorOrganizationService.getVendorScope(req.user, req.query.organization)).organizationIds
+    : await vendorOrganizationService.getOrganizationIds(req.user._id);
+
+  const bookings = await Booking.findVendorUpcoming(req.query.organization ? null : req.user._id, organizationIds)
     .populate('event', 'title date city')
     .populate('service', 'serviceName')
     .populate('organizer', 'name phone')
-    .sort('eventDate')
     .lean();
 
   res.json(ApiResponse.success(bookings, 'Upcoming bookings retrieved'));
@@ -455,12 +1190,14 @@ exports.getVendorUpcomingBookings = catchAsync(async (req, res, next) => {
 // @route   GET /api/v1/bookings/stats
 // @access  Private
 exports.getBookingStats = catchAsync(async (req, res, next) => {
-  const { role = 'organizer' } = req.query;
+  const { role = 'organizer', organization } = req.query;
 
-  const matchField = role === 'vendor' ? 'vendor' : 'organizer';
+  const match = role === 'vendor' || organization
+    ? (await vendorOrganizationService.getVendorScope(req.user, organization)).filter
+    : { organizer: req.user._id };
 
   const stats = await Booking.aggregate([
-    { $match: { [matchField]: req.user._id } },
+    { $match: match },
     {
       $group: {
         _id: '$status',
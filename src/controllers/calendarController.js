@@ -0,0 +1,62 @@
+const User = require('../models/User');
+const calendarService = require('../services/calendarService');
+const catchAsync = require('../utils/catchAsync');
+const ApiError = require('../utils/apiError');
+const ApiResponse = require('../utils/apiResponse');
+const { generateToken, hashToken } = require('../utils/helpers');
+const { ICAL_SETTINGS } = require('../config/constants');
+
+const getFeedUrls = (req, token) => {
+  const base = `${req.protocol}://${req.get('host')}${req.baseUrl}/feeds/${token}`;
+  return ICAL_SETTINGS.FEEDS.reduce((urls, feed) => {
+    urls[feed] = `${base}/${feed}.ics`;
+    return urls;
+  }, {});
+};
+
+// @desc    Create (or rotate) my calendar feed token
+// @route   POST /api/v1/calendar/feed-token
+// @access  Private
+exports.createFeedToken = catchAsync(async (req, res, next) => {
+  const token = generateToken();
+
+  // Rotating the token revokes every subscription made with the old one
+  await User.updateOne({ _id: req.user._id }, { calendarFeedToken: hashToken(token) });
+
+  res.status(201).json(ApiResponse.success(
+    { token, feeds: getFeedUrls(req, token) },
+    'Calendar feed token created. Store it now, it will not be shown again'
+  ));
+});
+
+// @desc    Revoke my calendar feed token
+// @route   DELETE /api/v1/calendar/feed-token
+// @access  Private
+exports.revokeFeedToken = catchAsync(async (req, res, next) => {
+  await User.updateOne({ _id: req.user._id }, { $unset: { calendarFeedToken: 1 } });
+
+  res.json(ApiResponse.success(null, 'Calendar feed token revoked'));
+});
+
+// @desc    Subscribe to a calendar feed (rsvps, organized, bookings)
+// @route   GET /api/v1/calendar/feeds/:token/:feed.ics
+// @access  Public (feed token)
+exports.getFeed = catchAsync(async (req, res, next) => {
+  const user = await User.findOne({
+    calendarFeedToken: hashToken(req.params.token),
+    isActive: true
+  });
+
+  if (!user) {
+    return next(new ApiError('Calendar feed not found', 404));
+  }
+
+  const ics = await calendarService.getFeed(user, req.params.feed);
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="festivo-${req.params.feed}.ics"`,
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(ics);
+});
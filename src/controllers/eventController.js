@@ -1,9 +1,126 @@
 const Event = require('../models/Event');
 const User = require('../models/User');
+const Booking = require('../models/Booking');
+const RSVP = require('../models/RSVP');
+const Notification = require('../models/Notification');
+const Task = require('../models/Task');
+const refundService = require('../services/refundService');
+const calendarService = require('../services/calendarService');
+const bookingStatusService = require('../services/bookingStatusService');
+const eventSeriesService = require('../services/eventSeriesService');
+const waitlistService = require('../services/waitlistService');
+const templateService = require('../services/templateService');
+const invitationService = require('../services/invitationService');
 const catchAsync = require('../utils/catchAsync');
 const ApiError = require('../utils/apiError');
 const ApiResponse = require('../utils/apiResponse');
 const { clearCache } = require('../middlewares/cache');
+const { formatCurrency } = require('../utils/helpers');
+const { RECURRENCE_SETTINGS } = require('../config/constants');
+
+// Kept in step with the recurrence rule, never set directly
+const SERIES_MANAGED_FIELDS = ['seriesEndsAt', 'series', 'occurrenceOverrides'];
+
+// Set only by saving or using a template
+const TEMPLATE_MANAGED_FIELDS = ['isTemplate', 'templateSource', 'timesUsedAsTemplate'];
+
+const stripSeriesFields = (body) => {
+  [...SERIES_MANAGED_FIELDS, ...TEMPLATE_MANAGED_FIELDS].forEach((key) => { delete body[key]; });
+  return body;
+};
+
+// Series carry their next occurrence alongside the first one's date
+const withNextOccurrence = event => (
+  eventSeriesService.isRecurring(event)
+    ? { ...event.toObject(), nextOccurrence: eventSeriesService.getNextOccurrence(event) }
+    : event
+);
+
+// Update user stats and level for a newly organized event
+const creditOrganizer = async (userId) => {
+  await User.findByIdAndUpdate(userId, {
+    $inc: { eventsOrganized: 1, xpPoints: 50 }
+  });
+
+  const user = await User.findById(userId);
+  user.updateLevel();
+  await user.save();
+};
+
+// Public templates are open to everyone, private ones to their owner (organizer may be populated)
+const canUseTemplate = (template, user) => template.isPublic || Boolean(user && (
+  (template.organizer._id || template.organizer).toString() === user._id.toString() || user.role === 'admin'
+));
+
+const canManage = (event, user) => event.organizer.toString() === user._id.toString() || user.role === 'admin';
+
+// Attendees still holding or waiting for a place at an occurrence (or the whole event)
+const ACTIVE_RSVP_STATUSES = ['going', 'maybe', 'pending_payment', 'waitlisted', 'offered'];
+
+/**
+ * Cancel RSVPs because the event, or some of its occurrences, was called off.
+ * Attendees get a full refund and a notification.
+ * @returns {object} - { rsvpsCancelled, refunded, pendingRefunds }
+ */
+const cancelRsvps = async (event, filter = {}) => {
+  const summary = { rsvpsCancelled: 0, refunded: 0, pendingRefunds: 0 };
+  const rsvps = await RSVP.find({
+    event: event._id,
+    status: { $in: ACTIVE_RSVP_STATUSES },
+    ...filter
+  });
+
+  for (const rsvp of rsvps) {
+    const occurrence = rsvp.occurrence && eventSeriesService.getOccurrence(event, rsvp.occurrence);
+    rsvp.status = 'cancelled';
+    rsvp.paymentExpiresAt = undefined;
+    rsvp.offerExpiresAt = undefined;
+
+    let refundText = '';
+    if (rsvp.amountPaid > 0) {
+      const refund = await refundService.processCancellationRefund(
+        rsvp, occurrence ? occurrence.startsAt : event.date, 'event_cancelled', 'Event cancelled by organizer'
+      );
+      summary.refunded += refund.refunded;
+      summary.pendingRefunds += refund.pending;
+      refundText = ` A refund of ${formatCurrency(refund.policy.amount, event.currency)} is on its way.`;
+    }
+    await rsvp.save();
+
+    summary.rsvpsCancelled += 1;
+
+    await Notification.createNotification({
+      recipient: rsvp.attendee,
+      type: 'event_reminder',
+      title: 'Event Cancelled',
+      message: occurrence
+        ? `"${event.title}" on ${occurrence.originalStartsAt.toDateString()} has been cancelled.${refundText}`
+        : `"${event.title}" has been cancelled.${refundText}`,
+      relatedEvent: event._id,
+      actionUrl: `/events/${event._id}`
+    });
+  }
+
+  return summary;
+};
+
+// Tell attendees of some occurrences that their details changed
+const notifyOccurrenceAttendees = async (event, days, message) => {
+  const attendees = await RSVP.distinct('attendee', {
+    event: event._id,
+    occurrence: { $in: days },
+    status: { $in: ACTIVE_RSVP_STATUSES }
+  });
+
+  await Promise.all(attendees.map(attendee => Notification.createNotification({
+    recipient: attendee,
+    type: 'event_reminder',
+    title: 'Event Updated',
+    message,
+    relatedEvent: event._id,
+    actionUrl: `/events/${event._id}`
+  })));
+};
 
 // @desc    Get all events with filters
 // @route   GET /api/v1/events
@@ -32,10 +149,12 @@ exports.getEvents = catchAsync(async (req, res, next) => {
   if (isPaid !== undefined) query.isPaid = isPaid === 'true';
   if (tags) query.tags = { $in: tags.split(',') };
 
+  // Series match when any of their occurrences can fall in the range
   if (dateFrom || dateTo) {
-    query.date = {};
-    if (dateFrom) query.date.$gte = new Date(dateFrom);
-    if (dateTo) query.date.$lte = new Date(dateTo);
+    Object.assign(query, eventSeriesService.getRangeFilter(
+      dateFrom && new Date(dateFrom),
+      dateTo && new Date(dateTo)
+    ));
   }
 
   // Text search
@@ -52,9 +171,16 @@ exports.getEvents = catchAsync(async (req, res, next) => {
     .lean();
 
   const total = await Event.countDocuments(query);
+  const from = dateFrom ? new Date(dateFrom) : new Date();
 
   res.json(
-    ApiResponse.paginated(events, page, limit, total, 'Events retrieved successfully')
+    ApiResponse.paginated(
+      eventSeriesService.withNextOccurrence(events, from),
+      page,
+      limit,
+      total,
+      'Events retrieved successfully'
+    )
   );
 });
 
@@ -74,7 +200,38 @@ exports.getEvent = catchAsync(async (req, res, next) => {
   event.views += 1;
   await event.save();
 
-  res.json(ApiResponse.success(event, 'Event retrieved successfully'));
+  res.json(ApiResponse.success(withNextOccurrence(event), 'Event retrieved successfully'));
+});
+
+// @desc    Download event as iCalendar (.ics)
+// @route   GET /api/v1/events/:id/calendar.ics
+// @access  Public (private events: hosts, invited guests and active attendees)
+exports.getEventCalendar = catchAsync(async (req, res, next) => {
+  const event = await Event.findById(req.params.id).lean();
+
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  // Private events: hosts, invited guests and attendees still holding or waiting for a place
+  if (!event.isPublic) {
+    const canView = req.user && (
+      await invitationService.canAttend(event, req.user) ||
+      await RSVP.exists({ event: event._id, attendee: req.user._id, status: { $in: ACTIVE_RSVP_STATUSES } })
+    );
+
+    if (!canView) {
+      return next(new ApiError('Event not found', 404));
+    }
+  }
+
+  const ics = calendarService.buildEventCalendar(event);
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${event.slug || event._id}.ics"`
+  });
+  res.send(ics);
 });
 
 // @desc    Get event by slug
@@ -93,7 +250,7 @@ exports.getEventBySlug = catchAsync(async (req, res, next) => {
   event.views += 1;
   await event.save();
 
-  res.json(ApiResponse.success(event, 'Event retrieved successfully'));
+  res.json(ApiResponse.success(withNextOccurrence(event), 'Event retrieved successfully'));
 });
 
 // @desc    Create event
@@ -101,10 +258,14 @@ exports.getEventBySlug = catchAsync(async (req, res, next) => {
 // @access  Private
 exports.createEvent = catchAsync(async (req, res, next) => {
   const eventData = {
-    ...req.body,
+    ...stripSeriesFields(req.body),
     organizer: req.user._id
   };
 
+  if (eventData.recurrence) {
+    Object.assign(eventData, eventSeriesService.getSeriesFields(eventData));
+  }
+
   // Only set location if coordinates are provided
   if (req.body.coordinates && req.body.coordinates.length === 2) {
     eventData.location = {
@@ -115,15 +276,7 @@ exports.createEvent = catchAsync(async (req, res, next) => {
 
   const event = await Event.create(eventData);
 
-  // Update user stats
-  await User.findByIdAndUpdate(req.user._id, {
-    $inc: { eventsOrganized: 1, xpPoints: 50 }
-  });
-
-  // Update user level
-  const user = await User.findById(req.user._id);
-  user.updateLevel();
-  await user.save();
+  await creditOrganizer(req.user._id);
 
   // Clear cache
   await clearCache('/api/v1/events');
@@ -146,6 +299,25 @@ exports.updateEvent = catchAsync(async (req, res, next) => {
     return next(new ApiError('Not authorized to update this event', 403));
   }
 
+  stripSeriesFields(req.body);
+
+  // Templates stay unpublished drafts; they go live by creating an event from them
+  if (event.isTemplate) {
+    ['isPublished', 'publishedAt', 'status'].forEach((key) => { delete req.body[key]; });
+  }
+
+  // Moving a series would strand its RSVPs and overrides; occurrence edits carry them along
+  const wasRecurring = eventSeriesService.isRecurring(event);
+  if (wasRecurring && eventSeriesService.changesSchedule(req.body)) {
+    return next(new ApiError(
+      'Reschedule a series through PUT /events/:id/occurrences/:day with scope=following',
+      400
+    ));
+  }
+  if (!wasRecurring && req.body.recurrence) {
+    Object.assign(req.body, eventSeriesService.getSeriesFields({ ...event.toObject(), ...req.body }));
+  }
+
   // Update coordinates if provided
   if (req.body.coordinates) {
     req.body.location = {
@@ -159,6 +331,16 @@ exports.updateEvent = catchAsync(async (req, res, next) => {
     runValidators: true
   });
 
+  // RSVPs made before the event started repeating are for its first occurrence
+  if (!wasRecurring && eventSeriesService.isRecurring(event)) {
+    await eventSeriesService.attachRsvpsToFirstOccurrence(event);
+  }
+
+  // Added seats go to the waitlist
+  if (req.body.maxAttendees !== undefined) {
+    await waitlistService.promoteAll(event);
+  }
+
   // Clear cache
   await clearCache('/api/v1/events');
 
@@ -194,7 +376,7 @@ exports.deleteEvent = catchAsync(async (req, res, next) => {
 exports.getMyEvents = catchAsync(async (req, res, next) => {
   const { status, page = 1, limit = 20 } = req.query;
 
-  const query = { organizer: req.user._id };
+  const query = { organizer: req.user._id, isTemplate: { $ne: true } };
   if (status) query.status = status;
 
   const events = await Event.find(query)
@@ -206,7 +388,13 @@ exports.getMyEvents = catchAsync(async (req, res, next) => {
   const total = await Event.countDocuments(query);
 
   res.json(
-    ApiResponse.paginated(events, page, limit, total, 'Your events retrieved successfully')
+    ApiResponse.paginated(
+      eventSeriesService.withNextOccurrence(events),
+      page,
+      limit,
+      total,
+      'Your events retrieved successfully'
+    )
   );
 });
 
@@ -224,6 +412,10 @@ exports.publishEvent = catchAsync(async (req, res, next) => {
     return next(new ApiError('Not authorized', 403));
   }
 
+  if (event.isTemplate) {
+    return next(new ApiError('Templates cannot be published. Create an event from it instead', 400));
+  }
+
   event.isPublished = true;
   event.publishedAt = new Date();
   event.status = 'active';
@@ -271,15 +463,62 @@ exports.cancelEvent = catchAsync(async (req, res, next) => {
     return next(new ApiError('Not authorized', 403));
   }
 
+  if (event.isTemplate) {
+    return next(new ApiError('Templates cannot be cancelled. Delete the template instead', 400));
+  }
+
+  if (['completed', 'cancelled'].includes(event.status)) {
+    return next(new ApiError(`Event is already ${event.status}`, 400));
+  }
+
   event.status = 'cancelled';
   event.isPublished = false;
   await event.save();
 
-  // TODO: Notify all RSVPs and bookings about cancellation
+  const reason = req.body.reason || 'Event cancelled by organizer';
+  const summary = { bookingsCancelled: 0, rsvpsCancelled: 0, refunded: 0, pendingRefunds: 0 };
+
+  // Cancel open bookings - the organizer cancelled, so the organizer policy applies
+  const bookings = await Booking.find({
+    event: event._id,
+    status: { $in: ['pending', 'confirmed', 'in_progress'] }
+  });
+
+  for (const booking of bookings) {
+    bookingStatusService.transition(booking, 'cancelled', { actor: req.user._id, role: 'system', reason });
+    booking.cancellationReason = reason;
+    booking.cancelledBy = req.user._id;
+    booking.cancelledAt = new Date();
+
+    const refund = await refundService.processCancellationRefund(
+      booking, booking.eventDate, 'organizer', 'Event cancelled by organizer'
+    );
+    await booking.save();
+
+    summary.bookingsCancelled += 1;
+    summary.refunded += refund.refunded;
+    summary.pendingRefunds += refund.pending;
+
+    await Notification.createNotification({
+      recipient: booking.vendor,
+      type: 'booking',
+      title: 'Event Cancelled',
+      message: `"${event.title}" has been cancelled and your booking was cancelled. Reason: ${reason}`,
+      relatedEvent: event._id,
+      relatedBooking: booking._id,
+      actionUrl: `/bookings/${booking._id}`
+    });
+  }
+
+  // Cancel RSVPs - attendees get a full refund when the event itself is cancelled
+  const rsvpSummary = await cancelRsvps(event);
+  summary.rsvpsCancelled = rsvpSummary.rsvpsCancelled;
+  summary.refunded += rsvpSummary.refunded;
+  summary.pendingRefunds += rsvpSummary.pendingRefunds;
 
   await clearCache('/api/v1/events');
 
-  res.json(ApiResponse.success(event, 'Event cancelled successfully'));
+  res.json(ApiResponse.success(event, 'Event cancelled successfully', { cancellation: summary }));
 });
 
 // @desc    Complete event
@@ -296,6 +535,10 @@ exports.completeEvent = catchAsync(async (req, res, next) => {
     return next(new ApiError('Not authorized', 403));
   }
 
+  if (event.isTemplate) {
+    return next(new ApiError('Templates cannot be completed', 400));
+  }
+
   event.status = 'completed';
   event.completedAt = new Date();
   await event.save();
@@ -332,13 +575,13 @@ exports.getNearbyEvents = catchAsync(async (req, res, next) => {
     },
     isPublished: true,
     status: { $in: ['active', 'planning'] },
-    date: { $gte: new Date() }
+    ...eventSeriesService.getUpcomingFilter()
   })
     .populate('organizer', 'name profilePhoto')
     .limit(parseInt(limit))
     .lean();
 
-  res.json(ApiResponse.success(events, 'Nearby events retrieved'));
+  res.json(ApiResponse.success(eventSeriesService.withNextOccurrence(events), 'Nearby events retrieved'));
 });
 
 // @desc    Get upcoming events
@@ -347,19 +590,31 @@ exports.getNearbyEvents = catchAsync(async (req, res, next) => {
 exports.getUpcomingEvents = catchAsync(async (req, res, next) => {
   const { city, limit = 10 } = req.query;
 
+  const now = new Date();
   const query = {
     isPublished: true,
-    status: { $in: ['active', 'planning'] },
-    date: { $gte: new Date() }
+    status: { $in: ['active', 'planning'] }
   };
 
   if (city) query.city = city;
 
-  const events = await Event.find(query)
-    .populate('organizer', 'name profilePhoto')
-    .sort('date')
-    .limit(parseInt(limit))
-    .lean();
+  // Series sort by their next occurrence, not the date they started
+  const [oneOff, series] = await Promise.all([
+    Event.find({ ...query, recurrence: null, date: { $gte: now } })
+      .populate('organizer', 'name profilePhoto')
+      .sort('date')
+      .limit(parseInt(limit))
+      .lean(),
+    Event.find({ ...query, ...eventSeriesService.getOngoingSeriesFilter(now) })
+      .populate('organizer', 'name profilePhoto')
+      .limit(RECURRENCE_SETTINGS.MAX_LISTED_SERIES)
+      .lean()
+  ]);
+
+  const events = eventSeriesService.withNextOccurrence([...oneOff, ...series], now)
+    .filter(event => !eventSeriesService.isRecurring(event) || event.nextOccurrence)
+    .sort((a, b) => eventSeriesService.getNextStart(a) - eventSeriesService.getNextStart(b))
+    .slice(0, parseInt(limit));
 
   res.json(ApiResponse.success(events, 'Upcoming events retrieved'));
 });
@@ -373,7 +628,7 @@ exports.getPopularEvents = catchAsync(async (req, res, next) => {
   const query = {
     isPublished: true,
     status: { $in: ['active', 'planning'] },
-    date: { $gte: new Date() }
+    ...eventSeriesService.getUpcomingFilter()
   };
 
   if (city) query.city = city;
@@ -384,7 +639,7 @@ exports.getPopularEvents = catchAsync(async (req, res, next) => {
     .limit(parseInt(limit))
     .lean();
 
-  res.json(ApiResponse.success(events, 'Popular events retrieved'));
+  res.json(ApiResponse.success(eventSeriesService.withNextOccurrence(events), 'Popular events retrieved'));
 });
 
 // @desc    Add co-organizer
@@ -442,3 +697,352 @@ exports.removeCoOrganizer = catchAsync(async (req, res, next) => {
 
   res.json(ApiResponse.success(event, 'Co-organizer removed successfully'));
 });
+
+// @desc    Let a user check guests in at this event
+// @route   POST /api/v1/events/:id/door-staff
+// @access  Private
+exports.addDoorStaff = catchAsync(async (req, res, next) => {
+  const { userId } = req.body;
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  // Organizer and co-organizers pick who runs the door
+  const isAuthorized =
+    event.organizer.toString() === req.user._id.toString() ||
+    event.coOrganizers.some(id => id.toString() === req.user._id.toString());
+
+  if (!isAuthorized) {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return next(new ApiError('User not found', 404));
+  }
+
+  if (event.doorStaff.some(id => id.toString() === userId)) {
+    return next(new ApiError('User is already door staff', 400));
+  }
+
+  event.doorStaff.push(userId);
+  await event.save();
+
+  await Notification.createNotification({
+    recipient: userId,
+    type: 'system',
+    title: 'Door Staff Access',
+    message: `${req.user.name} added you to the door team for "${event.title}". You can now check guests in.`,
+    relatedEvent: event._id,
+    relatedUser: req.user._id,
+    actionUrl: `/events/${event._id}/check-in`
+  });
+
+  await event.populate('doorStaff', 'name profilePhoto');
+
+  res.json(ApiResponse.success(event.doorStaff, 'Door staff added successfully'));
+});
+
+// @desc    Remove a user's check-in access
+// @route   DELETE /api/v1/events/:id/door-staff/:userId
+// @access  Private
+exports.removeDoorStaff = catchAsync(async (req, res, next) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  const isAuthorized =
+    event.organizer.toString() === req.user._id.toString() ||
+    event.coOrganizers.some(id => id.toString() === req.user._id.toString());
+
+  if (!isAuthorized) {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  event.doorStaff = event.doorStaff.filter(
+    id => id.toString() !== req.params.userId
+  );
+  await event.save();
+
+  await event.populate('doorStaff', 'name profilePhoto');
+
+  res.json(ApiResponse.success(event.doorStaff, 'Door staff removed successfully'));
+});
+
+// @desc    Get occurrences of a recurring event
+// @route   GET /api/v1/events/:id/occurrences
+// @access  Public
+exports.getOccurrences = catchAsync(async (req, res, next) => {
+  const { from, until, limit = RECURRENCE_SETTINGS.DEFAULT_OCCURRENCES } = req.query;
+  const event = await Event.findById(req.params.id).lean();
+
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  if (!eventSeriesService.isRecurring(event)) {
+    return next(new ApiError('This event does not repeat', 400));
+  }
+
+  const occurrences = eventSeriesService.getOccurrences(event, {
+    from: from ? new Date(from) : new Date(),
+    until: until && new Date(until),
+    limit: Math.min(parseInt(limit), RECURRENCE_SETTINGS.MAX_OCCURRENCES)
+  });
+
+  // Seats taken per occurrence
+  const counts = await RSVP.aggregate([
+    { $match: { event: event._id, occurrence: { $in: occurrences.map(o => o.day) }, status: 'going' } },
+    { $group: { _id: '$occurrence', attendees: { $sum: 1 } } }
+  ]);
+  const attendees = counts.reduce((map, c) => ({ ...map, [c._id]: c.attendees }), {});
+
+  res.json(ApiResponse.success(
+    occurrences.map(o => ({ ...o, currentAttendees: attendees[o.day] || 0 })),
+    'Occurrences retrieved'
+  ));
+});
+
+// @desc    Edit one occurrence (scope=this) or it and every later one (scope=following)
+// @route   PUT /api/v1/events/:id/occurrences/:day
+// @access  Private
+exports.updateOccurrence = catchAsync(async (req, res, next) => {
+  const { scope = 'this' } = req.query;
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  if (!canManage(event, req.user)) {
+    return next(new ApiError('Not authorized to update this event', 403));
+  }
+
+  if (event.isTemplate) {
+    return next(new ApiError('Template occurrences cannot be changed. Update the template instead', 400));
+  }
+
+  const changes = stripSeriesFields({ ...req.body });
+  if (changes.coordinates) {
+    changes.location = { type: 'Point', coordinates: changes.coordinates };
+    delete changes.coordinates;
+  }
+
+  if (scope === 'this') {
+    const { occurrence, rescheduled } = eventSeriesService.updateOccurrence(event, req.params.day, changes);
+    await event.save();
+
+    if (changes.maxAttendees !== undefined) {
+      await waitlistService.promote(event, occurrence.day);
+    }
+
+    if (rescheduled || changes.locationName || changes.address) {
+      await notifyOccurrenceAttendees(
+        event,
+        [occurrence.day],
+        `"${event.title}" on ${occurrence.originalStartsAt.toDateString()} has changed: now ${occurrence.startsAt.toDateString()} at ${occurrence.time}, ${occurrence.locationName}`
+      );
+    }
+
+    await clearCache('/api/v1/events');
+    return res.json(ApiResponse.success(occurrence, 'Occurrence updated successfully'));
+  }
+
+  // Protected fields never move onto a split series
+  ['organizer', 'coOrganizers', 'doorStaff', 'isTemplate', 'templateSource'].forEach((key) => { delete changes[key]; });
+
+  // Dropped occurrences are looked up on the schedule they had
+  const original = event.toObject();
+  const { event: series, split, dayMap, dropped } = await eventSeriesService.updateFollowing(event, req.params.day, changes);
+  const summary = dropped.length > 0
+    ? await cancelRsvps(original, { occurrence: { $in: dropped } })
+    : null;
+
+  if (changes.maxAttendees !== undefined) {
+    await waitlistService.promoteAll(series);
+  }
+
+  const moved = Object.values(dayMap);
+  if (moved.length > 0 || eventSeriesService.changesSchedule(changes)) {
+    await notifyOccurrenceAttendees(
+      series,
+      moved.length > 0 ? moved : [req.params.day],
+      `"${series.title}" has a new schedule from ${req.params.day}. Your RSVPs moved with it.`
+    );
+  }
+
+  await clearCache('/api/v1/events');
+
+  res.json(ApiResponse.success(
+    series,
+    split ? 'Following occurrences moved to a new series' : 'Series updated successfully',
+    summary ? { cancellation: summary } : null
+  ));
+});
+
+// @desc    Cancel one occurrence (scope=this) or it and every later one (scope=following)
+// @route   DELETE /api/v1/events/:id/occurrences/:day
+// @access  Private
+exports.cancelOccurrence = catchAsync(async (req, res, next) => {
+  const { scope = 'this' } = req.query;
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  if (!canManage(event, req.user)) {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  if (event.isTemplate) {
+    return next(new ApiError('Template occurrences cannot be cancelled', 400));
+  }
+
+  const reason = req.body.reason || 'Cancelled by organizer';
+  const original = event.toObject();
+  const days = scope === 'following'
+    ? eventSeriesService.endBefore(event, req.params.day)
+    : [eventSeriesService.cancelOccurrence(event, req.params.day, reason).day];
+  await event.save();
+
+  const summary = await cancelRsvps(scope === 'following' ? original : event, { occurrence: { $in: days } });
+
+  await clearCache('/api/v1/events');
+
+  res.json(ApiResponse.success(
+    withNextOccurrence(event),
+    scope === 'following' ? 'Series ended before this occurrence' : 'Occurrence cancelled successfully',
+    { cancellation: summary }
+  ));
+});
+
+// @desc    Save an event, its tasks and budget allocations as a template
+// @route   POST /api/v1/events/:id/template
+// @access  Private
+exports.saveAsTemplate = catchAsync(async (req, res, next) => {
+  const event = await Event.findById(req.params.id);
+
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  if (!canManage(event, req.user)) {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  const { template, tasks } = await templateService.saveAsTemplate(event, req.user, req.body);
+
+  res.status(201).json(
+    ApiResponse.success({ ...template.toObject(), tasks }, 'Event saved as template')
+  );
+});
+
+// @desc    Browse public templates, most used first
+// @route   GET /api/v1/events/templates
+// @access  Public
+exports.getTemplates = catchAsync(async (req, res, next) => {
+  const { eventType, page = 1, limit = 20 } = req.query;
+
+  const query = { isTemplate: true, isPublic: true };
+  if (eventType) query.eventType = eventType;
+
+  const templates = await Event.find(query)
+    .populate('organizer', 'name profilePhoto')
+    .sort('-timesUsedAsTemplate -createdAt')
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .lean();
+
+  const total = await Event.countDocuments(query);
+
+  res.json(
+    ApiResponse.paginated(
+      await templateService.withPlanSummaries(templates),
+      page,
+      limit,
+      total,
+      'Templates retrieved successfully'
+    )
+  );
+});
+
+// @desc    Get my templates
+// @route   GET /api/v1/events/templates/mine
+// @access  Private
+exports.getMyTemplates = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const query = { organizer: req.user._id, isTemplate: true };
+
+  const templates = await Event.find(query)
+    .sort('-createdAt')
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .lean();
+
+  const total = await Event.countDocuments(query);
+
+  res.json(
+    ApiResponse.paginated(
+      await templateService.withPlanSummaries(templates),
+      page,
+      limit,
+      total,
+      'Your templates retrieved successfully'
+    )
+  );
+});
+
+// @desc    Get a template with its tasks
+// @route   GET /api/v1/events/templates/:id
+// @access  Public (private templates: owner)
+exports.getTemplate = catchAsync(async (req, res, next) => {
+  const template = await Event.findOne({ _id: req.params.id, isTemplate: true })
+    .populate('organizer', 'name profilePhoto')
+    .lean();
+
+  if (!template || !canUseTemplate(template, req.user)) {
+    return next(new ApiError('Template not found', 404));
+  }
+
+  const [withPlan] = await templateService.withPlanSummaries([template]);
+  const tasks = await Task.find({ event: template._id })
+    .select('taskName description category priority dueDate budgetAllocated')
+    .sort('dueDate');
+
+  res.json(ApiResponse.success({ ...withPlan, tasks }, 'Template retrieved successfully'));
+});
+
+// @desc    Create an event from a template, with task dates moved to the new date
+// @route   POST /api/v1/events/templates/:id/use
+// @access  Private
+exports.useTemplate = catchAsync(async (req, res, next) => {
+  const template = await Event.findOne({ _id: req.params.id, isTemplate: true });
+
+  if (!template || !canUseTemplate(template, req.user)) {
+    return next(new ApiError('Template not found', 404));
+  }
+
+  const details = stripSeriesFields({ ...req.body });
+  if (req.body.coordinates && req.body.coordinates.length === 2) {
+    details.location = {
+      type: 'Point',
+      coordinates: req.body.coordinates
+    };
+  }
+
+  const { event, tasks } = await templateService.instantiate(template, req.user, details);
+
+  await creditOrganizer(req.user._id);
+
+  await clearCache('/api/v1/events');
+
+  res.status(201).json(
+    ApiResponse.success({ ...event.toObject(), tasks }, 'Event created from template')
+  );
+});
@@ -0,0 +1,270 @@
+const Invitation = require('../models/Invitation');
+const InviteLink = require('../models/InviteLink');
+const Event = require('../models/Event');
+const invitationService = require('../services/invitationService');
+const catchAsync = require('../utils/catchAsync');
+const ApiError = require('../utils/apiError');
+const ApiResponse = require('../utils/apiResponse');
+
+const EVENT_SUMMARY = 'title description eventType date time timezone recurrence locationName city coverPhoto organizer isPublic status';
+
+// Load an event the user hosts (organizer, co-organizer or admin)
+const getHostedEvent = async (eventId, user) => {
+  const event = await Event.findById(eventId);
+  if (!event) {
+    throw new ApiError('Event not found', 404);
+  }
+  if (user.role !== 'admin' && !invitationService.isHost(event, user._id)) {
+    throw new ApiError('Not authorized to manage invitations for this event', 403);
+  }
+  if (event.isTemplate) {
+    throw new ApiError('Templates cannot have guests. Create an event from it first', 400);
+  }
+  return event;
+};
+
+// Load an invitation addressed to the user
+const getGuestInvitation = async (id, user) => {
+  const invitation = await Invitation.findById(id);
+  if (!invitation || !invitationService.isGuest(invitation, user)) {
+    throw new ApiError('Invitation not found', 404);
+  }
+  return invitation;
+};
+
+// @desc    Invite guests to an event by user, email or phone
+// @route   POST /api/v1/invitations/event/:eventId
+// @access  Private (Organizer)
+exports.inviteGuests = catchAsync(async (req, res, next) => {
+  const { invitees, message } = req.body;
+
+  const event = await getHostedEvent(req.params.eventId, req.user);
+  if (['completed', 'cancelled'].includes(event.status)) {
+    return next(new ApiError(`Cannot invite guests to a ${event.status} event`, 400));
+  }
+
+  const { invited, skipped } = await invitationService.invite(event, invitees, req.user, message);
+
+  res.status(201).json(
+    ApiResponse.success(invited, `${invited.length} invitation(s) sent`, { skipped })
+  );
+});
+
+// @desc    Get an event's invitations with delivery stats
+// @route   GET /api/v1/invitations/event/:eventId
+// @access  Private (Organizer)
+exports.getEventInvitations = catchAsync(async (req, res, next) => {
+  const { status, page = 1, limit = 50 } = req.query;
+
+  const event = await getHostedEvent(req.params.eventId, req.user);
+
+  const query = { event: event._id };
+  if (status) query.status = status;
+
+  const invitations = await Invitation.find(query)
+    .populate('user', 'name profilePhoto email phone')
+    .populate('invitedBy', 'name')
+    .populate('inviteLink', 'label')
+    .sort('-createdAt')
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .lean();
+
+  const total = await Invitation.countDocuments(query);
+  const stats = await invitationService.getStats(event._id);
+
+  const response = ApiResponse.paginated(invitations, page, limit, total, 'Invitations retrieved successfully');
+  response.meta.stats = stats;
+
+  res.json(response);
+});
+
+// @desc    Create a shareable invite link
+// @route   POST /api/v1/invitations/event/:eventId/links
+// @access  Private (Organizer)
+exports.createInviteLink = catchAsync(async (req, res, next) => {
+  const event = await getHostedEvent(req.params.eventId, req.user);
+  if (['completed', 'cancelled'].includes(event.status)) {
+    return next(new ApiError(`Cannot invite guests to a ${event.status} event`, 400));
+  }
+
+  const { link, token, url } = await invitationService.createLink(event, req.user, req.body);
+
+  // The token is only shown once
+  res.status(201).json(
+    ApiResponse.success({ ...link.toObject(), token, url }, 'Invite link created. Copy it now - it will not be shown again')
+  );
+});
+
+// @desc    Get an event's invite links
+// @route   GET /api/v1/invitations/event/:eventId/links
+// @access  Private (Organizer)
+exports.getInviteLinks = catchAsync(async (req, res, next) => {
+  const event = await getHostedEvent(req.params.eventId, req.user);
+
+  const links = await InviteLink.find({ event: event._id })
+    .populate('createdBy', 'name')
+    .sort('-createdAt');
+
+  const now = new Date();
+  const data = links.map(link => ({ ...link.toObject(), isUsable: link.isUsable(now) }));
+
+  res.json(ApiResponse.success(data, 'Invite links retrieved successfully'));
+});
+
+// @desc    Revoke an invite link
+// @route   DELETE /api/v1/invitations/links/:id
+// @access  Private (Organizer)
+exports.revokeInviteLink = catchAsync(async (req, res, next) => {
+  const link = await InviteLink.findById(req.params.id);
+  if (!link) {
+    return next(new ApiError('Invite link not found', 404));
+  }
+
+  await getHostedEvent(link.event, req.user);
+
+  if (!link.revokedAt) {
+    link.revokedAt = new Date();
+    await link.save();
+  }
+
+  res.json(ApiResponse.success(link, 'Invite link revoked. Guests who already joined keep their invitation'));
+});
+
+// @desc    Revoke an invitation
+// @route   DELETE /api/v1/invitations/:id
+// @access  Private (Organizer)
+exports.revokeInvitation = catchAsync(async (req, res, next) => {
+  const invitation = await Invitation.findById(req.params.id);
+  if (!invitation) {
+    return next(new ApiError('Invitation not found', 404));
+  }
+
+  await getHostedEvent(invitation.event, req.user);
+
+  if (invitation.isActive()) {
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    await invitation.save();
+  }
+
+  res.json(ApiResponse.success(invitation, 'Invitation revoked'));
+});
+
+// @desc    Get invitations sent to me
+// @route   GET /api/v1/invitations/my-invitations
+// @access  Private
+exports.getMyInvitations = catchAsync(async (req, res, next) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const query = { ...invitationService.getGuestFilter(req.user), status: { $ne: 'revoked' } };
+  if (status && status !== 'revoked') query.status = status;
+
+  const invitations = await Invitation.find(query)
+    .populate('event', EVENT_SUMMARY)
+    .populate('invitedBy', 'name profilePhoto')
+    .sort('-createdAt')
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .lean();
+
+  const total = await Invitation.countDocuments(query);
+
+  res.json(
+    ApiResponse.paginated(invitations, page, limit, total, 'Invitations retrieved successfully')
+  );
+});
+
+// @desc    Preview an invitation or invite link
+// @route   GET /api/v1/invitations/open/:token
+// @access  Public
+exports.openInvitation = catchAsync(async (req, res, next) => {
+  const { eventId, invitation, link } = await invitationService.preview(req.params.token);
+
+  const event = await Event.findById(eventId)
+    .select(EVENT_SUMMARY)
+    .populate('organizer', 'name profilePhoto');
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  res.json(ApiResponse.success({
+    event,
+    invitation: invitation ? { _id: invitation._id, status: invitation.status, message: invitation.message } : null,
+    link: link ? { label: link.label, expiresAt: link.expiresAt } : null
+  }, 'Invitation retrieved successfully'));
+});
+
+// @desc    Redeem an invitation or invite link for my account
+// @route   POST /api/v1/invitations/open/:token
+// @access  Private
+exports.redeemInvitation = catchAsync(async (req, res, next) => {
+  const { eventId } = await invitationService.preview(req.params.token);
+
+  const event = await Event.findById(eventId);
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  const { invitation } = await invitationService.redeem(req.params.token, req.user, event);
+
+  res.json(ApiResponse.success({ event: eventId, invitation }, 'Invitation added to your account'));
+});
+
+// @desc    Get an invitation sent to me
+// @route   GET /api/v1/invitations/:id
+// @access  Private
+exports.getInvitation = catchAsync(async (req, res, next) => {
+  const invitation = await getGuestInvitation(req.params.id, req.user);
+  if (!invitation.isActive()) {
+    return next(new ApiError('This invitation has been revoked', 400));
+  }
+
+  if (invitation.status === 'sent' || !invitation.user) {
+    invitation.user = req.user._id;
+    invitation.markOpened();
+    await invitation.save();
+  }
+
+  await invitation.populate([
+    { path: 'event', select: EVENT_SUMMARY },
+    { path: 'invitedBy', select: 'name profilePhoto' }
+  ]);
+
+  res.json(ApiResponse.success(invitation, 'Invitation retrieved successfully'));
+});
+
+// @desc    Accept an invitation
+// @route   POST /api/v1/invitations/:id/accept
+// @access  Private
+exports.acceptInvitation = catchAsync(async (req, res, next) => {
+  const invitation = await getGuestInvitation(req.params.id, req.user);
+
+  const event = await Event.findById(invitation.event);
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+  if (['completed', 'cancelled'].includes(event.status)) {
+    return next(new ApiError(`This event is ${event.status}`, 400));
+  }
+
+  await invitationService.respond(invitation, event, req.user, true);
+
+  res.json(ApiResponse.success(invitation, 'Invitation accepted. RSVP to save your spot'));
+});
+
+// @desc    Decline an invitation
+// @route   POST /api/v1/invitations/:id/decline
+// @access  Private
+exports.declineInvitation = catchAsync(async (req, res, next) => {
+  const invitation = await getGuestInvitation(req.params.id, req.user);
+
+  const event = await Event.findById(invitation.event);
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  await invitationService.respond(invitation, event, req.user, false);
+
+  res.json(ApiResponse.success(invitation, 'Invitation declined'));
+});
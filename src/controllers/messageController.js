@@ -1,10 +1,27 @@
 const Message = require('../models/Message');
 const User = require('../models/User');
+const Booking = require('../models/Booking');
 const Notification = require('../models/Notification');
+const bookingStatusService = require('../services/bookingStatusService');
 const catchAsync = require('../utils/catchAsync');
 const ApiError = require('../utils/apiError');
 const ApiResponse = require('../utils/apiResponse');
 
+// Messages about a booking stay between its organizer, the vendor's team and admins
+const assertBookingParticipants = async (bookingId, sender, receiver) => {
+  const booking = await Booking.findById(bookingId).select('organizer vendor vendorOrganization');
+  if (!booking) {
+    throw new ApiError('Booking not found', 404);
+  }
+
+  if (!await bookingStatusService.getRole(booking, sender)) {
+    throw new ApiError('Not authorized to message about this booking', 403);
+  }
+  if (!await bookingStatusService.getRole(booking, receiver)) {
+    throw new ApiError('Receiver is not part of this booking', 400);
+  }
+};
+
 // @desc    Get conversation with a user
 // @route   GET /api/v1/messages/conversation/:userId
 // @access  Private
@@ -61,6 +78,10 @@ exports.sendMessage = catchAsync(async (req, res, next) => {
     return next(new ApiError('Cannot send message to yourself', 400));
   }
 
+  if (relatedBookingId) {
+    await assertBookingParticipants(relatedBookingId, req.user, receiver);
+  }
+
   const messageData = {
     sender: req.user._id,
     receiver: receiverId,
@@ -207,6 +228,17 @@ exports.searchMessages = catchAsync(async (req, res, next) => {
 exports.getBookingMessages = catchAsync(async (req, res, next) => {
   const { page = 1, limit = 50 } = req.query;
 
+  const booking = await Booking.findById(req.params.bookingId).select('organizer vendor vendorOrganization');
+  if (!booking) {
+    return next(new ApiError('Booking not found', 404));
+  }
+
+  // The organizer and everyone on the vendor's team see the whole thread
+  const role = await bookingStatusService.getRole(booking, req.user);
+  if (!role) {
+    return next(new ApiError('Not authorized to view these messages', 403));
+  }
+
   const messages = await Message.find({
     relatedBooking: req.params.bookingId,
     isDeleted: false
@@ -244,6 +276,10 @@ exports.sendMessageWithAttachment = catchAsync(async (req, res, next) => {
     return next(new ApiError('Receiver not found', 404));
   }
 
+  if (relatedBookingId) {
+    await assertBookingParticipants(relatedBookingId, req.user, receiver);
+  }
+
   const attachments = req.files.map(file => file.location || file.path);
   const messageType = req.files[0].mimetype.startsWith('image/') ? 'image' : 'file';
 
@@ -0,0 +1,19 @@
+const paymentService = require('../services/paymentService');
+const catchAsync = require('../utils/catchAsync');
+const ApiError = require('../utils/apiError');
+const ApiResponse = require('../utils/apiResponse');
+
+// @desc    Handle Razorpay webhook
+// @route   POST /api/v1/payments/webhook
+// @access  Public (signature verified)
+exports.handleWebhook = catchAsync(async (req, res, next) => {
+  const signature = req.headers['x-razorpay-signature'];
+
+  if (!signature || !req.rawBody) {
+    return next(new ApiError('Missing webhook signature', 400));
+  }
+
+  const result = await paymentService.processWebhook(req.rawBody, signature);
+
+  res.json(ApiResponse.success(result, 'Webhook processed'));
+});
@@ -0,0 +1,136 @@
+const Payout = require('../models/Payout');
+const LedgerEntry = require('../models/LedgerEntry');
+const Notification = require('../models/Notification');
+const ledgerService = require('../services/ledgerService');
+const vendorOrganizationService = require('../services/vendorOrganizationService');
+const catchAsync = require('../utils/catchAsync');
+const ApiError = require('../utils/apiError');
+const ApiResponse = require('../utils/apiResponse');
+const { formatCurrency } = require('../utils/helpers');
+const { VENDOR_MEMBER_ROLES } = require('../config/constants');
+
+const PERIOD_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// @desc    Get my payout statement (grouped by month)
+// @route   GET /api/v1/vendors/me/payouts
+// @access  Private (organization statements: owner or manager)
+exports.getMyPayouts = catchAsync(async (req, res, next) => {
+  const { from, to, organization } = req.query;
+
+  if ((from && !PERIOD_REGEX.test(from)) || (to && !PERIOD_REGEX.test(to))) {
+    return next(new ApiError('Periods must be in YYYY-MM format', 400));
+  }
+
+  // An organization's services pay out to its owner
+  let vendorId = req.user._id;
+  if (organization) {
+    const { organization: org } = await vendorOrganizationService.getForMember(
+      organization,
+      req.user,
+      [VENDOR_MEMBER_ROLES.OWNER, VENDOR_MEMBER_ROLES.MANAGER]
+    );
+    vendorId = org.owner;
+  }
+
+  const statement = await ledgerService.getVendorStatement(vendorId, { from, to });
+
+  const payouts = await Payout.find({ vendor: vendorId })
+    .sort('-createdAt')
+    .limit(12)
+    .lean();
+
+  res.json(ApiResponse.success({ ...statement, payouts }, 'Payout statement retrieved'));
+});
+
+// @desc    Get payout batches (admin)
+// @route   GET /api/v1/payouts
+// @access  Private/Admin
+exports.getPayouts = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, status, period, vendor } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (period) query.period = period;
+  if (vendor) query.vendor = vendor;
+
+  const payouts = await Payout.find(query)
+    .populate('vendor', 'name email phone')
+    .sort('-createdAt')
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .lean();
+
+  const total = await Payout.countDocuments(query);
+
+  res.json(
+    ApiResponse.paginated(payouts, page, limit, total, 'Payouts retrieved successfully')
+  );
+});
+
+// @desc    Get payout batch with its ledger entries (admin)
+// @route   GET /api/v1/payouts/:id
+// @access  Private/Admin
+exports.getPayout = catchAsync(async (req, res, next) => {
+  const payout = await Payout.findById(req.params.id)
+    .populate('vendor', 'name email phone')
+    .populate('settledBy', 'name');
+
+  if (!payout) {
+    return next(new ApiError('Payout not found', 404));
+  }
+
+  const entries = await LedgerEntry.find({ payout: payout._id })
+    .sort('occurredAt')
+    .lean();
+
+  res.json(ApiResponse.success({ payout, entries }, 'Payout retrieved successfully'));
+});
+
+// @desc    Create payout batches for a period, including unbatched entries from earlier periods (admin)
+// @route   POST /api/v1/payouts/batches
+// @access  Private/Admin
+exports.createPayoutBatches = catchAsync(async (req, res, next) => {
+  const { period } = req.body;
+
+  if (!period || !PERIOD_REGEX.test(period)) {
+    return next(new ApiError('Period is required in YYYY-MM format', 400));
+  }
+
+  const payouts = await ledgerService.createPayoutBatches(period);
+
+  res.status(201).json(
+    ApiResponse.success(payouts, `${payouts.length} payout batch(es) created`)
+  );
+});
+
+// @desc    Mark payout batch as settled (admin)
+// @route   POST /api/v1/payouts/:id/settle
+// @access  Private/Admin
+exports.settlePayout = catchAsync(async (req, res, next) => {
+  const { reference, notes } = req.body;
+  const payout = await Payout.findById(req.params.id);
+
+  if (!payout) {
+    return next(new ApiError('Payout not found', 404));
+  }
+
+  if (payout.status === 'settled') {
+    return next(new ApiError('Payout is already settled', 400));
+  }
+
+  if (!reference) {
+    return next(new ApiError('Transfer reference is required', 400));
+  }
+
+  await ledgerService.settlePayout(payout, req.user._id, reference, notes);
+
+  await Notification.createNotification({
+    recipient: payout.vendor,
+    type: 'payment',
+    title: 'Payout Sent',
+    message: `Your payout of ${formatCurrency(payout.amount, payout.currency)} for ${payout.period} has been sent. Reference: ${reference}`,
+    actionUrl: '/vendors/me/payouts'
+  });
+
+  res.json(ApiResponse.success(payout, 'Payout settled successfully'));
+});
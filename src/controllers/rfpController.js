@@ -0,0 +1,368 @@
+const RequestForProposal = require('../models/RequestForProposal');
+const Event = require('../models/Event');
+const Service = require('../models/Service');
+const Notification = require('../models/Notification');
+const rfpService = require('../services/rfpService');
+const availabilityService = require('../services/availabilityService');
+const vendorOrganizationService = require('../services/vendorOrganizationService');
+const catchAsync = require('../utils/catchAsync');
+const ApiError = require('../utils/apiError');
+const ApiResponse = require('../utils/apiResponse');
+const { formatCurrency } = require('../utils/helpers');
+const { RFP_SETTINGS } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ids of services the user can see requests for: their own and their organizations'
+const getVendorServiceIds = async (user) => {
+  const organizationIds = await vendorOrganizationService.getOrganizationIds(user._id);
+  const services = await Service.find({
+    $or: [{ provider: user._id }, { organization: { $in: organizationIds } }]
+  }).select('_id').lean();
+  return services.map(s => s._id);
+};
+
+// @desc    Post a request for proposal and send it to matching vendors
+// @route   POST /api/v1/rfps
+// @access  Private
+exports.createRfp = catchAsync(async (req, res, next) => {
+  const { eventId, title, category, requirements, eventDate, city, guests, budget = {}, currency, responseDeadline } = req.body;
+
+  const event = await Event.findById(eventId);
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  if (event.organizer.toString() !== req.user._id.toString()) {
+    return next(new ApiError('You can only request proposals for your own events', 403));
+  }
+
+  if (event.isTemplate) {
+    return next(new ApiError('Templates cannot request proposals. Create an event from it first', 400));
+  }
+
+  const date = new Date(eventDate || event.date);
+  const now = new Date();
+  if (date < now) {
+    return next(new ApiError('The event date has passed', 400));
+  }
+
+  if (budget.min !== undefined && budget.max !== undefined && budget.min > budget.max) {
+    return next(new ApiError('Minimum budget cannot exceed maximum budget', 400));
+  }
+
+  // Vendors need time to answer, but the request must close before the event
+  const deadline = responseDeadline
+    ? new Date(responseDeadline)
+    : new Date(Math.min(now.getTime() + RFP_SETTINGS.DEFAULT_RESPONSE_DAYS * DAY_MS, date.getTime()));
+  if (deadline <= now || deadline > date) {
+    return next(new ApiError('Response deadline must be in the future and no later than the event date', 400));
+  }
+
+  const rfp = new RequestForProposal({
+    event: event._id,
+    organizer: req.user._id,
+    title: title || `${category} for ${event.title}`,
+    category,
+    requirements,
+    eventDate: date,
+    city: city || event.city,
+    guests: guests || event.expectedGuests,
+    budget,
+    currency: currency || event.currency,
+    responseDeadline: deadline
+  });
+
+  if (!rfp.city) {
+    return next(new ApiError('City is required', 400));
+  }
+
+  const matched = await rfpService.broadcast(rfp, now);
+
+  res.status(201).json(ApiResponse.success(rfp, `Request sent to ${matched} matching vendor(s)`, { matched }));
+});
+
+// @desc    Get my requests for proposals (as organizer)
+// @route   GET /api/v1/rfps
+// @access  Private
+exports.getMyRfps = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, status, eventId } = req.query;
+
+  const query = { organizer: req.user._id };
+  if (status) query.status = status;
+  if (eventId) query.event = eventId;
+
+  const rfps = await RequestForProposal.find(query)
+    .select('-invitedServices')
+    .populate('event', 'title date city')
+    .sort('-createdAt')
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .lean();
+
+  const total = await RequestForProposal.countDocuments(query);
+
+  const result = rfps.map(({ proposals, ...rfp }) => ({
+    ...rfp,
+    proposalCount: proposals.filter(p => p.status !== 'withdrawn').length
+  }));
+
+  res.json(ApiResponse.paginated(result, page, limit, total, 'Requests retrieved successfully'));
+});
+
+// @desc    Get requests sent to my services (as vendor)
+// @route   GET /api/v1/rfps/invited
+// @access  Private
+exports.getInvitedRfps = catchAsync(async (req, res, next) => {
+  const { page = 1, limit = 20, status = 'open' } = req.query;
+  const serviceIds = await getVendorServiceIds(req.user);
+
+  const query = { 'invitedServices.service': { $in: serviceIds }, status };
+
+  const rfps = await RequestForProposal.find(query)
+    .populate('event', 'title date city eventType')
+    .populate('organizer', 'name profilePhoto')
+    .sort('responseDeadline')
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .lean();
+
+  const total = await RequestForProposal.countDocuments(query);
+
+  // Vendors only see which of their services were invited and their own proposals
+  const ids = serviceIds.map(id => id.toString());
+  const result = rfps.map(({ invitedServices, proposals, ...rfp }) => ({
+    ...rfp,
+    myServices: invitedServices.filter(i => ids.includes(i.service.toString())).map(i => i.service),
+    myProposals: proposals.filter(p => ids.includes(p.service.toString()))
+  }));
+
+  res.json(ApiResponse.paginated(result, page, limit, total, 'Requests retrieved successfully'));
+});
+
+// @desc    Get request for proposal
+// @route   GET /api/v1/rfps/:id
+// @access  Private (Organizer or invited vendor)
+exports.getRfp = catchAsync(async (req, res, next) => {
+  const rfp = await RequestForProposal.findById(req.params.id)
+    .populate('event', 'title date city eventType')
+    .populate('organizer', 'name profilePhoto')
+    .populate('proposals.service', 'serviceName coverImage ratingAverage')
+    .populate('proposals.vendor', 'name profilePhoto')
+    .lean();
+
+  if (!rfp) {
+    return next(new ApiError('Request not found', 404));
+  }
+
+  if (rfp.organizer._id.toString() === req.user._id.toString() || req.user.role === 'admin') {
+    return res.json(ApiResponse.success(rfp, 'Request retrieved successfully'));
+  }
+
+  const ids = (await getVendorServiceIds(req.user)).map(id => id.toString());
+  const invited = rfp.invitedServices.filter(i => ids.includes(i.service.toString()));
+  if (invited.length === 0) {
+    return next(new ApiError('Request not found', 404));
+  }
+
+  const { invitedServices, proposals, ...details } = rfp;
+  res.json(ApiResponse.success({
+    ...details,
+    myServices: invited.map(i => i.service),
+    myProposals: proposals.filter(p => p.service && ids.includes(p.service._id.toString()))
+  }, 'Request retrieved successfully'));
+});
+
+// @desc    Cancel request for proposal
+// @route   POST /api/v1/rfps/:id/cancel
+// @access  Private (Organizer)
+exports.cancelRfp = catchAsync(async (req, res, next) => {
+  const rfp = await RequestForProposal.findById(req.params.id);
+
+  if (!rfp) {
+    return next(new ApiError('Request not found', 404));
+  }
+
+  if (rfp.organizer.toString() !== req.user._id.toString()) {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  if (rfp.status !== 'open') {
+    return next(new ApiError(`This request is already ${rfp.status}`, 400));
+  }
+
+  rfp.status = 'cancelled';
+  rfp.closedAt = new Date();
+  rfp.proposals
+    .filter(p => p.status === 'submitted')
+    .forEach((p) => { p.status = 'declined'; });
+  await rfp.save();
+
+  const vendors = [...new Set(rfp.proposals.map(p => p.vendor.toString()))];
+  await Promise.all(vendors.map(vendor => Notification.createNotification({
+    recipient: vendor,
+    type: 'booking',
+    title: 'Request Cancelled',
+    message: `The organizer cancelled the request: ${rfp.title}`,
+    relatedEvent: rfp.event,
+    actionUrl: `/rfps/${rfp._id}`
+  })));
+
+  res.json(ApiResponse.success(rfp, 'Request cancelled successfully'));
+});
+
+// @desc    Submit or revise a proposal for one of my invited services
+// @route   POST /api/v1/rfps/:id/proposals
+// @access  Private (Vendor, or owner/manager of the vendor's organization)
+exports.submitProposal = catchAsync(async (req, res, next) => {
+  const { serviceId, lineItems, slot, message, validUntil } = req.body;
+  const rfp = await RequestForProposal.findById(req.params.id);
+
+  if (!rfp) {
+    return next(new ApiError('Request not found', 404));
+  }
+
+  const invitation = rfp.getInvitation(serviceId);
+  if (!invitation) {
+    return next(new ApiError('This service was not invited to the request', 403));
+  }
+
+  const service = await Service.findById(serviceId);
+  if (!service || !service.isActive) {
+    return next(new ApiError('Service not found', 404));
+  }
+
+  // Staff can see requests but can't price on the vendor's behalf
+  const role = await vendorOrganizationService.getVendorRole(service.provider, service.organization, req.user);
+  if (role !== 'vendor') {
+    return next(new ApiError('Not authorized to submit proposals for this service', 403));
+  }
+
+  if (!rfp.isAcceptingProposals()) {
+    return next(new ApiError('This request is no longer taking proposals', 400));
+  }
+
+  // Slot calendars need a slot; also rejects dates the vendor has since been booked for
+  const interval = availabilityService.resolveInterval(service, rfp.eventDate, slot);
+  availabilityService.assertAvailable(await availabilityService.checkInterval(service, interval));
+
+  const revising = Boolean(rfp.getActiveProposal(service._id));
+  const proposal = rfp.submitProposal({
+    service: service._id,
+    vendor: service.provider,
+    submittedBy: req.user._id,
+    lineItems,
+    currency: service.currency,
+    slot: interval.slot,
+    message,
+    validUntil
+  });
+  await rfp.save();
+
+  await Notification.createNotification({
+    recipient: rfp.organizer,
+    type: 'booking',
+    title: revising ? 'Proposal Revised' : 'New Proposal',
+    message: `${service.serviceName} ${revising ? 'revised its proposal to' : 'sent a proposal of'} ${formatCurrency(proposal.total, proposal.currency)} for ${rfp.title}`,
+    relatedEvent: rfp.event,
+    relatedUser: req.user._id,
+    actionUrl: `/rfps/${rfp._id}/proposals/compare`
+  });
+
+  res.status(revising ? 200 : 201).json(
+    ApiResponse.success(proposal, revising ? 'Proposal revised successfully' : 'Proposal submitted successfully')
+  );
+});
+
+// @desc    Withdraw a proposal
+// @route   DELETE /api/v1/rfps/:id/proposals/:proposalId
+// @access  Private (Vendor, or owner/manager of the vendor's organization)
+exports.withdrawProposal = catchAsync(async (req, res, next) => {
+  const rfp = await RequestForProposal.findById(req.params.id);
+
+  if (!rfp) {
+    return next(new ApiError('Request not found', 404));
+  }
+
+  const proposal = rfp.proposals.id(req.params.proposalId);
+  if (!proposal) {
+    return next(new ApiError('Proposal not found', 404));
+  }
+
+  const invitation = rfp.getInvitation(proposal.service);
+  const role = await vendorOrganizationService.getVendorRole(proposal.vendor, invitation.vendorOrganization, req.user);
+  if (role !== 'vendor') {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  if (proposal.status !== 'submitted') {
+    return next(new ApiError(`This proposal has been ${proposal.status}`, 400));
+  }
+
+  proposal.status = 'withdrawn';
+  await rfp.save();
+
+  res.json(ApiResponse.success(proposal, 'Proposal withdrawn successfully'));
+});
+
+// @desc    Compare proposals side by side
+// @route   GET /api/v1/rfps/:id/proposals/compare
+// @access  Private (Organizer)
+exports.compareProposals = catchAsync(async (req, res, next) => {
+  const rfp = await RequestForProposal.findById(req.params.id)
+    .populate('proposals.service', 'serviceName coverImage ratingAverage totalRatings city availability calendar blackoutDates')
+    .populate('proposals.vendor', 'name profilePhoto ratingAverage');
+
+  if (!rfp) {
+    return next(new ApiError('Request not found', 404));
+  }
+
+  if (rfp.organizer.toString() !== req.user._id.toString()) {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  const comparison = await rfpService.compare(rfp);
+
+  res.json(ApiResponse.success({
+    rfp: {
+      _id: rfp._id,
+      title: rfp.title,
+      status: rfp.status,
+      eventDate: rfp.eventDate,
+      budget: rfp.budget,
+      currency: rfp.currency,
+      responseDeadline: rfp.responseDeadline
+    },
+    ...comparison
+  }, 'Proposals compared'));
+});
+
+// @desc    Accept a proposal and turn it into a booking
+// @route   POST /api/v1/rfps/:id/proposals/:proposalId/accept
+// @access  Private (Organizer)
+exports.acceptProposal = catchAsync(async (req, res, next) => {
+  const rfp = await RequestForProposal.findById(req.params.id);
+
+  if (!rfp) {
+    return next(new ApiError('Request not found', 404));
+  }
+
+  if (rfp.organizer.toString() !== req.user._id.toString()) {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  const proposal = rfp.proposals.id(req.params.proposalId);
+  if (!proposal) {
+    return next(new ApiError('Proposal not found', 404));
+  }
+
+  const booking = await rfpService.convertToBooking(rfp, proposal, req.user);
+
+  await booking.populate([
+    { path: 'event', select: 'title date city' },
+    { path: 'service', select: 'serviceName category' },
+    { path: 'vendor', select: 'name profilePhoto' }
+  ]);
+
+  res.status(201).json(ApiResponse.success(booking, 'Proposal accepted and booking created'));
+});
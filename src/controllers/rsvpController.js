@@ -2,15 +2,30 @@ const RSVP = require('../models/RSVP');
 const Event = require('../models/Event');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
+const paymentService = require('../services/paymentService');
+const refundService = require('../services/refundService');
+const currencyService = require('../services/currencyService');
+const eventSeriesService = require('../services/eventSeriesService');
+const invitationService = require('../services/invitationService');
+const waitlistService = require('../services/waitlistService');
+const ticketService = require('../services/ticketService');
+const checkInService = require('../services/checkInService');
+const { PAYMENT_SETTINGS, TICKET_SETTINGS } = require('../config/constants');
 const catchAsync = require('../utils/catchAsync');
 const ApiError = require('../utils/apiError');
 const ApiResponse = require('../utils/apiResponse');
 
+// When the RSVP'd event (or occurrence) starts
+const getStartsAt = (event, rsvp) => {
+  const occurrence = rsvp.occurrence && eventSeriesService.getOccurrence(event, rsvp.occurrence);
+  return occurrence ? occurrence.startsAt : event.date;
+};
+
 // @desc    Get RSVPs for an event
 // @route   GET /api/v1/rsvps/event/:eventId
 // @access  Private
 exports.getEventRSVPs = catchAsync(async (req, res, next) => {
-  const { status, page = 1, limit = 50 } = req.query;
+  const { status, occurrence, page = 1, limit = 50 } = req.query;
 
   const event = await Event.findById(req.params.eventId);
   if (!event) {
@@ -29,6 +44,7 @@ exports.getEventRSVPs = catchAsync(async (req, res, next) => {
 
   const query = { event: req.params.eventId };
   if (status) query.status = status;
+  if (occurrence) query.occurrence = occurrence;
 
   const rsvps = await RSVP.find(query)
     .populate('attendee', 'name profilePhoto email phone')
@@ -48,47 +64,107 @@ exports.getEventRSVPs = catchAsync(async (req, res, next) => {
 // @route   POST /api/v1/rsvps
 // @access  Private
 exports.createRSVP = catchAsync(async (req, res, next) => {
-  const { eventId, status = 'going', guestsCount = 0 } = req.body;
+  const { eventId, status = 'going', guestsCount = 0, occurrence: day } = req.body;
 
   const event = await Event.findById(eventId);
   if (!event) {
     return next(new ApiError('Event not found', 404));
   }
 
-  // Check if event is public or user is invited
-  if (!event.isPublic) {
-    // TODO: Check if user is on invite list
+  if (event.isTemplate) {
+    return next(new ApiError('Templates cannot take RSVPs', 400));
+  }
+
+  // Private events are open to their hosts and invited guests
+  if (!(await invitationService.canAttend(event, req.user))) {
+    return next(new ApiError('This event is private. You need an invitation to RSVP', 403));
   }
 
-  // Check if event has capacity
-  if (event.maxAttendees && event.currentAttendees + 1 + guestsCount > event.maxAttendees) {
-    return next(new ApiError('Event is at full capacity', 400));
+  // Each occurrence of a series takes its own RSVP
+  let occurrence = null;
+  if (eventSeriesService.isRecurring(event)) {
+    if (!day) {
+      return next(new ApiError('Choose the occurrence (YYYY-MM-DD) to RSVP to', 400));
+    }
+    occurrence = eventSeriesService.requireOccurrence(event, day);
+    if (occurrence.cancelled) {
+      return next(new ApiError('This occurrence has been cancelled', 400));
+    }
   }
+  const occurrenceDay = occurrence ? occurrence.day : null;
 
   // Check for existing RSVP
-  let rsvp = await RSVP.findOne({ event: eventId, attendee: req.user._id });
+  let rsvp = await RSVP.findOne({ event: eventId, attendee: req.user._id, occurrence: occurrenceDay });
+  const previousSeats = rsvp ? waitlistService.getSeats(rsvp) : 0;
+
+  // Check if event has capacity (seats held for pending payments and waitlist offers count too).
+  // When it is full, or others are already waiting, new guests join the back of the waitlist.
+  if (status === 'going') {
+    const { available } = await waitlistService.getCapacity(event, occurrenceDay, req.user._id);
+    if (previousSeats > 0) {
+      if (1 + guestsCount > available) {
+        return next(new ApiError('Not enough seats left for your guests', 400));
+      }
+    } else if (1 + guestsCount > available || await waitlistService.hasQueue(eventId, occurrenceDay, req.user._id)) {
+      rsvp = rsvp || new RSVP({ event: eventId, attendee: req.user._id, occurrence: occurrenceDay || undefined });
+      rsvp.guestsCount = guestsCount;
+      await waitlistService.join(rsvp);
+      await invitationService.recordRsvp(event, req.user, rsvp.status);
+
+      const position = await waitlistService.getPosition(rsvp);
+      return res.status(201).json(
+        ApiResponse.success(
+          rsvp,
+          `Event is at full capacity. You are #${position} on the waitlist`,
+          { waitlistPosition: position }
+        )
+      );
+    }
+  }
+
+  // Paid events hold the seat until payment for attendee + guests is verified
+  const isPaidEvent = event.isPaid && event.entryFee > 0;
+  const seatsCost = event.entryFee * (1 + guestsCount);
+  const alreadyPaid = rsvp ? rsvp.amountPaid : 0;
+
+  if (isPaidEvent && status === 'going' && rsvp && rsvp.status === 'going' && alreadyPaid < seatsCost) {
+    return next(new ApiError('Guest count cannot be increased on a paid RSVP', 400));
+  }
+
+  const requiresPayment = isPaidEvent && status === 'going' && alreadyPaid < seatsCost;
+  const rsvpStatus = requiresPayment ? 'pending_payment' : status;
+  const holdExpiresAt = requiresPayment
+    ? new Date(Date.now() + PAYMENT_SETTINGS.RSVP_HOLD_MINUTES * 60 * 1000)
+    : undefined;
+  const previousStatus = rsvp ? rsvp.status : null;
 
   if (rsvp) {
     // Update existing RSVP
-    rsvp.status = status;
+    rsvp.status = rsvpStatus;
     rsvp.guestsCount = guestsCount;
+    rsvp.paymentExpiresAt = holdExpiresAt;
+    rsvp.offerExpiresAt = undefined;
     await rsvp.save();
   } else {
     // Create new RSVP
     rsvp = await RSVP.create({
       event: eventId,
       attendee: req.user._id,
-      status,
-      guestsCount
+      occurrence: occurrenceDay || undefined,
+      status: rsvpStatus,
+      guestsCount,
+      paymentExpiresAt: holdExpiresAt
     });
 
     // Notify organizer
-    if (status === 'going') {
+    if (rsvpStatus === 'going') {
       await Notification.createNotification({
         recipient: event.organizer,
         type: 'rsvp',
         title: 'New RSVP',
-        message: `${req.user.name} is coming to your event "${event.title}"`,
+        message: occurrence
+          ? `${req.user.name} is coming to your event "${event.title}" on ${occurrence.startsAt.toDateString()}`
+          : `${req.user.name} is coming to your event "${event.title}"`,
         relatedEvent: eventId,
         relatedUser: req.user._id,
         actionUrl: `/events/${eventId}/rsvps`
@@ -96,9 +172,103 @@ exports.createRSVP = catchAsync(async (req, res, next) => {
     }
   }
 
+  let payment = null;
+  if (requiresPayment) {
+    try {
+      const order = await paymentService.createRSVPPayment(rsvp, event);
+      rsvp.razorpayOrderId = order.id;
+      rsvp.currency = order.currency;
+      await rsvp.save();
+
+      payment = {
+        orderId: order.id,
+        amount: currencyService.fromMinorUnits(order.amount, order.currency),
+        currency: order.currency,
+        keyId: process.env.RAZORPAY_KEY_ID,
+        expiresAt: holdExpiresAt
+      };
+    } catch (error) {
+      // Don't keep a seat held for an order that was never created
+      if (previousStatus) {
+        rsvp.status = previousStatus;
+        rsvp.paymentExpiresAt = undefined;
+        await rsvp.save();
+      } else {
+        await rsvp.deleteOne();
+      }
+      throw error;
+    }
+  }
+
+  // Seats given up go to the waitlist
+  if (waitlistService.getSeats(rsvp) < previousSeats) {
+    await waitlistService.promote(event, occurrenceDay);
+  }
+
+  // The RSVP answers the guest's invitation to a private event
+  await invitationService.recordRsvp(event, req.user, rsvpStatus);
+
   await rsvp.populate('attendee', 'name profilePhoto');
 
-  res.status(201).json(ApiResponse.success(rsvp, 'RSVP saved successfully'));
+  res.status(201).json(
+    ApiResponse.success(
+      rsvp,
+      requiresPayment ? 'Seat held, complete payment to confirm' : 'RSVP saved successfully',
+      payment ? { payment } : null
+    )
+  );
+});
+
+// @desc    Verify RSVP payment
+// @route   POST /api/v1/rsvps/:id/payment/verify
+// @access  Private
+exports.verifyRSVPPayment = catchAsync(async (req, res, next) => {
+  const { razorpayOrderId, razorpayPaymentId, razorpaySignature } = req.body;
+  const rsvp = await RSVP.findById(req.params.id);
+
+  if (!rsvp) {
+    return next(new ApiError('RSVP not found', 404));
+  }
+
+  if (rsvp.attendee.toString() !== req.user._id.toString()) {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  if (rsvp.razorpayOrderId !== razorpayOrderId) {
+    return next(new ApiError('Order does not belong to this RSVP', 400));
+  }
+
+  if (!paymentService.verifyPaymentSignature(razorpayOrderId, razorpayPaymentId, razorpaySignature)) {
+    return next(new ApiError('Invalid payment signature', 400));
+  }
+
+  // Fetch the payment so the recorded amount comes from Razorpay, not the client
+  const payment = await paymentService.getPayment(razorpayPaymentId);
+  if (payment.order_id !== razorpayOrderId) {
+    return next(new ApiError('Payment does not match order', 400));
+  }
+
+  if (payment.status === 'failed') {
+    return next(new ApiError('Payment failed. Please try again', 400));
+  }
+
+  // Authorized but not yet captured: the payment.captured webhook records it
+  if (payment.status !== 'captured') {
+    return res.status(202).json(
+      ApiResponse.success(rsvp, 'Payment is processing and will be recorded once captured', { paymentStatus: payment.status })
+    );
+  }
+
+  const { seat } = await paymentService.applyCapturedPayment({ type: 'rsvp', doc: rsvp }, payment);
+
+  const current = await RSVP.findById(rsvp._id).populate('attendee', 'name profilePhoto');
+
+  const messages = {
+    underpaid: 'Payment received. The rest of the entry fee is still due to confirm your seat',
+    refunded: 'Your held seat was released before payment arrived and the event is full. The payment is being refunded'
+  };
+
+  res.json(ApiResponse.success(current, messages[seat] || 'Payment verified successfully'));
 });
 
 // @desc    Get my RSVP for event
@@ -107,7 +277,8 @@ exports.createRSVP = catchAsync(async (req, res, next) => {
 exports.getMyRSVP = catchAsync(async (req, res, next) => {
   const rsvp = await RSVP.findOne({
     event: req.params.eventId,
-    attendee: req.user._id
+    attendee: req.user._id,
+    occurrence: req.query.occurrence || null
   });
 
   if (!rsvp) {
@@ -133,32 +304,48 @@ exports.updateRSVP = catchAsync(async (req, res, next) => {
     return next(new ApiError('Not authorized to update this RSVP', 403));
   }
 
-  // Track changes for event attendee count
+  // Event decides payment and capacity
   const event = await Event.findById(rsvp.event);
   if (!event) {
     return next(new ApiError('Event not found', 404));
   }
 
-  const oldTotal = rsvp.status === 'going' ? 1 + (rsvp.guestsCount || 0) : 0;
-  const newTotal = status === 'going' ? 1 + (guestsCount || 0) : 0;
-  const diff = newTotal - oldTotal;
+  // Seats on paid events must be paid for through POST /rsvps
+  const newStatus = status || rsvp.status;
+  const newGuests = guestsCount !== undefined ? guestsCount : rsvp.guestsCount;
+  if (
+    event.isPaid && event.entryFee > 0 &&
+    newStatus === 'going' &&
+    rsvp.amountPaid < event.entryFee * (1 + newGuests)
+  ) {
+    return next(new ApiError('Payment required for these seats, RSVP again to pay', 400));
+  }
+
+  const oldSeats = waitlistService.getSeats(rsvp);
+  const newSeats = waitlistService.getSeats({ status: newStatus, guestsCount: newGuests, offerExpiresAt: rsvp.offerExpiresAt });
+  const diff = newSeats - oldSeats;
 
-  // Check capacity if increasing attendees
-  if (diff > 0 && event.maxAttendees) {
-    if (event.currentAttendees + diff > event.maxAttendees) {
+  // Check capacity if increasing attendees; taking a new seat can't skip past the waitlist
+  const occurrenceDay = rsvp.occurrence || null;
+  if (diff > 0) {
+    const { available } = await waitlistService.getCapacity(event, occurrenceDay, req.user._id);
+    const queued = oldSeats === 0 && await waitlistService.hasQueue(event._id, occurrenceDay, req.user._id);
+    if (newSeats > available || queued) {
       return next(new ApiError('Event is at full capacity', 400));
     }
   }
 
-  // Update RSVP
-  if (status) rsvp.status = status;
+  // Update RSVP (event attendee counts are updated via model hook)
+  if (status) {
+    rsvp.status = status;
+    rsvp.offerExpiresAt = undefined;
+  }
   if (guestsCount !== undefined) rsvp.guestsCount = guestsCount;
   await rsvp.save();
 
-  // Update event attendee count
-  if (diff !== 0) {
-    event.currentAttendees = Math.max(0, event.currentAttendees + diff);
-    await event.save();
+  // Seats given up go to the waitlist
+  if (diff < 0) {
+    await waitlistService.promote(event, occurrenceDay);
   }
 
   await rsvp.populate('attendee', 'name profilePhoto');
@@ -180,44 +367,254 @@ exports.cancelRSVP = catchAsync(async (req, res, next) => {
     return next(new ApiError('Not authorized', 403));
   }
 
+  const seatsReleased = waitlistService.getSeats(rsvp);
   rsvp.status = 'cancelled';
+  rsvp.paymentExpiresAt = undefined;
+  rsvp.offerExpiresAt = undefined;
+
+  const event = await Event.findById(rsvp.event);
+
+  // Refund paid tickets according to how close to the event it is
+  let refund = null;
+  if (rsvp.amountPaid > 0) {
+    refund = await refundService.processCancellationRefund(
+      rsvp,
+      event ? getStartsAt(event, rsvp) : new Date(),
+      'attendee',
+      'RSVP cancelled by attendee'
+    );
+  }
+
   await rsvp.save();
 
-  res.json(ApiResponse.success(null, 'RSVP cancelled successfully'));
+  // The freed seats go to the waitlist
+  if (event && seatsReleased > 0) {
+    await waitlistService.promote(event, rsvp.occurrence || null);
+  }
+
+  res.json(ApiResponse.success(null, 'RSVP cancelled successfully', refund ? { refund } : null));
 });
 
-// @desc    Check in attendee
-// @route   POST /api/v1/rsvps/:id/check-in
-// @access  Private
-exports.checkInAttendee = catchAsync(async (req, res, next) => {
-  const rsvp = await RSVP.findById(req.params.id).populate('event');
+// @desc    Get the waitlist for an event (or one occurrence of a series)
+// @route   GET /api/v1/rsvps/event/:eventId/waitlist
+// @access  Private (Organizer)
+exports.getWaitlist = catchAsync(async (req, res, next) => {
+  const { occurrence } = req.query;
+
+  const event = await Event.findById(req.params.eventId);
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  // Check authorization
+  const isAuthorized =
+    event.organizer.toString() === req.user._id.toString() ||
+    event.coOrganizers.includes(req.user._id) ||
+    req.user.role === 'admin';
+
+  if (!isAuthorized) {
+    return next(new ApiError('Not authorized to view the waitlist for this event', 403));
+  }
+
+  const waitlist = await waitlistService.getWaitlist(event._id, occurrence || null)
+    .populate('attendee', 'name profilePhoto email phone')
+    .lean();
+
+  // Number the entries still waiting, per occurrence for series
+  const positions = {};
+  const entries = waitlist.map((rsvp) => {
+    if (rsvp.status !== 'waitlisted') return rsvp;
+    const key = rsvp.occurrence || '';
+    positions[key] = (positions[key] || 0) + 1;
+    return { ...rsvp, position: positions[key] };
+  });
+
+  const capacity = occurrence || !eventSeriesService.isRecurring(event)
+    ? await waitlistService.getCapacity(event, occurrence || null)
+    : null;
+
+  res.json(
+    ApiResponse.success(
+      entries,
+      'Waitlist retrieved',
+      capacity ? { capacity: { ...capacity, available: capacity.maxAttendees ? capacity.available : null } } : null
+    )
+  );
+});
+
+// @desc    Move a waitlisted RSVP to a new place in the queue
+// @route   PUT /api/v1/rsvps/:id/waitlist-position
+// @access  Private (Organizer)
+exports.reorderWaitlist = catchAsync(async (req, res, next) => {
+  const rsvp = await RSVP.findById(req.params.id).populate('event', 'organizer coOrganizers');
 
   if (!rsvp) {
     return next(new ApiError('RSVP not found', 404));
   }
 
-  // Check authorization (organizer or co-organizer)
+  // Check authorization (organizer, co-organizer or admin)
   const event = rsvp.event;
   const isAuthorized =
     event.organizer.toString() === req.user._id.toString() ||
-    event.coOrganizers?.includes(req.user._id);
+    event.coOrganizers?.includes(req.user._id) ||
+    req.user.role === 'admin';
 
   if (!isAuthorized) {
+    return next(new ApiError('Not authorized to reorder the waitlist', 403));
+  }
+
+  rsvp.depopulate('event');
+  const waitlist = await waitlistService.reorder(rsvp, req.body.position);
+
+  res.json(ApiResponse.success(waitlist, 'Waitlist reordered'));
+});
+
+// @desc    Get my signed check-in ticket (QR code PNG/SVG, or the raw token as JSON)
+// @route   GET /api/v1/rsvps/:id/ticket
+// @access  Private
+exports.getTicket = catchAsync(async (req, res, next) => {
+  const { format = 'png' } = req.query;
+  const rsvp = await RSVP.findById(req.params.id);
+
+  if (!rsvp) {
+    return next(new ApiError('RSVP not found', 404));
+  }
+
+  if (rsvp.attendee.toString() !== req.user._id.toString()) {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  const event = await Event.findById(rsvp.event).select('title date time timezone status recurrence occurrenceOverrides');
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+  if (event.status === 'cancelled') {
+    return next(new ApiError('This event has been cancelled', 400));
+  }
+
+  const { token, expiresAt } = ticketService.issue(rsvp, getStartsAt(event, rsvp));
+
+  if (format === 'json') {
+    return res.json(ApiResponse.success({
+      token,
+      expiresAt,
+      partySize: 1 + rsvp.guestsCount,
+      remaining: rsvp.getRemainingCheckIns(),
+      checkInCode: rsvp.checkInCode
+    }, 'Ticket retrieved'));
+  }
+
+  const qr = await ticketService.renderQr(token, format);
+
+  res.set({
+    'Content-Type': format === 'svg' ? 'image/svg+xml' : 'image/png',
+    'Content-Disposition': `inline; filename="ticket-${rsvp.checkInCode}.${format}"`,
+    'Cache-Control': 'private, no-store'
+  });
+  res.send(qr);
+});
+
+// @desc    Get the public key scanners use to verify an event's tickets offline
+// @route   GET /api/v1/rsvps/event/:eventId/ticket-key
+// @access  Private (Organizer, door staff)
+exports.getTicketKey = catchAsync(async (req, res, next) => {
+  const event = await Event.findById(req.params.eventId);
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  if (!checkInService.canCheckIn(event, req.user)) {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  const { pem, jwk } = ticketService.getPublicKey(event._id);
+
+  res.set('Cache-Control', 'private, no-store');
+  res.json(ApiResponse.success({
+    event: event._id,
+    algorithm: TICKET_SETTINGS.ALGORITHM,
+    issuer: TICKET_SETTINGS.ISSUER,
+    publicKey: pem,
+    jwk
+  }, 'Ticket key retrieved'));
+});
+
+// @desc    Get live check-in numbers (updates are pushed to the event room as checkin_update)
+// @route   GET /api/v1/rsvps/event/:eventId/check-in-dashboard
+// @access  Private (Organizer, door staff)
+exports.getCheckInDashboard = catchAsync(async (req, res, next) => {
+  const { occurrence } = req.query;
+
+  const event = await Event.findById(req.params.eventId);
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  if (!checkInService.canCheckIn(event, req.user)) {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  if (eventSeriesService.isRecurring(event) && !occurrence) {
+    return next(new ApiError('Choose the occurrence (YYYY-MM-DD) to follow', 400));
+  }
+
+  const dashboard = await checkInService.getDashboard(event._id, occurrence || null);
+
+  res.json(ApiResponse.success(dashboard, 'Check-in dashboard retrieved'));
+});
+
+// @desc    Upload check-ins scanned while the door was offline
+// @route   POST /api/v1/rsvps/event/:eventId/check-in-sync
+// @access  Private (Organizer, door staff)
+exports.syncCheckIns = catchAsync(async (req, res, next) => {
+  const event = await Event.findById(req.params.eventId);
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  if (!checkInService.canCheckIn(event, req.user)) {
+    return next(new ApiError('Not authorized', 403));
+  }
+
+  const results = await checkInService.sync(event, req.body.checkIns, req.user);
+
+  const summary = results.reduce((counts, result) => ({
+    ...counts,
+    [result.status]: (counts[result.status] || 0) + 1
+  }), { checked_in: 0, duplicate: 0, rejected: 0 });
+
+  res.json(ApiResponse.success(results, `${summary.checked_in} check-in(s) synced`, { summary }));
+});
+
+// @desc    Check in attendee
+// @route   POST /api/v1/rsvps/:id/check-in
+// @access  Private
+exports.checkInAttendee = catchAsync(async (req, res, next) => {
+  const rsvp = await RSVP.findById(req.params.id).populate('event');
+
+  if (!rsvp) {
+    return next(new ApiError('RSVP not found', 404));
+  }
+
+  // Check authorization (organizer, co-organizer or door staff)
+  if (!checkInService.canCheckIn(rsvp.event, req.user)) {
     return next(new ApiError('Not authorized to check in attendees', 403));
   }
 
-  rsvp.checkedIn = true;
-  rsvp.checkedInAt = new Date();
-  await rsvp.save();
+  const checkedIn = await checkInService.checkIn(rsvp, req.body.count, { method: 'manual', user: req.user });
+  await checkInService.broadcast(rsvp.event._id, rsvp.occurrence || null);
 
-  res.json(ApiResponse.success(rsvp, 'Attendee checked in successfully'));
+  res.json(ApiResponse.success(rsvp, `${checkedIn} checked in successfully`, {
+    checkedIn,
+    remaining: rsvp.getRemainingCheckIns()
+  }));
 });
 
 // @desc    Check in by code
 // @route   POST /api/v1/rsvps/check-in-code
 // @access  Private
 exports.checkInByCode = catchAsync(async (req, res, next) => {
-  const { code, eventId } = req.body;
+  const { code, eventId, count } = req.body;
 
   const event = await Event.findById(eventId);
   if (!event) {
@@ -225,11 +622,7 @@ exports.checkInByCode = catchAsync(async (req, res, next) => {
   }
 
   // Check authorization
-  const isAuthorized =
-    event.organizer.toString() === req.user._id.toString() ||
-    event.coOrganizers?.includes(req.user._id);
-
-  if (!isAuthorized) {
+  if (!checkInService.canCheckIn(event, req.user)) {
     return next(new ApiError('Not authorized', 403));
   }
 
@@ -242,15 +635,47 @@ exports.checkInByCode = catchAsync(async (req, res, next) => {
     return next(new ApiError('Invalid check-in code', 404));
   }
 
-  if (rsvp.checkedIn) {
-    return next(new ApiError('Attendee already checked in', 400));
+  const checkedIn = await checkInService.checkIn(rsvp, count, { method: 'code', user: req.user });
+  await checkInService.broadcast(event._id, rsvp.occurrence || null);
+
+  res.json(ApiResponse.success(rsvp, `${checkedIn} checked in successfully`, {
+    checkedIn,
+    remaining: rsvp.getRemainingCheckIns()
+  }));
+});
+
+// @desc    Check in by scanning a signed ticket
+// @route   POST /api/v1/rsvps/check-in-ticket
+// @access  Private
+exports.checkInByTicket = catchAsync(async (req, res, next) => {
+  const { ticket, eventId, count } = req.body;
+
+  // The signature is checked before anything is looked up, so forged tickets cost nothing
+  const claims = ticketService.verify(ticket);
+  if (eventId && claims.eventId !== eventId) {
+    return next(new ApiError('This ticket is for a different event', 400));
   }
 
-  rsvp.checkedIn = true;
-  rsvp.checkedInAt = new Date();
-  await rsvp.save();
+  const event = await Event.findById(claims.eventId);
+  if (!event) {
+    return next(new ApiError('Event not found', 404));
+  }
+
+  if (!checkInService.canCheckIn(event, req.user)) {
+    return next(new ApiError('Not authorized', 403));
+  }
 
-  res.json(ApiResponse.success(rsvp, 'Attendee checked in successfully'));
+  const { rsvp } = await checkInService.findScanned(event._id, { ticket });
+  await rsvp.populate('attendee', 'name profilePhoto');
+
+  const checkedIn = await checkInService.checkIn(rsvp, count, { method: 'ticket', user: req.user });
+  await checkInService.broadcast(event._id, rsvp.occurrence || null);
+
+  res.json(ApiResponse.success(rsvp, `${checkedIn} checked in successfully`, {
+    checkedIn,
+    remaining: rsvp.getRemainingCheckIns(),
+    occurrence: claims.occurrence
+  }));
 });
 
 // @desc    Mark attendee as attended (post-event)
@@ -293,7 +718,7 @@ exports.rateEvent = catchAsync(async (req, res, next) => {
   }
 
   // Check if event has passed
-  if (new Date(rsvp.event.date) > new Date()) {
+  if (new Date(getStartsAt(rsvp.event, rsvp)) > new Date()) {
     return next(new ApiError('Cannot rate an event that has not happened yet', 400));
   }
 
@@ -332,19 +757,22 @@ exports.getMyRSVPs = catchAsync(async (req, res, next) => {
   const query = { attendee: req.user._id };
   if (status) query.status = status;
 
+  const now = new Date();
   const rsvps = await RSVP.find(query)
     .populate({
       path: 'event',
-      select: 'title date time city coverPhoto status',
-      match: upcoming === 'true' ? { date: { $gte: new Date() } } : {}
+      select: 'title date time timezone city coverPhoto status recurrence seriesEndsAt occurrenceOverrides',
+      match: upcoming === 'true' ? eventSeriesService.getUpcomingFilter(now) : {}
     })
     .sort(upcoming === 'true' ? 'event.date' : '-event.date')
     .limit(limit * 1)
     .skip((page - 1) * limit)
     .lean();
 
-  // Filter out null events (from match condition)
-  const filteredRsvps = rsvps.filter(rsvp => rsvp.event !== null);
+  // Filter out null events (from match condition) and occurrences that have passed
+  const filteredRsvps = rsvps.filter(rsvp => rsvp.event !== null && (
+    upcoming !== 'true' || !rsvp.occurrence || getStartsAt(rsvp.event, rsvp) >= now
+  ));
 
   const total = filteredRsvps.length;
 
@@ -367,8 +795,11 @@ exports.getRSVPStats = catchAsync(async (req, res, next) => {
     return next(new ApiError('Not authorized', 403));
   }
 
+  const match = { event: event._id };
+  if (req.query.occurrence) match.occurrence = req.query.occurrence;
+
   const stats = await RSVP.aggregate([
-    { $match: { event: event._id } },
+    { $match: match },
     {
       $group: {
         _id: '$status',
@@ -379,7 +810,7 @@ exports.getRSVPStats = catchAsync(async (req, res, next) => {
   ]);
 
   const checkedInCount = await RSVP.countDocuments({
-    event: event._id,
+    ...match,
     checkedIn: true
   });
 
@@ -4,6 +4,10 @@ const catchAsync = require('../utils/catchAsync');
 const ApiError = require('../utils/apiError');
 const ApiResponse = require('../utils/apiResponse');
 const { clearCache } = require('../middlewares/cache');
+const pricingService = require('../services/pricingService');
+const availabilityService = require('../services/availabilityService');
+const calendarImportService = require('../services/calendarImportService');
+const { CALENDAR_IMPORT_SETTINGS } = require('../config/constants');
 
 // @desc    Get all services with filters
 // @route   GET /api/v1/services
@@ -104,6 +108,9 @@ exports.createService = catchAsync(async (req, res, next) => {
     provider: req.user._id
   };
 
+  // Services join an organization through the organization endpoints
+  delete serviceData.organization;
+
   // Set location if coordinates provided
   if (req.body.coordinates) {
     serviceData.location = {
@@ -140,6 +147,11 @@ exports.updateService = catchAsync(async (req, res, next) => {
     return next(new ApiError('Not authorized to update this service', 403));
   }
 
+  // Managed through the availability, external calendar and organization endpoints
+  delete req.body.externalCalendars;
+  delete req.body.calendarVersion;
+  delete req.body.organization;
+
   // Update coordinates if provided
   if (req.body.coordinates) {
     req.body.location = {
@@ -209,7 +221,7 @@ exports.getMyServices = catchAsync(async (req, res, next) => {
 // @route   PUT /api/v1/services/:id/availability
 // @access  Private
 exports.updateAvailability = catchAsync(async (req, res, next) => {
-  const { availability, availableDates, blackoutDates } = req.body;
+  const { availability, availableDates, blackoutDates, calendar } = req.body;
   const service = await Service.findById(req.params.id);
 
   if (!service) {
@@ -223,12 +235,141 @@ exports.updateAvailability = catchAsync(async (req, res, next) => {
   if (availability) service.availability = availability;
   if (availableDates) service.availableDates = availableDates;
   if (blackoutDates) service.blackoutDates = blackoutDates;
+  if (calendar) {
+    ['mode', 'timezone', 'capacityPerDay', 'slots', 'bufferBeforeMinutes', 'bufferAfterMinutes'].forEach((field) => {
+      if (calendar[field] !== undefined) service.calendar[field] = calendar[field];
+    });
+  }
 
   await service.save();
 
   res.json(ApiResponse.success(service, 'Availability updated successfully'));
 });
 
+// Owner-only access to a service with its external calendars
+const getOwnedServiceWithCalendars = async (req) => {
+  const service = await Service.findById(req.params.id).select('+externalCalendars');
+
+  if (!service) {
+    throw new ApiError('Service not found', 404);
+  }
+
+  if (service.provider.toString() !== req.user._id.toString()) {
+    throw new ApiError('Not authorized', 403);
+  }
+
+  return service;
+};
+
+// Calendar contents come from an uploaded file or an `ics` field in the body
+const getUploadedCalendar = req => (req.file ? req.file.buffer.toString('utf8') : req.body.ics);
+
+// Busy periods are only needed internally; the vendor sees a summary of each calendar
+const summarizeCalendar = (calendar) => {
+  const busy = calendar.busy || [];
+  return {
+    _id: calendar._id,
+    name: calendar.name,
+    source: calendar.source,
+    url: calendar.url,
+    lastSyncedAt: calendar.lastSyncedAt,
+    lastSyncError: calendar.lastSyncError,
+    busyPeriods: busy.length,
+    nextBusy: busy.find(period => period.end > new Date())
+  };
+};
+
+// @desc    Get imported external calendars
+// @route   GET /api/v1/services/:id/external-calendars
+// @access  Private (Provider only)
+exports.getExternalCalendars = catchAsync(async (req, res, next) => {
+  const service = await getOwnedServiceWithCalendars(req);
+
+  res.json(ApiResponse.success(service.externalCalendars.map(summarizeCalendar), 'External calendars retrieved'));
+});
+
+// @desc    Import an external calendar (.ics upload or ICS URL)
+// @route   POST /api/v1/services/:id/external-calendars
+// @access  Private (Provider only)
+exports.addExternalCalendar = catchAsync(async (req, res, next) => {
+  const service = await getOwnedServiceWithCalendars(req);
+  const { name, url } = req.body;
+  const ics = getUploadedCalendar(req);
+
+  if (!url === !ics) {
+    return next(new ApiError('Upload an .ics file or provide a calendar URL', 400));
+  }
+
+  if (service.externalCalendars.length >= CALENDAR_IMPORT_SETTINGS.MAX_CALENDARS) {
+    return next(new ApiError(`A service can import at most ${CALENDAR_IMPORT_SETTINGS.MAX_CALENDARS} calendars`, 400));
+  }
+
+  service.externalCalendars.push({
+    name: name || (req.file && req.file.originalname) || 'External calendar',
+    source: url ? 'url' : 'upload',
+    url: url ? calendarImportService.normalizeUrl(url) : undefined
+  });
+  const calendar = service.externalCalendars[service.externalCalendars.length - 1];
+
+  // URL calendars are fetched once now so a bad URL is reported straight away
+  if (url) {
+    await calendarImportService.syncCalendar(service, calendar);
+  } else {
+    calendarImportService.applyCalendar(service, calendar, ics);
+  }
+
+  await service.save();
+
+  res.status(201).json(ApiResponse.success(summarizeCalendar(calendar), 'External calendar imported'));
+});
+
+// @desc    Refresh an external calendar (fetch the URL again, or upload a new file)
+// @route   POST /api/v1/services/:id/external-calendars/:calendarId/sync
+// @access  Private (Provider only)
+exports.syncExternalCalendar = catchAsync(async (req, res, next) => {
+  const service = await getOwnedServiceWithCalendars(req);
+  const calendar = service.externalCalendars.id(req.params.calendarId);
+
+  if (!calendar) {
+    return next(new ApiError('External calendar not found', 404));
+  }
+
+  if (calendar.source === 'url') {
+    try {
+      await calendarImportService.syncCalendar(service, calendar);
+    } finally {
+      // Keep the recorded sync error even when the fetch fails
+      await service.save();
+    }
+  } else {
+    const ics = getUploadedCalendar(req);
+    if (!ics) {
+      return next(new ApiError('Upload the updated .ics file', 400));
+    }
+    calendarImportService.applyCalendar(service, calendar, ics);
+    await service.save();
+  }
+
+  res.json(ApiResponse.success(summarizeCalendar(calendar), 'External calendar synced'));
+});
+
+// @desc    Remove an external calendar (its busy periods stop blocking availability)
+// @route   DELETE /api/v1/services/:id/external-calendars/:calendarId
+// @access  Private (Provider only)
+exports.removeExternalCalendar = catchAsync(async (req, res, next) => {
+  const service = await getOwnedServiceWithCalendars(req);
+  const calendar = service.externalCalendars.id(req.params.calendarId);
+
+  if (!calendar) {
+    return next(new ApiError('External calendar not found', 404));
+  }
+
+  calendar.deleteOne();
+  await service.save();
+
+  res.json(ApiResponse.success(null, 'External calendar removed'));
+});
+
 // @desc    Get services by category
 // @route   GET /api/v1/services/category/:category
 // @access  Public
@@ -363,7 +504,7 @@ exports.getServiceStats = catchAsync(async (req, res, next) => {
 // @route   GET /api/v1/services/:id/check-availability
 // @access  Public
 exports.checkAvailability = catchAsync(async (req, res, next) => {
-  const { date } = req.query;
+  const { date, slot } = req.query;
   const service = await Service.findById(req.params.id);
 
   if (!service) {
@@ -376,18 +517,55 @@ exports.checkAvailability = catchAsync(async (req, res, next) => {
 
   const checkDate = new Date(date);
 
-  // Check if date is in blackout dates
-  const isBlackout = service.blackoutDates.some(
-    d => d.toDateString() === checkDate.toDateString()
-  );
-
-  // Check if service is available
-  const isAvailable = service.availability === 'available' && !isBlackout;
+  // Blackout dates, confirmed bookings (plus buffers) and slot capacity
+  const interval = availabilityService.resolveInterval(service, checkDate, slot);
+  const check = await availabilityService.checkInterval(service, interval);
+  const isAvailable = service.availability === 'available' && check.available;
 
   res.json(
     ApiResponse.success(
-      { isAvailable, date: checkDate },
+      { isAvailable, date: checkDate, ...check },
       isAvailable ? 'Service is available on this date' : 'Service is not available on this date'
     )
   );
 });
+
+// @desc    Get a price quote for a date
+// @route   GET /api/v1/services/:id/quote
+// @access  Public
+exports.getQuote = catchAsync(async (req, res, next) => {
+  const { date, guests, hours, currency, packageId } = req.query;
+  const service = await Service.findById(req.params.id);
+
+  if (!service || !service.isActive) {
+    return next(new ApiError('Service not found', 404));
+  }
+
+  // addOns=<addOnId>[:quantity],...
+  const addOns = req.query.addOns
+    ? req.query.addOns.split(',').map((item) => {
+      const [addOnId, quantity] = item.split(':');
+      return { addOnId, quantity: quantity ? parseInt(quantity, 10) : 1 };
+    })
+    : [];
+
+  const quote = pricingService.getQuote(service, { date, guests, hours, currency, packageId, addOns });
+
+  res.json(ApiResponse.success(quote, 'Quote generated successfully'));
+});
+
+// @desc    Get booking calendar for a month
+// @route   GET /api/v1/services/:id/calendar
+// @access  Public
+exports.getCalendar = catchAsync(async (req, res, next) => {
+  const service = await Service.findById(req.params.id);
+
+  if (!service || !service.isActive) {
+    return next(new ApiError('Service not found', 404));
+  }
+
+  const month = req.query.month || new Date().toISOString().slice(0, 7);
+  const calendar = await availabilityService.getMonthCalendar(service, month);
+
+  res.json(ApiResponse.success(calendar, 'Calendar retrieved successfully'));
+});
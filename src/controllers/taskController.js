@@ -1,6 +1,8 @@
 const Task = require('../models/Task');
 const Event = require('../models/Event');
+const Booking = require('../models/Booking');
 const Notification = require('../models/Notification');
+const currencyService = require('../services/currencyService');
 const catchAsync = require('../utils/catchAsync');
 const ApiError = require('../utils/apiError');
 const ApiResponse = require('../utils/apiResponse');
@@ -302,9 +304,37 @@ exports.getTaskSummary = catchAsync(async (req, res, next) => {
     dueDate: { $lt: new Date() }
   });
 
+  // Budget rollup in the event's currency - vendors may price bookings in their own
+  const bookings = await Booking.find({
+    event: event._id,
+    status: { $nin: ['cancelled', 'refunded', 'expired'] }
+  }).select('priceAgreed totalPaid currency');
+
+  const allocated = summary.reduce((sum, s) => sum + (s.budgetAllocated || 0), 0);
+  const spent = summary.reduce((sum, s) => sum + (s.budgetSpent || 0), 0);
+  const booked = currencyService.sum(
+    bookings.map(b => ({ amount: b.priceAgreed, currency: b.currency })),
+    event.currency
+  );
+  const paid = currencyService.sum(
+    bookings.map(b => ({ amount: b.totalPaid, currency: b.currency })),
+    event.currency
+  );
+
+  const budget = {
+    currency: event.currency,
+    total: event.budget || 0,
+    allocated,
+    spent,
+    booked,
+    paid,
+    remaining: currencyService.round((event.budget || 0) - booked, event.currency),
+    ratesUpdatedAt: currencyService.getRates().updatedAt
+  };
+
   res.json(
     ApiResponse.success(
-      { byStatus: summary, byCategory, overdueCount },
+      { byStatus: summary, byCategory, overdueCount, budget },
       'Task summary retrieved'
     )
   );
@@ -0,0 +1,222 @@
+const VendorOrganization = require('../models/VendorOrganization');
+const Service = require('../models/Service');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const vendorOrganizationService = require('../services/vendorOrganizationService');
+const catchAsync = require('../utils/catchAsync');
+const ApiError = require('../utils/apiError');
+const ApiResponse = require('../utils/apiResponse');
+const { clearCache } = require('../middlewares/cache');
+const { VENDOR_MEMBER_ROLES, VENDOR_ORGANIZATION_SETTINGS } = require('../config/constants');
+
+const { OWNER, MANAGER } = VENDOR_MEMBER_ROLES;
+
+const EDITABLE_FIELDS = ['name', 'description', 'logo', 'phone', 'email'];
+
+// Bookings that are still being handled move with their service
+const OPEN_BOOKING_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+const pickFields = body => EDITABLE_FIELDS.reduce((fields, key) => {
+  if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}, {});
+
+// @desc    Create vendor organization (you become its owner)
+// @route   POST /api/v1/vendors/organizations
+// @access  Private
+exports.createOrganization = catchAsync(async (req, res, next) => {
+  const organization = await VendorOrganization.create({
+    ...pickFields(req.body),
+    owner: req.user._id,
+    members: [{ user: req.user._id, role: OWNER, addedBy: req.user._id }]
+  });
+
+  res.status(201).json(ApiResponse.success(organization, 'Organization created successfully'));
+});
+
+// @desc    Get organizations I belong to
+// @route   GET /api/v1/vendors/organizations
+// @access  Private
+exports.getMyOrganizations = catchAsync(async (req, res, next) => {
+  const organizations = await VendorOrganization.findForMember(req.user._id)
+    .populate('owner', 'name profilePhoto')
+    .sort('name')
+    .lean();
+
+  const result = organizations.map(({ members, ...organization }) => ({
+    ...organization,
+    memberCount: members.length,
+    myRole: members.find(m => m.user.toString() === req.user._id.toString()).role
+  }));
+
+  res.json(ApiResponse.success(result, 'Organizations retrieved'));
+});
+
+// @desc    Get organization with members and services
+// @route   GET /api/v1/vendors/organizations/:id
+// @access  Private (Members)
+exports.getOrganization = catchAsync(async (req, res, next) => {
+  const { organization, role } = await vendorOrganizationService.getForMember(req.params.id, req.user);
+
+  await organization.populate([
+    { path: 'owner', select: 'name profilePhoto' },
+    { path: 'members.user', select: 'name email phone profilePhoto' }
+  ]);
+
+  const services = await Service.find({ organization: organization._id, isActive: true })
+    .select('serviceName slug category coverImage ratingAverage')
+    .lean();
+
+  res.json(ApiResponse.success({ ...organization.toObject(), myRole: role, services }, 'Organization retrieved'));
+});
+
+// @desc    Update organization details
+// @route   PUT /api/v1/vendors/organizations/:id
+// @access  Private (Owner or manager)
+exports.updateOrganization = catchAsync(async (req, res, next) => {
+  const { organization } = await vendorOrganizationService.getForMember(req.params.id, req.user, [OWNER, MANAGER]);
+
+  organization.set(pickFields(req.body));
+  await organization.save();
+
+  res.json(ApiResponse.success(organization, 'Organization updated successfully'));
+});
+
+// @desc    Close organization (its services go back to the owner alone)
+// @route   DELETE /api/v1/vendors/organizations/:id
+// @access  Private (Owner)
+exports.deleteOrganization = catchAsync(async (req, res, next) => {
+  const { organization } = await vendorOrganizationService.getForMember(req.params.id, req.user, [OWNER]);
+
+  organization.isActive = false;
+  await organization.save();
+
+  await Service.updateMany({ organization: organization._id }, { $unset: { organization: 1 } });
+  await clearCache('/api/v1/services');
+
+  res.json(ApiResponse.success(null, 'Organization closed successfully'));
+});
+
+// @desc    Add member
+// @route   POST /api/v1/vendors/organizations/:id/members
+// @access  Private (Owner adds managers and staff, managers add staff)
+exports.addMember = catchAsync(async (req, res, next) => {
+  const { userId, email, role } = req.body;
+  const { organization, role: actorRole } = await vendorOrganizationService.getForMember(
+    req.params.id,
+    req.user,
+    [OWNER, MANAGER]
+  );
+
+  if (organization.members.length >= VENDOR_ORGANIZATION_SETTINGS.MAX_MEMBERS) {
+    return next(new ApiError(`An organization can have at most ${VENDOR_ORGANIZATION_SETTINGS.MAX_MEMBERS} members`, 400));
+  }
+
+  const user = await User.findOne(userId ? { _id: userId } : { email: email.toLowerCase() }).select('name');
+  if (!user) {
+    return next(new ApiError('User not found', 404));
+  }
+
+  const member = vendorOrganizationService.addMember(organization, { user, role }, { user: req.user._id, role: actorRole });
+  await organization.save();
+
+  await Notification.createNotification({
+    recipient: user._id,
+    type: 'system',
+    title: 'Added to a Vendor Team',
+    message: `${req.user.name} added you to ${organization.name} as ${role}`,
+    relatedUser: req.user._id,
+    actionUrl: `/vendors/organizations/${organization._id}`
+  });
+
+  res.status(201).json(ApiResponse.success(member, 'Member added successfully'));
+});
+
+// @desc    Change member role
+// @route   PUT /api/v1/vendors/organizations/:id/members/:userId
+// @access  Private (Owner)
+exports.updateMember = catchAsync(async (req, res, next) => {
+  const { organization, role: actorRole } = await vendorOrganizationService.getForMember(
+    req.params.id,
+    req.user,
+    [OWNER, MANAGER]
+  );
+
+  const member = vendorOrganizationService.changeRole(
+    organization,
+    req.params.userId,
+    req.body.role,
+    { user: req.user._id, role: actorRole }
+  );
+  await organization.save();
+
+  res.json(ApiResponse.success(member, 'Member updated successfully'));
+});
+
+// @desc    Remove member (or leave the organization)
+// @route   DELETE /api/v1/vendors/organizations/:id/members/:userId
+// @access  Private (Members)
+exports.removeMember = catchAsync(async (req, res, next) => {
+  const { organization, role: actorRole } = await vendorOrganizationService.getForMember(req.params.id, req.user);
+
+  vendorOrganizationService.removeMember(organization, req.params.userId, { user: req.user._id, role: actorRole });
+  await organization.save();
+
+  res.json(ApiResponse.success(null, 'Member removed successfully'));
+});
+
+// @desc    List one of the owner's services under the organization
+// @route   POST /api/v1/vendors/organizations/:id/services/:serviceId
+// @access  Private (Owner)
+exports.addService = catchAsync(async (req, res, next) => {
+  const { organization } = await vendorOrganizationService.getForMember(req.params.id, req.user, [OWNER]);
+  const service = await Service.findById(req.params.serviceId);
+
+  if (!service) {
+    return next(new ApiError('Service not found', 404));
+  }
+
+  // Payouts go to the service provider, so only the owner's services can join
+  if (service.provider.toString() !== organization.owner.toString()) {
+    return next(new ApiError('Only services provided by the organization owner can be added', 403));
+  }
+
+  if (service.organization && service.organization.toString() !== organization._id.toString()) {
+    return next(new ApiError('Service already belongs to another organization', 400));
+  }
+
+  service.organization = organization._id;
+  await service.save();
+
+  await Booking.updateMany(
+    { service: service._id, status: { $in: OPEN_BOOKING_STATUSES } },
+    { vendorOrganization: organization._id }
+  );
+  await clearCache('/api/v1/services');
+
+  res.json(ApiResponse.success(service, 'Service added to organization'));
+});
+
+// @desc    Take a service out of the organization
+// @route   DELETE /api/v1/vendors/organizations/:id/services/:serviceId
+// @access  Private (Owner)
+exports.removeService = catchAsync(async (req, res, next) => {
+  const { organization } = await vendorOrganizationService.getForMember(req.params.id, req.user, [OWNER]);
+  const service = await Service.findOne({ _id: req.params.serviceId, organization: organization._id });
+
+  if (!service) {
+    return next(new ApiError('Service not found in this organization', 404));
+  }
+
+  service.organization = undefined;
+  await service.save();
+
+  await Booking.updateMany(
+    { service: service._id, status: { $in: OPEN_BOOKING_STATUSES } },
+    { $unset: { vendorOrganization: 1 } }
+  );
+  await clearCache('/api/v1/services');
+
+  res.json(ApiResponse.success(service, 'Service removed from organization'));
+});
@@ -0,0 +1,80 @@
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const refundService = require('../services/refundService');
+const { HOLD_SETTINGS } = require('../config/constants');
+
+const notifyBothSides = (booking, title, message, priority) =>
+  Promise.all([booking.organizer, booking.vendor].map(recipient =>
+    Notification.createNotification({
+      recipient,
+      type: 'booking',
+      title,
+      message,
+      relatedBooking: booking._id,
+      relatedEvent: booking.event,
+      actionUrl: `/bookings/${booking._id}`,
+      priority
+    })
+  ));
+
+/**
+ * Warn both sides before a tentative booking hold runs out, then expire holds
+ * that were neither confirmed by the vendor nor secured with a deposit
+ * @returns {number} - Number of holds reminded or expired
+ */
+const expireBookingHolds = async () => {
+  const now = new Date();
+  const unsecured = {
+    status: 'pending',
+    'hold.placedAt': { $ne: null },
+    'hold.securedAt': null,
+    'hold.expiredAt': null
+  };
+
+  const expiringSoon = await Booking.find({
+    ...unsecured,
+    'hold.reminderSentAt': null,
+    'hold.expiresAt': { $gt: now, $lte: new Date(now.getTime() + HOLD_SETTINGS.REMINDER_HOURS * 60 * 60 * 1000) }
+  });
+
+  for (const booking of expiringSoon) {
+    await notifyBothSides(
+      booking,
+      'Booking Hold Expiring',
+      `The hold on ${booking.eventDate.toDateString()} expires at ${booking.hold.expiresAt.toUTCString()}. The vendor needs to confirm or the deposit needs to be paid to keep the date.`,
+      'high'
+    );
+
+    booking.hold.reminderSentAt = now;
+    await booking.save();
+  }
+
+  const expired = await Booking.find({
+    ...unsecured,
+    'hold.expiresAt': { $lte: now }
+  });
+
+  for (const booking of expired) {
+    booking.setStatus('expired', { reason: 'Hold expired without confirmation or deposit' });
+    booking.hold.expiredAt = now;
+
+    // Anything paid short of the deposit goes back to the organizer
+    let refundText = '';
+    if (booking.totalPaid > 0) {
+      const refund = await refundService.issueRefund(booking, booking.totalPaid, 'Booking hold expired');
+      if (refund.refunded > 0) refundText = ' Payments made so far will be refunded.';
+    }
+
+    await booking.save();
+
+    await notifyBothSides(
+      booking,
+      'Booking Hold Expired',
+      `The hold on ${booking.eventDate.toDateString()} expired and the date has been released.${refundText}`
+    );
+  }
+
+  return expiringSoon.length + expired.length;
+};
+
+module.exports = expireBookingHolds;
@@ -0,0 +1,9 @@
+const waitlistService = require('../services/waitlistService');
+
+/**
+ * Pass seats on from waitlist offers that were not confirmed in time
+ * @returns {number} - Number of offers expired
+ */
+const expireWaitlistOffers = () => waitlistService.expireOffers();
+
+module.exports = expireWaitlistOffers;
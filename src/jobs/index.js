@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const releaseRsvpHolds = require('./releaseRsvpHolds');
+const notifyOverdueMilestones = require('./notifyOverdueMilestones');
+const expireBookingHolds = require('./expireBookingHolds');
+const syncExternalCalendars = require('./syncExternalCalendars');
+const expireWaitlistOffers = require('./expireWaitlistOffers');
+
+// Recurring background jobs: { name, intervalMs, run }
+const jobs = [
+  { name: 'releaseRsvpHolds', intervalMs: 60 * 1000, run: releaseRsvpHolds },
+  { name: 'notifyOverdueMilestones', intervalMs: 60 * 60 * 1000, run: notifyOverdueMilestones },
+  { name: 'expireBookingHolds', intervalMs: 5 * 60 * 1000, run: expireBookingHolds },
+  { name: 'syncExternalCalendars', intervalMs: 5 * 60 * 1000, run: syncExternalCalendars },
+  { name: 'expireWaitlistOffers', intervalMs: 60 * 1000, run: expireWaitlistOffers }
+];
+
+const timers = [];
+
+const runJob = async (job) => {
+  // Skip while MongoDB is unavailable instead of buffering queries
+  if (mongoose.connection.readyState !== 1) return;
+
+  try {
+    const result = await job.run();
+    if (result) {
+      console.log(`Job ${job.name} processed ${result} item(s)`);
+    }
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error.message);
+  }
+};
+
+const startJobs = () => {
+  if (timers.length > 0) return;
+
+  jobs.forEach((job) => {
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref();
+    timers.push(timer);
+  });
+
+  console.log(`Background jobs started: ${jobs.map(j => j.name).join(', ')}`);
+};
+
+const stopJobs = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers.length = 0;
+};
+
+module.exports = {
+  jobs,
+  runJob,
+  startJobs,
+  stopJobs
+};
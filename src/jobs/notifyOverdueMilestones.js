@@ -0,0 +1,53 @@
+const Booking = require('../models/Booking');
+const Notification = require('../models/Notification');
+const { formatCurrency } = require('../utils/helpers');
+
+/**
+ * Notify organizer and vendor once about each booking milestone that became overdue
+ * @returns {number} - Number of milestones notified
+ */
+const notifyOverdueMilestones = async () => {
+  const now = new Date();
+  const bookings = await Booking.find({
+    status: { $in: ['pending', 'confirmed', 'in_progress', 'completed'] },
+    paymentSchedule: {
+      $elemMatch: {
+        status: { $ne: 'paid' },
+        dueDate: { $lt: now },
+        overdueNotifiedAt: { $exists: false }
+      }
+    }
+  });
+
+  let notified = 0;
+
+  for (const booking of bookings) {
+    const milestones = booking.overdueMilestones.filter(m => !m.overdueNotifiedAt);
+
+    for (const milestone of milestones) {
+      const outstanding = milestone.amount - milestone.amountPaid;
+
+      await Promise.all([booking.organizer, booking.vendor].map(recipient =>
+        Notification.createNotification({
+          recipient,
+          type: 'payment',
+          title: 'Payment Milestone Overdue',
+          message: `"${milestone.label}" (${formatCurrency(outstanding, booking.currency)} outstanding) was due on ${milestone.dueDate.toDateString()}`,
+          relatedBooking: booking._id,
+          relatedEvent: booking.event,
+          actionUrl: `/bookings/${booking._id}`,
+          priority: 'high'
+        })
+      ));
+
+      milestone.overdueNotifiedAt = now;
+      notified += 1;
+    }
+
+    await booking.save();
+  }
+
+  return notified;
+};
+
+module.exports = notifyOverdueMilestones;
@@ -0,0 +1,49 @@
+const RSVP = require('../models/RSVP');
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+const waitlistService = require('../services/waitlistService');
+
+/**
+ * Release seats held by paid-event RSVPs whose payment window has passed
+ * @returns {number} - Number of holds released
+ */
+const releaseRsvpHolds = async () => {
+  const now = new Date();
+  const expired = await RSVP.find({
+    status: 'pending_payment',
+    paymentExpiresAt: { $lte: now }
+  }).select('_id');
+
+  let released = 0;
+  for (const { _id } of expired) {
+    // Claim the hold so a payment captured meanwhile isn't overwritten; payments that
+    // land after this are settled by paymentService (seat restored or refunded)
+    const rsvp = await RSVP.findOneAndUpdate(
+      { _id, status: 'pending_payment', paymentExpiresAt: { $lte: now } },
+      { status: 'cancelled', $unset: { paymentExpiresAt: 1 } },
+      { new: true }
+    );
+    if (!rsvp) continue;
+    released += 1;
+
+    const event = await Event.findById(rsvp.event);
+
+    await Notification.createNotification({
+      recipient: rsvp.attendee,
+      type: 'rsvp',
+      title: 'Seat Released',
+      message: `Your held seat for "${event ? event.title : 'the event'}" was released because payment was not completed`,
+      relatedEvent: rsvp.event,
+      actionUrl: `/events/${rsvp.event}`
+    });
+
+    // The released seats go to the waitlist
+    if (event) {
+      await waitlistService.promote(event, rsvp.occurrence || null);
+    }
+  }
+
+  return released;
+};
+
+module.exports = releaseRsvpHolds;
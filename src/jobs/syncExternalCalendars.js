@@ -0,0 +1,58 @@
+const Service = require('../models/Service');
+const Notification = require('../models/Notification');
+const calendarImportService = require('../services/calendarImportService');
+const { CALENDAR_IMPORT_SETTINGS } = require('../config/constants');
+
+/**
+ * Re-fetch vendors' ICS URL calendars that are due a sync, so commitments they take
+ * outside Festivo keep blocking their availability. The vendor is told the first time
+ * a calendar stops syncing.
+ * @returns {number} - Number of calendars synced
+ */
+const syncExternalCalendars = async () => {
+  const now = new Date();
+  const dueBefore = new Date(now.getTime() - CALENDAR_IMPORT_SETTINGS.SYNC_INTERVAL_MINUTES * 60 * 1000);
+
+  const services = await Service.find({
+    isActive: true,
+    externalCalendars: {
+      $elemMatch: {
+        source: 'url',
+        $or: [{ lastAttemptAt: null }, { lastAttemptAt: { $lte: dueBefore } }]
+      }
+    }
+  }).select('+externalCalendars');
+
+  let synced = 0;
+
+  for (const service of services) {
+    const due = service.externalCalendars.filter(c =>
+      c.source === 'url' && (!c.lastAttemptAt || c.lastAttemptAt <= dueBefore)
+    );
+
+    for (const calendar of due) {
+      const failing = Boolean(calendar.lastSyncError);
+      try {
+        await calendarImportService.syncCalendar(service, calendar, now);
+        synced += 1;
+      } catch (error) {
+        if (!failing) {
+          await Notification.createNotification({
+            recipient: service.provider,
+            type: 'system',
+            title: 'Calendar Sync Failed',
+            message: `We couldn't sync "${calendar.name}" for ${service.serviceName}: ${error.message}. Busy times from the last successful sync still apply.`,
+            actionUrl: `/services/${service._id}/availability`,
+            priority: 'high'
+          });
+        }
+      }
+    }
+
+    await service.save();
+  }
+
+  return synced;
+};
+
+module.exports = syncExternalCalendars;
@@ -15,7 +15,9 @@ const apiLimiter = rateLimit({
   legacyHeaders: false,
   keyGenerator: (req) => {
     return req.ip || req.headers['x-forwarded-for'] || 'unknown';
-  }
+  },
+  // Payment gateway webhooks come from a few IPs in bursts
+  skip: (req) => req.originalUrl.startsWith('/api/v1/payments/webhook')
 });
 
 // Auth limiter (stricter)
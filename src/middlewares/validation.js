@@ -1,5 +1,15 @@
 const { validationResult, body, param, query } = require('express-validator');
 const ApiError = require('../utils/apiError');
+const {
+  CURRENCY_SETTINGS,
+  HOLD_SETTINGS,
+  ICAL_SETTINGS,
+  VENDOR_MEMBER_ROLES,
+  RECURRENCE_SETTINGS,
+  INVITATION_SETTINGS,
+  TICKET_SETTINGS,
+  CHECK_IN_SETTINGS
+} = require('../config/constants');
 
 // Validation result handler
 const validate = (req, res, next) => {
@@ -114,7 +124,17 @@ const eventValidations = {
       .withMessage('Coordinates must be [longitude, latitude]'),
     body('expectedGuests')
       .isInt({ min: 1 })
-      .withMessage('Expected guests must be at least 1')
+      .withMessage('Expected guests must be at least 1'),
+    body('currency')
+      .optional()
+      .toUpperCase()
+      .isIn(CURRENCY_SETTINGS.SUPPORTED)
+      .withMessage('Unsupported currency'),
+    body('recurrence')
+      .optional({ values: 'null' })
+      .isString()
+      .matches(/FREQ=/i)
+      .withMessage('Recurrence must be an RRULE, e.g. FREQ=WEEKLY;BYDAY=TU')
   ],
   update: [
     body('title')
@@ -128,12 +148,155 @@ const eventValidations = {
       .isLength({ min: 10, max: 5000 })
       .withMessage('Description must be between 10 and 5000 characters'),
     body('eventType')
+      .optional()
+      .isIn(['birthday', 'house_party', 'meetup', 'wedding', 'corporate', 'farewell', 'other'])
+      .withMessage('Invalid event type'),
+    body('recurrence')
+      .optional({ values: 'null' })
+      .isString()
+      .matches(/FREQ=/i)
+      .withMessage('Recurrence must be an RRULE, e.g. FREQ=WEEKLY;BYDAY=TU')
+  ],
+  occurrences: [
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+    query('until')
+      .optional()
+      .isISO8601()
+      .withMessage('Until must be a valid date'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: RECURRENCE_SETTINGS.MAX_OCCURRENCES })
+      .withMessage(`Limit must be between 1 and ${RECURRENCE_SETTINGS.MAX_OCCURRENCES}`)
+  ],
+  occurrence: [
+    param('day')
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Occurrence must be a day (YYYY-MM-DD)'),
+    query('scope')
+      .optional()
+      .isIn(['this', 'following'])
+      .withMessage('Scope must be this or following')
+  ],
+  occurrenceUpdate: [
+    body('date')
+      .optional()
+      .isISO8601()
+      .withMessage('Please provide a valid date'),
+    body('maxAttendees')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Max attendees must be at least 1')
+      .toInt()
+  ],
+  doorStaff: [
+    body('userId')
+      .isMongoId()
+      .withMessage('Invalid user ID')
+  ],
+  doorStaffId: [
+    param('userId')
+      .isMongoId()
+      .withMessage('Invalid user ID')
+  ],
+  template: [
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ min: 3, max: 200 })
+      .withMessage('Title must be between 3 and 200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ min: 10, max: 5000 })
+      .withMessage('Description must be between 10 and 5000 characters'),
+    body('isPublic')
+      .optional()
+      .isBoolean()
+      .withMessage('isPublic must be true or false')
+      .toBoolean()
+  ],
+  templates: [
+    query('eventType')
       .optional()
       .isIn(['birthday', 'house_party', 'meetup', 'wedding', 'corporate', 'farewell', 'other'])
       .withMessage('Invalid event type')
+  ],
+  useTemplate: [
+    body('date')
+      .isISO8601()
+      .withMessage('Please provide a valid date'),
+    body('time')
+      .optional()
+      .notEmpty()
+      .withMessage('Time cannot be empty'),
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ min: 3, max: 200 })
+      .withMessage('Title must be between 3 and 200 characters'),
+    body('coordinates')
+      .optional()
+      .isArray({ min: 2, max: 2 })
+      .withMessage('Coordinates must be [longitude, latitude]'),
+    body('expectedGuests')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Expected guests must be at least 1')
+      .toInt(),
+    body('recurrence')
+      .optional({ values: 'null' })
+      .isString()
+      .matches(/FREQ=/i)
+      .withMessage('Recurrence must be an RRULE, e.g. FREQ=WEEKLY;BYDAY=TU')
   ]
 };
 
+// Packages and add-ons (service create and update)
+const offeringValidations = [
+  body('packages')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Packages must be an array of at most 10 packages'),
+  body('packages.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Package name must be between 1 and 100 characters'),
+  body('packages.*.price')
+    .isFloat({ min: 0 })
+    .withMessage('Package price must be a positive number'),
+  body('packages.*.priceUnit')
+    .optional()
+    .isIn(['per_event', 'per_hour', 'per_day', 'per_person'])
+    .withMessage('Invalid package price unit'),
+  body('packages.*.includedItems')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Included items must be an array'),
+  body('addOns')
+    .optional()
+    .isArray({ max: 30 })
+    .withMessage('Add-ons must be an array of at most 30 add-ons'),
+  body('addOns.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Add-on name must be between 1 and 100 characters'),
+  body('addOns.*.price')
+    .isFloat({ min: 0 })
+    .withMessage('Add-on price must be a positive number'),
+  body('addOns.*.priceUnit')
+    .optional()
+    .isIn(['per_event', 'per_hour', 'per_day', 'per_person', 'per_unit'])
+    .withMessage('Invalid add-on price unit'),
+  body('addOns.*.maxQuantity')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Add-on max quantity must be between 1 and 1000')
+    .toInt()
+];
+
 // Service validations
 const serviceValidations = {
   create: [
@@ -154,13 +317,133 @@ const serviceValidations = {
     body('priceUnit')
       .isIn(['per_event', 'per_hour', 'per_day', 'per_person'])
       .withMessage('Invalid price unit'),
+    body('currency')
+      .optional()
+      .toUpperCase()
+      .isIn(CURRENCY_SETTINGS.SUPPORTED)
+      .withMessage('Unsupported currency'),
     body('city')
       .trim()
       .notEmpty()
-      .withMessage('City is required')
+      .withMessage('City is required'),
+    ...offeringValidations
+  ],
+  update: offeringValidations,
+  quote: [
+    query('date')
+      .isISO8601()
+      .withMessage('Please provide a valid date'),
+    query('guests')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Guests must be at least 1')
+      .toInt(),
+    query('hours')
+      .optional()
+      .isFloat({ min: 0.5, max: 720 })
+      .withMessage('Hours must be between 0.5 and 720')
+      .toFloat(),
+    query('currency')
+      .optional()
+      .toUpperCase()
+      .isIn(CURRENCY_SETTINGS.SUPPORTED)
+      .withMessage('Unsupported currency'),
+    query('packageId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid package ID'),
+    query('addOns')
+      .optional()
+      .matches(/^[a-f\d]{24}(:\d+)?(,[a-f\d]{24}(:\d+)?)*$/i)
+      .withMessage('Add-ons must be a comma-separated list of addOnId or addOnId:quantity')
+  ],
+  calendar: [
+    query('month')
+      .optional()
+      .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+      .withMessage('Month must be in YYYY-MM format')
+  ],
+  availability: [
+    body('availability')
+      .optional()
+      .isIn(['available', 'busy', 'not_taking_orders'])
+      .withMessage('Invalid availability'),
+    body('calendar.mode')
+      .optional()
+      .isIn(['day', 'slot'])
+      .withMessage('Calendar mode must be day or slot'),
+    body('calendar.timezone')
+      .optional()
+      .custom(timeZone => Boolean(new Intl.DateTimeFormat('en-US', { timeZone })))
+      .withMessage('Invalid timezone'),
+    body('calendar.capacityPerDay')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Capacity per day must be between 1 and 100')
+      .toInt(),
+    body('calendar.slots')
+      .optional()
+      .isArray({ max: 24 })
+      .withMessage('Slots must be an array of at most 24 time slots'),
+    body(['calendar.slots.*.start', 'calendar.slots.*.end'])
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Slot times must be in HH:mm format'),
+    body('calendar.slots.*.capacity')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Slot capacity must be between 1 and 100')
+      .toInt(),
+    body(['calendar.bufferBeforeMinutes', 'calendar.bufferAfterMinutes'])
+      .optional()
+      .isInt({ min: 0, max: 2880 })
+      .withMessage('Buffers must be between 0 and 2880 minutes')
+      .toInt()
+  ],
+  externalCalendar: [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Calendar name cannot exceed 100 characters'),
+    body('url')
+      .optional()
+      .trim()
+      .matches(/^(https?|webcals?):\/\//i)
+      .withMessage('Calendar URL must use http, https or webcal'),
+    body('ics')
+      .optional()
+      .isString()
+      .withMessage('ics must be the calendar file contents')
+  ],
+  externalCalendarId: [
+    param('calendarId')
+      .isMongoId()
+      .withMessage('Invalid calendar ID')
   ]
 };
 
+// Payment schedule milestones: an amount or a percentage each, adding up is checked by the booking
+const milestoneValidations = [
+  body('paymentSchedule.*.label')
+    .trim()
+    .notEmpty()
+    .withMessage('Milestone label is required'),
+  body('paymentSchedule.*.dueDate')
+    .isISO8601()
+    .withMessage('Milestone due date must be a valid date'),
+  body('paymentSchedule.*.amount')
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0 })
+    .withMessage('Milestone amount must be greater than 0'),
+  body('paymentSchedule.*.percentage')
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('Milestone percentage must be greater than 0 and at most 100'),
+  body('paymentSchedule.*')
+    .custom(m => Boolean(m) && [m.amount, m.percentage].some(v => v !== undefined && v !== null))
+    .withMessage('Each milestone needs an amount or a percentage')
+];
+
 // Booking validations
 const bookingValidations = {
   create: [
@@ -174,8 +457,322 @@ const bookingValidations = {
       .isISO8601()
       .withMessage('Please provide a valid event date'),
     body('priceAgreed')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Price must be a positive number'),
+    body('guests')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Guests must be at least 1')
+      .toInt(),
+    body('hours')
+      .optional()
+      .isFloat({ min: 0.5, max: 720 })
+      .withMessage('Hours must be between 0.5 and 720')
+      .toFloat(),
+    body('slot')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Slot must be a start time in HH:mm format'),
+    body('paymentSchedule')
+      .optional()
+      .isArray({ max: 12 })
+      .withMessage('Payment schedule must be an array of at most 12 milestones'),
+    ...milestoneValidations,
+    body('packageId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid package ID'),
+    body('addOns')
+      .optional()
+      .isArray({ max: 30 })
+      .withMessage('Add-ons must be an array of { addOnId, quantity }'),
+    body('addOns.*.addOnId')
+      .isMongoId()
+      .withMessage('Invalid add-on ID'),
+    body('addOns.*.quantity')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Add-on quantity must be at least 1')
+      .toInt()
+  ],
+  schedule: [
+    body('paymentSchedule')
+      .isArray({ min: 1, max: 12 })
+      .withMessage('Payment schedule must have between 1 and 12 milestones'),
+    ...milestoneValidations
+  ],
+  payment: [
+    body('amount')
+      .isFloat({ gt: 0 })
+      .withMessage('Payment amount must be greater than 0')
+      .toFloat(),
+    body('paymentMethod')
+      .optional()
+      .isIn(['cash', 'upi', 'bank_transfer', 'card', 'netbanking', 'other'])
+      .withMessage('Invalid payment method'),
+    body('transactionId')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Transaction ID cannot exceed 100 characters'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters')
+  ],
+  hold: [
+    body('hours')
+      .optional()
+      .isInt({ min: 1, max: HOLD_SETTINGS.MAX_HOURS })
+      .withMessage(`Hold must be between 1 and ${HOLD_SETTINGS.MAX_HOURS} hours`)
+      .toInt()
+  ],
+  offer: [
+    body('lineItems')
+      .isArray({ min: 1, max: 50 })
+      .withMessage('A quote must have between 1 and 50 line items'),
+    body('lineItems.*.description')
+      .trim()
+      .notEmpty()
+      .withMessage('Line item description is required'),
+    body('lineItems.*.quantity')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Line item quantity must be greater than 0')
+      .toFloat(),
+    body('lineItems.*.unitPrice')
+      .isFloat({ min: 0 })
+      .withMessage('Line item price must be a positive number')
+      .toFloat(),
+    body('message')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Message cannot exceed 1000 characters'),
+    body('validUntil')
+      .optional()
+      .isISO8601()
+      .withMessage('Valid until must be a valid date')
+  ],
+  offerVersion: [
+    param('version')
+      .isInt({ min: 1 })
+      .withMessage('Invalid offer version')
+  ],
+  changeRequest: [
+    body('eventDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Please provide a valid event date'),
+    body('slot')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Slot must be a start time in HH:mm format'),
+    body('requirements')
+      .optional()
+      .isLength({ max: 2000 })
+      .withMessage('Requirements cannot exceed 2000 characters'),
+    body('priceAgreed')
+      .optional()
       .isFloat({ min: 0 })
       .withMessage('Price must be a positive number')
+      .toFloat(),
+    body('paymentSchedule')
+      .optional()
+      .isArray({ min: 1, max: 12 })
+      .withMessage('Payment schedule must have between 1 and 12 milestones'),
+    ...milestoneValidations,
+    body()
+      .custom(value => ['eventDate', 'slot', 'requirements', 'priceAgreed', 'paymentSchedule'].some(key => value[key] !== undefined))
+      .withMessage('Request a change to the date, slot, requirements, price or payment schedule'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Reason cannot exceed 1000 characters')
+  ],
+  changeRequestId: [
+    param('requestId')
+      .isMongoId()
+      .withMessage('Invalid change request ID')
+  ],
+  changeRequestResponse: [
+    param('requestId')
+      .isMongoId()
+      .withMessage('Invalid change request ID'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Note cannot exceed 1000 characters')
+  ],
+  checkout: [
+    body('type')
+      .optional()
+      .isIn(['full', 'deposit', 'milestone'])
+      .withMessage('Checkout type must be full, deposit or milestone'),
+    body('amount')
+      .optional()
+      .isFloat({ min: 1 })
+      .withMessage('Amount must be at least 1')
+  ],
+  verifyCheckout: [
+    body('razorpayOrderId')
+      .notEmpty()
+      .withMessage('Razorpay order ID is required'),
+    body('razorpayPaymentId')
+      .notEmpty()
+      .withMessage('Razorpay payment ID is required'),
+    body('razorpaySignature')
+      .notEmpty()
+      .withMessage('Razorpay signature is required')
+  ],
+  vendorScope: [
+    query('organization')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid organization ID')
+  ]
+};
+
+// Vendor organization validations
+const memberRoles = [VENDOR_MEMBER_ROLES.MANAGER, VENDOR_MEMBER_ROLES.STAFF];
+
+const vendorOrganizationValidations = {
+  create: [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage('Organization name must be between 2 and 200 characters'),
+    body('description')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot exceed 1000 characters'),
+    body('email')
+      .optional()
+      .isEmail()
+      .withMessage('Invalid email')
+  ],
+  update: [
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage('Organization name must be between 2 and 200 characters'),
+    body('description')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot exceed 1000 characters'),
+    body('email')
+      .optional()
+      .isEmail()
+      .withMessage('Invalid email')
+  ],
+  addMember: [
+    body('userId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid user ID'),
+    body('email')
+      .optional()
+      .isEmail()
+      .withMessage('Invalid email'),
+    body()
+      .custom(value => Boolean(value.userId || value.email))
+      .withMessage('User ID or email is required'),
+    body('role')
+      .isIn(memberRoles)
+      .withMessage(`Role must be one of: ${memberRoles.join(', ')}`)
+  ],
+  updateMember: [
+    param('userId')
+      .isMongoId()
+      .withMessage('Invalid user ID'),
+    body('role')
+      .isIn(memberRoles)
+      .withMessage(`Role must be one of: ${memberRoles.join(', ')}`)
+  ],
+  member: [
+    param('userId')
+      .isMongoId()
+      .withMessage('Invalid user ID')
+  ],
+  service: [
+    param('serviceId')
+      .isMongoId()
+      .withMessage('Invalid service ID')
+  ]
+};
+
+// Request for proposal validations
+const rfpValidations = {
+  create: [
+    body('eventId')
+      .isMongoId()
+      .withMessage('Invalid event ID'),
+    body('category')
+      .isIn(['food', 'decor', 'photography', 'music', 'cleanup', 'entertainment', 'venue', 'other'])
+      .withMessage('Invalid category'),
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ min: 3, max: 200 })
+      .withMessage('Title must be between 3 and 200 characters'),
+    body('requirements')
+      .optional()
+      .isLength({ max: 2000 })
+      .withMessage('Requirements cannot exceed 2000 characters'),
+    body('eventDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Please provide a valid event date'),
+    body('city')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('City cannot be empty'),
+    body('guests')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Guests must be at least 1')
+      .toInt(),
+    body('budget.min')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum budget must be a positive number')
+      .toFloat(),
+    body('budget.max')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Maximum budget must be a positive number')
+      .toFloat(),
+    body('currency')
+      .optional()
+      .toUpperCase()
+      .isIn(CURRENCY_SETTINGS.SUPPORTED)
+      .withMessage(`Currency must be one of: ${CURRENCY_SETTINGS.SUPPORTED.join(', ')}`),
+    body('responseDeadline')
+      .optional()
+      .isISO8601()
+      .withMessage('Response deadline must be a valid date')
+  ],
+  proposal: [
+    body('serviceId')
+      .isMongoId()
+      .withMessage('Invalid service ID'),
+    body('slot')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .withMessage('Slot must be a start time in HH:mm format'),
+    ...bookingValidations.offer
+  ],
+  proposalId: [
+    param('proposalId')
+      .isMongoId()
+      .withMessage('Invalid proposal ID')
   ]
 };
 
@@ -233,7 +830,178 @@ const rsvpValidations = {
     body('status')
       .optional()
       .isIn(['going', 'maybe', 'not_going'])
-      .withMessage('Invalid status')
+      .withMessage('Invalid status'),
+    body('guestsCount')
+      .optional()
+      .isInt({ min: 0, max: 10 })
+      .withMessage('Guests count must be between 0 and 10')
+      .toInt(),
+    body('occurrence')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Occurrence must be a day (YYYY-MM-DD)')
+  ],
+  update: [
+    body('status')
+      .optional()
+      .isIn(['going', 'maybe', 'not_going'])
+      .withMessage('Invalid status'),
+    body('guestsCount')
+      .optional()
+      .isInt({ min: 0, max: 10 })
+      .withMessage('Guests count must be between 0 and 10')
+      .toInt()
+  ],
+  waitlist: [
+    param('eventId')
+      .isMongoId()
+      .withMessage('Invalid event ID'),
+    query('occurrence')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Occurrence must be a day (YYYY-MM-DD)')
+  ],
+  waitlistPosition: [
+    body('position')
+      .isInt({ min: 1 })
+      .withMessage('Position must be a positive integer')
+      .toInt()
+  ],
+  ticket: [
+    query('format')
+      .optional()
+      .isIn(TICKET_SETTINGS.FORMATS)
+      .withMessage(`Format must be one of: ${TICKET_SETTINGS.FORMATS.join(', ')}`)
+  ],
+  checkIn: [
+    body('count')
+      .optional()
+      .isInt({ min: 1, max: 11 })
+      .withMessage('Count must be between 1 and 11 (attendee and up to 10 guests)')
+      .toInt()
+  ],
+  checkInByCode: [
+    body('eventId')
+      .isMongoId()
+      .withMessage('Invalid event ID'),
+    body('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Check-in code is required')
+  ],
+  checkInDashboard: [
+    param('eventId')
+      .isMongoId()
+      .withMessage('Invalid event ID'),
+    query('occurrence')
+      .optional()
+      .matches(/^\d{4}-\d{2}-\d{2}$/)
+      .withMessage('Occurrence must be a day (YYYY-MM-DD)')
+  ],
+  checkInSync: [
+    param('eventId')
+      .isMongoId()
+      .withMessage('Invalid event ID'),
+    body('checkIns')
+      .isArray({ min: 1, max: CHECK_IN_SETTINGS.MAX_SYNC_BATCH })
+      .withMessage(`Check-ins must be a list of 1 to ${CHECK_IN_SETTINGS.MAX_SYNC_BATCH} scans`),
+    body('checkIns.*')
+      .custom(scan => Boolean(scan) && Boolean(scan.ticket) !== Boolean(scan.code))
+      .withMessage('Each scan needs either a ticket or a code'),
+    body('checkIns.*.ticket')
+      .optional()
+      .isString()
+      .withMessage('Ticket must be a string'),
+    body('checkIns.*.code')
+      .optional()
+      .isString()
+      .withMessage('Code must be a string'),
+    body('checkIns.*.scannedAt')
+      .isISO8601()
+      .withMessage('Each scan needs the time it was made (scannedAt)'),
+    body('checkIns.*.count')
+      .optional()
+      .isInt({ min: 1, max: 11 })
+      .withMessage('Count must be between 1 and 11 (attendee and up to 10 guests)')
+      .toInt()
+  ],
+  checkInByTicket: [
+    body('ticket')
+      .isJWT()
+      .withMessage('Invalid ticket'),
+    body('eventId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid event ID')
+  ],
+  verifyPayment: [
+    body('razorpayOrderId')
+      .notEmpty()
+      .withMessage('Razorpay order ID is required'),
+    body('razorpayPaymentId')
+      .notEmpty()
+      .withMessage('Razorpay payment ID is required'),
+    body('razorpaySignature')
+      .notEmpty()
+      .withMessage('Razorpay signature is required')
+  ]
+};
+
+// Invitation validations
+const invitationValidations = {
+  eventId: [
+    param('eventId')
+      .isMongoId()
+      .withMessage('Invalid event ID')
+  ],
+  invite: [
+    body('invitees')
+      .isArray({ min: 1, max: INVITATION_SETTINGS.MAX_PER_REQUEST })
+      .withMessage(`Invitees must be a list of 1 to ${INVITATION_SETTINGS.MAX_PER_REQUEST} guests`),
+    body('invitees.*')
+      .custom(invitee => Boolean(invitee) && [invitee.userId, invitee.email, invitee.phone].filter(Boolean).length === 1)
+      .withMessage('Each invitee needs exactly one of userId, email or phone'),
+    body('invitees.*.userId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid user ID'),
+    body('invitees.*.email')
+      .optional()
+      .isEmail()
+      .withMessage('Please provide a valid email')
+      .normalizeEmail(),
+    body('invitees.*.phone')
+      .optional()
+      .isMobilePhone('en-IN')
+      .withMessage('Please provide a valid Indian phone number'),
+    body('message')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Message cannot exceed 500 characters')
+  ],
+  link: [
+    body('label')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Label cannot exceed 100 characters'),
+    body('maxUses')
+      .optional()
+      .isInt({ min: 1, max: INVITATION_SETTINGS.MAX_LINK_USES })
+      .withMessage(`Max uses must be between 1 and ${INVITATION_SETTINGS.MAX_LINK_USES}`)
+      .toInt(),
+    body('expiresInDays')
+      .optional()
+      .isInt({ min: 1, max: INVITATION_SETTINGS.MAX_LINK_DAYS })
+      .withMessage(`Links can last between 1 and ${INVITATION_SETTINGS.MAX_LINK_DAYS} days`)
+      .toInt()
+  ],
+  token: [
+    param('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid invitation token')
   ]
 };
 
@@ -246,6 +1014,19 @@ const paramValidations = {
   ]
 };
 
+// Calendar feed validations
+const calendarValidations = {
+  feed: [
+    param('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid feed token'),
+    param('feed')
+      .isIn(ICAL_SETTINGS.FEEDS)
+      .withMessage(`Feed must be one of: ${ICAL_SETTINGS.FEEDS.join(', ')}`)
+  ]
+};
+
 // Pagination query validations
 const paginationValidations = [
   query('page')
@@ -264,10 +1045,14 @@ module.exports = {
   eventValidations,
   serviceValidations,
   bookingValidations,
+  vendorOrganizationValidations,
+  rfpValidations,
   reviewValidations,
   messageValidations,
   taskValidations,
   rsvpValidations,
+  invitationValidations,
+  calendarValidations,
   paramValidations,
   paginationValidations
 };
@@ -1,4 +1,14 @@
 const mongoose = require('mongoose');
+const ApiError = require('../utils/apiError');
+const { CURRENCY_SETTINGS, PAYMENT_SETTINGS, BOOKING_TRANSITIONS } = require('../config/constants');
+
+// A payment schedule as proposed in a change request, before it is applied
+const milestoneChangeSchema = new mongoose.Schema({
+  label: String,
+  percentage: Number,
+  amount: Number,
+  dueDate: Date
+}, { _id: false });
 
 const bookingSchema = new mongoose.Schema({
   // References
@@ -22,6 +32,11 @@ const bookingSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // The vendor's team, when the service belongs to an organization
+  vendorOrganization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VendorOrganization'
+  },
 
   // Dates
   bookingDate: {
@@ -33,12 +48,64 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Event date is required']
   },
 
+  // Calendar - time the vendor is booked for, and blocked including prep/travel buffers
+  slot: {
+    start: String,
+    end: String
+  },
+  startsAt: Date,
+  endsAt: Date,
+  blockedFrom: Date,
+  blockedUntil: Date,
+
   // Status
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'refunded'],
+    enum: ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'refunded', 'expired'],
     default: 'pending'
   },
+  // Append-only audit trail of status changes
+  statusHistory: [{
+    _id: false,
+    from: {
+      type: String,
+      immutable: true
+    },
+    to: {
+      type: String,
+      required: true,
+      immutable: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      immutable: true
+    },
+    actorRole: {
+      type: String,
+      enum: ['organizer', 'vendor', 'staff', 'admin', 'system'],
+      default: 'system',
+      immutable: true
+    },
+    reason: {
+      type: String,
+      immutable: true
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+      immutable: true
+    }
+  }],
+
+  // Tentative hold on the vendor's date - secured by confirmation or a deposit, otherwise it expires
+  hold: {
+    placedAt: Date,
+    expiresAt: Date,
+    reminderSentAt: Date,
+    securedAt: Date,
+    expiredAt: Date
+  },
 
   // Payment
   priceAgreed: {
@@ -46,6 +113,12 @@ const bookingSchema = new mongoose.Schema({
     required: [true, 'Price is required'],
     min: 0
   },
+  currency: {
+    type: String,
+    uppercase: true,
+    enum: CURRENCY_SETTINGS.SUPPORTED,
+    default: CURRENCY_SETTINGS.BASE
+  },
   pricePaid: {
     type: Number,
     default: 0,
@@ -70,6 +143,207 @@ const bookingSchema = new mongoose.Schema({
   razorpayPaymentId: String,
   razorpaySignature: String,
 
+  // Quote the booking was priced against
+  quote: {
+    total: Number,
+    unitPrice: Number,
+    units: Number,
+    guests: Number,
+    hours: Number,
+    dayType: {
+      type: String,
+      enum: ['weekday', 'weekend']
+    },
+    quotedAt: Date
+  },
+
+  // Chosen package and add-ons, copied from the service when the booking is made so later
+  // changes to the service don't alter what was booked
+  package: {
+    packageId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    description: String,
+    price: Number,
+    priceUnit: String,
+    includedItems: [String]
+  },
+  addOns: [{
+    _id: false,
+    addOnId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    price: Number,
+    priceUnit: String,
+    quantity: Number,
+    units: Number,
+    amount: Number
+  }],
+
+  // Negotiation - vendor quotes and organizer counter-offers, one entry per version
+  offers: [{
+    version: {
+      type: Number,
+      required: true
+    },
+    kind: {
+      type: String,
+      enum: ['quote', 'counter'],
+      required: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    lineItems: [{
+      description: {
+        type: String,
+        required: [true, 'Line item description is required'],
+        trim: true
+      },
+      quantity: {
+        type: Number,
+        default: 1,
+        min: 0
+      },
+      unitPrice: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      amount: Number
+    }],
+    total: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    message: {
+      type: String,
+      maxlength: [1000, 'Message cannot exceed 1000 characters']
+    },
+    validUntil: Date,
+    status: {
+      type: String,
+      enum: ['open', 'superseded', 'accepted', 'rejected'],
+      default: 'open'
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  priceLockedAt: Date,
+
+  // Changes proposed by either party once the booking is confirmed; answered ones stay as history
+  changeRequests: [{
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    requestedByRole: {
+      type: String,
+      enum: ['organizer', 'vendor'],
+      required: true
+    },
+    changes: {
+      eventDate: Date,
+      slot: String,
+      requirements: String,
+      priceAgreed: {
+        type: Number,
+        min: 0
+      },
+      paymentSchedule: {
+        type: [milestoneChangeSchema],
+        default: undefined
+      }
+    },
+    // Values at the time of the request, so the history shows what changed
+    previous: {
+      eventDate: Date,
+      slot: String,
+      requirements: String,
+      priceAgreed: Number,
+      paymentSchedule: {
+        type: [milestoneChangeSchema],
+        default: undefined
+      }
+    },
+    reason: {
+      type: String,
+      maxlength: [1000, 'Reason cannot exceed 1000 characters']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'rejected', 'withdrawn'],
+      default: 'pending'
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    respondedAt: Date,
+    responseNote: {
+      type: String,
+      maxlength: [1000, 'Note cannot exceed 1000 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Payment Schedule (milestones, e.g. advance / mid / final)
+  paymentSchedule: {
+    type: [{
+      label: {
+        type: String,
+        required: [true, 'Milestone label is required'],
+        trim: true
+      },
+      percentage: {
+        type: Number,
+        min: 0,
+        max: 100
+      },
+      amount: {
+        type: Number,
+        required: [true, 'Milestone amount is required'],
+        min: 0
+      },
+      dueDate: {
+        type: Date,
+        required: [true, 'Milestone due date is required']
+      },
+      amountPaid: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      status: {
+        type: String,
+        enum: ['unpaid', 'partial', 'paid'],
+        default: 'unpaid'
+      },
+      paidAt: Date,
+      overdueNotifiedAt: Date
+    }],
+    validate: {
+      validator: function(milestones) {
+        if (!milestones || milestones.length === 0) return true;
+        const total = milestones.reduce((sum, m) => sum + m.amount, 0);
+        return Math.abs(total - this.priceAgreed) < 0.01;
+      },
+      message: 'Payment schedule must add up to the agreed price'
+    }
+  },
+
   // Payment History
   payments: [{
     amount: {
@@ -81,6 +355,20 @@ const bookingSchema = new mongoose.Schema({
       enum: ['cash', 'upi', 'bank_transfer', 'card', 'netbanking', 'other']
     },
     transactionId: String,
+    status: {
+      type: String,
+      enum: ['captured', 'failed', 'refunded'],
+      default: 'captured'
+    },
+    razorpayOrderId: String,
+    razorpayPaymentId: String,
+    razorpayRefundId: String,
+    // Who entered a manual payment; Razorpay payments carry their payment ID instead
+    recordedBy: {
+      type: String,
+      enum: ['organizer', 'vendor']
+    },
+    receiptNumber: String,
     paidAt: {
       type: Date,
       default: Date.now
@@ -88,6 +376,45 @@ const bookingSchema = new mongoose.Schema({
     notes: String
   }],
 
+  // Invoice (assigned on first generation, never changes)
+  invoiceNumber: String,
+  invoiceDate: Date,
+  // What the invoice was issued for, so every download prints the same document
+  invoiceDetails: {
+    supplier: {
+      name: String,
+      contact: String,
+      city: String,
+      gstin: String,
+      pan: String
+    },
+    buyer: {
+      name: String,
+      email: String,
+      phone: String,
+      city: String,
+      gstin: String
+    },
+    eventTitle: String,
+    eventDate: Date,
+    placeOfSupply: String,
+    currency: String,
+    lineItems: [{
+      _id: false,
+      description: String,
+      note: String,
+      amount: Number
+    }],
+    taxableValue: Number,
+    taxes: [{
+      _id: false,
+      label: String,
+      amount: Number
+    }],
+    total: Number,
+    platformFee: Number
+  },
+
   // Details
   notes: String,
   requirements: String,
@@ -132,10 +459,54 @@ bookingSchema.index({ event: 1 });
 bookingSchema.index({ service: 1 });
 bookingSchema.index({ organizer: 1 });
 bookingSchema.index({ vendor: 1 });
+bookingSchema.index({ vendorOrganization: 1 }, { sparse: true });
 bookingSchema.index({ status: 1 });
 bookingSchema.index({ eventDate: 1 });
+bookingSchema.index({ service: 1, blockedFrom: 1, blockedUntil: 1 });
+bookingSchema.index({ status: 1, 'hold.expiresAt': 1 });
 bookingSchema.index({ paymentStatus: 1 });
+bookingSchema.index({ 'paymentSchedule.dueDate': 1 });
+bookingSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
 bookingSchema.index({ createdAt: -1 });
+bookingSchema.index({ razorpayOrderId: 1 }, { sparse: true });
+bookingSchema.index({ 'payments.razorpayPaymentId': 1 }, { sparse: true });
+
+// Remember the stored status so direct writes can be checked against the state machine
+bookingSchema.post('init', function() {
+  this.$locals.storedStatus = this.status;
+});
+
+// Every status change lands in the history. Changes made through setStatus are already
+// recorded; anything else must still be a valid transition and is recorded as a system change.
+bookingSchema.pre('save', function(next) {
+  const last = this.statusHistory[this.statusHistory.length - 1];
+
+  if (this.isNew && !last) {
+    this.statusHistory.push({ to: this.status, actor: this.organizer, actorRole: 'organizer', reason: 'Booking requested' });
+  } else if (this.isModified('status') && (!last || last.to !== this.status)) {
+    const from = last ? last.to : this.$locals.storedStatus;
+    if (from && !(BOOKING_TRANSITIONS[from] || {})[this.status]) {
+      return next(new Error(`Invalid booking status change from ${from} to ${this.status}`));
+    }
+    this.statusHistory.push({ from, to: this.status });
+  }
+
+  next();
+});
+
+bookingSchema.post('save', function() {
+  this.$locals.storedStatus = this.status;
+});
+
+// A hold no longer expires once the vendor confirms or a verified deposit is paid
+bookingSchema.pre('save', function(next) {
+  if (this.hold && this.hold.placedAt && !this.hold.securedAt && !this.hold.expiredAt) {
+    if (this.status === 'confirmed' || this.isDepositPaid()) {
+      this.hold.securedAt = new Date();
+    }
+  }
+  next();
+});
 
 // Update service stats after booking
 bookingSchema.post('save', async function() {
@@ -154,6 +525,261 @@ bookingSchema.post('save', async function() {
   }
 });
 
+// Change status and record who did it (use bookingStatusService to enforce roles and guards)
+bookingSchema.methods.setStatus = function(status, { actor, role = 'system', reason } = {}) {
+  this.statusHistory.push({ from: this.status, to: status, actor, actorRole: role, reason });
+  this.status = status;
+};
+
+const hasValue = value => value !== undefined && value !== null && value !== '';
+
+// Milestones for a price from entries with an amount or a percentage. They must come to the
+// price - percentage-only schedules to 100% - and every milestone must be for something.
+// Percentage amounts are rounded and the last milestone takes up the rounding.
+bookingSchema.methods.buildPaymentSchedule = function(milestones = [], price = this.priceAgreed) {
+  const sorted = [...milestones].sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+  if (sorted.some(m => !hasValue(m.amount) && !hasValue(m.percentage))) {
+    throw new ApiError('Each milestone needs an amount or a percentage', 400);
+  }
+
+  const exact = sorted.map(m => (hasValue(m.amount) ? Number(m.amount) : price * Number(m.percentage) / 100));
+  if (exact.some(amount => !(amount > 0))) {
+    throw new ApiError('Every milestone must be for more than 0', 400);
+  }
+
+  if (sorted.every(m => !hasValue(m.amount))) {
+    const percentage = sorted.reduce((sum, m) => sum + Number(m.percentage), 0);
+    if (Math.abs(percentage - 100) >= 0.01) {
+      throw new ApiError(`Milestone percentages add up to ${percentage}%, not 100%`, 400);
+    }
+  } else {
+    const total = Math.round(exact.reduce((sum, amount) => sum + amount, 0) * 100) / 100;
+    if (Math.abs(total - price) >= 0.01) {
+      throw new ApiError(`Milestones add up to ${total}, not the agreed price of ${price}`, 400);
+    }
+  }
+
+  let allocated = 0;
+  return sorted.map((m, index) => {
+    const amount = index === sorted.length - 1
+      ? Math.round((price - allocated) * 100) / 100
+      : (hasValue(m.amount) ? Number(m.amount) : Math.round(exact[index]));
+    allocated += amount;
+
+    return {
+      label: m.label,
+      percentage: hasValue(m.percentage) ? Number(m.percentage) : undefined,
+      amount,
+      dueDate: m.dueDate
+    };
+  });
+};
+
+// Set payment schedule from milestones with either an amount or a percentage (see buildPaymentSchedule)
+bookingSchema.methods.setPaymentSchedule = function(milestones = []) {
+  this.paymentSchedule = this.buildPaymentSchedule(milestones);
+  this.recalculatePaymentTotals();
+};
+
+// Change the agreed price. Percentage milestones follow it, fixed amounts stay as they are
+// and the last milestone takes up the difference so the schedule still adds up.
+// Refused before anything changes when the other milestones already come to more than the price.
+bookingSchema.methods.setPriceAgreed = function(price) {
+  if (this.paymentSchedule.length === 0) {
+    this.priceAgreed = price;
+    this.recalculatePaymentTotals();
+    return;
+  }
+
+  const milestones = this.paymentSchedule.map(m => ({
+    label: m.label,
+    percentage: m.percentage,
+    amount: m.percentage !== undefined && m.percentage !== null
+      ? Math.round(price * m.percentage / 100)
+      : m.amount,
+    dueDate: m.dueDate
+  }));
+
+  const last = milestones[milestones.length - 1];
+  const others = milestones.slice(0, -1).reduce((sum, m) => sum + m.amount, 0);
+  last.amount = Math.round((price - others) * 100) / 100;
+
+  if (last.amount < 0) {
+    throw new ApiError(
+      `The payment schedule's earlier milestones add up to ${others}, more than the new price of ${price}. Change the schedule first`,
+      400
+    );
+  }
+
+  this.priceAgreed = price;
+  this.setPaymentSchedule(milestones);
+};
+
+// Deposit is the first milestone when there is a schedule, otherwise the standard percentage
+bookingSchema.methods.getDepositAmount = function() {
+  if (this.paymentSchedule && this.paymentSchedule.length > 0) {
+    return this.paymentSchedule[0].amount;
+  }
+  return Math.round(this.priceAgreed * PAYMENT_SETTINGS.DEPOSIT_PERCENTAGE / 100);
+};
+
+// Cancelled, expired and refunded bookings take no more money
+bookingSchema.methods.isPayable = function() {
+  return !['cancelled', 'expired', 'refunded'].includes(this.status);
+};
+
+// Paid through Razorpay or recorded by the vendor, less refunds. Payments the organizer
+// reports themselves are shown in totalPaid but can't secure anything on their own.
+bookingSchema.methods.getVerifiedPaid = function() {
+  return this.payments.reduce((sum, p) => {
+    if (p.status === 'refunded') return sum - p.amount;
+    const verified = Boolean(p.razorpayPaymentId) || p.recordedBy === 'vendor';
+    return p.status === 'captured' && verified ? sum + p.amount : sum;
+  }, 0);
+};
+
+bookingSchema.methods.isDepositPaid = function() {
+  const paid = this.getVerifiedPaid();
+  return paid > 0 && paid >= this.getDepositAmount();
+};
+
+// Pending booking currently blocking the vendor's date
+bookingSchema.methods.hasActiveHold = function(now = new Date()) {
+  return this.status === 'pending' &&
+    Boolean(this.hold && this.hold.placedAt && !this.hold.expiredAt) &&
+    Boolean(this.hold.securedAt || this.hold.expiresAt > now);
+};
+
+// Latest quote or counter-offer still awaiting a response
+bookingSchema.methods.getOpenOffer = function() {
+  return this.offers.find(o => o.status === 'open');
+};
+
+// Method to get the change request awaiting an answer
+bookingSchema.methods.getPendingChangeRequest = function() {
+  return this.changeRequests.find(r => r.status === 'pending');
+};
+
+// Add a new negotiation version, superseding any open one
+bookingSchema.methods.addOffer = function({ kind, createdBy, lineItems, message, validUntil }) {
+  const open = this.getOpenOffer();
+  if (open) open.status = 'superseded';
+
+  const items = lineItems.map(item => {
+    const quantity = item.quantity !== undefined ? Number(item.quantity) : 1;
+    return {
+      description: item.description,
+      quantity,
+      unitPrice: Number(item.unitPrice),
+      amount: Math.round(quantity * item.unitPrice * 100) / 100
+    };
+  });
+
+  this.offers.push({
+    version: this.offers.length + 1,
+    kind,
+    createdBy,
+    lineItems: items,
+    total: Math.round(items.reduce((sum, item) => sum + item.amount, 0) * 100) / 100,
+    message,
+    validUntil
+  });
+
+  return this.offers[this.offers.length - 1];
+};
+
+// Accept a negotiation version and lock the agreed price
+bookingSchema.methods.acceptOffer = function(offer, userId) {
+  this.setPriceAgreed(offer.total);
+
+  offer.status = 'accepted';
+  offer.respondedBy = userId;
+  offer.respondedAt = new Date();
+  this.priceLockedAt = offer.respondedAt;
+};
+
+// Allocate what has been paid to milestones, earliest due first
+bookingSchema.methods.allocateToMilestones = function() {
+  let remaining = this.totalPaid;
+
+  this.paymentSchedule.forEach((milestone) => {
+    const allocated = Math.min(milestone.amount, Math.max(0, remaining));
+    remaining -= allocated;
+
+    milestone.amountPaid = Math.round(allocated * 100) / 100;
+    if (milestone.amountPaid >= milestone.amount) {
+      if (milestone.status !== 'paid') milestone.paidAt = new Date();
+      milestone.status = 'paid';
+    } else {
+      milestone.status = milestone.amountPaid > 0 ? 'partial' : 'unpaid';
+      milestone.paidAt = undefined;
+    }
+  });
+};
+
+// Recalculate totals and payment status from payment history
+bookingSchema.methods.recalculatePaymentTotals = function() {
+  const captured = this.payments
+    .filter(p => p.status === 'captured')
+    .reduce((sum, p) => sum + p.amount, 0);
+  const refunded = this.payments
+    .filter(p => p.status === 'refunded')
+    .reduce((sum, p) => sum + p.amount, 0);
+
+  this.totalPaid = Math.max(0, captured - refunded);
+  this.pricePaid = this.totalPaid;
+
+  const hasSchedule = this.paymentSchedule && this.paymentSchedule.length > 0;
+  if (hasSchedule) {
+    this.allocateToMilestones();
+  }
+
+  if (refunded > 0 && this.totalPaid === 0) {
+    this.paymentStatus = 'refunded';
+  } else if (hasSchedule) {
+    // With a schedule, status follows the milestones
+    if (this.paymentSchedule.every(m => m.status === 'paid')) {
+      this.paymentStatus = 'paid';
+    } else if (this.paymentSchedule.some(m => m.status !== 'unpaid')) {
+      this.paymentStatus = 'partial';
+    } else {
+      this.paymentStatus = 'unpaid';
+    }
+  } else if (this.totalPaid >= this.priceAgreed) {
+    this.paymentStatus = 'paid';
+  } else if (this.totalPaid > 0) {
+    this.paymentStatus = 'partial';
+  } else {
+    this.paymentStatus = 'unpaid';
+  }
+};
+
+// Static method to get a vendor's upcoming bookings (their schedule)
+// Pass organization ids to include bookings the vendor's teams handle
+bookingSchema.statics.findVendorUpcoming = function(vendorId, organizationIds = []) {
+  return this.find({
+    $or: [{ vendor: vendorId }, { vendorOrganization: { $in: organizationIds } }],
+    status: { $in: ['pending', 'confirmed'] },
+    eventDate: { $gte: new Date() }
+  }).sort('eventDate');
+};
+
+// Virtual for overdue milestones
+bookingSchema.virtual('overdueMilestones').get(function() {
+  if (!this.paymentSchedule || ['cancelled', 'refunded', 'expired'].includes(this.status)) {
+    return [];
+  }
+  const now = new Date();
+  return this.paymentSchedule.filter(m => m.status !== 'paid' && m.dueDate < now);
+});
+
+// Virtual for next milestone due
+bookingSchema.virtual('nextMilestone').get(function() {
+  if (!this.paymentSchedule) return null;
+  return this.paymentSchedule.find(m => m.status !== 'paid') || null;
+});
+
 // Virtual for payment balance
 bookingSchema.virtual('paymentBalance').get(function() {
   return this.priceAgreed - this.pricePaid;
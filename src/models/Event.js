@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const { CURRENCY_SETTINGS } = require('../config/constants');
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -34,6 +35,11 @@ const eventSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Volunteers who may only check guests in at this event
+  doorStaff: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
 
   // Date & Time
   date: {
@@ -50,6 +56,36 @@ const eventSchema = new mongoose.Schema({
     default: 'Asia/Kolkata'
   },
 
+  // Recurrence - date/time start the series, occurrences are expanded from the rule
+  recurrence: String, // RRULE value, e.g. "FREQ=WEEKLY;BYDAY=TU"
+  seriesEndsAt: Date, // Start of the last occurrence, unset while the series is open-ended
+  series: {
+    // First event of the series, kept when "this and following" edits split it
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  occurrenceOverrides: [{
+    _id: false,
+    // Local day (YYYY-MM-DD) the occurrence was generated for
+    day: {
+      type: String,
+      required: true
+    },
+    date: Date,
+    time: String,
+    title: String,
+    description: String,
+    locationName: String,
+    address: String,
+    maxAttendees: Number,
+    cancelled: {
+      type: Boolean,
+      default: false
+    },
+    cancellationReason: String,
+    updatedAt: Date
+  }],
+
   // Location (GeoJSON - optional, for nearby search functionality)
   location: {
     type: {
@@ -96,7 +132,9 @@ const eventSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    default: 'INR'
+    uppercase: true,
+    enum: CURRENCY_SETTINGS.SUPPORTED,
+    default: CURRENCY_SETTINGS.BASE
   },
 
   // Visibility
@@ -183,11 +221,14 @@ const eventSchema = new mongoose.Schema({
 // Indexes (slug already indexed via unique: true in schema)
 eventSchema.index({ organizer: 1 });
 eventSchema.index({ date: 1 });
+eventSchema.index({ series: 1 }, { sparse: true });
+eventSchema.index({ seriesEndsAt: 1 }, { sparse: true });
 eventSchema.index({ isPublic: 1, status: 1 });
 eventSchema.index({ city: 1 });
 eventSchema.index({ location: '2dsphere' }, { sparse: true });
 eventSchema.index({ tags: 1 });
 eventSchema.index({ eventType: 1 });
+eventSchema.index({ isTemplate: 1, isPublic: 1, eventType: 1 }, { partialFilterExpression: { isTemplate: true } });
 eventSchema.index({ title: 'text', description: 'text' });
 
 // Generate slug before saving
@@ -199,9 +240,9 @@ eventSchema.pre('save', function(next) {
   next();
 });
 
-// Auto-update status if date is set
+// Auto-update status if date is set (templates stay drafts)
 eventSchema.pre('save', function(next) {
-  if (this.isModified('date') && this.status === 'draft') {
+  if (this.isModified('date') && this.status === 'draft' && !this.isTemplate) {
     this.status = 'planning';
   }
   next();
@@ -215,6 +256,22 @@ eventSchema.virtual('daysUntilEvent').get(function() {
   return Math.ceil(diff / (1000 * 60 * 60 * 24));
 });
 
+// Method to find the override for an occurrence
+eventSchema.methods.getOccurrenceOverride = function(day) {
+  return this.occurrenceOverrides.find(o => o.day === day) || null;
+};
+
+// Method to change or cancel a single occurrence
+eventSchema.methods.setOccurrenceOverride = function(day, fields) {
+  let override = this.getOccurrenceOverride(day);
+  if (!override) {
+    this.occurrenceOverrides.push({ day });
+    override = this.occurrenceOverrides[this.occurrenceOverrides.length - 1];
+  }
+  override.set({ ...fields, updatedAt: new Date() });
+  return override;
+};
+
 // Virtual populate tasks
 eventSchema.virtual('tasks', {
   ref: 'Task',
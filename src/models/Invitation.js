@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { INVITATION_SETTINGS } = require('../config/constants');
+
+// A guest invited to a private event, by account, email or phone.
+// Guests who join through an invite link get one too, pointing at the link.
+const invitationSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Who is invited - set when known, linked to the account once they sign in
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  inviteLink: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InviteLink'
+  },
+
+  // Hashed token sent to email and phone invitees, who may not have an account yet
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+
+  status: {
+    type: String,
+    enum: INVITATION_SETTINGS.STATUSES,
+    default: 'sent'
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  openedAt: Date,
+  respondedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+invitationSchema.index({ event: 1, status: 1 });
+invitationSchema.index({ event: 1, user: 1 });
+invitationSchema.index({ event: 1, email: 1 }, { sparse: true });
+invitationSchema.index({ event: 1, phone: 1 }, { sparse: true });
+invitationSchema.index({ user: 1, createdAt: -1 });
+invitationSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+
+// Pre-validate: someone has to be invited
+invitationSchema.pre('validate', function(next) {
+  if (!this.user && !this.email && !this.phone) {
+    this.invalidate('user', 'An invitation needs a user, email or phone');
+  }
+  next();
+});
+
+// Method to check whether the invitation still lets its guest in
+invitationSchema.methods.isActive = function() {
+  return this.status !== 'revoked';
+};
+
+// Method to record that the guest has seen the invitation
+invitationSchema.methods.markOpened = function(now = new Date()) {
+  if (this.status === 'sent') {
+    this.status = 'opened';
+    this.openedAt = now;
+  }
+};
+
+// Method to record the guest's answer
+invitationSchema.methods.respond = function(accept, now = new Date()) {
+  this.status = accept ? 'accepted' : 'declined';
+  this.openedAt = this.openedAt || now;
+  this.respondedAt = now;
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
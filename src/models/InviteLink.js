@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A shareable link to a private event. Single-use links let one guest in,
+// multi-use links any number up to maxUses (unlimited when unset).
+const inviteLinkSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+
+  // Only the hash is stored; the token is shown once when the link is created
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+inviteLinkSchema.index({ tokenHash: 1 }, { unique: true });
+inviteLinkSchema.index({ event: 1, createdAt: -1 });
+
+// Method to check whether the link can still be used
+inviteLinkSchema.methods.isUsable = function(now = new Date()) {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= now) return false;
+  return !this.maxUses || this.uses < this.maxUses;
+};
+
+module.exports = mongoose.model('InviteLink', inviteLinkSchema);
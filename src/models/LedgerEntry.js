@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Double-entry ledger line. Every journal (same journalId) has equal debits and credits.
+//   payment: debit gateway_clearing (gross) / credit platform_fees + vendor_payable
+//   refund:  debit platform_fees + vendor_payable / credit gateway_clearing
+//   payout:  debit vendor_payable / credit gateway_clearing
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: String,
+    required: true
+  },
+  entryType: {
+    type: String,
+    enum: ['payment', 'refund', 'payout'],
+    required: true
+  },
+  account: {
+    type: String,
+    enum: ['gateway_clearing', 'platform_fees', 'vendor_payable'],
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+
+  // Source of the journal (Razorpay payment/refund id or payout id)
+  reference: {
+    type: String,
+    required: true
+  },
+
+  // References
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  payout: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
+
+  description: String,
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Statement period (YYYY-MM)
+  period: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerEntrySchema.index({ reference: 1, entryType: 1, account: 1 }, { unique: true });
+ledgerEntrySchema.index({ journalId: 1 });
+ledgerEntrySchema.index({ vendor: 1, period: 1 });
+ledgerEntrySchema.index({ payout: 1 });
+ledgerEntrySchema.index({ booking: 1 });
+
+// Ledger entries are immutable once written
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Ledger entries cannot be modified'));
+  }
+  next();
+});
+
+// Static method to get the statement period for a date
+ledgerEntrySchema.statics.getPeriod = function(date = new Date()) {
+  return new Date(date).toISOString().slice(0, 7);
+};
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const payoutSchema = new mongoose.Schema({
+  vendor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Statement period (YYYY-MM)
+  period: {
+    type: String,
+    required: true
+  },
+
+  // Amounts
+  grossAmount: {
+    type: Number,
+    default: 0
+  },
+  platformFee: {
+    type: Number,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Status
+  status: {
+    type: String,
+    enum: ['pending', 'settled'],
+    default: 'pending'
+  },
+  settledAt: Date,
+  settledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reference: String, // Bank transfer UTR etc.
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+payoutSchema.index({ vendor: 1, period: 1 });
+payoutSchema.index({ status: 1 });
+payoutSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Payout', payoutSchema);
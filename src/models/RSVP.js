@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { CURRENCY_SETTINGS, TICKET_SETTINGS } = require('../config/constants');
 
 const rsvpSchema = new mongoose.Schema({
   // References
@@ -12,11 +13,13 @@ const rsvpSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Local day (YYYY-MM-DD) of the occurrence, for events that repeat
+  occurrence: String,
 
   // RSVP Status
   status: {
     type: String,
-    enum: ['going', 'maybe', 'not_going', 'cancelled'],
+    enum: ['going', 'maybe', 'not_going', 'pending_payment', 'waitlisted', 'offered', 'cancelled'],
     default: 'going'
   },
   guestsCount: {
@@ -32,6 +35,12 @@ const rsvpSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  currency: {
+    type: String,
+    uppercase: true,
+    enum: CURRENCY_SETTINGS.SUPPORTED,
+    default: CURRENCY_SETTINGS.BASE
+  },
   paymentStatus: {
     type: String,
     enum: ['unpaid', 'paid', 'refunded'],
@@ -40,13 +49,68 @@ const rsvpSchema = new mongoose.Schema({
   transactionId: String,
   razorpayOrderId: String,
   razorpayPaymentId: String,
+  paymentExpiresAt: Date, // Seat hold expiry while status is pending_payment
+
+  // Waitlist (full events) - lower positions are promoted first
+  waitlistPosition: Number,
+  offerExpiresAt: Date, // Seat hold expiry while status is offered
+
+  // Payment History
+  payments: [{
+    amount: {
+      type: Number,
+      required: true
+    },
+    paymentMethod: String,
+    transactionId: String,
+    status: {
+      type: String,
+      enum: ['captured', 'failed', 'refunded'],
+      default: 'captured'
+    },
+    razorpayOrderId: String,
+    razorpayPaymentId: String,
+    razorpayRefundId: String,
+    paidAt: {
+      type: Date,
+      default: Date.now
+    },
+    notes: String
+  }],
 
-  // Check-in
+  // Check-in - parties can arrive in several goes; checkedIn is set on the first arrival
   checkedIn: {
     type: Boolean,
     default: false
   },
   checkedInAt: Date,
+  checkedInCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  checkIns: [{
+    _id: false,
+    count: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    method: {
+      type: String,
+      enum: TICKET_SETTINGS.CHECK_IN_METHODS,
+      default: 'manual'
+    },
+    checkedInBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    checkedInAt: {
+      type: Date,
+      default: Date.now
+    },
+    syncedAt: Date // Set when the scan was made offline and uploaded later
+  }],
   checkInCode: String,
 
   // Post-event
@@ -64,45 +128,33 @@ const rsvpSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Compound index to prevent duplicate RSVPs
-rsvpSchema.index({ event: 1, attendee: 1 }, { unique: true });
+// Compound index to prevent duplicate RSVPs (one per occurrence of a series)
+rsvpSchema.index({ event: 1, attendee: 1, occurrence: 1 }, { unique: true });
 rsvpSchema.index({ event: 1, status: 1 });
+rsvpSchema.index({ event: 1, occurrence: 1, status: 1 });
 rsvpSchema.index({ createdAt: -1 });
+rsvpSchema.index({ status: 1, paymentExpiresAt: 1 });
+rsvpSchema.index({ event: 1, occurrence: 1, status: 1, waitlistPosition: 1 });
+rsvpSchema.index({ status: 1, offerExpiresAt: 1 });
+rsvpSchema.index({ event: 1, 'checkIns.checkedInAt': 1 });
+rsvpSchema.index({ razorpayOrderId: 1 }, { sparse: true });
+rsvpSchema.index({ 'payments.razorpayPaymentId': 1 }, { sparse: true });
 
 // Update event attendee count
 rsvpSchema.post('save', async function() {
-  const Event = mongoose.model('Event');
-
-  const rsvpCount = await this.constructor.countDocuments({
-    event: this.event,
-    status: 'going'
-  });
-
-  await Event.findByIdAndUpdate(this.event, {
-    currentAttendees: rsvpCount,
-    rsvpCount: rsvpCount
-  });
+  await this.constructor.updateEventCounts(this.event);
 });
 
 // Also update on deletion
 rsvpSchema.post('deleteOne', { document: true, query: false }, async function() {
-  const Event = mongoose.model('Event');
-
-  const rsvpCount = await this.constructor.countDocuments({
-    event: this.event,
-    status: 'going'
-  });
-
-  await Event.findByIdAndUpdate(this.event, {
-    currentAttendees: rsvpCount,
-    rsvpCount: rsvpCount
-  });
+  await this.constructor.updateEventCounts(this.event);
 });
 
 // Generate check-in code before saving
 rsvpSchema.pre('save', function(next) {
   if (this.isNew && !this.checkInCode) {
-    this.checkInCode = `${this.event.toString().substr(-6)}-${this.attendee.toString().substr(-6)}`.toUpperCase();
+    const code = `${this.event.toString().substr(-6)}-${this.attendee.toString().substr(-6)}`;
+    this.checkInCode = (this.occurrence ? `${code}-${this.occurrence.replace(/-/g, '')}` : code).toUpperCase();
   }
   next();
 });
@@ -117,6 +169,59 @@ rsvpSchema.post('save', async function() {
   }
 });
 
+// Method to get how many of the party (attendee + guests) have yet to arrive
+rsvpSchema.methods.getRemainingCheckIns = function() {
+  const partySize = 1 + (this.guestsCount || 0);
+  // Check-ins recorded before parties could arrive in several goes covered everyone
+  const arrived = this.checkedIn && !this.checkedInCount ? partySize : (this.checkedInCount || 0);
+  return Math.max(0, partySize - arrived);
+};
+
+// Method to check in some or all of the party
+rsvpSchema.methods.recordCheckIn = function(count, { method = 'manual', checkedInBy, checkedInAt = new Date(), syncedAt } = {}) {
+  this.checkIns.push({ count, method, checkedInBy, checkedInAt, syncedAt });
+  this.checkedInCount = (this.checkedInCount || 0) + count;
+  if (!this.checkedIn || checkedInAt < this.checkedInAt) {
+    this.checkedIn = true;
+    this.checkedInAt = checkedInAt;
+  }
+};
+
+// Recalculate amount paid and payment status from payment history
+rsvpSchema.methods.recalculatePaymentTotals = function() {
+  const captured = this.payments
+    .filter(p => p.status === 'captured')
+    .reduce((sum, p) => sum + p.amount, 0);
+  const refunded = this.payments
+    .filter(p => p.status === 'refunded')
+    .reduce((sum, p) => sum + p.amount, 0);
+
+  this.amountPaid = Math.max(0, captured - refunded);
+
+  if (refunded > 0 && this.amountPaid === 0) {
+    this.paymentStatus = 'refunded';
+  } else if (this.amountPaid > 0) {
+    this.paymentStatus = 'paid';
+  } else {
+    this.paymentStatus = 'unpaid';
+  }
+};
+
+// Static method to recount an event's going RSVPs (across all occurrences of a series)
+rsvpSchema.statics.updateEventCounts = async function(eventId) {
+  const Event = mongoose.model('Event');
+
+  const rsvpCount = await this.countDocuments({
+    event: eventId,
+    status: 'going'
+  });
+
+  await Event.findByIdAndUpdate(eventId, {
+    currentAttendees: rsvpCount,
+    rsvpCount: rsvpCount
+  });
+};
+
 // Static method to get event attendees
 rsvpSchema.statics.getEventAttendees = function(eventId) {
   return this.find({ event: eventId, status: 'going' })
@@ -124,9 +229,55 @@ rsvpSchema.statics.getEventAttendees = function(eventId) {
     .sort({ createdAt: -1 });
 };
 
+// Static method to count seats held by unpaid RSVPs and waitlist offers (attendee + guests)
+rsvpSchema.statics.getHeldSeats = async function(eventId, excludeAttendeeId = null, occurrence = null) {
+  const now = new Date();
+  const match = {
+    event: new mongoose.Types.ObjectId(eventId),
+    $or: [
+      { status: 'pending_payment', paymentExpiresAt: { $gt: now } },
+      { status: 'offered', offerExpiresAt: { $gt: now } }
+    ]
+  };
+  if (excludeAttendeeId) {
+    match.attendee = { $ne: new mongoose.Types.ObjectId(excludeAttendeeId) };
+  }
+  if (occurrence) {
+    match.occurrence = occurrence;
+  }
+
+  const result = await this.aggregate([
+    { $match: match },
+    { $group: { _id: null, seats: { $sum: { $add: [1, '$guestsCount'] } } } }
+  ]);
+
+  return result.length > 0 ? result[0].seats : 0;
+};
+
+// Static method to count seats taken by going RSVPs (attendee + guests)
+rsvpSchema.statics.countGoingSeats = async function(eventId, excludeAttendeeId = null, occurrence = null) {
+  const match = {
+    event: new mongoose.Types.ObjectId(eventId),
+    status: 'going'
+  };
+  if (excludeAttendeeId) {
+    match.attendee = { $ne: new mongoose.Types.ObjectId(excludeAttendeeId) };
+  }
+  if (occurrence) {
+    match.occurrence = occurrence;
+  }
+
+  const result = await this.aggregate([
+    { $match: match },
+    { $group: { _id: null, seats: { $sum: { $add: [1, '$guestsCount'] } } } }
+  ]);
+
+  return result.length > 0 ? result[0].seats : 0;
+};
+
 // Static method to check if user already RSVPed
-rsvpSchema.statics.hasRSVPed = function(eventId, userId) {
-  return this.findOne({ event: eventId, attendee: userId });
+rsvpSchema.statics.hasRSVPed = function(eventId, userId, occurrence = null) {
+  return this.findOne({ event: eventId, attendee: userId, occurrence });
 };
 
 module.exports = mongoose.model('RSVP', rsvpSchema);
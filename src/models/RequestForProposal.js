@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const { CURRENCY_SETTINGS } = require('../config/constants');
+
+// An organizer's request for proposals, broadcast to matching services.
+// Vendors answer with priced proposals; accepting one turns it into a booking.
+const requestForProposalSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // What is needed
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  category: {
+    type: String,
+    enum: ['food', 'decor', 'photography', 'music', 'cleanup', 'entertainment', 'venue', 'other'],
+    required: true
+  },
+  requirements: {
+    type: String,
+    maxlength: [2000, 'Requirements cannot exceed 2000 characters']
+  },
+  eventDate: {
+    type: Date,
+    required: true
+  },
+  city: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  guests: Number,
+  budget: {
+    min: {
+      type: Number,
+      min: 0
+    },
+    max: {
+      type: Number,
+      min: 0
+    }
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    enum: CURRENCY_SETTINGS.SUPPORTED,
+    default: CURRENCY_SETTINGS.BASE
+  },
+  responseDeadline: {
+    type: Date,
+    required: true
+  },
+
+  // 'awarding' while a proposal is being turned into a booking
+  status: {
+    type: String,
+    enum: ['open', 'awarding', 'awarded', 'cancelled'],
+    default: 'open'
+  },
+
+  // Services the request was sent to
+  invitedServices: [{
+    _id: false,
+    service: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service',
+      required: true
+    },
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    vendorOrganization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'VendorOrganization'
+    },
+    notifiedAt: Date
+  }],
+
+  proposals: [{
+    service: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service',
+      required: true
+    },
+    vendor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    lineItems: [{
+      _id: false,
+      description: {
+        type: String,
+        required: [true, 'Line item description is required'],
+        trim: true
+      },
+      quantity: {
+        type: Number,
+        default: 1,
+        min: 0
+      },
+      unitPrice: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      amount: Number
+    }],
+    total: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // The service's currency, which the booking will use
+    currency: {
+      type: String,
+      required: true
+    },
+    slot: String,
+    message: {
+      type: String,
+      maxlength: [1000, 'Message cannot exceed 1000 characters']
+    },
+    validUntil: Date,
+    status: {
+      type: String,
+      enum: ['submitted', 'withdrawn', 'accepted', 'declined'],
+      default: 'submitted'
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    },
+    revisedAt: Date
+  }],
+
+  // Set when a proposal is accepted
+  acceptedProposal: mongoose.Schema.Types.ObjectId,
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+requestForProposalSchema.index({ organizer: 1, createdAt: -1 });
+requestForProposalSchema.index({ event: 1 });
+requestForProposalSchema.index({ 'invitedServices.service': 1, status: 1 });
+
+// Method to check whether proposals are still being taken
+requestForProposalSchema.methods.isAcceptingProposals = function(now = new Date()) {
+  return this.status === 'open' && this.responseDeadline > now;
+};
+
+// Method to find the invitation for a service
+requestForProposalSchema.methods.getInvitation = function(serviceId) {
+  return this.invitedServices.find(i => i.service.toString() === serviceId.toString()) || null;
+};
+
+// Method to find a service's live proposal
+requestForProposalSchema.methods.getActiveProposal = function(serviceId) {
+  return this.proposals.find(p => p.service.toString() === serviceId.toString() && p.status === 'submitted') || null;
+};
+
+// Method to add or revise a service's proposal
+requestForProposalSchema.methods.submitProposal = function({ service, vendor, submittedBy, lineItems, currency, slot, message, validUntil }) {
+  const items = lineItems.map(item => {
+    const quantity = item.quantity !== undefined ? Number(item.quantity) : 1;
+    return {
+      description: item.description,
+      quantity,
+      unitPrice: Number(item.unitPrice),
+      amount: Math.round(quantity * item.unitPrice * 100) / 100
+    };
+  });
+  const fields = {
+    submittedBy,
+    lineItems: items,
+    total: Math.round(items.reduce((sum, item) => sum + item.amount, 0) * 100) / 100,
+    currency,
+    slot,
+    message,
+    validUntil
+  };
+
+  const existing = this.getActiveProposal(service);
+  if (existing) {
+    existing.set({ ...fields, revisedAt: new Date() });
+    return existing;
+  }
+
+  this.proposals.push({ service, vendor, ...fields });
+  return this.proposals[this.proposals.length - 1];
+};
+
+module.exports = mongoose.model('RequestForProposal', requestForProposalSchema);
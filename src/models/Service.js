@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const { CURRENCY_SETTINGS } = require('../config/constants');
 
 const serviceSchema = new mongoose.Schema({
   serviceName: {
@@ -20,6 +21,11 @@ const serviceSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Team that runs this service's bookings (the provider owns it)
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VendorOrganization'
+  },
 
   // Details
   category: {
@@ -44,6 +50,12 @@ const serviceSchema = new mongoose.Schema({
     enum: ['per_event', 'per_hour', 'per_day', 'per_person'],
     required: true
   },
+  currency: {
+    type: String,
+    uppercase: true,
+    enum: CURRENCY_SETTINGS.SUPPORTED,
+    default: CURRENCY_SETTINGS.BASE
+  },
 
   // Dynamic Pricing (Phase 2)
   surgeMultiplier: {
@@ -59,6 +71,69 @@ const serviceSchema = new mongoose.Schema({
   },
   lastMinutePrice: Number,
 
+  // Packages - priced tiers (e.g. Silver/Gold) that replace the base price when chosen
+  packages: [{
+    name: {
+      type: String,
+      required: [true, 'Package name is required'],
+      trim: true,
+      maxlength: [100, 'Package name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      maxlength: [1000, 'Package description cannot exceed 1000 characters']
+    },
+    price: {
+      type: Number,
+      required: [true, 'Package price is required'],
+      min: 0
+    },
+    priceUnit: {
+      type: String,
+      enum: ['per_event', 'per_hour', 'per_day', 'per_person'],
+      default: 'per_event'
+    },
+    includedItems: [String],
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+
+  // Add-ons - optional extras priced on top of the base price or package
+  addOns: [{
+    name: {
+      type: String,
+      required: [true, 'Add-on name is required'],
+      trim: true,
+      maxlength: [100, 'Add-on name cannot exceed 100 characters']
+    },
+    description: {
+      type: String,
+      maxlength: [500, 'Add-on description cannot exceed 500 characters']
+    },
+    price: {
+      type: Number,
+      required: [true, 'Add-on price is required'],
+      min: 0
+    },
+    // per_unit add-ons are charged per quantity ordered (e.g. 2 extra hours, 3 drone shots)
+    priceUnit: {
+      type: String,
+      enum: ['per_event', 'per_hour', 'per_day', 'per_person', 'per_unit'],
+      default: 'per_unit'
+    },
+    maxQuantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  }],
+
   // Media
   portfolioImages: [String],
   portfolioVideos: [String],
@@ -91,6 +166,84 @@ const serviceSchema = new mongoose.Schema({
   availableDates: [Date],
   blackoutDates: [Date],
 
+  // Booking calendar - confirmed bookings take capacity, buffers block time around them
+  calendar: {
+    mode: {
+      type: String,
+      enum: ['day', 'slot'],
+      default: 'day'
+    },
+    timezone: {
+      type: String,
+      default: 'Asia/Kolkata'
+    },
+    capacityPerDay: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    slots: [{
+      _id: false,
+      start: {
+        type: String,
+        required: true,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Slot start must be HH:mm']
+      },
+      end: {
+        type: String,
+        required: true,
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Slot end must be HH:mm']
+      },
+      capacity: {
+        type: Number,
+        default: 1,
+        min: 1
+      }
+    }],
+    bufferBeforeMinutes: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    bufferAfterMinutes: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  // External calendars (uploaded .ics files or ICS URLs synced in the background);
+  // their busy periods block the vendor's time like blackout dates
+  externalCalendars: {
+    type: [{
+      name: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Calendar name cannot exceed 100 characters']
+      },
+      source: {
+        type: String,
+        enum: ['upload', 'url'],
+        required: true
+      },
+      url: String,
+      lastSyncedAt: Date,
+      lastAttemptAt: Date,
+      lastSyncError: String,
+      busy: [{
+        _id: false,
+        start: Date,
+        end: Date
+      }]
+    }],
+    select: false
+  },
+  // Bumped whenever a booking takes capacity, so concurrent confirmations can detect each other
+  calendarVersion: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+
   // Stats
   ratingAverage: {
     type: Number,
@@ -147,6 +300,7 @@ const serviceSchema = new mongoose.Schema({
 
 // Indexes (slug already indexed via unique: true in schema)
 serviceSchema.index({ provider: 1 });
+serviceSchema.index({ organization: 1 }, { sparse: true });
 serviceSchema.index({ category: 1 });
 serviceSchema.index({ city: 1 });
 serviceSchema.index({ availability: 1 });
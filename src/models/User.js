@@ -124,6 +124,12 @@ const userSchema = new mongoose.Schema({
   emailVerificationToken: String,
   emailVerificationExpires: Date,
 
+  // Calendar subscription feeds (hashed, the raw token is only shown once)
+  calendarFeedToken: {
+    type: String,
+    select: false
+  },
+
   // Phone Verification (OTP)
   phoneOTP: {
     type: String,
@@ -175,6 +181,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ city: 1 });
 userSchema.index({ userType: 1 });
 userSchema.index({ location: '2dsphere' });
+userSchema.index({ calendarFeedToken: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -227,6 +234,7 @@ userSchema.methods.toJSON = function() {
   delete obj.refreshTokens;
   delete obj.passwordResetToken;
   delete obj.passwordResetExpires;
+  delete obj.calendarFeedToken;
   delete obj.__v;
   return obj;
 };
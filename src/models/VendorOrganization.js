@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { VENDOR_MEMBER_ROLES } = require('../config/constants');
+
+// A vendor business run by a team. The owner's services are listed under it,
+// so bookings for them can be handled by every member according to their role.
+const vendorOrganizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Organization name is required'],
+    trim: true,
+    maxlength: [200, 'Organization name cannot exceed 200 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  logo: String,
+  phone: String,
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+
+  // Receives payouts for the organization's services
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Everyone on the team, the owner included
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: Object.values(VENDOR_MEMBER_ROLES),
+      required: true
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+vendorOrganizationSchema.index({ owner: 1 });
+vendorOrganizationSchema.index({ 'members.user': 1 });
+
+// Validate members: one owner, who is the organization's owner, and no one listed twice
+vendorOrganizationSchema.pre('validate', function(next) {
+  const owners = this.members.filter(m => m.role === VENDOR_MEMBER_ROLES.OWNER);
+  if (owners.length !== 1 || owners[0].user.toString() !== this.owner.toString()) {
+    return next(new Error('An organization must have exactly one owner member'));
+  }
+
+  const userIds = this.members.map(m => m.user.toString());
+  if (new Set(userIds).size !== userIds.length) {
+    return next(new Error('A user can only be a member once'));
+  }
+
+  next();
+});
+
+// Method to get a user's member entry
+vendorOrganizationSchema.methods.getMember = function(userId) {
+  const id = (userId && userId._id ? userId._id : userId).toString();
+  return this.members.find(m => (m.user._id || m.user).toString() === id) || null;
+};
+
+// Method to get a user's role, or null if they are not a member
+vendorOrganizationSchema.methods.getMemberRole = function(userId) {
+  const member = this.getMember(userId);
+  return member ? member.role : null;
+};
+
+// Static method to find active organizations a user belongs to
+vendorOrganizationSchema.statics.findForMember = function(userId, roles) {
+  const member = { user: userId };
+  if (roles) member.role = { $in: roles };
+  return this.find({ members: { $elemMatch: member }, isActive: true });
+};
+
+module.exports = mongoose.model('VendorOrganization', vendorOrganizationSchema);
@@ -7,6 +7,13 @@ const RSVP = require('./RSVP');
 const Message = require('./Message');
 const Review = require('./Review');
 const Notification = require('./Notification');
+const LedgerEntry = require('./LedgerEntry');
+const Payout = require('./Payout');
+const Counter = require('./Counter');
+const VendorOrganization = require('./VendorOrganization');
+const RequestForProposal = require('./RequestForProposal');
+const Invitation = require('./Invitation');
+const InviteLink = require('./InviteLink');
 
 module.exports = {
   User,
@@ -17,5 +24,12 @@ module.exports = {
   RSVP,
   Message,
   Review,
-  Notification
+  Notification,
+  LedgerEntry,
+  Payout,
+  Counter,
+  VendorOrganization,
+  RequestForProposal,
+  Invitation,
+  InviteLink
 };
@@ -8,11 +8,20 @@ const { validate, bookingValidations, paramValidations, paginationValidations }
 // All routes are protected
 router.use(protect);
 
-router.get('/', paginationValidations, validate, bookingController.getBookings);
-router.get('/stats', bookingController.getBookingStats);
-router.get('/vendor/upcoming', bookingController.getVendorUpcomingBookings);
+router.get('/', paginationValidations, bookingValidations.vendorScope, validate, bookingController.getBookings);
+router.get('/stats', bookingValidations.vendorScope, validate, bookingController.getBookingStats);
+router.get('/vendor/upcoming', bookingValidations.vendorScope, validate, bookingController.getVendorUpcomingBookings);
+router.get('/milestones/overdue', bookingController.getOverdueMilestones);
 router.get('/event/:eventId', bookingController.getEventBookings);
 router.get('/:id', paramValidations.mongoId, validate, bookingController.getBooking);
+router.get('/:id/history', paramValidations.mongoId, validate, bookingController.getBookingHistory);
+router.get('/:id/invoice.pdf', paramValidations.mongoId, validate, bookingController.getInvoice);
+router.get(
+  '/:id/payments/:paymentId/receipt.pdf',
+  paramValidations.mongoId,
+  validate,
+  bookingController.getPaymentReceipt
+);
 
 router.post(
   '/',
@@ -25,9 +34,90 @@ router.post(
 router.put('/:id', paramValidations.mongoId, validate, bookingController.updateBooking);
 
 router.post('/:id/confirm', paramValidations.mongoId, validate, bookingController.confirmBooking);
+router.post('/:id/hold', paramValidations.mongoId, bookingValidations.hold, validate, bookingController.placeHold);
+router.delete('/:id/hold', paramValidations.mongoId, validate, bookingController.releaseHold);
 router.post('/:id/cancel', paramValidations.mongoId, validate, bookingController.cancelBooking);
+router.post('/:id/start', paramValidations.mongoId, validate, bookingController.startBooking);
 router.post('/:id/complete', paramValidations.mongoId, validate, bookingController.completeBooking);
-router.post('/:id/payment', paramValidations.mongoId, validate, bookingController.updatePayment);
-router.put('/:id/payment', paramValidations.mongoId, validate, bookingController.recordPayment);
+router.post('/:id/payment', paramValidations.mongoId, bookingValidations.payment, validate, bookingController.updatePayment);
+router.put('/:id/payment', paramValidations.mongoId, bookingValidations.payment, validate, bookingController.recordPayment);
+router.put(
+  '/:id/schedule',
+  paramValidations.mongoId,
+  bookingValidations.schedule,
+  validate,
+  bookingController.updatePaymentSchedule
+);
+
+// Quote / counter-offer negotiation
+router.get('/:id/offers', paramValidations.mongoId, validate, bookingController.getOffers);
+router.post(
+  '/:id/offers',
+  paramValidations.mongoId,
+  bookingValidations.offer,
+  validate,
+  bookingController.createOffer
+);
+router.post(
+  '/:id/offers/:version/accept',
+  paramValidations.mongoId,
+  bookingValidations.offerVersion,
+  validate,
+  bookingController.acceptOffer
+);
+router.post(
+  '/:id/offers/:version/reject',
+  paramValidations.mongoId,
+  bookingValidations.offerVersion,
+  validate,
+  bookingController.rejectOffer
+);
+
+// Change requests after confirmation
+router.get('/:id/change-requests', paramValidations.mongoId, validate, bookingController.getChangeRequests);
+router.post(
+  '/:id/change-requests',
+  paramValidations.mongoId,
+  bookingValidations.changeRequest,
+  validate,
+  bookingController.createChangeRequest
+);
+router.post(
+  '/:id/change-requests/:requestId/accept',
+  paramValidations.mongoId,
+  bookingValidations.changeRequestResponse,
+  validate,
+  bookingController.acceptChangeRequest
+);
+router.post(
+  '/:id/change-requests/:requestId/reject',
+  paramValidations.mongoId,
+  bookingValidations.changeRequestResponse,
+  validate,
+  bookingController.rejectChangeRequest
+);
+router.delete(
+  '/:id/change-requests/:requestId',
+  paramValidations.mongoId,
+  bookingValidations.changeRequestId,
+  validate,
+  bookingController.withdrawChangeRequest
+);
+
+// Online checkout (Razorpay)
+router.post(
+  '/:id/checkout',
+  paramValidations.mongoId,
+  bookingValidations.checkout,
+  validate,
+  bookingController.createCheckout
+);
+router.post(
+  '/:id/checkout/verify',
+  paramValidations.mongoId,
+  bookingValidations.verifyCheckout,
+  validate,
+  bookingController.verifyCheckout
+);
 
 module.exports = router;
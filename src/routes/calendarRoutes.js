@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+const { protect } = require('../middlewares/auth');
+const { validate, calendarValidations } = require('../middlewares/validation');
+
+// Public route - calendar apps authenticate with the secret feed token in the URL
+router.get('/feeds/:token/:feed.ics', calendarValidations.feed, validate, calendarController.getFeed);
+
+// Protected routes
+router.use(protect);
+
+router.post('/feed-token', calendarController.createFeedToken);
+router.delete('/feed-token', calendarController.revokeFeedToken);
+
+module.exports = router;
@@ -15,7 +15,28 @@ router.get('/slug/:slug', cache(60), eventController.getEventBySlug);
 // Protected route - must be before /:id to avoid matching "my-events" as an id
 router.get('/my-events', protect, eventController.getMyEvents);
 
+// Templates - also before /:id
+router.get('/templates', eventValidations.templates, paginationValidations, validate, eventController.getTemplates);
+router.get('/templates/mine', protect, paginationValidations, validate, eventController.getMyTemplates);
+router.get('/templates/:id', optionalAuth, paramValidations.mongoId, validate, eventController.getTemplate);
+router.post(
+  '/templates/:id/use',
+  protect,
+  paramValidations.mongoId,
+  eventValidations.useTemplate,
+  validate,
+  eventController.useTemplate
+);
+
 router.get('/:id', paramValidations.mongoId, validate, eventController.getEvent);
+router.get('/:id/calendar.ics', optionalAuth, paramValidations.mongoId, validate, eventController.getEventCalendar);
+router.get(
+  '/:id/occurrences',
+  paramValidations.mongoId,
+  eventValidations.occurrences,
+  validate,
+  eventController.getOccurrences
+);
 
 // Protected routes
 router.use(protect);
@@ -42,7 +63,49 @@ router.post('/:id/unpublish', paramValidations.mongoId, validate, eventControlle
 router.post('/:id/cancel', paramValidations.mongoId, validate, eventController.cancelEvent);
 router.post('/:id/complete', paramValidations.mongoId, validate, eventController.completeEvent);
 
+// Recurring series: ?scope=this (default) or ?scope=following
+router.put(
+  '/:id/occurrences/:day',
+  paramValidations.mongoId,
+  eventValidations.occurrence,
+  eventValidations.update,
+  eventValidations.occurrenceUpdate,
+  validate,
+  eventController.updateOccurrence
+);
+router.delete(
+  '/:id/occurrences/:day',
+  paramValidations.mongoId,
+  eventValidations.occurrence,
+  validate,
+  eventController.cancelOccurrence
+);
+
+router.post(
+  '/:id/template',
+  paramValidations.mongoId,
+  eventValidations.template,
+  validate,
+  eventController.saveAsTemplate
+);
+
 router.post('/:id/co-organizers', paramValidations.mongoId, validate, eventController.addCoOrganizer);
 router.delete('/:id/co-organizers/:userId', eventController.removeCoOrganizer);
 
+// Door staff can only check guests in
+router.post(
+  '/:id/door-staff',
+  paramValidations.mongoId,
+  eventValidations.doorStaff,
+  validate,
+  eventController.addDoorStaff
+);
+router.delete(
+  '/:id/door-staff/:userId',
+  paramValidations.mongoId,
+  eventValidations.doorStaffId,
+  validate,
+  eventController.removeDoorStaff
+);
+
 module.exports = router;
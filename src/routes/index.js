@@ -12,6 +12,12 @@ const rsvpRoutes = require('./rsvpRoutes');
 const messageRoutes = require('./messageRoutes');
 const reviewRoutes = require('./reviewRoutes');
 const notificationRoutes = require('./notificationRoutes');
+const paymentRoutes = require('./paymentRoutes');
+const vendorRoutes = require('./vendorRoutes');
+const payoutRoutes = require('./payoutRoutes');
+const calendarRoutes = require('./calendarRoutes');
+const rfpRoutes = require('./rfpRoutes');
+const invitationRoutes = require('./invitationRoutes');
 
 // Mount routes
 router.use('/auth', authRoutes);
@@ -24,6 +30,12 @@ router.use('/rsvps', rsvpRoutes);
 router.use('/messages', messageRoutes);
 router.use('/reviews', reviewRoutes);
 router.use('/notifications', notificationRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/vendors', vendorRoutes);
+router.use('/payouts', payoutRoutes);
+router.use('/calendar', calendarRoutes);
+router.use('/rfps', rfpRoutes);
+router.use('/invitations', invitationRoutes);
 
 // Health check
 router.get('/health', (req, res) => {
@@ -54,7 +66,13 @@ router.get('/health', (req, res) => {
       rsvps: '/api/v1/rsvps',
       messages: '/api/v1/messages',
       reviews: '/api/v1/reviews',
-      notifications: '/api/v1/notifications'
+      notifications: '/api/v1/notifications',
+      payments: '/api/v1/payments',
+      vendors: '/api/v1/vendors',
+      payouts: '/api/v1/payouts',
+      calendar: '/api/v1/calendar',
+      rfps: '/api/v1/rfps',
+      invitations: '/api/v1/invitations'
     }
   });
 });
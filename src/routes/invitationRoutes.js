@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const invitationController = require('../controllers/invitationController');
+const { protect } = require('../middlewares/auth');
+const { validate, invitationValidations, paramValidations, paginationValidations } = require('../middlewares/validation');
+
+// Public - preview an invitation or invite link before signing in
+router.get('/open/:token', invitationValidations.token, validate, invitationController.openInvitation);
+
+// Protected routes
+router.use(protect);
+
+router.post('/open/:token', invitationValidations.token, validate, invitationController.redeemInvitation);
+router.get('/my-invitations', paginationValidations, validate, invitationController.getMyInvitations);
+
+// Organizer
+router
+  .route('/event/:eventId')
+  .get(invitationValidations.eventId, paginationValidations, validate, invitationController.getEventInvitations)
+  .post(invitationValidations.eventId, invitationValidations.invite, validate, invitationController.inviteGuests);
+
+router
+  .route('/event/:eventId/links')
+  .get(invitationValidations.eventId, validate, invitationController.getInviteLinks)
+  .post(invitationValidations.eventId, invitationValidations.link, validate, invitationController.createInviteLink);
+
+router.delete('/links/:id', paramValidations.mongoId, validate, invitationController.revokeInviteLink);
+
+// Guest
+router
+  .route('/:id')
+  .get(paramValidations.mongoId, validate, invitationController.getInvitation)
+  .delete(paramValidations.mongoId, validate, invitationController.revokeInvitation);
+
+router.post('/:id/accept', paramValidations.mongoId, validate, invitationController.acceptInvitation);
+router.post('/:id/decline', paramValidations.mongoId, validate, invitationController.declineInvitation);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+
+// Public route - Razorpay calls this, authenticity is checked via signature
+router.post('/webhook', paymentController.handleWebhook);
+
+module.exports = router;
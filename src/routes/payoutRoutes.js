@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const payoutController = require('../controllers/payoutController');
+const { protect, restrictTo } = require('../middlewares/auth');
+const { validate, paramValidations, paginationValidations } = require('../middlewares/validation');
+
+// All routes are admin only
+router.use(protect, restrictTo('admin'));
+
+router.get('/', paginationValidations, validate, payoutController.getPayouts);
+router.post('/batches', payoutController.createPayoutBatches);
+router.get('/:id', paramValidations.mongoId, validate, payoutController.getPayout);
+router.post('/:id/settle', paramValidations.mongoId, validate, payoutController.settlePayout);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const rfpController = require('../controllers/rfpController');
+const { protect } = require('../middlewares/auth');
+const { validate, rfpValidations, paramValidations, paginationValidations } = require('../middlewares/validation');
+
+// All routes are protected
+router.use(protect);
+
+router
+  .route('/')
+  .get(paginationValidations, validate, rfpController.getMyRfps)
+  .post(rfpValidations.create, validate, rfpController.createRfp);
+
+router.get('/invited', paginationValidations, validate, rfpController.getInvitedRfps);
+router.get('/:id', paramValidations.mongoId, validate, rfpController.getRfp);
+router.post('/:id/cancel', paramValidations.mongoId, validate, rfpController.cancelRfp);
+
+// Proposals
+router.post(
+  '/:id/proposals',
+  paramValidations.mongoId,
+  rfpValidations.proposal,
+  validate,
+  rfpController.submitProposal
+);
+router.get('/:id/proposals/compare', paramValidations.mongoId, validate, rfpController.compareProposals);
+router.post(
+  '/:id/proposals/:proposalId/accept',
+  paramValidations.mongoId,
+  rfpValidations.proposalId,
+  validate,
+  rfpController.acceptProposal
+);
+router.delete(
+  '/:id/proposals/:proposalId',
+  paramValidations.mongoId,
+  rfpValidations.proposalId,
+  validate,
+  rfpController.withdrawProposal
+);
+
+module.exports = router;
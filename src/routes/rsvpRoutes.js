@@ -11,6 +11,7 @@ router.get('/my-rsvps', paginationValidations, validate, rsvpController.getMyRSV
 router.get('/event/:eventId', paginationValidations, validate, rsvpController.getEventRSVPs);
 router.get('/event/:eventId/my-rsvp', rsvpController.getMyRSVP);
 router.get('/event/:eventId/stats', rsvpController.getRSVPStats);
+router.get('/event/:eventId/waitlist', rsvpValidations.waitlist, validate, rsvpController.getWaitlist);
 
 router.post(
   '/',
@@ -19,11 +20,54 @@ router.post(
   rsvpController.createRSVP
 );
 
-router.put('/:id', paramValidations.mongoId, validate, rsvpController.updateRSVP);
+router.put('/:id', paramValidations.mongoId, rsvpValidations.update, validate, rsvpController.updateRSVP);
+router.put(
+  '/:id/waitlist-position',
+  paramValidations.mongoId,
+  rsvpValidations.waitlistPosition,
+  validate,
+  rsvpController.reorderWaitlist
+);
 router.delete('/:id', paramValidations.mongoId, validate, rsvpController.cancelRSVP);
+router.post(
+  '/:id/payment/verify',
+  paramValidations.mongoId,
+  rsvpValidations.verifyPayment,
+  validate,
+  rsvpController.verifyRSVPPayment
+);
 
-router.post('/:id/check-in', paramValidations.mongoId, validate, rsvpController.checkInAttendee);
-router.post('/check-in-code', rsvpController.checkInByCode);
+// Tickets and check-in
+router.get('/event/:eventId/ticket-key', rsvpController.getTicketKey);
+router.get(
+  '/event/:eventId/check-in-dashboard',
+  rsvpValidations.checkInDashboard,
+  validate,
+  rsvpController.getCheckInDashboard
+);
+router.post('/event/:eventId/check-in-sync', rsvpValidations.checkInSync, validate, rsvpController.syncCheckIns);
+router.get('/:id/ticket', paramValidations.mongoId, rsvpValidations.ticket, validate, rsvpController.getTicket);
+router.post(
+  '/:id/check-in',
+  paramValidations.mongoId,
+  rsvpValidations.checkIn,
+  validate,
+  rsvpController.checkInAttendee
+);
+router.post(
+  '/check-in-code',
+  rsvpValidations.checkInByCode,
+  rsvpValidations.checkIn,
+  validate,
+  rsvpController.checkInByCode
+);
+router.post(
+  '/check-in-ticket',
+  rsvpValidations.checkInByTicket,
+  rsvpValidations.checkIn,
+  validate,
+  rsvpController.checkInByTicket
+);
 router.post('/:id/attended', paramValidations.mongoId, validate, rsvpController.markAttended);
 router.post('/:id/rate', paramValidations.mongoId, validate, rsvpController.rateEvent);
 
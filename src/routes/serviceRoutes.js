@@ -3,8 +3,16 @@ const router = express.Router();
 const serviceController = require('../controllers/serviceController');
 const { protect, restrictTo } = require('../middlewares/auth');
 const { cache } = require('../middlewares/cache');
+const uploadService = require('../services/uploadService');
+const { CALENDAR_IMPORT_SETTINGS } = require('../config/constants');
 const { validate, serviceValidations, paramValidations, paginationValidations } = require('../middlewares/validation');
 
+// .ics uploads are read from memory; calendar apps are inconsistent about the MIME type
+const calendarUpload = uploadService.getMemoryMulter({
+  maxSize: CALENDAR_IMPORT_SETTINGS.MAX_FILE_BYTES,
+  allowedTypes: ['text/calendar', 'text/plain', 'application/octet-stream', 'application/ics']
+}).single('file');
+
 // Public routes
 router.get('/', cache(300), paginationValidations, validate, serviceController.getServices);
 router.get('/top-rated', cache(300), serviceController.getTopRatedServices);
@@ -17,6 +25,8 @@ router.get('/my-services', protect, serviceController.getMyServices);
 
 router.get('/:id', paramValidations.mongoId, validate, serviceController.getService);
 router.get('/:id/check-availability', paramValidations.mongoId, validate, serviceController.checkAvailability);
+router.get('/:id/calendar', paramValidations.mongoId, serviceValidations.calendar, validate, serviceController.getCalendar);
+router.get('/:id/quote', paramValidations.mongoId, serviceValidations.quote, validate, serviceController.getQuote);
 
 // Protected routes
 router.use(protect);
@@ -31,13 +41,46 @@ router.post(
 router.put(
   '/:id',
   paramValidations.mongoId,
+  serviceValidations.update,
   validate,
   serviceController.updateService
 );
 
 router.delete('/:id', paramValidations.mongoId, validate, serviceController.deleteService);
 
-router.put('/:id/availability', paramValidations.mongoId, validate, serviceController.updateAvailability);
+router.put(
+  '/:id/availability',
+  paramValidations.mongoId,
+  serviceValidations.availability,
+  validate,
+  serviceController.updateAvailability
+);
+
+router.get('/:id/external-calendars', paramValidations.mongoId, validate, serviceController.getExternalCalendars);
+router.post(
+  '/:id/external-calendars',
+  calendarUpload,
+  paramValidations.mongoId,
+  serviceValidations.externalCalendar,
+  validate,
+  serviceController.addExternalCalendar
+);
+router.post(
+  '/:id/external-calendars/:calendarId/sync',
+  calendarUpload,
+  paramValidations.mongoId,
+  serviceValidations.externalCalendarId,
+  validate,
+  serviceController.syncExternalCalendar
+);
+router.delete(
+  '/:id/external-calendars/:calendarId',
+  paramValidations.mongoId,
+  serviceValidations.externalCalendarId,
+  validate,
+  serviceController.removeExternalCalendar
+);
+
 router.get('/:id/stats', paramValidations.mongoId, validate, serviceController.getServiceStats);
 
 // Admin routes
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const payoutController = require('../controllers/payoutController');
+const vendorOrganizationController = require('../controllers/vendorOrganizationController');
+const { protect } = require('../middlewares/auth');
+const {
+  validate,
+  bookingValidations,
+  vendorOrganizationValidations,
+  paramValidations
+} = require('../middlewares/validation');
+
+// All routes are protected
+router.use(protect);
+
+router.get('/me/payouts', bookingValidations.vendorScope, validate, payoutController.getMyPayouts);
+
+// Organizations (vendor teams)
+router
+  .route('/organizations')
+  .get(vendorOrganizationController.getMyOrganizations)
+  .post(vendorOrganizationValidations.create, validate, vendorOrganizationController.createOrganization);
+
+router
+  .route('/organizations/:id')
+  .get(paramValidations.mongoId, validate, vendorOrganizationController.getOrganization)
+  .put(
+    paramValidations.mongoId,
+    vendorOrganizationValidations.update,
+    validate,
+    vendorOrganizationController.updateOrganization
+  )
+  .delete(paramValidations.mongoId, validate, vendorOrganizationController.deleteOrganization);
+
+router.post(
+  '/organizations/:id/members',
+  paramValidations.mongoId,
+  vendorOrganizationValidations.addMember,
+  validate,
+  vendorOrganizationController.addMember
+);
+
+router
+  .route('/organizations/:id/members/:userId')
+  .put(
+    paramValidations.mongoId,
+    vendorOrganizationValidations.updateMember,
+    validate,
+    vendorOrganizationController.updateMember
+  )
+  .delete(
+    paramValidations.mongoId,
+    vendorOrganizationValidations.member,
+    validate,
+    vendorOrganizationController.removeMember
+  );
+
+router
+  .route('/organizations/:id/services/:serviceId')
+  .post(
+    paramValidations.mongoId,
+    vendorOrganizationValidations.service,
+    validate,
+    vendorOrganizationController.addService
+  )
+  .delete(
+    paramValidations.mongoId,
+    vendorOrganizationValidations.service,
+    validate,
+    vendorOrganizationController.removeService
+  );
+
+module.exports = router;
@@ -0,0 +1,279 @@
+const Booking = require('../models/Booking');
+const Service = require('../models/Service');
+const ApiError = require('../utils/apiError');
+const { zonedTimeToUtc, formatDayInZone } = require('../utils/helpers');
+const { CALENDAR_SETTINGS, PRICING_SETTINGS } = require('../config/constants');
+
+const MINUTE_MS = 60 * 1000;
+
+// Booking fields set from a calendar interval
+const INTERVAL_FIELDS = ['slot', 'startsAt', 'endsAt', 'blockedFrom', 'blockedUntil'];
+
+class AvailabilityService {
+  // Calendars run in the vendor's timezone
+  getTimeZone(service) {
+    return (service.calendar && service.calendar.timezone) || PRICING_SETTINGS.TIMEZONE;
+  }
+
+  // Date-only values (midnight UTC) are taken as that calendar day, anything else in the zone
+  getLocalDay(date, timeZone) {
+    const value = new Date(date);
+    if (value.getUTCHours() === 0 && value.getUTCMinutes() === 0 && value.getUTCSeconds() === 0) {
+      return value.toISOString().slice(0, 10);
+    }
+    return formatDayInZone(value, timeZone);
+  }
+
+  addDays(day, days) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Day mode is a single whole-day slot holding capacityPerDay bookings
+  getSlots(service) {
+    const calendar = service.calendar || {};
+    if (calendar.mode === 'slot' && calendar.slots && calendar.slots.length > 0) {
+      return calendar.slots;
+    }
+    return [{ start: '00:00', end: '24:00', capacity: calendar.capacityPerDay || 1 }];
+  }
+
+  getSlotInterval(service, day, slot, timeZone) {
+    const calendar = service.calendar || {};
+    const endDay = slot.end > slot.start ? day : this.addDays(day, 1);
+    const startsAt = zonedTimeToUtc(day, slot.start, timeZone);
+    const endsAt = zonedTimeToUtc(endDay, slot.end, timeZone);
+
+    return {
+      day,
+      slot: calendar.mode === 'slot' ? { start: slot.start, end: slot.end } : undefined,
+      capacity: slot.capacity || 1,
+      startsAt,
+      endsAt,
+      blockedFrom: new Date(startsAt.getTime() - (calendar.bufferBeforeMinutes || 0) * MINUTE_MS),
+      blockedUntil: new Date(endsAt.getTime() + (calendar.bufferAfterMinutes || 0) * MINUTE_MS)
+    };
+  }
+
+  // Work out the time a booking occupies on the vendor's calendar
+  resolveInterval(service, date, slotStart) {
+    const zone = this.getTimeZone(service);
+    const day = this.getLocalDay(date, zone);
+    const slots = this.getSlots(service);
+    let slot = slots[0];
+
+    if (service.calendar && service.calendar.mode === 'slot') {
+      slot = slots.find(s => s.start === slotStart);
+      if (!slot) {
+        throw new ApiError(`Choose one of the available time slots: ${slots.map(s => `${s.start}-${s.end}`).join(', ')}`, 400);
+      }
+    }
+
+    return this.getSlotInterval(service, day, slot, zone);
+  }
+
+  applyInterval(booking, interval) {
+    booking.slot = interval.slot;
+    booking.startsAt = interval.startsAt;
+    booking.endsAt = interval.endsAt;
+    booking.blockedFrom = interval.blockedFrom;
+    booking.blockedUntil = interval.blockedUntil;
+  }
+
+  isBlackout(service, day) {
+    const zone = this.getTimeZone(service);
+    return (service.blackoutDates || []).some(d => this.getLocalDay(d, zone) === day);
+  }
+
+  overlaps(booking, from, until) {
+    return booking.blockedFrom < until && booking.blockedUntil > from;
+  }
+
+  // Active bookings whose blocked time overlaps a range
+  async getOverlappingBookings(serviceId, from, until, excludeId) {
+    const query = {
+      service: serviceId,
+      status: { $in: [...CALENDAR_SETTINGS.BOOKED_STATUSES, ...CALENDAR_SETTINGS.HELD_STATUSES] },
+      blockedFrom: { $lt: until },
+      blockedUntil: { $gt: from }
+    };
+    if (excludeId) query._id = { $ne: excludeId };
+
+    return Booking.find(query).select('status hold blockedFrom blockedUntil').lean();
+  }
+
+  // Busy periods imported from the vendor's external calendars that overlap a range
+  async getExternalBusy(serviceId, from, until) {
+    const service = await Service.findById(serviceId).select('+externalCalendars').lean();
+    if (!service || !service.externalCalendars) return [];
+
+    return service.externalCalendars
+      .reduce((periods, calendar) => periods.concat(calendar.busy || []), [])
+      .filter(period => period.start < until && period.end > from);
+  }
+
+  // booked: confirmed; held: pending with a live tentative hold; requested: pending without one
+  classify(booking, now = new Date()) {
+    if (CALENDAR_SETTINGS.BOOKED_STATUSES.includes(booking.status)) return 'booked';
+
+    const hold = booking.hold || {};
+    if (hold.placedAt && !hold.expiredAt && (hold.securedAt || hold.expiresAt > now)) return 'held';
+
+    return 'requested';
+  }
+
+  // Confirmed bookings and holds take capacity; plain requests don't
+  summarize(interval, bookings, now = new Date()) {
+    const counts = { booked: 0, held: 0, requested: 0 };
+    bookings
+      .filter(b => this.overlaps(b, interval.blockedFrom, interval.blockedUntil))
+      .forEach((b) => { counts[this.classify(b, now)] += 1; });
+
+    let status = 'free';
+    if (counts.booked >= interval.capacity) status = 'booked';
+    else if (counts.booked + counts.held >= interval.capacity) status = 'held';
+
+    return { ...counts, capacity: interval.capacity, status };
+  }
+
+  // Check whether an interval still has capacity
+  async checkInterval(service, interval, excludeId) {
+    const [bookings, externalBusy] = await Promise.all([
+      this.getOverlappingBookings(service._id, interval.blockedFrom, interval.blockedUntil, excludeId),
+      this.getExternalBusy(service._id, interval.blockedFrom, interval.blockedUntil)
+    ]);
+    const blackout = this.isBlackout(service, interval.day);
+    const busy = externalBusy.length > 0;
+    const summary = this.summarize(interval, bookings);
+
+    return {
+      ...summary,
+      day: interval.day,
+      slot: interval.slot,
+      blackout,
+      busy,
+      available: !blackout && !busy && service.availability !== 'not_taking_orders' && summary.status === 'free'
+    };
+  }
+
+  assertAvailable(check) {
+    if (check.blackout) {
+      throw new ApiError('The vendor is not available on this date', 409);
+    }
+    if (check.busy) {
+      throw new ApiError('The vendor has another commitment at this time', 409);
+    }
+    if (check.status === 'booked') {
+      throw new ApiError('The vendor is already booked at this time', 409);
+    }
+    if (check.status === 'held') {
+      throw new ApiError('The vendor has a tentative hold on this time', 409);
+    }
+  }
+
+  // Apply changes that make a booking take capacity (confirming it, placing a hold, moving it
+  // to another date or slot) without double-booking the vendor. The service's calendarVersion is
+  // bumped after every write; if someone else bumped it between our check and our write, undo
+  // and check again. A status change is recorded in the booking history with the given actor details.
+  async reserve(booking, changes, statusChange = {}) {
+    for (let attempt = 0; attempt < CALENDAR_SETTINGS.LOCK_RETRIES; attempt++) {
+      const service = await Service.findById(booking.service).select('+calendarVersion');
+      if (!service) {
+        throw new ApiError('Service not found', 404);
+      }
+
+      const version = service.calendarVersion || 0;
+
+      // Resolved against the current calendar settings (older bookings have no interval yet);
+      // a new eventDate or slot start in the changes moves the booking
+      const eventDate = changes.eventDate || booking.eventDate;
+      const slotStart = changes.slot !== undefined ? changes.slot : booking.slot && booking.slot.start;
+      const interval = this.resolveInterval(service, eventDate, slotStart);
+      const check = await this.checkInterval(service, interval, booking._id);
+      this.assertAvailable(check);
+
+      const previous = {};
+      [...new Set([...Object.keys(changes), ...INTERVAL_FIELDS])].forEach((key) => {
+        const value = booking.get(key);
+        previous[key] = value && typeof value === 'object' && !(value instanceof Date) ? { ...value } : value;
+      });
+      const historyLength = booking.statusHistory.length;
+
+      const { status, slot, ...fields } = changes;
+      this.applyInterval(booking, interval);
+      booking.set(fields);
+      if (status) booking.setStatus(status, statusChange);
+      await booking.save();
+
+      const lock = await Service.updateOne(
+        { _id: service._id, calendarVersion: version || { $in: [0, null] } },
+        { $set: { calendarVersion: version + 1 } }
+      );
+      if (lock.modifiedCount === 1) return booking;
+
+      // The change never took effect, so it leaves no trace in the history
+      booking.statusHistory.splice(historyLength);
+      booking.set(previous);
+      await booking.save();
+    }
+
+    throw new ApiError('The vendor calendar is busy, please try again', 409);
+  }
+
+  // Month view of free, held, partially and fully booked days (month: YYYY-MM)
+  async getMonthCalendar(service, month, now = new Date()) {
+    const zone = this.getTimeZone(service);
+    const firstDay = `${month}-01`;
+    const [year, monthNumber] = month.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+    const today = formatDayInZone(now, zone);
+
+    // One day either side covers overnight slots and buffers
+    const rangeStart = this.getSlotInterval(service, this.addDays(firstDay, -1), { start: '00:00', end: '24:00' }, zone);
+    const rangeEnd = this.getSlotInterval(service, this.addDays(firstDay, daysInMonth), { start: '00:00', end: '24:00' }, zone);
+    const [bookings, externalBusy] = await Promise.all([
+      this.getOverlappingBookings(service._id, rangeStart.blockedFrom, rangeEnd.blockedUntil),
+      this.getExternalBusy(service._id, rangeStart.blockedFrom, rangeEnd.blockedUntil)
+    ]);
+
+    const days = [];
+    for (let i = 0; i < daysInMonth; i++) {
+      const day = this.addDays(firstDay, i);
+      const slots = this.getSlots(service).map((slot) => {
+        const interval = this.getSlotInterval(service, day, slot, zone);
+        const summary = this.summarize(interval, bookings);
+        const busy = externalBusy.some(p => p.start < interval.blockedUntil && p.end > interval.blockedFrom);
+        return {
+          start: interval.slot ? slot.start : undefined,
+          end: interval.slot ? slot.end : undefined,
+          ...summary,
+          busy,
+          status: busy ? 'busy' : summary.status
+        };
+      });
+
+      let status = 'free';
+      if (day < today) status = 'past';
+      else if (service.availability === 'not_taking_orders') status = 'unavailable';
+      else if (this.isBlackout(service, day) || slots.every(s => s.busy)) status = 'blackout';
+      else if (slots.every(s => s.status === 'booked' || s.busy)) status = 'booked';
+      else if (slots.every(s => s.status !== 'free')) status = 'held';
+      else if (slots.some(s => s.booked > 0 || s.held > 0 || s.busy)) status = 'partial';
+
+      days.push({
+        date: day,
+        status,
+        slots: service.calendar && service.calendar.mode === 'slot' ? slots : undefined,
+        booked: slots.reduce((sum, s) => sum + s.booked, 0),
+        held: slots.reduce((sum, s) => sum + s.held, 0),
+        requested: slots.reduce((sum, s) => sum + s.requested, 0),
+        capacity: slots.reduce((sum, s) => sum + s.capacity, 0)
+      });
+    }
+
+    return { month, timezone: zone, mode: (service.calendar && service.calendar.mode) || 'day', days };
+  }
+}
+
+module.exports = new AvailabilityService();
@@ -0,0 +1,215 @@
+const Service = require('../models/Service');
+const availabilityService = require('./availabilityService');
+const ApiError = require('../utils/apiError');
+
+const CHANGEABLE_STATUSES = ['confirmed', 'in_progress'];
+
+class BookingChangeService {
+  // The side a user speaks for: organizers and vendors (or their managers) can propose and answer
+  getSide(role) {
+    if (role === 'organizer' || role === 'vendor') return role;
+    return null;
+  }
+
+  // Milestones as a change request stores them
+  getScheduleValues(milestones) {
+    return milestones.map(m => ({
+      label: m.label,
+      percentage: m.percentage,
+      amount: m.amount,
+      dueDate: new Date(m.dueDate)
+    }));
+  }
+
+  // Current values of the fields a change request can touch
+  getCurrentValues(booking) {
+    return {
+      eventDate: booking.eventDate,
+      slot: booking.slot && booking.slot.start ? booking.slot.start : undefined,
+      requirements: booking.requirements,
+      priceAgreed: booking.priceAgreed,
+      paymentSchedule: this.getScheduleValues(booking.paymentSchedule || [])
+    };
+  }
+
+  // Keep only fields that actually differ from the booking
+  getEffectiveChanges(booking, changes) {
+    const current = this.getCurrentValues(booking);
+    const effective = {};
+
+    if (changes.eventDate !== undefined && new Date(changes.eventDate).getTime() !== new Date(current.eventDate).getTime()) {
+      effective.eventDate = new Date(changes.eventDate);
+    }
+    if (changes.slot !== undefined && changes.slot !== current.slot) {
+      effective.slot = changes.slot;
+    }
+    if (changes.requirements !== undefined && changes.requirements !== current.requirements) {
+      effective.requirements = changes.requirements;
+    }
+    if (changes.priceAgreed !== undefined && Number(changes.priceAgreed) !== current.priceAgreed) {
+      effective.priceAgreed = Number(changes.priceAgreed);
+    }
+    if (changes.paymentSchedule !== undefined) {
+      const schedule = this.getScheduleValues(changes.paymentSchedule);
+      if (JSON.stringify(schedule) !== JSON.stringify(current.paymentSchedule)) {
+        effective.paymentSchedule = schedule;
+      }
+    }
+
+    return effective;
+  }
+
+  isReschedule(changes) {
+    return changes.eventDate !== undefined || changes.slot !== undefined;
+  }
+
+  // Validate and record a change request; the caller saves the booking
+  async propose(booking, { changes, reason }, { user, role, now = new Date() }) {
+    const side = this.getSide(role);
+    if (!side) {
+      throw new ApiError('Not authorized to request changes to this booking', 403);
+    }
+
+    if (!CHANGEABLE_STATUSES.includes(booking.status)) {
+      throw new ApiError(
+        booking.status === 'pending'
+          ? 'Pending bookings can be edited directly'
+          : `Cannot change a ${booking.status.replace('_', ' ')} booking`,
+        400
+      );
+    }
+
+    if (booking.getPendingChangeRequest()) {
+      throw new ApiError('This booking already has a change request awaiting an answer', 400);
+    }
+
+    const effective = this.getEffectiveChanges(booking, changes);
+    if (Object.keys(effective).length === 0) {
+      throw new ApiError('The request does not change anything', 400);
+    }
+
+    if (effective.priceAgreed !== undefined && effective.priceAgreed < booking.totalPaid) {
+      throw new ApiError('Price cannot be lower than the amount already paid', 400);
+    }
+
+    // A new schedule has to fit the price it will apply to; checked again on acceptance
+    if (effective.paymentSchedule) {
+      booking.buildPaymentSchedule(
+        effective.paymentSchedule,
+        effective.priceAgreed !== undefined ? effective.priceAgreed : booking.priceAgreed
+      );
+    }
+
+    if (this.isReschedule(effective)) {
+      if (booking.status !== 'confirmed') {
+        throw new ApiError('A booking cannot be moved once it has started', 400);
+      }
+      if (effective.eventDate && effective.eventDate < now) {
+        throw new ApiError('The new date has passed', 400);
+      }
+
+      // Fail early if the vendor can't take the new time; it is checked again on acceptance
+      const service = await Service.findById(booking.service);
+      if (!service) {
+        throw new ApiError('Service not found', 404);
+      }
+      const interval = availabilityService.resolveInterval(
+        service,
+        effective.eventDate || booking.eventDate,
+        effective.slot !== undefined ? effective.slot : booking.slot && booking.slot.start
+      );
+      availabilityService.assertAvailable(await availabilityService.checkInterval(service, interval, booking._id));
+    }
+
+    const current = this.getCurrentValues(booking);
+    const previous = Object.keys(effective).reduce((values, key) => ({ ...values, [key]: current[key] }), {});
+
+    booking.changeRequests.push({
+      requestedBy: user._id,
+      requestedByRole: side,
+      changes: effective,
+      previous,
+      reason,
+      createdAt: now
+    });
+
+    return booking.changeRequests[booking.changeRequests.length - 1];
+  }
+
+  // Answer the other side's request. Accepting re-checks availability when the date or slot
+  // moves, so a request accepted too late is refused rather than double-booking the vendor.
+  async respond(booking, request, accept, { user, role, note, now = new Date() }) {
+    const side = this.getSide(role);
+    if (!side) {
+      throw new ApiError('Not authorized to answer this change request', 403);
+    }
+    if (request.status !== 'pending') {
+      throw new ApiError(`This change request has been ${request.status}`, 400);
+    }
+    if (request.requestedByRole === side) {
+      throw new ApiError('You cannot answer your own change request', 400);
+    }
+
+    if (accept) {
+      if (!CHANGEABLE_STATUSES.includes(booking.status)) {
+        throw new ApiError(`Cannot change a ${booking.status.replace('_', ' ')} booking`, 400);
+      }
+
+      const { eventDate, slot, requirements, priceAgreed, paymentSchedule } = request.changes;
+
+      // Checked first: a price or schedule that doesn't add up is refused before the date moves.
+      // A new schedule replaces the old one, so the old one doesn't have to fit the new price.
+      if (paymentSchedule && paymentSchedule.length > 0) {
+        const price = priceAgreed !== undefined ? priceAgreed : booking.priceAgreed;
+        const milestones = booking.buildPaymentSchedule(paymentSchedule, price);
+        booking.priceAgreed = price;
+        booking.paymentSchedule = milestones;
+        booking.recalculatePaymentTotals();
+      } else if (priceAgreed !== undefined) {
+        booking.setPriceAgreed(priceAgreed);
+      }
+      // Both parties agreed the new price
+      if (priceAgreed !== undefined) booking.priceLockedAt = now;
+
+      if (eventDate || slot) {
+        if (booking.status !== 'confirmed') {
+          throw new ApiError('A booking cannot be moved once it has started', 400);
+        }
+        const moves = {};
+        if (eventDate) moves.eventDate = eventDate;
+        if (slot) moves.slot = slot;
+        await availabilityService.reserve(booking, moves);
+      }
+
+      if (requirements !== undefined) booking.requirements = requirements;
+    }
+
+    request.status = accept ? 'accepted' : 'rejected';
+    request.respondedBy = user._id;
+    request.respondedAt = now;
+    request.responseNote = note;
+
+    return request;
+  }
+
+  // The requester takes back a pending request
+  withdraw(request, { user }) {
+    if (request.requestedBy.toString() !== user._id.toString()) {
+      throw new ApiError('Only the requester can withdraw a change request', 403);
+    }
+    if (request.status !== 'pending') {
+      throw new ApiError(`This change request has been ${request.status}`, 400);
+    }
+
+    request.status = 'withdrawn';
+    request.respondedAt = new Date();
+    return request;
+  }
+
+  // Who to tell about a request or its answer
+  getCounterparty(booking, side) {
+    return side === 'organizer' ? booking.vendor : booking.organizer;
+  }
+}
+
+module.exports = new BookingChangeService();
@@ -0,0 +1,107 @@
+const ApiError = require('../utils/apiError');
+const availabilityService = require('./availabilityService');
+const vendorOrganizationService = require('./vendorOrganizationService');
+const { formatDayInZone } = require('../utils/helpers');
+const { BOOKING_TRANSITIONS, PRICING_SETTINGS } = require('../config/constants');
+
+const getId = value => (value && value._id ? value._id : value).toString();
+
+class BookingStatusService {
+  // The part a user plays on a booking, or null if they have none.
+  // Owners and managers of the vendor's organization act as the vendor; staff only run the booking
+  async getRole(booking, user) {
+    if (!user) return null;
+    const userId = user._id.toString();
+    if (getId(booking.organizer) === userId) return 'organizer';
+
+    const vendorRole = await vendorOrganizationService.getVendorRole(booking.vendor, booking.vendorOrganization, user);
+    if (vendorRole) return vendorRole;
+
+    if (user.role === 'admin') return 'admin';
+    return null;
+  }
+
+  // Vendor-side roles: anyone on the vendor's team
+  isVendorSide(role) {
+    return role === 'vendor' || role === 'staff';
+  }
+
+  // Bookings run on the vendor's calendar day
+  getEventDay(booking) {
+    const service = booking.service && booking.service.calendar ? booking.service : null;
+    const timeZone = service ? availabilityService.getTimeZone(service) : PRICING_SETTINGS.TIMEZONE;
+    return {
+      timeZone,
+      day: availabilityService.getLocalDay(booking.eventDate, timeZone)
+    };
+  }
+
+  // Why a transition can't happen right now, or null if it can
+  checkGuard(booking, to, now = new Date()) {
+    const { day, timeZone } = this.getEventDay(booking);
+    const today = formatDayInZone(now, timeZone);
+
+    if (to === 'confirmed') {
+      if (booking.getOpenOffer && booking.getOpenOffer()) {
+        return 'Booking has an open quote awaiting a response';
+      }
+      if (day < today) {
+        return 'The event date has passed';
+      }
+    }
+
+    if (to === 'in_progress') {
+      // Overnight slots carry on into the next day
+      const duringSlot = booking.startsAt && booking.endsAt && now >= booking.startsAt && now < booking.endsAt;
+      if (day !== today && !duringSlot) {
+        return 'A booking can only be started on the event date';
+      }
+    }
+
+    if (to === 'completed') {
+      const started = booking.startsAt ? now >= booking.startsAt : day <= today;
+      if (!started) {
+        return 'A booking cannot be completed before the event';
+      }
+    }
+
+    return null;
+  }
+
+  // Statuses this role could move the booking to now
+  getAllowedTransitions(booking, role, now = new Date()) {
+    const transitions = BOOKING_TRANSITIONS[booking.status] || {};
+    return Object.keys(transitions)
+      .filter(to => transitions[to].includes(role) && !this.checkGuard(booking, to, now));
+  }
+
+  assertTransition(booking, to, { role, now = new Date() }) {
+    const roles = (BOOKING_TRANSITIONS[booking.status] || {})[to];
+
+    if (!role) {
+      throw new ApiError('Not authorized', 403);
+    }
+
+    if (!roles) {
+      throw new ApiError(`Cannot change a ${booking.status.replace('_', ' ')} booking to ${to.replace('_', ' ')}`, 400);
+    }
+
+    if (!roles.includes(role)) {
+      throw new ApiError(`Not allowed to change this booking to ${to.replace('_', ' ')}`, 403);
+    }
+
+    const guard = this.checkGuard(booking, to, now);
+    if (guard) {
+      throw new ApiError(guard, 400);
+    }
+  }
+
+  // Check and apply a status change; the caller saves the booking
+  transition(booking, to, { actor, role, reason, now = new Date() }) {
+    this.assertTransition(booking, to, { role, now });
+    booking.setStatus(to, { actor, role, reason });
+    return booking;
+  }
+}
+
+module.exports = new BookingStatusService();
@@ -0,0 +1,127 @@
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const availabilityService = require('./availabilityService');
+const ApiError = require('../utils/apiError');
+const { getBusyPeriods } = require('../utils/icalendar');
+const { CALENDAR_IMPORT_SETTINGS } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+class CalendarImportService {
+  // webcal:// is how calendar apps advertise subscriptions; it is plain HTTPS underneath
+  normalizeUrl(url) {
+    const value = String(url || '').trim().replace(/^webcals?:\/\//i, 'https://');
+    let parsed;
+    try {
+      parsed = new URL(value);
+    } catch (error) {
+      throw new ApiError('Invalid calendar URL', 400);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new ApiError('Calendar URL must use http, https or webcal', 400);
+    }
+    return parsed.toString();
+  }
+
+  // Only addresses on the public internet; IPv4-mapped IPv6 addresses are checked as IPv4
+  isPublicAddress(address) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    const ip = mapped ? mapped[1] : address;
+    const family = net.isIP(ip);
+    if (!family) return false;
+    return !blockedAddresses.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  // Hosts given as IP literals never go through DNS, so they are checked by name
+  assertPublicHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !this.isPublicAddress(host)) {
+      throw new ApiError('Calendar URL must point to a public address', 400);
+    }
+  }
+
+  // DNS lookup that refuses names resolving to non-public addresses, on every redirect too
+  lookupPublic(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      if (addresses.some(({ address }) => !this.isPublicAddress(address))) {
+        return callback(new ApiError('Calendar URL must point to a public address', 400));
+      }
+      return callback(null, addresses);
+    });
+  }
+
+  // Replaced with a stub in tests, so syncing never goes to the network
+  async fetchCalendar(url) {
+    this.assertPublicHost(new URL(url).hostname);
+
+    const response = await axios.get(url, {
+      timeout: CALENDAR_IMPORT_SETTINGS.FETCH_TIMEOUT_MS,
+      maxContentLength: CALENDAR_IMPORT_SETTINGS.MAX_FILE_BYTES,
+      maxRedirects: 3,
+      proxy: false,
+      lookup: this.lookupPublic.bind(this),
+      beforeRedirect: (options) => this.assertPublicHost(options.hostname),
+      responseType: 'text',
+      headers: { Accept: 'text/calendar, text/plain' }
+    });
+    return response.data;
+  }
+
+  // What went wrong fetching, without passing on details of the server's network
+  describeFetchError(error) {
+    if (error.response) return `The calendar server answered with HTTP ${error.response.status}`;
+    if (['ECONNABORTED', 'ETIMEDOUT'].includes(error.code)) return 'The calendar server did not answer in time';
+    return 'The calendar server could not be reached';
+  }
+
+  // Busy periods from now until the import horizon, in the vendor's timezone
+  parseBusyPeriods(service, text, now = new Date()) {
+    try {
+      return getBusyPeriods(text, {
+        timeZone: availabilityService.getTimeZone(service),
+        from: now,
+        until: new Date(now.getTime() + CALENDAR_IMPORT_SETTINGS.HORIZON_DAYS * DAY_MS),
+        limit: CALENDAR_IMPORT_SETTINGS.MAX_BUSY_PERIODS
+      }).map(({ start, end }) => ({ start, end }));
+    } catch (error) {
+      throw new ApiError(`Could not read the calendar: ${error.message}`, 400);
+    }
+  }
+
+  // Replace a calendar's busy periods with the contents of an .ics document
+  applyCalendar(service, calendar, text, now = new Date()) {
+    calendar.busy = this.parseBusyPeriods(service, text, now);
+    calendar.lastSyncedAt = now;
+    calendar.lastSyncError = undefined;
+    return calendar.busy.length;
+  }
+
+  // Fetch and apply a URL calendar; failures are recorded on the calendar and rethrown
+  async syncCalendar(service, calendar, now = new Date()) {
+    calendar.lastAttemptAt = now;
+    try {
+      const text = await this.fetchCalendar(calendar.url);
+      return this.applyCalendar(service, calendar, text, now);
+    } catch (error) {
+      const apiError = error instanceof ApiError
+        ? error
+        : new ApiError(`Could not fetch the calendar: ${this.describeFetchError(error)}`, 400);
+      calendar.lastSyncError = apiError.message;
+      throw apiError;
+    }
+  }
+}
+
+module.exports = new CalendarImportService();
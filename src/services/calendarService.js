@@ -0,0 +1,210 @@
+const Event = require('../models/Event');
+const RSVP = require('../models/RSVP');
+const Booking = require('../models/Booking');
+const availabilityService = require('./availabilityService');
+const vendorOrganizationService = require('./vendorOrganizationService');
+const eventSeriesService = require('./eventSeriesService');
+const { buildCalendar } = require('../utils/icalendar');
+const { zonedTimeToUtc, parseTimeOfDay } = require('../utils/helpers');
+const { ICAL_SETTINGS, PRICING_SETTINGS, RECURRENCE_SETTINGS } = require('../config/constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const EVENT_STATUS = {
+  draft: 'TENTATIVE',
+  planning: 'TENTATIVE',
+  active: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED'
+};
+
+const BOOKING_STATUS = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  in_progress: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  cancelled: 'CANCELLED',
+  expired: 'CANCELLED'
+};
+
+class CalendarService {
+  getBaseUrl() {
+    return process.env.FRONTEND_URL || 'http://localhost:4200';
+  }
+
+  // Map an event onto a VEVENT in the event's own timezone
+  toCalendarEvent(event) {
+    const timeZone = event.timezone || PRICING_SETTINGS.TIMEZONE;
+    const day = availabilityService.getLocalDay(event.date, timeZone);
+    const time = parseTimeOfDay(event.time);
+    const entry = {
+      uid: `event-${event._id}@${ICAL_SETTINGS.UID_DOMAIN}`,
+      summary: event.title,
+      description: event.description,
+      location: [event.locationName, event.address, event.city].filter(Boolean).join(', '),
+      geo: event.location && event.location.coordinates,
+      url: `${this.getBaseUrl()}/events/${event._id}`,
+      status: EVENT_STATUS[event.status] || 'CONFIRMED',
+      lastModified: event.updatedAt
+    };
+
+    const endDay = event.endDate && availabilityService.getLocalDay(event.endDate, timeZone);
+
+    // No usable start time: an all-day event (DTEND is exclusive)
+    if (!time) {
+      return {
+        ...entry,
+        allDay: true,
+        start: day,
+        end: availabilityService.addDays(endDay && endDay > day ? endDay : day, 1)
+      };
+    }
+
+    const start = zonedTimeToUtc(day, time, timeZone);
+    let end = new Date(start.getTime() + ICAL_SETTINGS.DEFAULT_EVENT_HOURS * HOUR_MS);
+
+    if (event.endDate) {
+      const endDate = new Date(event.endDate);
+      const dateOnly = endDate.getUTCHours() === 0 && endDate.getUTCMinutes() === 0 && endDate.getUTCSeconds() === 0;
+      if (!dateOnly && endDate > start) {
+        end = endDate;
+      } else if (dateOnly && endDay > day) {
+        end = new Date(zonedTimeToUtc(endDay, time, timeZone).getTime() + ICAL_SETTINGS.DEFAULT_EVENT_HOURS * HOUR_MS);
+      }
+    }
+
+    return { ...entry, timeZone, start, end };
+  }
+
+  // One VEVENT per occurrence of a series, lasting as long as the first one
+  toCalendarOccurrence(event, occurrence) {
+    const { start, end, allDay, timeZone, ...base } = this.toCalendarEvent(event);
+    const zone = timeZone || event.timezone || PRICING_SETTINGS.TIMEZONE;
+    const entry = {
+      ...base,
+      uid: `event-${event._id}-${occurrence.day}@${ICAL_SETTINGS.UID_DOMAIN}`,
+      summary: occurrence.title,
+      description: occurrence.description,
+      location: [occurrence.locationName, occurrence.address, event.city].filter(Boolean).join(', '),
+      url: `${this.getBaseUrl()}/events/${event._id}?occurrence=${occurrence.day}`,
+      status: occurrence.cancelled ? 'CANCELLED' : base.status
+    };
+
+    if (!parseTimeOfDay(occurrence.time)) {
+      const day = availabilityService.getLocalDay(occurrence.startsAt, zone);
+      const days = allDay ? Math.round((new Date(end) - new Date(start)) / DAY_MS) : 1;
+      return { ...entry, allDay: true, start: day, end: availabilityService.addDays(day, days) };
+    }
+
+    const duration = allDay ? ICAL_SETTINGS.DEFAULT_EVENT_HOURS * HOUR_MS : end - start;
+    return { ...entry, timeZone: zone, start: occurrence.startsAt, end: new Date(occurrence.startsAt.getTime() + duration) };
+  }
+
+  // Calendar entries for an event: the event itself, or its occurrences around now for a series
+  toCalendarEntries(event, now = new Date()) {
+    if (!eventSeriesService.isRecurring(event)) return [this.toCalendarEvent(event)];
+
+    const window = RECURRENCE_SETTINGS.HORIZON_DAYS * DAY_MS;
+    return eventSeriesService.getOccurrences(event, {
+      from: new Date(now.getTime() - window),
+      until: new Date(now.getTime() + window),
+      limit: RECURRENCE_SETTINGS.MAX_COUNT
+    }).map(occurrence => this.toCalendarOccurrence(event, occurrence));
+  }
+
+  // Bookings occupy their calendar interval; older bookings without one take the whole day
+  toCalendarBooking(booking) {
+    const service = booking.service || {};
+    const event = booking.event || {};
+    const organizer = booking.organizer || {};
+    const entry = {
+      uid: `booking-${booking._id}@${ICAL_SETTINGS.UID_DOMAIN}`,
+      summary: [service.serviceName, event.title].filter(Boolean).join(' - ') || 'Booking',
+      description: [
+        organizer.name && `Organizer: ${organizer.name}${organizer.phone ? ` (${organizer.phone})` : ''}`,
+        booking.requirements
+      ].filter(Boolean).join('\n'),
+      location: [event.locationName, event.address, event.city].filter(Boolean).join(', '),
+      url: `${this.getBaseUrl()}/bookings/${booking._id}`,
+      status: BOOKING_STATUS[booking.status] || 'TENTATIVE',
+      lastModified: booking.updatedAt
+    };
+
+    if (booking.startsAt && booking.endsAt) {
+      const duration = new Date(booking.endsAt) - new Date(booking.startsAt);
+      // Whole-day calendars export as all-day entries in the vendor's zone
+      if (!booking.slot || !booking.slot.start) {
+        const timeZone = service.calendar ? availabilityService.getTimeZone(service) : PRICING_SETTINGS.TIMEZONE;
+        const startDay = availabilityService.getLocalDay(booking.eventDate, timeZone);
+        const days = Math.max(1, Math.round(duration / (24 * HOUR_MS)));
+        return { ...entry, allDay: true, start: startDay, end: availabilityService.addDays(startDay, days) };
+      }
+      return { ...entry, start: booking.startsAt, end: booking.endsAt };
+    }
+
+    const startDay = availabilityService.getLocalDay(booking.eventDate, PRICING_SETTINGS.TIMEZONE);
+    return { ...entry, allDay: true, start: startDay, end: availabilityService.addDays(startDay, 1) };
+  }
+
+  buildEventCalendar(event) {
+    return buildCalendar({ name: event.title, events: this.toCalendarEntries(event) });
+  }
+
+  // Events the user RSVP'd to and is still going to (or might)
+  async getRsvpFeed(user) {
+    const rsvps = await RSVP.find({ attendee: user._id, status: { $in: ['going', 'maybe'] } })
+      .populate('event')
+      .lean();
+
+    // An RSVP to a series covers only its occurrence
+    const events = rsvps
+      .filter(r => r.event)
+      .map(({ event, occurrence }) => {
+        if (!occurrence) return this.toCalendarEvent(event);
+        const match = eventSeriesService.getOccurrence(event, occurrence);
+        return match && this.toCalendarOccurrence(event, match);
+      })
+      .filter(Boolean);
+
+    return buildCalendar({ name: 'Festivo - My RSVPs', events, refreshHours: ICAL_SETTINGS.FEED_REFRESH_HOURS });
+  }
+
+  // Events the user organizes or co-organizes
+  async getOrganizedFeed(user) {
+    const events = await Event.find({
+      $or: [{ organizer: user._id }, { coOrganizers: user._id }],
+      isTemplate: { $ne: true }
+    }).lean();
+
+    return buildCalendar({
+      name: 'Festivo - My Events',
+      events: events.reduce((entries, event) => entries.concat(this.toCalendarEntries(event)), []),
+      refreshHours: ICAL_SETTINGS.FEED_REFRESH_HOURS
+    });
+  }
+
+  // A vendor's upcoming booking schedule, including their teams' bookings
+  async getBookingFeed(user) {
+    const organizationIds = await vendorOrganizationService.getOrganizationIds(user._id);
+    const bookings = await Booking.findVendorUpcoming(user._id, organizationIds)
+      .populate('event', 'title locationName address city')
+      .populate('service', 'serviceName calendar')
+      .populate('organizer', 'name phone')
+      .lean();
+
+    return buildCalendar({
+      name: 'Festivo - My Bookings',
+      events: bookings.map(booking => this.toCalendarBooking(booking)),
+      refreshHours: ICAL_SETTINGS.FEED_REFRESH_HOURS
+    });
+  }
+
+  async getFeed(user, feed) {
+    if (feed === 'organized') return this.getOrganizedFeed(user);
+    if (feed === 'bookings') return this.getBookingFeed(user);
+    return this.getRsvpFeed(user);
+  }
+}
+
+module.exports = new CalendarService();
@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+const RSVP = require('../models/RSVP');
+const ticketService = require('./ticketService');
+const eventSeriesService = require('./eventSeriesService');
+const ApiError = require('../utils/apiError');
+const { emitToEvent } = require('../socket');
+const { CHECK_IN_SETTINGS } = require('../config/constants');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+class CheckInService {
+  // Organizers, co-organizers and the event's door staff run check-in
+  canCheckIn(event, user) {
+    const id = user._id.toString();
+    return event.organizer.toString() === id ||
+      (event.coOrganizers || []).some(c => c.toString() === id) ||
+      (event.doorStaff || []).some(d => d.toString() === id);
+  }
+
+  /**
+   * Check in some of an RSVP's party, by default everyone who hasn't arrived yet.
+   * A party that is already fully checked in is refused, as is a second scan racing this one.
+   * With partial, a count larger than those left checks in whoever is left instead.
+   * @returns {Promise<number>} - How many were checked in
+   */
+  async checkIn(rsvp, count, { method, user, checkedInAt = new Date(), syncedAt, partial = false }) {
+    if (rsvp.status !== 'going') {
+      throw new ApiError('Only confirmed (going) RSVPs can be checked in', 400);
+    }
+
+    const remaining = rsvp.getRemainingCheckIns();
+    if (remaining === 0) {
+      throw new ApiError('Attendee already checked in', 400);
+    }
+    let arriving = count === undefined ? remaining : count;
+    if (arriving > remaining) {
+      if (!partial) {
+        throw new ApiError(`Only ${remaining} of this party still to check in`, 400);
+      }
+      arriving = remaining;
+    }
+
+    const previousCount = rsvp.checkedInCount || 0;
+    rsvp.recordCheckIn(arriving, { method, checkedInBy: user._id, checkedInAt, syncedAt });
+    rsvp.$where = { checkedInCount: previousCount ? previousCount : { $in: [0, null] } };
+
+    try {
+      await rsvp.save();
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError') {
+        throw new ApiError('This party was just checked in elsewhere, scan again to see who is left', 400);
+      }
+      throw error;
+    }
+
+    return arriving;
+  }
+
+  // The RSVP a scan refers to: a signed ticket (verified before any lookup) or a check-in code
+  async findScanned(eventId, { ticket, code }, at = new Date()) {
+    if (ticket) {
+      const claims = ticketService.verify(ticket, at);
+      if (claims.eventId !== eventId.toString()) {
+        throw new ApiError('This ticket is for a different event', 400);
+      }
+
+      const rsvp = await RSVP.findOne({ _id: claims.rsvpId, event: eventId });
+      if (!rsvp) {
+        throw new ApiError('Ticket RSVP not found', 404);
+      }
+      // A ticket issued before the party size changed must be fetched again
+      if (rsvp.guestsCount !== claims.guestsCount) {
+        throw new ApiError('This ticket is out of date, ask the guest to open their latest ticket', 400);
+      }
+      return { rsvp, method: 'ticket' };
+    }
+
+    const rsvp = await RSVP.findOne({ event: eventId, checkInCode: code.toUpperCase() });
+    if (!rsvp) {
+      throw new ApiError('Invalid check-in code', 404);
+    }
+    return { rsvp, method: 'code' };
+  }
+
+  /**
+   * Live numbers for the door: people checked in against people going, who is still expected,
+   * and arrivals per minute over the last hour
+   * @param {ObjectId} eventId - Event ID
+   * @param {string} occurrence - Occurrence day for series
+   * @returns {Promise<object>}
+   */
+  async getDashboard(eventId, occurrence = null, now = new Date()) {
+    const match = { event: new mongoose.Types.ObjectId(eventId) };
+    if (occurrence) match.occurrence = occurrence;
+    const since = new Date(now.getTime() - CHECK_IN_SETTINGS.DASHBOARD_WINDOW_MINUTES * MINUTE_MS);
+
+    const partySize = { $add: [1, '$guestsCount'] };
+    const [totals] = await RSVP.aggregate([
+      { $match: { ...match, status: 'going' } },
+      {
+        $group: {
+          _id: null,
+          parties: { $sum: 1 },
+          going: { $sum: partySize },
+          // Check-ins recorded before partial parties covered everyone
+          checkedIn: {
+            $sum: {
+              $cond: [
+                { $and: ['$checkedIn', { $not: [{ $gt: ['$checkedInCount', 0] }] }] },
+                partySize,
+                { $ifNull: ['$checkedInCount', 0] }
+              ]
+            }
+          },
+          partiesArrived: { $sum: { $cond: ['$checkedIn', 1, 0] } }
+        }
+      }
+    ]);
+
+    const arrivals = await RSVP.aggregate([
+      { $match: { ...match, 'checkIns.checkedInAt': { $gte: since } } },
+      { $unwind: '$checkIns' },
+      { $match: { 'checkIns.checkedInAt': { $gte: since } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%dT%H:%M:00.000Z', date: '$checkIns.checkedInAt' } },
+          count: { $sum: '$checkIns.count' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const { parties = 0, going = 0, checkedIn = 0, partiesArrived = 0 } = totals || {};
+
+    return {
+      event: eventId,
+      occurrence,
+      going,
+      checkedIn,
+      expected: Math.max(0, going - checkedIn),
+      parties,
+      partiesArrived,
+      arrivalsPerMinute: arrivals.map(a => ({ minute: a._id, count: a.count })),
+      updatedAt: now
+    };
+  }
+
+  // Push fresh numbers to dashboards watching the event room
+  async broadcast(eventId, occurrence = null) {
+    const dashboard = await this.getDashboard(eventId, occurrence);
+    emitToEvent(eventId.toString(), 'checkin_update', dashboard);
+    return dashboard;
+  }
+
+  // When door check-in opens for the RSVP's event or occurrence
+  getCheckInOpensAt(event, rsvp) {
+    const occurrence = rsvp.occurrence && eventSeriesService.getOccurrence(event, rsvp.occurrence);
+    const startsAt = occurrence ? occurrence.startsAt : event.date;
+    return new Date(new Date(startsAt).getTime() - CHECK_IN_SETTINGS.OPENS_HOURS_BEFORE_START * HOUR_MS);
+  }
+
+  /**
+   * Apply check-ins scanned while the door was offline, oldest first. Each scan is verified
+   * as of when it was made, so tickets that expired since still count - but only within the
+   * offline allowance, and never for scans dated before check-in opened. Scans of a party that
+   * another device already checked in come back as duplicates; any scan that can't be applied
+   * is rejected on its own without failing the batch.
+   * @param {object} event - Event document
+   * @param {Array} scans - [{ ticket | code, count, scannedAt, clientId }]
+   * @param {object} user - Staff member uploading the scans
+   * @returns {Promise<Array>} - Per-scan results in the order received
+   */
+  async sync(event, scans, user, now = new Date()) {
+    const latest = now.getTime() + CHECK_IN_SETTINGS.MAX_CLOCK_SKEW_MINUTES * MINUTE_MS;
+    const earliest = now.getTime() - CHECK_IN_SETTINGS.MAX_OFFLINE_HOURS * HOUR_MS;
+    const order = scans
+      .map((scan, index) => ({ scan, index, scannedAt: new Date(Math.min(new Date(scan.scannedAt).getTime(), latest)) }))
+      .sort((a, b) => a.scannedAt - b.scannedAt);
+
+    const results = new Array(scans.length);
+    const occurrences = new Set();
+
+    for (const { scan, index, scannedAt } of order) {
+      const result = { clientId: scan.clientId, scannedAt };
+      try {
+        if (scannedAt.getTime() < earliest) {
+          throw new ApiError(`Scans older than ${CHECK_IN_SETTINGS.MAX_OFFLINE_HOURS} hours can't be uploaded`, 400);
+        }
+
+        const { rsvp, method } = await this.findScanned(event._id, scan, scannedAt);
+        result.rsvp = rsvp._id;
+
+        if (scannedAt < this.getCheckInOpensAt(event, rsvp)) {
+          throw new ApiError('Scanned before check-in opened', 400);
+        }
+
+        if (rsvp.getRemainingCheckIns() === 0) {
+          result.status = 'duplicate';
+          result.message = 'Already checked in';
+        } else {
+          result.checkedIn = await this.checkIn(rsvp, scan.count, {
+            method,
+            user,
+            checkedInAt: scannedAt,
+            syncedAt: now,
+            partial: true
+          });
+          result.status = 'checked_in';
+          occurrences.add(rsvp.occurrence || null);
+        }
+        result.remaining = rsvp.getRemainingCheckIns();
+      } catch (error) {
+        if (!(error instanceof ApiError)) {
+          console.error('Check-in sync failed for scan:', scan.clientId, error);
+        }
+        result.status = 'rejected';
+        result.message = error instanceof ApiError ? error.message : 'This scan could not be applied';
+      }
+      results[index] = result;
+    }
+
+    for (const occurrence of occurrences) {
+      await this.broadcast(event._id, occurrence);
+    }
+
+    return results;
+  }
+}
+
+module.exports = new CheckInService();
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const ApiError = require('../utils/apiError');
+const { CURRENCY_SETTINGS } = require('../config/constants');
+
+const OFFLINE_RATES_FILE = path.join(__dirname, '../config/exchangeRates.json');
+
+class CurrencyService {
+  constructor() {
+    this.loadRates();
+  }
+
+  // Load conversion rates (value of one unit in the base currency)
+  // EXCHANGE_RATES_FILE can point at a regularly refreshed file; the bundled stub keeps us working offline
+  loadRates(file = process.env.EXCHANGE_RATES_FILE) {
+    let data;
+
+    try {
+      data = JSON.parse(fs.readFileSync(file || OFFLINE_RATES_FILE, 'utf8'));
+    } catch (error) {
+      if (!file) throw error;
+      console.warn(`Could not load exchange rates from ${file}, using offline rates:`, error.message);
+      data = JSON.parse(fs.readFileSync(OFFLINE_RATES_FILE, 'utf8'));
+    }
+
+    if (data.base !== CURRENCY_SETTINGS.BASE) {
+      throw new Error(`Exchange rates must be quoted in ${CURRENCY_SETTINGS.BASE}`);
+    }
+
+    this.rates = { ...data.rates, [CURRENCY_SETTINGS.BASE]: 1 };
+    this.ratesSource = data.source;
+    this.ratesUpdatedAt = data.updatedAt ? new Date(data.updatedAt) : null;
+
+    return this.getRates();
+  }
+
+  getRates() {
+    return {
+      base: CURRENCY_SETTINGS.BASE,
+      source: this.ratesSource,
+      updatedAt: this.ratesUpdatedAt,
+      rates: this.rates
+    };
+  }
+
+  isSupported(currency) {
+    return CURRENCY_SETTINGS.SUPPORTED.includes(currency) && this.rates[currency] > 0;
+  }
+
+  // Number of decimal places in the currency's minor unit
+  getDecimals(currency) {
+    return new Intl.NumberFormat('en-IN', { style: 'currency', currency })
+      .resolvedOptions().maximumFractionDigits;
+  }
+
+  round(amount, currency = CURRENCY_SETTINGS.BASE) {
+    const factor = 10 ** this.getDecimals(currency);
+    return Math.round(amount * factor) / factor;
+  }
+
+  // Payment gateways take amounts in the smallest unit (paise, cents)
+  toMinorUnits(amount, currency = CURRENCY_SETTINGS.BASE) {
+    return Math.round(amount * 10 ** this.getDecimals(currency));
+  }
+
+  fromMinorUnits(amount, currency = CURRENCY_SETTINGS.BASE) {
+    return amount / 10 ** this.getDecimals(currency);
+  }
+
+  getRate(from, to) {
+    if (!this.isSupported(from)) {
+      throw new ApiError(`Unsupported currency: ${from}`, 400);
+    }
+    if (!this.isSupported(to)) {
+      throw new ApiError(`Unsupported currency: ${to}`, 400);
+    }
+
+    return this.rates[from] / this.rates[to];
+  }
+
+  convert(amount, from, to) {
+    if (!amount || from === to) return amount || 0;
+    return this.round(amount * this.getRate(from, to), to);
+  }
+
+  // Sum amounts held in different currencies into one
+  // items: [{ amount, currency }]
+  sum(items, to) {
+    return this.round(
+      items.reduce((total, item) => total + this.convert(item.amount, item.currency || CURRENCY_SETTINGS.BASE, to), 0),
+      to
+    );
+  }
+}
+
+module.exports = new CurrencyService();
@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { formatCurrency } = require('../utils/helpers');
 
 class EmailService {
   constructor() {
@@ -134,7 +135,7 @@ class EmailService {
           <p><strong>Vendor:</strong> ${vendor.name}</p>
           <p><strong>Event:</strong> ${event.title}</p>
           <p><strong>Date:</strong> ${new Date(booking.eventDate).toLocaleDateString()}</p>
-          <p><strong>Amount:</strong> ₹${booking.priceAgreed}</p>
+          <p><strong>Amount:</strong> ${formatCurrency(booking.priceAgreed, booking.currency)}</p>
         </div>
         <p>You can view and manage your booking from your dashboard.</p>
         <a href="${process.env.FRONTEND_URL}/bookings/${booking._id}"
@@ -187,7 +188,7 @@ class EmailService {
           <p><strong>From:</strong> ${organizer.name}</p>
           <p><strong>Event:</strong> ${event.title}</p>
           <p><strong>Date:</strong> ${new Date(booking.eventDate).toLocaleDateString()}</p>
-          <p><strong>Proposed Amount:</strong> ₹${booking.priceAgreed}</p>
+          <p><strong>Proposed Amount:</strong> ${formatCurrency(booking.priceAgreed, booking.currency)}</p>
         </div>
         <p>Please review and respond to this request as soon as possible.</p>
         <a href="${process.env.FRONTEND_URL}/bookings/${booking._id}"
@@ -203,6 +204,37 @@ class EmailService {
       html
     });
   }
+
+  async sendEventInvitation(to, event, inviter, inviteUrl, message) {
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #6366f1;">You're Invited!</h1>
+        <p>${inviter.name} has invited you to a private event on Festivo.</p>
+        ${message ? `<p style="font-style: italic; color: #374151;">"${message}"</p>` : ''}
+        <div style="background: #f3f4f6; padding: 16px; border-radius: 8px; margin: 16px 0;">
+          <h2 style="color: #374151;">${event.title}</h2>
+          <p><strong>Date:</strong> ${new Date(event.date).toLocaleDateString()}</p>
+          <p><strong>Time:</strong> ${event.time}</p>
+          <p><strong>Location:</strong> ${event.locationName}, ${event.city}</p>
+        </div>
+        <a href="${inviteUrl}"
+           style="display: inline-block; background: #6366f1; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">
+          View Invitation
+        </a>
+        <hr style="border: none; border-top: 1px solid #eee; margin: 24px 0;">
+        <p style="color: #999; font-size: 12px;">
+          If the button doesn't work, copy and paste this link into your browser:<br>
+          <a href="${inviteUrl}" style="color: #6366f1;">${inviteUrl}</a>
+        </p>
+      </div>
+    `;
+
+    return this.sendEmail({
+      to,
+      subject: `${inviter.name} invited you to ${event.title}`,
+      html
+    });
+  }
 }
 
 module.exports = new EmailService();
@@ -0,0 +1,431 @@
+const Event = require('../models/Event');
+const RSVP = require('../models/RSVP');
+const availabilityService = require('./availabilityService');
+const ApiError = require('../utils/apiError');
+const { parseRule, formatRule, expand } = require('../utils/rrule');
+const { zonedTimeToUtc, parseTimeOfDay } = require('../utils/helpers');
+const { RECURRENCE_SETTINGS, PRICING_SETTINGS } = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields a single occurrence can override
+const OVERRIDE_FIELDS = ['date', 'time', 'title', 'description', 'locationName', 'address', 'maxAttendees'];
+
+// Changing any of these moves the occurrences of a series
+const SCHEDULE_FIELDS = ['date', 'time', 'timezone', 'recurrence'];
+
+// Not copied when "this and following" continues a series in a new event
+const SPLIT_RESET_FIELDS = [
+  '_id', 'id', 'slug', 'createdAt', 'updatedAt', '__v', 'occurrenceOverrides', 'seriesEndsAt',
+  'currentAttendees', 'rsvpCount', 'views', 'overallRating', 'totalReviews',
+  'isTemplate', 'templateSource', 'timesUsedAsTemplate', 'tasks', 'rsvps', 'bookings', 'daysUntilEvent'
+];
+
+const pick = (source, fields) => fields.reduce((picked, key) => {
+  if (source[key] !== undefined) picked[key] = source[key];
+  return picked;
+}, {});
+
+class EventSeriesService {
+  isRecurring(event) {
+    return Boolean(event && event.recurrence);
+  }
+
+  changesSchedule(changes) {
+    return SCHEDULE_FIELDS.some(key => changes[key] !== undefined);
+  }
+
+  getTimeZone(event) {
+    return event.timezone || PRICING_SETTINGS.TIMEZONE;
+  }
+
+  // Local day and HH:mm a date and free-text time start at; no usable time starts at midnight
+  getStart(date, time, timeZone) {
+    return {
+      day: availabilityService.getLocalDay(date, timeZone),
+      time: parseTimeOfDay(time) || '00:00'
+    };
+  }
+
+  parse(value) {
+    try {
+      return parseRule(value);
+    } catch (error) {
+      throw new ApiError(`Invalid recurrence rule: ${error.message}`, 400);
+    }
+  }
+
+  // Raw occurrences of the rule, before overrides
+  expandRule(event, rule, { from, until, limit = Infinity } = {}) {
+    const timeZone = this.getTimeZone(event);
+    const { day, time } = this.getStart(event.date, event.time, timeZone);
+    return expand(rule, { day, time, timeZone, from, until, limit });
+  }
+
+  // An occurrence with its override applied
+  toOccurrence(event, { day, startsAt }) {
+    const override = (event.occurrenceOverrides || []).find(o => o.day === day);
+    const occurrence = {
+      day,
+      startsAt,
+      originalStartsAt: startsAt,
+      time: event.time,
+      title: event.title,
+      description: event.description,
+      locationName: event.locationName,
+      address: event.address,
+      maxAttendees: event.maxAttendees,
+      cancelled: false,
+      overridden: Boolean(override)
+    };
+    if (!override) return occurrence;
+
+    OVERRIDE_FIELDS
+      .filter(key => key !== 'date' && override[key] !== undefined && override[key] !== null)
+      .forEach((key) => { occurrence[key] = override[key]; });
+
+    if (override.date || override.time) {
+      const timeZone = this.getTimeZone(event);
+      const start = this.getStart(override.date || day, occurrence.time, timeZone);
+      occurrence.startsAt = zonedTimeToUtc(start.day, start.time, timeZone);
+    }
+    if (override.cancelled) {
+      occurrence.cancelled = true;
+      occurrence.cancellationReason = override.cancellationReason;
+    }
+
+    return occurrence;
+  }
+
+  /**
+   * Normalised rule and the start of the last occurrence, for saving on the event
+   * @param {object} event - Event fields (date, time, timezone, recurrence, occurrenceOverrides)
+   * @returns {object} - { recurrence, seriesEndsAt } (seriesEndsAt is null while open-ended)
+   */
+  getSeriesFields(event) {
+    const rule = this.parse(event.recurrence);
+    if (rule.count && rule.count > RECURRENCE_SETTINGS.MAX_COUNT) {
+      throw new ApiError(`A series can have at most ${RECURRENCE_SETTINGS.MAX_COUNT} occurrences`, 400);
+    }
+
+    const recurrence = formatRule(rule);
+    const open = !rule.count && !rule.until;
+    const occurrences = this.expandRule(event, rule, open ? {
+      until: new Date(new Date(event.date).getTime() + RECURRENCE_SETTINGS.HORIZON_DAYS * DAY_MS),
+      limit: 1
+    } : {}).map(o => this.toOccurrence(event, o));
+
+    if (occurrences.length === 0) {
+      throw new ApiError('The recurrence rule has no occurrences', 400);
+    }
+    if (occurrences[0].day !== this.getStart(event.date, event.time, this.getTimeZone(event)).day) {
+      throw new ApiError('The event date must be a day the recurrence rule matches', 400);
+    }
+    if (open) {
+      return { recurrence, seriesEndsAt: null };
+    }
+
+    // Moved occurrences can end the series later than the rule does
+    const seriesEndsAt = new Date(Math.max(...occurrences.map(o => o.startsAt.getTime())));
+    return { recurrence, seriesEndsAt };
+  }
+
+  /**
+   * Occurrences of a series starting within a window, overrides applied
+   * @param {object} event - Recurring event (document or lean object)
+   * @param {object} options - { from: Date, until: Date (default from + HORIZON_DAYS), limit, includeCancelled }
+   * @returns {Array} - [{ day, startsAt, originalStartsAt, time, title, ..., maxAttendees, cancelled }]
+   */
+  getOccurrences(event, {
+    from = new Date(),
+    until,
+    limit = RECURRENCE_SETTINGS.DEFAULT_OCCURRENCES,
+    includeCancelled = true
+  } = {}) {
+    const end = until || new Date(from.getTime() + RECURRENCE_SETTINGS.HORIZON_DAYS * DAY_MS);
+    const overrides = event.occurrenceOverrides || [];
+
+    // Each override takes at most one occurrence out of the window, so this many still fill the limit
+    const occurrences = new Map();
+    this.expandRule(event, this.parse(event.recurrence), { from, until: end, limit: limit + overrides.length })
+      .forEach((o) => { occurrences.set(o.day, this.toOccurrence(event, o)); });
+
+    // Moved occurrences can land in the window from anywhere in the series
+    overrides
+      .filter(o => (o.date || o.time) && !occurrences.has(o.day))
+      .forEach((o) => {
+        const occurrence = this.getOccurrence(event, o.day);
+        if (occurrence) occurrences.set(o.day, occurrence);
+      });
+
+    return [...occurrences.values()]
+      .filter(o => o.startsAt >= from && o.startsAt <= end && (includeCancelled || !o.cancelled))
+      .sort((a, b) => a.startsAt - b.startsAt)
+      .slice(0, limit);
+  }
+
+  // The occurrence generated for a local day, or null
+  getOccurrence(event, day) {
+    if (!this.isRecurring(event) || !/^\d{4}-\d{2}-\d{2}$/.test(day || '')) return null;
+
+    const timeZone = this.getTimeZone(event);
+    const match = this.expandRule(event, this.parse(event.recurrence), {
+      from: zonedTimeToUtc(day, '00:00', timeZone),
+      until: zonedTimeToUtc(availabilityService.addDays(day, 1), '00:00', timeZone),
+      limit: 1
+    }).find(o => o.day === day);
+    return match ? this.toOccurrence(event, match) : null;
+  }
+
+  getNextOccurrence(event, now = new Date()) {
+    return this.getOccurrences(event, { from: now, limit: 1, includeCancelled: false })[0] || null;
+  }
+
+  // An occurrence that can still be changed or RSVP'd to
+  requireOccurrence(event, day, now = new Date()) {
+    if (!this.isRecurring(event)) {
+      throw new ApiError('This event does not repeat', 400);
+    }
+
+    const occurrence = this.getOccurrence(event, day);
+    if (!occurrence) {
+      throw new ApiError('Occurrence not found', 404);
+    }
+    if (occurrence.startsAt < now) {
+      throw new ApiError('This occurrence has already taken place', 400);
+    }
+    if (occurrence.originalStartsAt > new Date(now.getTime() + RECURRENCE_SETTINGS.HORIZON_DAYS * DAY_MS)) {
+      throw new ApiError(`Only occurrences in the next ${RECURRENCE_SETTINGS.HORIZON_DAYS} days can be changed or RSVP'd to`, 400);
+    }
+    return occurrence;
+  }
+
+  // RSVPs made while the event happened once belong to the first occurrence of the series
+  async attachRsvpsToFirstOccurrence(event) {
+    const { day } = this.getStart(event.date, event.time, this.getTimeZone(event));
+    await RSVP.updateMany({ event: event._id, occurrence: null }, { occurrence: day });
+  }
+
+  // Add nextOccurrence to each series in a list of lean events
+  withNextOccurrence(events, now = new Date()) {
+    return events.map(event => (
+      this.isRecurring(event) ? { ...event, nextOccurrence: this.getNextOccurrence(event, now) } : event
+    ));
+  }
+
+  // When a listed event next happens: its next occurrence, or its date for one-off events
+  getNextStart(event) {
+    return new Date(event.nextOccurrence ? event.nextOccurrence.startsAt : event.date);
+  }
+
+  // Series with occurrences after a date: open-ended, or ending later
+  getOngoingSeriesFilter(now = new Date()) {
+    return {
+      recurrence: { $ne: null },
+      $or: [{ seriesEndsAt: null }, { seriesEndsAt: { $gte: now } }]
+    };
+  }
+
+  // Events still to happen: one-off events by date, series by their last occurrence
+  getUpcomingFilter(now = new Date()) {
+    return {
+      $or: [
+        { recurrence: null, date: { $gte: now } },
+        this.getOngoingSeriesFilter(now)
+      ]
+    };
+  }
+
+  // Events with a date (or, for series, any occurrence) in a range
+  getRangeFilter(from, to) {
+    const oneOff = { recurrence: null, date: {} };
+    if (from) oneOff.date.$gte = from;
+    if (to) oneOff.date.$lte = to;
+
+    const series = from ? this.getOngoingSeriesFilter(from) : { recurrence: { $ne: null } };
+    if (to) series.date = { $lte: to };
+
+    return { $or: [oneOff, series] };
+  }
+
+  // "This occurrence": change one occurrence, leaving the rest of the series alone
+  updateOccurrence(event, day, changes, now = new Date()) {
+    const occurrence = this.requireOccurrence(event, day, now);
+    if (occurrence.cancelled) {
+      throw new ApiError('This occurrence has been cancelled', 400);
+    }
+
+    const fields = pick(changes, OVERRIDE_FIELDS);
+    if (Object.keys(fields).length === 0) {
+      throw new ApiError('Nothing to change for a single occurrence', 400);
+    }
+
+    event.setOccurrenceOverride(day, fields);
+    const updated = this.getOccurrence(event, day);
+    if (updated.startsAt < now) {
+      throw new ApiError('An occurrence cannot be moved into the past', 400);
+    }
+
+    event.set(this.getSeriesFields(event));
+    return {
+      occurrence: updated,
+      rescheduled: updated.startsAt.getTime() !== occurrence.startsAt.getTime()
+    };
+  }
+
+  cancelOccurrence(event, day, reason, now = new Date()) {
+    const occurrence = this.requireOccurrence(event, day, now);
+    if (occurrence.cancelled) {
+      throw new ApiError('This occurrence is already cancelled', 400);
+    }
+
+    event.setOccurrenceOverride(day, { cancelled: true, cancellationReason: reason });
+    return { ...occurrence, cancelled: true, cancellationReason: reason };
+  }
+
+  // Days of the series from an occurrence on, up to the horizon
+  getFollowingDays(event, occurrence, now) {
+    const until = new Date(now.getTime() + RECURRENCE_SETTINGS.HORIZON_DAYS * DAY_MS);
+    return this.expandRule(event, this.parse(event.recurrence), { until })
+      .filter(o => o.startsAt >= occurrence.originalStartsAt)
+      .map(o => o.day);
+  }
+
+  // A weekly series on one weekday follows its date to another weekday
+  shiftWeekday(event, date) {
+    const rule = this.parse(event.recurrence);
+    if (rule.freq !== 'WEEKLY' || rule.byDay.length !== 1 || rule.byDay[0].ordinal !== undefined) return null;
+
+    const day = availabilityService.getLocalDay(date, this.getTimeZone(event));
+    return formatRule({ ...rule, byDay: [{ weekday: new Date(`${day}T00:00:00Z`).getUTCDay() }] });
+  }
+
+  // Raw occurrences of the series before an occurrence
+  getOccurrencesBefore(event, occurrence) {
+    return this.expandRule(event, this.parse(event.recurrence), {
+      until: new Date(occurrence.originalStartsAt.getTime() - 1)
+    });
+  }
+
+  // The rule cut back to the occurrences before one, or null from the first occurrence
+  getRuleBefore(event, occurrence) {
+    const rule = this.parse(event.recurrence);
+    const before = this.getOccurrencesBefore(event, occurrence);
+    if (before.length === 0) return null;
+
+    if (rule.count) return formatRule({ ...rule, count: before.length });
+    return formatRule({ ...rule, until: availabilityService.addDays(occurrence.day, -1).replace(/-/g, '') });
+  }
+
+  // Move RSVPs and overrides of the following occurrences onto their new days, matched in order
+  async moveFollowing(source, target, dayMap) {
+    const moves = Object.keys(dayMap);
+
+    // Park every RSVP first, so swapping days within one event never trips the unique index
+    for (const day of moves) {
+      await RSVP.updateMany({ event: source._id, occurrence: day }, { occurrence: `moving:${day}` });
+    }
+    for (const day of moves) {
+      await RSVP.updateMany(
+        { event: source._id, occurrence: `moving:${day}` },
+        { event: target._id, occurrence: dayMap[day] }
+      );
+    }
+
+    const overrides = source.occurrenceOverrides.filter(o => dayMap[o.day]);
+    source.occurrenceOverrides = source.occurrenceOverrides.filter(o => !moves.includes(o.day));
+    overrides.forEach((override) => {
+      target.setOccurrenceOverride(dayMap[override.day], pick(override.toObject(), [...OVERRIDE_FIELDS, 'cancelled', 'cancellationReason']));
+    });
+  }
+
+  /**
+   * "This and following": change an occurrence and every one after it.
+   * From the first occurrence the whole series changes; otherwise the series ends the day
+   * before and continues in a new event. RSVPs and overrides follow their occurrence in order;
+   * the days returned in `dropped` have no occurrence in the new schedule.
+   * @returns {object} - { event, split, dayMap, dropped }
+   */
+  async updateFollowing(event, day, changes, now = new Date()) {
+    const occurrence = this.requireOccurrence(event, day, now);
+    const oldDays = this.getFollowingDays(event, occurrence, now);
+    const ruleBefore = this.getRuleBefore(event, occurrence);
+
+    let target = event;
+    if (ruleBefore) {
+      const fields = event.toObject();
+      SPLIT_RESET_FIELDS.forEach((key) => { delete fields[key]; });
+
+      // A counted series keeps its remaining occurrences
+      const rule = this.parse(event.recurrence);
+      const recurrence = rule.count
+        ? formatRule({ ...rule, count: rule.count - this.getOccurrencesBefore(event, occurrence).length })
+        : event.recurrence;
+
+      target = new Event({
+        ...fields,
+        date: new Date(`${occurrence.day}T00:00:00Z`),
+        recurrence,
+        series: event.series || event._id
+      });
+    }
+
+    target.set(changes);
+    if (changes.date && changes.recurrence === undefined) {
+      target.recurrence = this.shiftWeekday(target, changes.date) || target.recurrence;
+    }
+    if (!target.recurrence) {
+      throw new ApiError('Cancel the following occurrences instead of removing the recurrence', 400);
+    }
+    target.set(this.getSeriesFields(target));
+
+    // Old and new occurrences are matched in order
+    const newOccurrences = this.expandRule(target, this.parse(target.recurrence), {
+      until: new Date(now.getTime() + 2 * RECURRENCE_SETTINGS.HORIZON_DAYS * DAY_MS),
+      limit: Math.max(oldDays.length, 1)
+    });
+    if (newOccurrences.length === 0 || newOccurrences[0].startsAt < now) {
+      throw new ApiError('The new schedule must start in the future', 400);
+    }
+    await target.validate();
+
+    const dayMap = {};
+    oldDays.forEach((oldDay, i) => {
+      const newDay = newOccurrences[i] && newOccurrences[i].day;
+      if (newDay && (newDay !== oldDay || target !== event)) dayMap[oldDay] = newDay;
+    });
+    const dropped = oldDays.slice(newOccurrences.length);
+
+    if (ruleBefore) event.recurrence = ruleBefore;
+    await this.moveFollowing(event, target, dayMap);
+    event.occurrenceOverrides = event.occurrenceOverrides.filter(o => !dropped.includes(o.day));
+
+    target.set(this.getSeriesFields(target));
+    await target.save();
+    if (target !== event) {
+      event.set(this.getSeriesFields(event));
+      await event.save();
+      await RSVP.updateEventCounts(event._id);
+      await RSVP.updateEventCounts(target._id);
+    }
+
+    return { event: target, split: target !== event, dayMap, dropped };
+  }
+
+  // "This and following" cancellation: end the series before the occurrence
+  endBefore(event, day, now = new Date()) {
+    const occurrence = this.requireOccurrence(event, day, now);
+    const ruleBefore = this.getRuleBefore(event, occurrence);
+    if (!ruleBefore) {
+      throw new ApiError('Cancelling from the first occurrence cancels the whole series, cancel the event instead', 400);
+    }
+
+    const days = this.getFollowingDays(event, occurrence, now);
+    event.recurrence = ruleBefore;
+    event.occurrenceOverrides = event.occurrenceOverrides.filter(o => !days.includes(o.day));
+    event.set(this.getSeriesFields(event));
+    return days;
+  }
+}
+
+module.exports = new EventSeriesService();
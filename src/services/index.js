@@ -3,11 +3,19 @@ const smsService = require('./smsService');
 const uploadService = require('./uploadService');
 const paymentService = require('./paymentService');
 const cacheService = require('./cacheService');
+const refundService = require('./refundService');
+const ledgerService = require('./ledgerService');
+const invoiceService = require('./invoiceService');
+const pricingService = require('./pricingService');
 
 module.exports = {
   emailService,
   smsService,
   uploadService,
   paymentService,
-  cacheService
+  cacheService,
+  refundService,
+  ledgerService,
+  invoiceService,
+  pricingService
 };
@@ -0,0 +1,354 @@
+const Invitation = require('../models/Invitation');
+const InviteLink = require('../models/InviteLink');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+const ApiError = require('../utils/apiError');
+const { generateToken, hashToken, sanitizePhone } = require('../utils/helpers');
+const { INVITATION_SETTINGS } = require('../config/constants');
+
+class InvitationService {
+  getInviteUrl(token) {
+    return `${process.env.FRONTEND_URL}/invitations/${token}`;
+  }
+
+  // Phone numbers are stored as entered, so match the usual ways of writing the same number
+  getPhoneVariants(phone) {
+    const digits = phone.replace(/\D/g, '');
+    const variants = [phone, sanitizePhone(phone)];
+    if (digits.length >= 10) {
+      variants.push(digits.slice(-10), `+91${digits.slice(-10)}`);
+    }
+    return [...new Set(variants)];
+  }
+
+  isHost(event, userId) {
+    const id = userId.toString();
+    return event.organizer.toString() === id || event.coOrganizers.some(c => c.toString() === id);
+  }
+
+  // Invitations addressed to a user: by account, or by an email or phone they have verified.
+  // Anyone else has to redeem the invitation's token to claim it.
+  getGuestFilter(user) {
+    const or = [{ user: user._id }];
+    if (user.email && user.emailVerified) or.push({ email: user.email.toLowerCase() });
+    if (user.phone && user.phoneVerified) or.push({ phone: { $in: this.getPhoneVariants(user.phone) } });
+    return { $or: or };
+  }
+
+  // The user's active invitation to an event, linked to their account when found by email or phone
+  async findForUser(eventId, user) {
+    const invitation = await Invitation.findOne({
+      event: eventId,
+      status: { $ne: 'revoked' },
+      ...this.getGuestFilter(user)
+    }).sort('createdAt');
+
+    if (invitation && !invitation.user) {
+      invitation.user = user._id;
+      await invitation.save();
+    }
+    return invitation;
+  }
+
+  // Private events let in their hosts, admins and invited guests
+  async canAttend(event, user) {
+    if (event.isPublic || user.role === 'admin' || this.isHost(event, user._id)) return true;
+    return Boolean(await this.findForUser(event._id, user));
+  }
+
+  // Guest must be the invitation's user, or have verified the email/phone it was sent to
+  isGuest(invitation, user) {
+    if (invitation.user) return invitation.user.toString() === user._id.toString();
+    if (invitation.email && user.email && user.emailVerified && invitation.email === user.email.toLowerCase()) return true;
+    return Boolean(invitation.phone && user.phone && user.phoneVerified &&
+      this.getPhoneVariants(user.phone).includes(invitation.phone));
+  }
+
+  // Resolve who an invitee entry refers to; accounts are looked up so in-app guests are linked straight away
+  async resolveInvitee({ userId, email, phone }) {
+    if (userId) {
+      const user = await User.findById(userId).select('name email phone');
+      return user ? { user } : null;
+    }
+    if (email) {
+      const address = email.toLowerCase();
+      const user = await User.findOne({ email: address, emailVerified: true }).select('name email phone');
+      return { user, email: address };
+    }
+    const number = sanitizePhone(phone);
+    const user = await User.findOne({ phone: { $in: this.getPhoneVariants(phone) }, phoneVerified: true })
+      .select('name email phone');
+    return { user, phone: number };
+  }
+
+  /**
+   * Invite guests by user id, email or phone, skipping hosts and anyone already invited.
+   * Revoked invitations are re-sent with a fresh token.
+   * @param {object} event - Event document
+   * @param {Array} invitees - [{ userId } | { email } | { phone }]
+   * @param {object} inviter - User sending the invitations
+   * @param {string} message - Optional personal note
+   * @returns {Promise<object>} - { invited, skipped }
+   */
+  async invite(event, invitees, inviter, message) {
+    const invited = [];
+    const skipped = [];
+
+    for (const invitee of invitees.slice(0, INVITATION_SETTINGS.MAX_PER_REQUEST)) {
+      const guest = await this.resolveInvitee(invitee);
+      if (!guest) {
+        skipped.push({ invitee, reason: 'User not found' });
+        continue;
+      }
+      if (guest.user && this.isHost(event, guest.user._id)) {
+        skipped.push({ invitee, reason: 'Already hosting this event' });
+        continue;
+      }
+
+      const or = [];
+      if (guest.user) or.push({ user: guest.user._id });
+      if (guest.email) or.push({ email: guest.email });
+      if (guest.phone) or.push({ phone: { $in: this.getPhoneVariants(guest.phone) } });
+
+      let invitation = await Invitation.findOne({ event: event._id, $or: or });
+      if (invitation && invitation.isActive()) {
+        skipped.push({ invitee, reason: 'Already invited' });
+        continue;
+      }
+
+      const token = generateToken();
+      const fields = {
+        invitedBy: inviter._id,
+        user: guest.user ? guest.user._id : undefined,
+        email: guest.email || (guest.user ? guest.user.email : undefined),
+        phone: guest.phone,
+        tokenHash: hashToken(token),
+        message,
+        status: 'sent',
+        sentAt: new Date(),
+        openedAt: undefined,
+        respondedAt: undefined,
+        revokedAt: undefined
+      };
+
+      if (invitation) {
+        invitation.set(fields);
+        await invitation.save();
+      } else {
+        invitation = await Invitation.create({ event: event._id, ...fields });
+      }
+
+      await this.deliver(invitation, event, inviter, token, guest.user);
+      invited.push(invitation);
+    }
+
+    return { invited, skipped };
+  }
+
+  // Send the invitation in-app, by email and by SMS; a failed send doesn't undo the invitation
+  async deliver(invitation, event, inviter, token, user) {
+    const inviteUrl = this.getInviteUrl(token);
+
+    if (user) {
+      await Notification.createNotification({
+        recipient: user._id,
+        type: 'rsvp',
+        title: "You're Invited",
+        message: `${inviter.name} invited you to "${event.title}"`,
+        relatedEvent: event._id,
+        relatedUser: inviter._id,
+        actionUrl: `/invitations/${token}`
+      });
+    }
+
+    if (invitation.email) {
+      try {
+        await emailService.sendEventInvitation(invitation.email, event, inviter, inviteUrl, invitation.message);
+      } catch (error) {
+        console.error('Failed to send invitation email:', error);
+      }
+    } else if (invitation.phone) {
+      try {
+        await smsService.sendEventInvitation(invitation.phone, event, inviter.name, inviteUrl);
+      } catch (error) {
+        console.error('Failed to send invitation SMS:', error);
+      }
+    }
+  }
+
+  /**
+   * Create a shareable invite link. The token is only returned here.
+   * @returns {Promise<object>} - { link, token, url }
+   */
+  async createLink(event, user, { label, maxUses, expiresInDays = INVITATION_SETTINGS.DEFAULT_LINK_DAYS }) {
+    const token = generateToken();
+    const link = await InviteLink.create({
+      event: event._id,
+      createdBy: user._id,
+      label,
+      tokenHash: hashToken(token),
+      maxUses,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    return { link, token, url: this.getInviteUrl(token) };
+  }
+
+  /**
+   * Look up a personal invitation or invite link token. Anonymous visitors just see which event
+   * it is for; personal invitations are marked opened either way.
+   * @returns {Promise<object>} - { eventId, invitation, link }
+   */
+  async preview(token, now = new Date()) {
+    const tokenHash = hashToken(token);
+
+    const invitation = await Invitation.findOne({ tokenHash });
+    if (invitation) {
+      if (!invitation.isActive()) {
+        throw new ApiError('This invitation has been revoked', 400);
+      }
+      if (invitation.status === 'sent') {
+        invitation.markOpened(now);
+        await invitation.save();
+      }
+      return { eventId: invitation.event, invitation };
+    }
+
+    const link = await InviteLink.findOne({ tokenHash });
+    if (!link) {
+      throw new ApiError('Invitation not found', 404);
+    }
+    if (!link.isUsable(now)) {
+      throw new ApiError('This invite link is no longer valid', 400);
+    }
+    return { eventId: link.event, link };
+  }
+
+  /**
+   * Redeem a token for the signed-in user. A personal invitation not yet claimed by an account is
+   * linked to theirs - holding the token shows they received it, verified contact details or not;
+   * an invite link use is claimed atomically, so a single-use link only ever lets one guest in.
+   * @returns {Promise<object>} - { eventId, invitation } (invitation is null for hosts)
+   */
+  async redeem(token, user, event = null, now = new Date()) {
+    const tokenHash = hashToken(token);
+
+    const invitation = await Invitation.findOne({ tokenHash });
+    if (invitation) {
+      if (!invitation.isActive()) {
+        throw new ApiError('This invitation has been revoked', 400);
+      }
+      if (invitation.user && invitation.user.toString() !== user._id.toString()) {
+        throw new ApiError('This invitation was sent to someone else', 403);
+      }
+      invitation.user = user._id;
+      invitation.markOpened(now);
+      await invitation.save();
+      return { eventId: invitation.event, invitation };
+    }
+
+    const link = await InviteLink.findOne({ tokenHash });
+    if (!link) {
+      throw new ApiError('Invitation not found', 404);
+    }
+
+    // Hosts and guests who are already invited don't use up the link
+    if (event && this.isHost(event, user._id)) {
+      return { eventId: link.event, invitation: null };
+    }
+    const existing = await this.findForUser(link.event, user);
+    if (existing) {
+      existing.markOpened(now);
+      await existing.save();
+      return { eventId: link.event, invitation: existing };
+    }
+
+    const claimed = await InviteLink.findOneAndUpdate(
+      {
+        _id: link._id,
+        revokedAt: null,
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+        ]
+      },
+      { $inc: { uses: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new ApiError('This invite link is no longer valid', 400);
+    }
+
+    const created = await Invitation.create({
+      event: link.event,
+      invitedBy: link.createdBy,
+      user: user._id,
+      email: user.email,
+      inviteLink: link._id,
+      status: 'opened',
+      sentAt: now,
+      openedAt: now
+    });
+
+    return { eventId: link.event, invitation: created };
+  }
+
+  // Accept or decline, telling the organizer
+  async respond(invitation, event, user, accept, now = new Date()) {
+    if (!invitation.isActive()) {
+      throw new ApiError('This invitation has been revoked', 400);
+    }
+
+    const previousStatus = invitation.status;
+    invitation.user = user._id;
+    invitation.respond(accept, now);
+    await invitation.save();
+
+    if (invitation.status !== previousStatus) {
+      await Notification.createNotification({
+        recipient: event.organizer,
+        type: 'rsvp',
+        title: accept ? 'Invitation Accepted' : 'Invitation Declined',
+        message: `${user.name} ${accept ? 'accepted' : 'declined'} your invitation to "${event.title}"`,
+        relatedEvent: event._id,
+        relatedUser: user._id,
+        actionUrl: `/events/${event._id}/invitations`
+      });
+    }
+
+    return invitation;
+  }
+
+  // Keep the invitation in step with the guest's RSVP to a private event
+  async recordRsvp(event, user, rsvpStatus, now = new Date()) {
+    if (event.isPublic) return null;
+
+    const invitation = await this.findForUser(event._id, user);
+    if (!invitation) return null;
+
+    const accept = rsvpStatus !== 'not_going';
+    if (invitation.status !== (accept ? 'accepted' : 'declined')) {
+      invitation.respond(accept, now);
+      await invitation.save();
+    }
+    return invitation;
+  }
+
+  // Delivery counts by status for the organizer's overview
+  async getStats(eventId) {
+    const counts = await Invitation.aggregate([
+      { $match: { event: eventId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const stats = INVITATION_SETTINGS.STATUSES.reduce((all, status) => ({ ...all, [status]: 0 }), {});
+    counts.forEach(({ _id, count }) => {
+      stats[_id] = count;
+    });
+    return stats;
+  }
+}
+
+module.exports = new InvitationService();
@@ -0,0 +1,309 @@
+const PdfDocument = require('../utils/pdfDocument');
+const Counter = require('../models/Counter');
+const ApiError = require('../utils/apiError');
+const paymentService = require('./paymentService');
+const { GST_SETTINGS } = require('../config/constants');
+
+const MARGIN = 50;
+const RIGHT = PdfDocument.PAGE_WIDTH - MARGIN;
+const BOTTOM = 60;
+
+class InvoiceService {
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  formatAmount(amount, currency = 'INR') {
+    return `${currency} ${new Intl.NumberFormat('en-IN', {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount)}`;
+  }
+
+  formatDate(date) {
+    return new Intl.DateTimeFormat('en-IN', {
+      timeZone: 'Asia/Kolkata',
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric'
+    }).format(new Date(date));
+  }
+
+  // Indian financial year (April - March) for a date, e.g. 2026-27
+  getFinancialYear(date) {
+    const ist = new Date(new Date(date).getTime() + 5.5 * 60 * 60 * 1000);
+    const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+  }
+
+  async nextNumber(prefix, date) {
+    const fy = this.getFinancialYear(date);
+    const seq = await Counter.next(`${prefix}/${fy}`);
+    return `${prefix}/${fy}/${String(seq).padStart(6, '0')}`;
+  }
+
+  // Assign a sequential invoice number once per booking and freeze what it is issued for
+  async assignInvoiceNumber(booking, { buyerGstin } = {}) {
+    if (booking.invoiceNumber) return booking.invoiceNumber;
+
+    booking.invoiceDate = new Date();
+    booking.invoiceNumber = await this.nextNumber(GST_SETTINGS.INVOICE_PREFIX, booking.invoiceDate);
+    booking.invoiceDetails = this.buildInvoiceDetails(booking, { buyerGstin });
+    booking.$where = { invoiceNumber: null };
+
+    try {
+      await booking.save();
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError') {
+        throw new ApiError('This invoice was just issued, download it again', 409);
+      }
+      throw error;
+    }
+
+    return booking.invoiceNumber;
+  }
+
+  // Assign a sequential receipt number once per payment
+  async assignReceiptNumber(booking, payment) {
+    if (payment.receiptNumber) return payment.receiptNumber;
+
+    payment.receiptNumber = await this.nextNumber(GST_SETTINGS.RECEIPT_PREFIX, payment.paidAt);
+    await booking.save();
+
+    return payment.receiptNumber;
+  }
+
+  // GST breakdown for a GST-inclusive amount
+  // Supplier and recipient in the same state (first 2 GSTIN digits) -> CGST + SGST, else IGST
+  calculateGst(amount, supplierGstin, recipientGstin) {
+    if (!supplierGstin) {
+      return { registered: false, taxableValue: amount, total: amount, lines: [] };
+    }
+
+    const rate = GST_SETTINGS.RATE;
+    const taxableValue = this.round(amount * 100 / (100 + rate));
+    const tax = this.round(amount - taxableValue);
+    const interState = Boolean(recipientGstin) &&
+      recipientGstin.slice(0, 2) !== supplierGstin.slice(0, 2);
+
+    let lines;
+    if (interState) {
+      lines = [{ label: `IGST @ ${rate}%`, amount: tax }];
+    } else {
+      const half = this.round(tax / 2);
+      lines = [
+        { label: `CGST @ ${rate / 2}%`, amount: half },
+        { label: `SGST @ ${rate / 2}%`, amount: this.round(tax - half) }
+      ];
+    }
+
+    return { registered: true, interState, taxableValue, total: amount, lines };
+  }
+
+  // Supplier and buyer as they stand now (service, vendor and organizer populated)
+  getParties(data, buyerGstin) {
+    const service = data.service || {};
+    const vendor = data.vendor || {};
+    const organizer = data.organizer || {};
+
+    return {
+      supplier: {
+        name: service.businessName || vendor.name,
+        contact: vendor.name && service.businessName ? vendor.name : '',
+        city: service.city || vendor.city || '',
+        gstin: service.gstNumber,
+        pan: service.panNumber
+      },
+      buyer: {
+        name: organizer.name,
+        email: organizer.email || '',
+        phone: organizer.phone || '',
+        city: organizer.city || '',
+        gstin: buyerGstin
+      }
+    };
+  }
+
+  // Everything an invoice prints apart from payments, taken once when its number is assigned
+  buildInvoiceDetails(booking, { buyerGstin } = {}) {
+    const data = booking.toObject();
+    const service = data.service || {};
+    const event = data.event || {};
+    const gst = this.calculateGst(booking.priceAgreed, service.gstNumber, buyerGstin);
+
+    const chosenPackage = data.package && data.package.name ? data.package : null;
+    const unit = ((chosenPackage ? chosenPackage.priceUnit : service.priceUnit) || '').replace('_', ' ');
+    const description = chosenPackage ? `${service.serviceName || 'Service'} - ${chosenPackage.name}` : service.serviceName || 'Service';
+    const addOns = (data.addOns || []).map(a => (a.quantity > 1 ? `${a.name} x${a.quantity}` : a.name));
+
+    return {
+      ...this.getParties(data, buyerGstin),
+      eventTitle: event.title || '',
+      eventDate: booking.eventDate,
+      placeOfSupply: event.city || service.city || '',
+      currency: data.currency,
+      lineItems: [{
+        description: `${description} (${service.category || ''}, ${unit})`,
+        note: addOns.length > 0 ? `Add-ons: ${addOns.join(', ')}` : '',
+        amount: gst.taxableValue
+      }],
+      taxableValue: gst.taxableValue,
+      taxes: gst.lines,
+      total: gst.total,
+      platformFee: paymentService.calculatePlatformFee(booking.priceAgreed, data.currency)
+    };
+  }
+
+  // Shared header: document title, number, parties
+  drawHeader(doc, title, number, date, { supplier, buyer }) {
+    doc.text(GST_SETTINGS.PLATFORM_NAME, MARGIN, 790, { size: 18, bold: true });
+    doc.text(title, RIGHT, 790, { size: 16, bold: true, align: 'right' });
+    doc.text(`No: ${number}`, RIGHT, 772, { align: 'right' });
+    doc.text(`Date: ${this.formatDate(date)}`, RIGHT, 758, { align: 'right' });
+    doc.line(MARGIN, 745, RIGHT, 745);
+
+    doc.text('Supplier', MARGIN, 728, { bold: true });
+    doc.text(supplier.name, MARGIN, 714);
+    doc.text(supplier.contact ? `Contact: ${supplier.contact}` : '', MARGIN, 701);
+    doc.text(supplier.city || '', MARGIN, 688);
+    doc.text(supplier.gstin ? `GSTIN: ${supplier.gstin}` : 'Not registered under GST', MARGIN, 675);
+    doc.text(supplier.pan ? `PAN: ${supplier.pan}` : '', MARGIN, 662);
+
+    doc.text('Bill To', 320, 728, { bold: true });
+    doc.text(buyer.name, 320, 714);
+    doc.text(buyer.email || '', 320, 701);
+    doc.text(buyer.phone || '', 320, 688);
+    doc.text(buyer.city || '', 320, 675);
+    doc.text(buyer.gstin ? `GSTIN: ${buyer.gstin}` : '', 320, 662);
+
+    doc.line(MARGIN, 648, RIGHT, 648);
+    return 630;
+  }
+
+  drawRow(doc, currency, y, label, amount, options = {}) {
+    doc.text(label, MARGIN, y, options);
+    doc.text(this.formatAmount(amount, currency), RIGHT, y, { ...options, align: 'right' });
+    return y - 16;
+  }
+
+  ensureSpace(doc, y) {
+    if (y > BOTTOM) return y;
+    doc.addPage();
+    return 790;
+  }
+
+  // Build the tax invoice PDF for a booking from the details frozen when it was issued
+  buildInvoice(booking) {
+    const details = booking.invoiceDetails;
+    const { currency } = details;
+    const doc = new PdfDocument(`Invoice ${booking.invoiceNumber}`);
+
+    let y = this.drawHeader(
+      doc,
+      details.supplier.gstin ? 'TAX INVOICE' : 'INVOICE',
+      booking.invoiceNumber,
+      booking.invoiceDate,
+      details
+    );
+
+    doc.text(`Booking: ${booking._id}`, MARGIN, y);
+    doc.text(`Event: ${details.eventTitle || ''}`, MARGIN, y - 14);
+    doc.text(`Event date: ${this.formatDate(details.eventDate)}`, MARGIN, y - 28);
+    doc.text(`Place of supply: ${details.placeOfSupply || ''}`, 320, y);
+    y -= 52;
+
+    // Line items
+    doc.text('Description', MARGIN, y, { bold: true });
+    doc.text('Amount', RIGHT, y, { bold: true, align: 'right' });
+    doc.line(MARGIN, y - 6, RIGHT, y - 6);
+    y -= 22;
+
+    details.lineItems.forEach((item) => {
+      y = this.drawRow(doc, currency, y, item.description, item.amount);
+      if (item.note) {
+        doc.text(item.note, MARGIN + 10, y + 4, { size: 8 });
+        y -= 12;
+      }
+    });
+    doc.line(MARGIN, y + 6, RIGHT, y + 6);
+    y -= 6;
+
+    y = this.drawRow(doc, currency, y, 'Taxable value', details.taxableValue);
+    details.taxes.forEach((line) => {
+      y = this.drawRow(doc, currency, y, line.label, line.amount);
+    });
+    y = this.drawRow(doc, currency, y, 'Total (GST inclusive)', details.total, { bold: true });
+
+    doc.text(
+      `Includes ${GST_SETTINGS.PLATFORM_NAME} platform fee of ${this.formatAmount(details.platformFee, currency)}, deducted from the supplier payout`,
+      MARGIN, y, { size: 8 }
+    );
+    y -= 28;
+
+    // Payments
+    const captured = booking.payments.filter(p => p.status === 'captured');
+    const refunds = booking.payments.filter(p => p.status === 'refunded');
+
+    doc.text('Payments', MARGIN, y, { bold: true });
+    doc.line(MARGIN, y - 6, RIGHT, y - 6);
+    y -= 22;
+
+    captured.forEach((p) => {
+      y = this.ensureSpace(doc, y);
+      y = this.drawRow(doc, currency, y, `${this.formatDate(p.paidAt)}  ${p.paymentMethod || 'other'}  ${p.transactionId || ''}`, p.amount);
+    });
+    refunds.forEach((p) => {
+      y = this.ensureSpace(doc, y);
+      y = this.drawRow(doc, currency, y, `${this.formatDate(p.paidAt)}  Refund  ${p.razorpayRefundId || ''}`, -p.amount);
+    });
+
+    y = this.ensureSpace(doc, y - 4);
+    y = this.drawRow(doc, currency, y, 'Total paid', booking.totalPaid, { bold: true });
+    y = this.drawRow(doc, currency, y, 'Balance due', Math.max(0, details.total - booking.totalPaid), { bold: true });
+
+    y = this.ensureSpace(doc, y - 20);
+    doc.text('This is a computer generated document and does not require a signature.', MARGIN, y, { size: 8 });
+
+    return doc.toBuffer();
+  }
+
+  // Build a payment receipt PDF for one captured payment
+  buildReceipt(booking, payment) {
+    const data = booking.toObject();
+    const service = data.service || {};
+    const event = data.event || {};
+    const doc = new PdfDocument(`Receipt ${payment.receiptNumber}`);
+
+    const parties = booking.invoiceNumber ? booking.invoiceDetails : this.getParties(data);
+    let y = this.drawHeader(doc, 'PAYMENT RECEIPT', payment.receiptNumber, payment.paidAt, parties);
+
+    doc.text(`Booking: ${booking._id}`, MARGIN, y);
+    doc.text(`Event: ${event.title || ''}`, MARGIN, y - 14);
+    doc.text(`Service: ${service.serviceName || ''}`, MARGIN, y - 28);
+    if (booking.invoiceNumber) {
+      doc.text(`Against invoice: ${booking.invoiceNumber}`, 320, y);
+    }
+    y -= 52;
+
+    y = this.drawRow(doc, data.currency, y, 'Amount received', payment.amount, { bold: true });
+    doc.text(`Payment method: ${payment.paymentMethod || 'other'}`, MARGIN, y);
+    doc.text(`Transaction: ${payment.transactionId || payment.razorpayPaymentId || '-'}`, MARGIN, y - 14);
+    y -= 36;
+
+    // Running totals up to and including this payment
+    const upToThis = booking.payments.filter(
+      p => p.status === 'captured' && (p.paidAt < payment.paidAt || p._id.equals(payment._id))
+    );
+    const paidSoFar = this.round(upToThis.reduce((sum, p) => sum + p.amount, 0));
+
+    y = this.drawRow(doc, data.currency, y, 'Agreed price', booking.priceAgreed);
+    y = this.drawRow(doc, data.currency, y, 'Paid to date', paidSoFar);
+    y = this.drawRow(doc, data.currency, y, 'Balance after this payment', Math.max(0, booking.priceAgreed - paidSoFar), { bold: true });
+
+    doc.text('This is a computer generated document and does not require a signature.', MARGIN, y - 20, { size: 8 });
+
+    return doc.toBuffer();
+  }
+}
+
+module.exports = new InvoiceService();
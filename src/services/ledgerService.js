@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+
+class LedgerService {
+  // Round to paise
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  // Write a balanced journal. Returns null if this reference was already posted.
+  async postJournal(entryType, reference, lines, details) {
+    const postedLines = lines.filter(line => line.debit > 0 || line.credit > 0);
+
+    const totalDebit = this.round(postedLines.reduce((sum, line) => sum + (line.debit || 0), 0));
+    const totalCredit = this.round(postedLines.reduce((sum, line) => sum + (line.credit || 0), 0));
+    if (totalDebit !== totalCredit) {
+      throw new Error(`Unbalanced journal for ${reference}: ${totalDebit} != ${totalCredit}`);
+    }
+
+    const journalId = crypto.randomUUID();
+    const occurredAt = details.occurredAt || new Date();
+
+    const entries = postedLines.map(line => ({
+      journalId,
+      entryType,
+      reference,
+      account: line.account,
+      debit: line.debit || 0,
+      credit: line.credit || 0,
+      currency: details.currency,
+      vendor: details.vendor,
+      booking: details.booking,
+      payout: details.payout,
+      description: details.description,
+      occurredAt,
+      period: details.period || LedgerEntry.getPeriod(occurredAt)
+    }));
+
+    try {
+      return await LedgerEntry.insertMany(entries, { ordered: true });
+    } catch (error) {
+      // Webhooks and verification can report the same payment twice
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  // Captured booking payment: gross in, split into platform fee and vendor payable
+  async recordBookingPayment(booking, amount, platformFee, reference, occurredAt = new Date()) {
+    const vendorNet = this.round(amount - platformFee);
+
+    return this.postJournal('payment', reference, [
+      { account: 'gateway_clearing', debit: amount },
+      { account: 'platform_fees', credit: platformFee },
+      { account: 'vendor_payable', credit: vendorNet }
+    ], {
+      vendor: booking.vendor,
+      booking: booking._id,
+      currency: booking.currency,
+      occurredAt,
+      description: `Payment for booking ${booking._id}`
+    });
+  }
+
+  // Whether a journal was posted for a reference, e.g. a Razorpay payment ID
+  async isPosted(entryType, reference) {
+    return Boolean(await LedgerEntry.exists({ entryType, reference }));
+  }
+
+  // Booking refund: reverse the fee and vendor share for the refunded amount
+  async recordBookingRefund(booking, amount, platformFee, reference, occurredAt = new Date()) {
+    const vendorNet = this.round(amount - platformFee);
+
+    return this.postJournal('refund', reference, [
+      { account: 'platform_fees', debit: platformFee },
+      { account: 'vendor_payable', debit: vendorNet },
+      { account: 'gateway_clearing', credit: amount }
+    ], {
+      vendor: booking.vendor,
+      booking: booking._id,
+      currency: booking.currency,
+      occurredAt,
+      description: `Refund for booking ${booking._id}`
+    });
+  }
+
+  // Vendor statement grouped by period and currency (amounts are never converted)
+  async getVendorStatement(vendorId, { from, to } = {}) {
+    const match = { vendor: vendorId };
+    if (from || to) {
+      match.period = {};
+      if (from) match.period.$gte = from;
+      if (to) match.period.$lte = to;
+    }
+
+    const rows = await LedgerEntry.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { period: '$period', currency: '$currency', account: '$account', entryType: '$entryType' },
+          debit: { $sum: '$debit' },
+          credit: { $sum: '$credit' }
+        }
+      }
+    ]);
+
+    const periods = {};
+    rows.forEach(({ _id, debit, credit }) => {
+      const key = `${_id.period}|${_id.currency}`;
+      if (!periods[key]) {
+        periods[key] = {
+          period: _id.period,
+          currency: _id.currency,
+          gross: 0,
+          refunds: 0,
+          platformFees: 0,
+          netEarnings: 0,
+          paidOut: 0
+        };
+      }
+      const p = periods[key];
+
+      if (_id.account === 'gateway_clearing' && _id.entryType === 'payment') p.gross += debit;
+      if (_id.account === 'gateway_clearing' && _id.entryType === 'refund') p.refunds += credit;
+      if (_id.account === 'platform_fees') p.platformFees += credit - debit;
+      if (_id.account === 'vendor_payable' && _id.entryType !== 'payout') p.netEarnings += credit - debit;
+      if (_id.account === 'vendor_payable' && _id.entryType === 'payout') p.paidOut += debit;
+    });
+
+    const statement = Object.values(periods)
+      .map(p => ({
+        period: p.period,
+        currency: p.currency,
+        gross: this.round(p.gross),
+        refunds: this.round(p.refunds),
+        platformFees: this.round(p.platformFees),
+        netEarnings: this.round(p.netEarnings),
+        paidOut: this.round(p.paidOut),
+        balance: this.round(p.netEarnings - p.paidOut)
+      }))
+      .sort((a, b) => b.period.localeCompare(a.period) || a.currency.localeCompare(b.currency));
+
+    const totalsByCurrency = {};
+    statement.forEach((p) => {
+      const sum = totalsByCurrency[p.currency] ||
+        { currency: p.currency, gross: 0, refunds: 0, platformFees: 0, netEarnings: 0, paidOut: 0, balance: 0 };
+
+      totalsByCurrency[p.currency] = {
+        currency: p.currency,
+        gross: this.round(sum.gross + p.gross),
+        refunds: this.round(sum.refunds + p.refunds),
+        platformFees: this.round(sum.platformFees + p.platformFees),
+        netEarnings: this.round(sum.netEarnings + p.netEarnings),
+        paidOut: this.round(sum.paidOut + p.paidOut),
+        balance: this.round(sum.balance + p.balance)
+      };
+    });
+
+    return { periods: statement, totals: Object.values(totalsByCurrency) };
+  }
+
+  // Gross, fee and vendor net of unbatched payment and refund entries, per vendor and currency
+  async sumPayoutEntries(match) {
+    const rows = await LedgerEntry.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { vendor: '$vendor', currency: '$currency', account: '$account' },
+          debit: { $sum: '$debit' },
+          credit: { $sum: '$credit' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const vendors = {};
+    rows.forEach(({ _id, debit, credit, count }) => {
+      const key = `${_id.vendor}|${_id.currency}`;
+      if (!vendors[key]) {
+        vendors[key] = { vendor: _id.vendor, currency: _id.currency, gross: 0, fee: 0, net: 0, count: 0 };
+      }
+      const v = vendors[key];
+      if (_id.account === 'gateway_clearing') v.gross += debit - credit;
+      if (_id.account === 'platform_fees') v.fee += credit - debit;
+      if (_id.account === 'vendor_payable') v.net += credit - debit;
+      v.count += count;
+    });
+
+    return Object.values(vendors);
+  }
+
+  // Create pending payout batches for every vendor with unbatched earnings up to a period.
+  // Entries from earlier periods that were never batched - such as a refund posted after the
+  // vendor was paid, which leaves them owing - are netted into the batch.
+  // Vendors paid in more than one currency get one batch per currency.
+  async createPayoutBatches(period) {
+    // Entries posted after this point belong to the next batch
+    const cutoff = new Date();
+    const match = {
+      period: { $lte: period },
+      payout: null,
+      entryType: { $in: ['payment', 'refund'] },
+      createdAt: { $lte: cutoff }
+    };
+
+    const payouts = [];
+    for (const { vendor, currency } of await this.sumPayoutEntries(match)) {
+      // Claim the entries first so a concurrent run can't batch them twice,
+      // then total only what this run claimed
+      const payoutId = new mongoose.Types.ObjectId();
+      await LedgerEntry.updateMany({ ...match, vendor, currency }, { payout: payoutId });
+
+      const [claimed] = await this.sumPayoutEntries({ payout: payoutId });
+      if (!claimed) continue;
+
+      // Nothing owed (e.g. refunds cancelled out earnings) - carry the entries into a later batch
+      if (this.round(claimed.net) <= 0) {
+        await LedgerEntry.updateMany({ payout: payoutId }, { payout: null });
+        continue;
+      }
+
+      const payout = await Payout.create({
+        _id: payoutId,
+        vendor,
+        period,
+        grossAmount: this.round(claimed.gross),
+        platformFee: this.round(claimed.fee),
+        amount: this.round(claimed.net),
+        currency,
+        entryCount: claimed.count
+      });
+
+      payouts.push(payout);
+    }
+
+    return payouts;
+  }
+
+  // Mark a payout batch as settled and post the payout journal
+  async settlePayout(payout, settledBy, reference, notes) {
+    await this.postJournal('payout', payout._id.toString(), [
+      { account: 'vendor_payable', debit: payout.amount },
+      { account: 'gateway_clearing', credit: payout.amount }
+    ], {
+      vendor: payout.vendor,
+      payout: payout._id,
+      currency: payout.currency,
+      period: payout.period,
+      description: `Payout ${payout._id} for ${payout.period}`
+    });
+
+    payout.status = 'settled';
+    payout.settledAt = new Date();
+    payout.settledBy = settledBy;
+    payout.reference = reference;
+    payout.notes = notes;
+    await payout.save();
+
+    return payout;
+  }
+}
+
+module.exports = new LedgerService();
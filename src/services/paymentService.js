@@ -1,5 +1,15 @@
 const Razorpay = require('razorpay');
 const crypto = require('crypto');
+const Booking = require('../models/Booking');
+const RSVP = require('../models/RSVP');
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+const ApiError = require('../utils/apiError');
+const ledgerService = require('./ledgerService');
+const currencyService = require('./currencyService');
+const waitlistService = require('./waitlistService');
+const { formatCurrency } = require('../utils/helpers');
+const { PAYMENT_SETTINGS } = require('../config/constants');
 
 class PaymentService {
   constructor() {
@@ -21,7 +31,7 @@ class PaymentService {
     }
 
     const options = {
-      amount: amount * 100, // Razorpay expects amount in paise
+      amount: currencyService.toMinorUnits(amount, currency), // Razorpay expects the smallest unit (paise, cents)
       currency,
       receipt: receipt || `order_${Date.now()}`,
       notes
@@ -78,7 +88,7 @@ class PaymentService {
   }
 
   // Initiate refund
-  async initiateRefund(paymentId, amount = null, notes = {}) {
+  async initiateRefund(paymentId, amount = null, notes = {}, currency = 'INR') {
     if (!this.razorpay) {
       throw new Error('Payment service not configured');
     }
@@ -89,7 +99,7 @@ class PaymentService {
 
     // If amount provided, partial refund
     if (amount) {
-      options.amount = amount * 100;
+      options.amount = currencyService.toMinorUnits(amount, currency);
     }
 
     try {
@@ -116,8 +126,8 @@ class PaymentService {
     }
   }
 
-  // Create booking payment order
-  async createBookingPayment(booking) {
+  // Create booking payment order (defaults to the full agreed price)
+  async createBookingPayment(booking, amount = booking.priceAgreed) {
     const notes = {
       booking_id: booking._id.toString(),
       event_id: booking.event.toString(),
@@ -127,16 +137,17 @@ class PaymentService {
     };
 
     return this.createOrder(
-      booking.priceAgreed,
-      'INR',
+      amount,
+      booking.currency,
       `booking_${booking._id}`,
       notes
     );
   }
 
   // Create RSVP payment order (for paid events)
+  // Charges for the attendee plus guests, minus anything already paid
   async createRSVPPayment(rsvp, event) {
-    const totalAmount = event.entryFee * (1 + rsvp.guestsCount);
+    const totalAmount = event.entryFee * (1 + rsvp.guestsCount) - (rsvp.amountPaid || 0);
 
     const notes = {
       rsvp_id: rsvp._id.toString(),
@@ -147,23 +158,36 @@ class PaymentService {
 
     return this.createOrder(
       totalAmount,
-      'INR',
+      event.currency,
       `rsvp_${rsvp._id}`,
       notes
     );
   }
 
-  // Process webhook event
-  async processWebhook(body, signature) {
+  // Verify webhook signature against the raw request body
+  verifyWebhookSignature(rawBody, signature) {
+    if (!process.env.RAZORPAY_WEBHOOK_SECRET) {
+      throw new Error('Webhook secret not configured');
+    }
+
     const expectedSignature = crypto
       .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET)
-      .update(JSON.stringify(body))
+      .update(rawBody)
       .digest('hex');
 
-    if (expectedSignature !== signature) {
-      throw new Error('Invalid webhook signature');
+    const expected = Buffer.from(expectedSignature);
+    const received = Buffer.from(signature || '');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // Process webhook event
+  async processWebhook(rawBody, signature) {
+    if (!this.verifyWebhookSignature(rawBody, signature)) {
+      throw new ApiError('Invalid webhook signature', 400);
     }
 
+    const body = JSON.parse(rawBody);
     const event = body.event;
     const payload = body.payload;
 
@@ -180,36 +204,374 @@ class PaymentService {
     }
   }
 
+  // Find the booking or RSVP a Razorpay order belongs to
+  async findPaymentTarget(orderId, notes = {}, receipt = null) {
+    if (orderId) {
+      const booking = await Booking.findOne({ razorpayOrderId: orderId });
+      if (booking) return { type: 'booking', doc: booking };
+
+      const rsvp = await RSVP.findOne({ razorpayOrderId: orderId });
+      if (rsvp) return { type: 'rsvp', doc: rsvp };
+    }
+
+    // Fall back to the ids we put in the order notes and receipt
+    const bookingId = notes.booking_id || (receipt && receipt.startsWith('booking_') && receipt.slice(8));
+    if (bookingId) {
+      const booking = await Booking.findById(bookingId);
+      if (booking) return { type: 'booking', doc: booking };
+    }
+
+    const rsvpId = notes.rsvp_id || (receipt && receipt.startsWith('rsvp_') && receipt.slice(5));
+    if (rsvpId) {
+      const rsvp = await RSVP.findById(rsvpId);
+      if (rsvp) return { type: 'rsvp', doc: rsvp };
+    }
+
+    return null;
+  }
+
+  // Find the booking or RSVP a Razorpay payment was recorded against
+  async findPaymentTargetByPaymentId(paymentId) {
+    const booking = await Booking.findOne({
+      $or: [{ razorpayPaymentId: paymentId }, { 'payments.razorpayPaymentId': paymentId }]
+    });
+    if (booking) return { type: 'booking', doc: booking };
+
+    const rsvp = await RSVP.findOne({
+      $or: [{ razorpayPaymentId: paymentId }, { 'payments.razorpayPaymentId': paymentId }]
+    });
+    if (rsvp) return { type: 'rsvp', doc: rsvp };
+
+    return null;
+  }
+
+  // Map Razorpay payment method to our payment method enum
+  mapPaymentMethod(method) {
+    const methods = ['upi', 'card', 'netbanking'];
+    return methods.includes(method) ? method : 'other';
+  }
+
+  // Notify everyone involved in a booking or RSVP payment
+  async notifyPaymentParties(target, title, message) {
+    const { type, doc } = target;
+    let recipients;
+    let relatedEvent;
+    let actionUrl;
+
+    if (type === 'booking') {
+      recipients = [doc.organizer, doc.vendor];
+      relatedEvent = doc.event;
+      actionUrl = `/bookings/${doc._id}`;
+    } else {
+      const event = await Event.findById(doc.event).select('organizer');
+      recipients = event ? [doc.attendee, event.organizer] : [doc.attendee];
+      relatedEvent = doc.event;
+      actionUrl = `/events/${doc.event}`;
+    }
+
+    await Promise.all(recipients.map(recipient =>
+      Notification.createNotification({
+        recipient,
+        type: 'payment',
+        title,
+        message,
+        relatedEvent,
+        relatedBooking: type === 'booking' ? doc._id : undefined,
+        actionUrl
+      })
+    ));
+  }
+
+  // Record a captured Razorpay payment against a booking or RSVP
+  async applyCapturedPayment(target, payment) {
+    const { type, doc } = target;
+
+    // Webhooks and client-side verification can both report the same payment
+    const alreadyRecorded = doc.payments.some(
+      p => p.razorpayPaymentId === payment.id && p.status === 'captured'
+    );
+    if (alreadyRecorded) {
+      return { status: 'duplicate', type, id: doc._id, paymentId: payment.id };
+    }
+
+    const amount = currencyService.fromMinorUnits(payment.amount, payment.currency);
+    const paymentMethod = this.mapPaymentMethod(payment.method);
+
+    doc.payments.push({
+      amount,
+      paymentMethod,
+      transactionId: payment.id,
+      status: 'captured',
+      razorpayOrderId: payment.order_id,
+      razorpayPaymentId: payment.id,
+      paidAt: payment.created_at ? new Date(payment.created_at * 1000) : new Date(),
+      notes: 'Razorpay payment captured'
+    });
+
+    if (!doc.razorpayOrderId) doc.razorpayOrderId = payment.order_id;
+    doc.razorpayPaymentId = payment.id;
+    doc.transactionId = payment.id;
+    if (type === 'booking') doc.paymentMethod = paymentMethod;
+
+    doc.recalculatePaymentTotals();
+
+    // A paid RSVP only takes its seat once payment for everyone in the party arrives
+    const previousStatus = doc.status;
+    const seat = type === 'rsvp' ? await this.settleRsvpSeat(doc) : null;
+    if (seat && doc.status !== previousStatus) {
+      doc.$where = { status: previousStatus };
+    }
+
+    try {
+      await doc.save();
+    } catch (error) {
+      // The hold was released while the payment was in flight: settle against the released RSVP
+      if (error.name === 'DocumentNotFoundError' && type === 'rsvp') {
+        const current = await RSVP.findById(doc._id);
+        return this.applyCapturedPayment({ type, doc: current }, payment);
+      }
+      throw error;
+    }
+
+    // Money for a booking that can no longer be paid for goes straight back, never to the vendor
+    if (type === 'booking' && !doc.isPayable()) {
+      return this.refundUnpayableBooking(target, payment, amount);
+    }
+
+    // Online booking payments go through the platform: split fee and vendor share
+    if (type === 'booking') {
+      await ledgerService.recordBookingPayment(
+        doc,
+        amount,
+        this.calculatePlatformFee(amount, doc.currency),
+        payment.id,
+        doc.payments[doc.payments.length - 1].paidAt
+      );
+    }
+
+    await this.notifyPaymentParties(
+      target,
+      'Payment Received',
+      `Payment of ${formatCurrency(amount, payment.currency)} was received via Razorpay`
+    );
+
+    return { status: 'captured', type, id: doc._id, paymentId: payment.id, seat };
+  }
+
+  /**
+   * Refund a payment captured for a cancelled, expired or refunded booking. The capture is
+   * already recorded; it never reaches the ledger, so neither does its refund.
+   * @returns {Promise<object>} - Captured result with the refund outcome
+   */
+  async refundUnpayableBooking(target, payment, amount) {
+    const { type, doc } = target;
+
+    // Required here to avoid a cycle: refundService issues refunds through this service
+    const refundService = require('./refundService');
+    const refund = await refundService.issueRefund(
+      doc,
+      amount,
+      `Payment arrived after the booking was ${doc.status}`,
+      { paymentId: payment.id }
+    );
+    await doc.save();
+
+    await this.notifyPaymentParties(
+      target,
+      'Payment Refunded',
+      `A payment of ${formatCurrency(amount, payment.currency)} arrived after the booking was ${doc.status} and is being refunded`
+    );
+
+    return { status: 'captured', type, id: doc._id, paymentId: payment.id, refund };
+  }
+
+  /**
+   * Update a paid RSVP's seat after a captured payment. A hold is only confirmed once the
+   * whole party is paid for. A payment that lands after the hold was released gets the seat
+   * back if there is still room, and is refunded otherwise. Does not save the RSVP.
+   * @param {object} rsvp - RSVP document with the payment already recorded
+   * @returns {Promise<string>} - confirmed | underpaid | restored | refunded | unchanged
+   */
+  async settleRsvpSeat(rsvp) {
+    if (!['pending_payment', 'cancelled'].includes(rsvp.status)) return 'unchanged';
+
+    const event = await Event.findById(rsvp.event);
+    const amountDue = event ? event.entryFee * (1 + rsvp.guestsCount) : Infinity;
+    const paidUp = Math.round(rsvp.amountPaid * 100) >= Math.round(amountDue * 100);
+
+    if (rsvp.status === 'pending_payment') {
+      if (!paidUp) return 'underpaid';
+      rsvp.status = 'going';
+      rsvp.paymentExpiresAt = undefined;
+      return 'confirmed';
+    }
+
+    if (paidUp && !['completed', 'cancelled'].includes(event.status)) {
+      const target = waitlistService.getTarget(event, rsvp.occurrence || null);
+      const { available } = target && !target.cancelled && target.startsAt > new Date()
+        ? await waitlistService.getCapacity(event, rsvp.occurrence || null, rsvp.attendee)
+        : { available: 0 };
+
+      if (1 + rsvp.guestsCount <= available) {
+        rsvp.status = 'going';
+        return 'restored';
+      }
+    }
+
+    // Required here to avoid a cycle: refundService issues refunds through this service
+    const refundService = require('./refundService');
+    const result = await refundService.issueRefund(
+      rsvp,
+      rsvp.amountPaid,
+      'Payment arrived after the held seat was released'
+    );
+
+    await Notification.createNotification({
+      recipient: rsvp.attendee,
+      type: 'payment',
+      title: 'Payment Refunded',
+      message: `Your payment arrived after your held seat${event ? ` for "${event.title}"` : ''} was released and there is no room left, so ${formatCurrency(result.refunded, rsvp.currency)} is being refunded`,
+      relatedEvent: rsvp.event,
+      actionUrl: `/events/${rsvp.event}`,
+      priority: 'high'
+    });
+
+    return 'refunded';
+  }
+
   async handlePaymentCaptured(payload) {
     const payment = payload.payment.entity;
-    console.log('Payment captured:', payment.id);
-    // Update booking/rsvp payment status in your database
-    return { status: 'captured', paymentId: payment.id };
+    const receipt = payload.order?.entity?.receipt;
+    const target = await this.findPaymentTarget(payment.order_id, payment.notes, receipt);
+
+    if (!target) {
+      console.warn('No booking or RSVP found for captured payment:', payment.id);
+      return { status: 'ignored', paymentId: payment.id };
+    }
+
+    return this.applyCapturedPayment(target, payment);
   }
 
   async handlePaymentFailed(payload) {
     const payment = payload.payment.entity;
-    console.log('Payment failed:', payment.id);
-    // Handle failed payment
-    return { status: 'failed', paymentId: payment.id };
+    const receipt = payload.order?.entity?.receipt;
+    const target = await this.findPaymentTarget(payment.order_id, payment.notes, receipt);
+
+    if (!target) {
+      console.warn('No booking or RSVP found for failed payment:', payment.id);
+      return { status: 'ignored', paymentId: payment.id };
+    }
+
+    const { type, doc } = target;
+
+    const alreadyRecorded = doc.payments.some(
+      p => p.razorpayPaymentId === payment.id && p.status === 'failed'
+    );
+    if (alreadyRecorded) {
+      return { status: 'duplicate', paymentId: payment.id };
+    }
+
+    const amount = currencyService.fromMinorUnits(payment.amount, payment.currency);
+
+    doc.payments.push({
+      amount,
+      paymentMethod: this.mapPaymentMethod(payment.method),
+      transactionId: payment.id,
+      status: 'failed',
+      razorpayOrderId: payment.order_id,
+      razorpayPaymentId: payment.id,
+      notes: payment.error_description || 'Razorpay payment failed'
+    });
+
+    doc.recalculatePaymentTotals();
+    await doc.save();
+
+    // Only the payer needs to act on a failed payment
+    await Notification.createNotification({
+      recipient: type === 'booking' ? doc.organizer : doc.attendee,
+      type: 'payment',
+      title: 'Payment Failed',
+      message: `Your payment of ${formatCurrency(amount, payment.currency)} failed. ${payment.error_description || 'Please try again.'}`,
+      relatedEvent: doc.event,
+      relatedBooking: type === 'booking' ? doc._id : undefined,
+      actionUrl: type === 'booking' ? `/bookings/${doc._id}` : `/events/${doc.event}`,
+      priority: 'high'
+    });
+
+    return { status: 'failed', type, id: doc._id, paymentId: payment.id };
+  }
+
+  /**
+   * Add a refund to a booking's or RSVP's payment history exactly once per Razorpay refund id.
+   * The entry is written to the database straight away and mirrored on the document without
+   * marking it modified, so the document must have no other unsaved payment changes.
+   * @returns {Promise<boolean>} - false if the refund was already recorded
+   */
+  async recordRefundEntry(doc, entry) {
+    const { modifiedCount } = await doc.constructor.updateOne(
+      { _id: doc._id, 'payments.razorpayRefundId': { $ne: entry.razorpayRefundId } },
+      { $push: { payments: entry } }
+    );
+
+    if (!doc.payments.some(p => p.razorpayRefundId === entry.razorpayRefundId)) {
+      doc.payments.push(entry);
+      doc.unmarkModified('payments');
+    }
+
+    return modifiedCount > 0;
   }
 
   async handleRefundCreated(payload) {
     const refund = payload.refund.entity;
-    console.log('Refund created:', refund.id);
-    // Update booking/rsvp refund status
-    return { status: 'refunded', refundId: refund.id };
+    const target = await this.findPaymentTargetByPaymentId(refund.payment_id);
+
+    if (!target) {
+      console.warn('No booking or RSVP found for refund:', refund.id);
+      return { status: 'ignored', refundId: refund.id };
+    }
+
+    const { type, doc } = target;
+
+    const amount = currencyService.fromMinorUnits(refund.amount, refund.currency);
+
+    // Refunds issued from here are already recorded by refundService
+    const recorded = await this.recordRefundEntry(doc, {
+      amount,
+      transactionId: refund.id,
+      status: 'refunded',
+      razorpayPaymentId: refund.payment_id,
+      razorpayRefundId: refund.id,
+      notes: 'Razorpay refund created'
+    });
+    if (!recorded) {
+      return { status: 'duplicate', refundId: refund.id };
+    }
+
+    doc.recalculatePaymentTotals();
+    await doc.save();
+
+    if (type === 'booking' && await ledgerService.isPosted('payment', refund.payment_id)) {
+      await ledgerService.recordBookingRefund(doc, amount, this.calculatePlatformFee(amount, doc.currency), refund.id);
+    }
+
+    await this.notifyPaymentParties(
+      target,
+      'Refund Issued',
+      `A refund of ${formatCurrency(amount, refund.currency)} has been issued`
+    );
+
+    return { status: 'refunded', type, id: doc._id, refundId: refund.id };
   }
 
-  // Calculate platform fee
-  calculatePlatformFee(amount, percentage = 5) {
-    return Math.round(amount * (percentage / 100));
+  // Calculate platform fee, rounded to the currency's minor unit
+  calculatePlatformFee(amount, currency, percentage = PAYMENT_SETTINGS.PLATFORM_FEE_PERCENTAGE) {
+    return currencyService.round(amount * (percentage / 100), currency);
   }
 
   // Calculate vendor payout
-  calculateVendorPayout(amount, platformFeePercentage = 5) {
-    const platformFee = this.calculatePlatformFee(amount, platformFeePercentage);
-    return amount - platformFee;
+  calculateVendorPayout(amount, currency, platformFeePercentage = PAYMENT_SETTINGS.PLATFORM_FEE_PERCENTAGE) {
+    const platformFee = this.calculatePlatformFee(amount, currency, platformFeePercentage);
+    return currencyService.round(amount - platformFee, currency);
   }
 }
 
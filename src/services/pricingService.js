@@ -0,0 +1,185 @@
+const ApiError = require('../utils/apiError');
+const currencyService = require('./currencyService');
+const { PRICING_SETTINGS } = require('../config/constants');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class PricingService {
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  // Day of week (0 = Sunday) in the timezone the event takes place in
+  getDayOfWeek(date, timeZone = PRICING_SETTINGS.TIMEZONE) {
+    const day = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short' }).format(date);
+    return WEEKDAYS.indexOf(day);
+  }
+
+  // Number of billable units for the service's price unit
+  getUnits(priceUnit, { guests, hours }) {
+    switch (priceUnit) {
+      case 'per_person':
+        if (!guests || guests < 1) {
+          throw new ApiError('Guest count is required to quote a per person service', 400);
+        }
+        return guests;
+      case 'per_hour':
+        return hours || PRICING_SETTINGS.DEFAULT_HOURS;
+      case 'per_day':
+        return hours ? Math.ceil(hours / 24) : 1;
+      default:
+        return 1;
+    }
+  }
+
+  // Active package by id; services that sell packages need one chosen
+  getPackage(service, packageId) {
+    const packages = (service.packages || []).filter(p => p.isActive !== false);
+
+    if (!packageId) {
+      if (packages.length > 0) {
+        throw new ApiError(`Choose a package: ${packages.map(p => p.name).join(', ')}`, 400);
+      }
+      return null;
+    }
+
+    const found = packages.find(p => p._id.toString() === packageId.toString());
+    if (!found) {
+      throw new ApiError('Package not found for this service', 400);
+    }
+    return found;
+  }
+
+  // Price each chosen add-on: price x units for its price unit x quantity
+  getAddOnLines(service, addOns = [], { guests, hours }) {
+    const seen = new Set();
+
+    return addOns.map(({ addOnId, quantity = 1 }) => {
+      const addOn = (service.addOns || []).find(a => a.isActive !== false && a._id.toString() === String(addOnId));
+      if (!addOn) {
+        throw new ApiError('Add-on not found for this service', 400);
+      }
+      if (seen.has(String(addOnId))) {
+        throw new ApiError(`${addOn.name} was added more than once`, 400);
+      }
+      seen.add(String(addOnId));
+
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > addOn.maxQuantity) {
+        throw new ApiError(`Quantity for ${addOn.name} must be between 1 and ${addOn.maxQuantity}`, 400);
+      }
+
+      const units = addOn.priceUnit === 'per_unit' ? 1 : this.getUnits(addOn.priceUnit, { guests, hours });
+      return {
+        addOnId: addOn._id,
+        name: addOn.name,
+        price: addOn.price,
+        priceUnit: addOn.priceUnit,
+        quantity,
+        units,
+        amount: this.round(addOn.price * units * quantity)
+      };
+    });
+  }
+
+  // Price a service for a date using its base price (or the chosen package), add-ons and
+  // dynamic pricing rules:
+  // - lastMinutePrice replaces basePrice when booked inside the last-minute window (not package prices)
+  // - surgeMultiplier applies on weekends
+  // - offPeakDiscount applies on weekdays (not on top of a last-minute price)
+  // Prices are in the service's currency; pass `currency` to also get the total converted
+  getQuote(service, { date, guests, hours, timeZone, currency, packageId, addOns, now = new Date() } = {}) {
+    const eventDate = new Date(date);
+    if (isNaN(eventDate.getTime())) {
+      throw new ApiError('A valid date is required for a quote', 400);
+    }
+    if (eventDate < now) {
+      throw new ApiError('Cannot quote a date in the past', 400);
+    }
+
+    const chosenPackage = this.getPackage(service, packageId);
+    const priceUnit = chosenPackage ? chosenPackage.priceUnit : service.priceUnit;
+    const basePrice = chosenPackage ? chosenPackage.price : service.basePrice;
+
+    const leadDays = Math.floor((eventDate - now) / DAY_MS);
+    const isLastMinute = !chosenPackage && service.lastMinutePrice > 0 && leadDays < PRICING_SETTINGS.LAST_MINUTE_DAYS;
+    const isWeekend = PRICING_SETTINGS.WEEKEND_DAYS.includes(this.getDayOfWeek(eventDate, timeZone));
+
+    const units = this.getUnits(priceUnit, { guests, hours });
+    const unitPrice = isLastMinute ? service.lastMinutePrice : basePrice;
+    const addOnLines = this.getAddOnLines(service, addOns, { guests, hours });
+    const subtotal = this.round(unitPrice * units + addOnLines.reduce((sum, a) => sum + a.amount, 0));
+    const adjustments = [];
+
+    if (isLastMinute) {
+      adjustments.push({
+        type: 'last_minute',
+        label: `Last-minute rate within ${PRICING_SETTINGS.LAST_MINUTE_DAYS} days`,
+        amount: this.round((service.lastMinutePrice - service.basePrice) * units)
+      });
+    }
+
+    if (isWeekend && service.surgeMultiplier > 1) {
+      adjustments.push({
+        type: 'weekend_surge',
+        label: `Weekend surge x${service.surgeMultiplier}`,
+        amount: this.round(subtotal * (service.surgeMultiplier - 1))
+      });
+    } else if (!isWeekend && !isLastMinute && service.offPeakDiscount > 0) {
+      adjustments.push({
+        type: 'off_peak_discount',
+        label: `Weekday discount ${Math.round(service.offPeakDiscount * 100)}%`,
+        amount: -this.round(subtotal * service.offPeakDiscount)
+      });
+    }
+
+    // The last-minute adjustment is already part of the subtotal
+    const total = adjustments
+      .filter(a => a.type !== 'last_minute')
+      .reduce((sum, a) => sum + a.amount, subtotal);
+
+    const quote = {
+      service: service._id,
+      date: eventDate,
+      currency: service.currency,
+      priceUnit,
+      basePrice,
+      unitPrice,
+      units,
+      package: chosenPackage ? {
+        packageId: chosenPackage._id,
+        name: chosenPackage.name,
+        description: chosenPackage.description,
+        price: chosenPackage.price,
+        priceUnit: chosenPackage.priceUnit,
+        includedItems: chosenPackage.includedItems
+      } : undefined,
+      addOns: addOnLines,
+      guests: guests || undefined,
+      hours: hours || undefined,
+      subtotal,
+      adjustments,
+      total: this.round(Math.max(total, 0)),
+      dayType: isWeekend ? 'weekend' : 'weekday',
+      leadDays,
+      quotedAt: now
+    };
+
+    if (currency && currency !== service.currency) {
+      quote.converted = {
+        currency,
+        rate: currencyService.getRate(service.currency, currency),
+        total: currencyService.convert(quote.total, service.currency, currency)
+      };
+    }
+
+    return quote;
+  }
+
+  // Lowest price a booking may be agreed at without a negotiated quote
+  getMinimumPrice(quote) {
+    return this.round(quote.total * (1 - PRICING_SETTINGS.QUOTE_TOLERANCE_PERCENTAGE / 100));
+  }
+}
+
+module.exports = new PricingService();
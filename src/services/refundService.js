@@ -0,0 +1,117 @@
+const paymentService = require('./paymentService');
+const ledgerService = require('./ledgerService');
+const { REFUND_POLICY } = require('../config/constants');
+
+class RefundService {
+  // Work out how much of a payment is refundable for a cancellation
+  // cancelledBy: 'organizer' | 'vendor' | 'attendee' | 'event_cancelled' | 'admin'
+  calculateRefund(amountPaid, eventDate, cancelledBy, cancelledAt = new Date()) {
+    const daysBefore = (new Date(eventDate) - new Date(cancelledAt)) / (1000 * 60 * 60 * 24);
+    const tiers = REFUND_POLICY[cancelledBy] || [];
+    const tier = tiers.find(t => daysBefore >= t.minDaysBefore);
+    const percentage = tier ? tier.percentage : 0;
+
+    return {
+      cancelledBy,
+      daysBefore: Math.floor(daysBefore),
+      percentage,
+      amount: Math.round(amountPaid * percentage) / 100
+    };
+  }
+
+  // Captured Razorpay payments that still have money left to refund, newest first
+  getRefundablePayments(doc) {
+    const refundedByPayment = {};
+    doc.payments
+      .filter(p => p.status === 'refunded' && p.razorpayPaymentId)
+      .forEach((p) => {
+        refundedByPayment[p.razorpayPaymentId] = (refundedByPayment[p.razorpayPaymentId] || 0) + p.amount;
+      });
+
+    return doc.payments
+      .filter(p => p.status === 'captured' && p.razorpayPaymentId)
+      .map(p => ({
+        paymentId: p.razorpayPaymentId,
+        available: Math.round((p.amount - (refundedByPayment[p.razorpayPaymentId] || 0)) * 100) / 100,
+        paidAt: p.paidAt
+      }))
+      .filter(p => p.available > 0)
+      .sort((a, b) => b.paidAt - a.paidAt);
+  }
+
+  // Issue Razorpay refunds for an amount and record them in payment history.
+  // Each refund is written as soon as Razorpay accepts it, so the refund.created webhook
+  // can't record it a second time; other changes to the document are left for the caller to save.
+  // Pass paymentId to refund only that payment. Only payments that reached the ledger are reversed there.
+  async issueRefund(doc, amount, reason, { paymentId } = {}) {
+    const result = { refunded: 0, pending: 0, failed: [] };
+    let remaining = amount;
+
+    // Refund entries are written straight to the database; save earlier payments first
+    if (doc.isModified('payments')) {
+      await doc.save();
+    }
+
+    const payments = this.getRefundablePayments(doc).filter(p => !paymentId || p.paymentId === paymentId);
+
+    for (const payment of payments) {
+      if (remaining <= 0) break;
+
+      const refundAmount = Math.min(payment.available, remaining);
+
+      try {
+        const refund = await paymentService.initiateRefund(payment.paymentId, refundAmount, { reason }, doc.currency);
+
+        await paymentService.recordRefundEntry(doc, {
+          amount: refundAmount,
+          transactionId: refund.id,
+          status: 'refunded',
+          razorpayPaymentId: payment.paymentId,
+          razorpayRefundId: refund.id,
+          notes: reason
+        });
+
+        if (doc.constructor.modelName === 'Booking' && await ledgerService.isPosted('payment', payment.paymentId)) {
+          await ledgerService.recordBookingRefund(
+            doc, refundAmount, paymentService.calculatePlatformFee(refundAmount, doc.currency), refund.id
+          );
+        }
+
+        result.refunded = Math.round((result.refunded + refundAmount) * 100) / 100;
+        remaining = Math.round((remaining - refundAmount) * 100) / 100;
+      } catch (error) {
+        console.error('Refund failed for payment:', payment.paymentId, error.message);
+        result.failed.push({ paymentId: payment.paymentId, amount: refundAmount, error: error.message });
+      }
+    }
+
+    // Whatever is left was paid offline or failed and has to be settled manually
+    result.pending = Math.max(0, remaining);
+
+    doc.recalculatePaymentTotals();
+
+    return result;
+  }
+
+  // Apply the refund policy to a cancelled booking or RSVP and move the money
+  // Does not save the document
+  async processCancellationRefund(doc, eventDate, cancelledBy, reason = 'Cancellation refund') {
+    const amountPaid = doc.totalPaid !== undefined ? doc.totalPaid : doc.amountPaid;
+    const policy = this.calculateRefund(amountPaid || 0, eventDate, cancelledBy);
+
+    if (policy.amount <= 0) {
+      return { policy, refunded: 0, pending: 0, failed: [] };
+    }
+
+    const result = await this.issueRefund(doc, policy.amount, reason);
+
+    // Bookings have a dedicated refunded status; RSVPs track it on paymentStatus
+    if (result.refunded > 0 && doc.constructor.modelName === 'Booking') {
+      doc.setStatus('refunded', { reason });
+    }
+
+    return { policy, ...result };
+  }
+}
+
+module.exports = new RefundService();
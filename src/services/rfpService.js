@@ -0,0 +1,238 @@
+const Service = require('../models/Service');
+const Booking = require('../models/Booking');
+const RequestForProposal = require('../models/RequestForProposal');
+const Notification = require('../models/Notification');
+const availabilityService = require('./availabilityService');
+const currencyService = require('./currencyService');
+const ApiError = require('../utils/apiError');
+const { escapeRegex, formatCurrency } = require('../utils/helpers');
+const { RFP_SETTINGS } = require('../config/constants');
+
+class RfpService {
+  // Services in the category that cover the city and take orders
+  findCandidates(rfp) {
+    const city = new RegExp(`^${escapeRegex(rfp.city.trim())}$`, 'i');
+    return Service.find({
+      category: rfp.category,
+      isActive: true,
+      availability: { $ne: 'not_taking_orders' },
+      $or: [{ city }, { serviceAreas: city }]
+    })
+      .select('serviceName provider organization availability calendar blackoutDates')
+      .sort('-ratingAverage')
+      .limit(RFP_SETTINGS.MAX_MATCHES * 2);
+  }
+
+  // Free on the date: the whole day, or any slot for slot calendars
+  async isAvailableOn(service, date) {
+    const slots = service.calendar && service.calendar.mode === 'slot'
+      ? availabilityService.getSlots(service).map(s => s.start)
+      : [undefined];
+
+    for (const slot of slots) {
+      const interval = availabilityService.resolveInterval(service, date, slot);
+      const check = await availabilityService.checkInterval(service, interval);
+      if (check.available) return true;
+    }
+    return false;
+  }
+
+  // Invite matching services that are free on the date and notify their vendors
+  async broadcast(rfp, now = new Date()) {
+    const candidates = await this.findCandidates(rfp);
+    const matches = [];
+
+    for (const service of candidates) {
+      if (matches.length >= RFP_SETTINGS.MAX_MATCHES) break;
+      if (await this.isAvailableOn(service, rfp.eventDate)) matches.push(service);
+    }
+
+    rfp.invitedServices = matches.map(service => ({
+      service: service._id,
+      vendor: service.provider,
+      vendorOrganization: service.organization,
+      notifiedAt: now
+    }));
+    await rfp.save();
+
+    await Promise.all(matches.map(service => Notification.createNotification({
+      recipient: service.provider,
+      type: 'booking',
+      title: 'New Request for Proposal',
+      message: `${service.serviceName} matches a request: ${rfp.title} on ${rfp.eventDate.toDateString()} in ${rfp.city}. Respond before ${rfp.responseDeadline.toDateString()}.`,
+      relatedEvent: rfp.event,
+      actionUrl: `/rfps/${rfp._id}`
+    })));
+
+    return matches.length;
+  }
+
+  // Proposal totals in the request's currency, so vendors pricing in other currencies compare fairly
+  getComparableTotal(rfp, proposal) {
+    return currencyService.convert(proposal.total, proposal.currency, rfp.currency);
+  }
+
+  /**
+   * Side-by-side view of the live proposals, cheapest first
+   * @returns {object} - { proposals: [...], summary: { count, lowest, highest, average, currency } }
+   */
+  async compare(rfp, now = new Date()) {
+    const live = rfp.proposals.filter(p => p.status === 'submitted' || p.status === 'accepted');
+
+    const proposals = await Promise.all(live.map(async (proposal) => {
+      const service = proposal.service;
+      const total = this.getComparableTotal(rfp, proposal);
+      const interval = availabilityService.resolveInterval(service, rfp.eventDate, proposal.slot);
+      const check = await availabilityService.checkInterval(service, interval);
+
+      return {
+        _id: proposal._id,
+        status: proposal.status,
+        service: {
+          _id: service._id,
+          serviceName: service.serviceName,
+          coverImage: service.coverImage,
+          ratingAverage: service.ratingAverage,
+          totalRatings: service.totalRatings,
+          city: service.city
+        },
+        vendor: proposal.vendor,
+        lineItems: proposal.lineItems,
+        total: proposal.total,
+        currency: proposal.currency,
+        comparableTotal: total,
+        withinBudget: (!rfp.budget.min || total >= rfp.budget.min) && (!rfp.budget.max || total <= rfp.budget.max),
+        slot: proposal.slot,
+        message: proposal.message,
+        validUntil: proposal.validUntil,
+        expired: Boolean(proposal.validUntil && proposal.validUntil < now),
+        available: check.available,
+        submittedAt: proposal.submittedAt,
+        revisedAt: proposal.revisedAt
+      };
+    }));
+
+    proposals.sort((a, b) => a.comparableTotal - b.comparableTotal);
+    const totals = proposals.map(p => p.comparableTotal);
+
+    return {
+      proposals,
+      summary: {
+        count: proposals.length,
+        currency: rfp.currency,
+        lowest: totals.length ? totals[0] : null,
+        highest: totals.length ? totals[totals.length - 1] : null,
+        average: totals.length ? currencyService.round(totals.reduce((sum, t) => sum + t, 0) / totals.length, rfp.currency) : null
+      }
+    };
+  }
+
+  // Turn an accepted proposal into a booking with its price locked, and decline the rest
+  async convertToBooking(rfp, proposal, user, now = new Date()) {
+    if (rfp.status !== 'open') {
+      throw new ApiError(`This request is ${rfp.status}`, 400);
+    }
+    if (proposal.status !== 'submitted') {
+      throw new ApiError(`This proposal has been ${proposal.status}`, 400);
+    }
+    if (proposal.validUntil && proposal.validUntil < now) {
+      throw new ApiError('This proposal has expired', 400);
+    }
+
+    // Claim the request first, so two proposals accepted at once cannot both become bookings
+    const claimed = await RequestForProposal.findOneAndUpdate(
+      { _id: rfp._id, status: 'open' },
+      { status: 'awarding' }
+    );
+    if (!claimed) {
+      throw new ApiError('This request is no longer open', 400);
+    }
+
+    let service;
+    let booking;
+    try {
+      service = await Service.findById(proposal.service._id || proposal.service);
+      if (!service || !service.isActive) {
+        throw new ApiError('Service is no longer available', 400);
+      }
+
+      const existing = await Booking.findOne({
+        event: rfp.event,
+        service: service._id,
+        status: { $nin: ['cancelled', 'refunded', 'expired'] }
+      });
+      if (existing) {
+        throw new ApiError('A booking already exists for this service and event', 400);
+      }
+
+      const interval = availabilityService.resolveInterval(service, rfp.eventDate, proposal.slot);
+      availabilityService.assertAvailable(await availabilityService.checkInterval(service, interval));
+
+      booking = new Booking({
+        event: rfp.event,
+        service: service._id,
+        organizer: rfp.organizer,
+        vendor: service.provider,
+        vendorOrganization: service.organization,
+        eventDate: rfp.eventDate,
+        currency: proposal.currency,
+        priceAgreed: proposal.total,
+        quote: {
+          total: proposal.total,
+          guests: rfp.guests,
+          quotedAt: proposal.revisedAt || proposal.submittedAt
+        },
+        requirements: rfp.requirements
+      });
+      availabilityService.applyInterval(booking, interval);
+
+      // Keep the proposal as the accepted quote, so the price is locked like a negotiated one
+      const offer = booking.addOffer({
+        kind: 'quote',
+        createdBy: proposal.submittedBy,
+        lineItems: proposal.lineItems,
+        message: proposal.message
+      });
+      booking.acceptOffer(offer, user._id);
+      await booking.save();
+    } catch (error) {
+      await RequestForProposal.updateOne({ _id: rfp._id, status: 'awarding' }, { status: 'open' });
+      throw error;
+    }
+
+    proposal.status = 'accepted';
+    rfp.proposals
+      .filter(p => p.status === 'submitted')
+      .forEach((p) => { p.status = 'declined'; });
+    rfp.status = 'awarded';
+    rfp.acceptedProposal = proposal._id;
+    rfp.booking = booking._id;
+    rfp.closedAt = now;
+    await rfp.save();
+
+    await Notification.createNotification({
+      recipient: service.provider,
+      type: 'booking',
+      title: 'Proposal Accepted',
+      message: `Your proposal of ${formatCurrency(proposal.total, proposal.currency)} for ${rfp.title} was accepted`,
+      relatedBooking: booking._id,
+      relatedEvent: rfp.event,
+      actionUrl: `/bookings/${booking._id}`
+    });
+
+    await Promise.all(rfp.proposals
+      .filter(p => p.status === 'declined' && p.vendor.toString() !== service.provider.toString())
+      .map(p => Notification.createNotification({
+        recipient: p.vendor,
+        type: 'booking',
+        title: 'Proposal Not Selected',
+        message: `The organizer chose another proposal for ${rfp.title}`,
+        relatedEvent: rfp.event,
+        actionUrl: `/rfps/${rfp._id}`
+      })));
+
+    return booking;
+  }
+}
+
+module.exports = new RfpService();
@@ -1,4 +1,5 @@
 const twilio = require('twilio');
+const { formatCurrency } = require('../utils/helpers');
 
 class SMSService {
   constructor() {
@@ -41,7 +42,7 @@ class SMSService {
   }
 
   async sendBookingConfirmation(phoneNumber, booking, event) {
-    const message = `Festivo: Your booking for "${event.title}" on ${new Date(booking.eventDate).toLocaleDateString()} has been confirmed. Amount: ₹${booking.priceAgreed}`;
+    const message = `Festivo: Your booking for "${event.title}" on ${new Date(booking.eventDate).toLocaleDateString()} has been confirmed. Amount: ${formatCurrency(booking.priceAgreed, booking.currency)}`;
     return this.sendSMS(phoneNumber, message);
   }
 
@@ -50,8 +51,8 @@ class SMSService {
     return this.sendSMS(phoneNumber, message);
   }
 
-  async sendPaymentConfirmation(phoneNumber, amount, bookingId) {
-    const message = `Festivo: Payment of ₹${amount} received for booking #${bookingId.toString().slice(-6)}. Thank you!`;
+  async sendPaymentConfirmation(phoneNumber, amount, bookingId, currency = 'INR') {
+    const message = `Festivo: Payment of ${formatCurrency(amount, currency)} received for booking #${bookingId.toString().slice(-6)}. Thank you!`;
     return this.sendSMS(phoneNumber, message);
   }
 
@@ -60,6 +61,11 @@ class SMSService {
     return this.sendSMS(phoneNumber, message);
   }
 
+  async sendEventInvitation(phoneNumber, event, inviterName, inviteUrl) {
+    const message = `Festivo: ${inviterName} invited you to "${event.title}" on ${new Date(event.date).toLocaleDateString()}. View your invitation: ${inviteUrl}`;
+    return this.sendSMS(phoneNumber, message);
+  }
+
   generateOTP(length = 6) {
     const digits = '0123456789';
     let otp = '';
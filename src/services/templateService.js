@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Task = require('../models/Task');
+const eventSeriesService = require('./eventSeriesService');
+const ApiError = require('../utils/apiError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Plan details carried from an event into a template, and from a template into new events
+const TEMPLATE_FIELDS = [
+  'title', 'description', 'eventType', 'date', 'time', 'endDate', 'timezone', 'recurrence',
+  'location', 'locationName', 'address', 'city', 'expectedGuests', 'maxAttendees',
+  'budget', 'currency', 'isPaid', 'entryFee', 'coverPhoto', 'photos', 'tags', 'category', 'vibeScore',
+  'metaTitle', 'metaDescription'
+];
+
+// Task plan carried over; assignees, spend and bookings belong to the event that had them
+const TASK_FIELDS = ['taskName', 'description', 'category', 'priority', 'dueDate', 'budgetAllocated'];
+
+const pick = (source, fields) => fields.reduce((picked, key) => {
+  if (source[key] !== undefined && source[key] !== null) picked[key] = source[key];
+  return picked;
+}, {});
+
+class TemplateService {
+  // Whole days between two dates, so shifted tasks keep their time of day
+  getDayShift(from, to) {
+    const fromDay = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate());
+    const toDay = Date.UTC(to.getUTCFullYear(), to.getUTCMonth(), to.getUTCDate());
+    return Math.round((toDay - fromDay) / DAY_MS);
+  }
+
+  shiftDate(date, days) {
+    return date ? new Date(new Date(date).getTime() + days * DAY_MS) : undefined;
+  }
+
+  // Copy an event's tasks onto another event, moving due dates by a number of days
+  async copyTasks(fromEventId, toEventId, user, days = 0) {
+    const tasks = await Task.find({ event: fromEventId, status: { $ne: 'cancelled' } }).lean();
+    if (tasks.length === 0) return [];
+
+    return Task.insertMany(tasks.map(task => ({
+      ...pick(task, TASK_FIELDS),
+      dueDate: this.shiftDate(task.dueDate, days),
+      event: toEventId,
+      createdBy: user._id
+    })));
+  }
+
+  /**
+   * Save an event's plan (details, tasks and their budget allocations) as a template
+   * @param {object} event - Source event
+   * @param {object} user - Organizer saving it
+   * @param {object} options - { title, description, isPublic }
+   * @returns {Promise<object>} - { template, tasks }
+   */
+  async saveAsTemplate(event, user, { title, description, isPublic = false } = {}) {
+    if (event.isTemplate) {
+      throw new ApiError('This event is already a template', 400);
+    }
+
+    const template = await Event.create({
+      ...pick(event.toObject(), TEMPLATE_FIELDS),
+      title: title || event.title,
+      description: description || event.description,
+      organizer: user._id,
+      isTemplate: true,
+      templateSource: event._id,
+      isPublic,
+      isPublished: false,
+      status: 'draft'
+    });
+
+    const tasks = await this.copyTasks(event._id, template._id, user);
+    return { template, tasks };
+  }
+
+  /**
+   * Create a new event from a template. Task due dates and the end date move with the new date.
+   * @param {object} template - Template event
+   * @param {object} user - Organizer of the new event
+   * @param {object} details - { date, ...fields to change }
+   * @returns {Promise<object>} - { event, tasks }
+   */
+  async instantiate(template, user, details) {
+    if (!template.isTemplate) {
+      throw new ApiError('Event is not a template', 400);
+    }
+
+    const date = new Date(details.date);
+    const days = this.getDayShift(template.date, date);
+
+    const eventData = {
+      ...pick(template.toObject(), TEMPLATE_FIELDS),
+      ...pick(details, TEMPLATE_FIELDS),
+      date,
+      endDate: details.endDate || this.shiftDate(template.endDate, days),
+      organizer: user._id,
+      templateSource: template._id
+    };
+
+    // A one-off event from a recurring template
+    if (details.recurrence === null) delete eventData.recurrence;
+
+    if (eventData.recurrence) {
+      Object.assign(eventData, eventSeriesService.getSeriesFields(eventData));
+    }
+
+    const event = await Event.create(eventData);
+    const tasks = await this.copyTasks(template._id, event._id, user, days);
+
+    await Event.findByIdAndUpdate(template._id, { $inc: { timesUsedAsTemplate: 1 } });
+
+    return { event, tasks };
+  }
+
+  // Task counts and budget allocations for templates, keyed by template id
+  async getPlanSummaries(templateIds) {
+    const summaries = await Task.aggregate([
+      {
+        $match: {
+          event: { $in: templateIds.map(id => new mongoose.Types.ObjectId(id)) },
+          status: { $ne: 'cancelled' }
+        }
+      },
+      {
+        $group: {
+          _id: { event: '$event', category: '$category' },
+          tasks: { $sum: 1 },
+          budgetAllocated: { $sum: { $ifNull: ['$budgetAllocated', 0] } }
+        }
+      }
+    ]);
+
+    return summaries.reduce((plans, { _id, tasks, budgetAllocated }) => {
+      const key = _id.event.toString();
+      const plan = plans[key] || { tasks: 0, budgetAllocated: 0, byCategory: {} };
+      plan.tasks += tasks;
+      plan.budgetAllocated += budgetAllocated;
+      plan.byCategory[_id.category] = { tasks, budgetAllocated };
+      plans[key] = plan;
+      return plans;
+    }, {});
+  }
+
+  // Templates with their plan summary attached
+  async withPlanSummaries(templates) {
+    const plans = await this.getPlanSummaries(templates.map(t => t._id));
+    const empty = { tasks: 0, budgetAllocated: 0, byCategory: {} };
+    return templates.map(template => ({ ...template, plan: plans[template._id.toString()] || empty }));
+  }
+}
+
+module.exports = new TemplateService();
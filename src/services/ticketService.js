@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const ApiError = require('../utils/apiError');
+const { TICKET_SETTINGS } = require('../config/constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_CACHED_KEYS = 1000;
+
+class TicketService {
+  constructor() {
+    this.keys = new Map();
+  }
+
+  /**
+   * ES256 key pair for one event's tickets, derived from TICKET_SECRET so nothing has to be stored.
+   * Only the public half leaves the server: scanners can verify tickets offline but can't make them.
+   * @param {ObjectId|string} eventId - Event ID
+   * @returns {object} - { privateKey, publicKey, jwk } (jwk is the public key)
+   */
+  getEventKeys(eventId) {
+    const id = eventId.toString();
+    if (this.keys.has(id)) return this.keys.get(id);
+
+    const secret = process.env.TICKET_SECRET || process.env.JWT_SECRET;
+    const ecdh = crypto.createECDH('prime256v1');
+    let d;
+    // A digest is out of range for P-256 about once in 2^32 tries; move on to the next one
+    for (let round = 0; !d && round < 8; round++) {
+      const candidate = crypto.createHmac('sha256', secret).update(`ticket:${id}:${round}`).digest();
+      try {
+        ecdh.setPrivateKey(candidate);
+        d = candidate;
+      } catch (error) {
+        d = null;
+      }
+    }
+
+    const point = ecdh.getPublicKey();
+    const jwk = {
+      kty: 'EC',
+      crv: 'P-256',
+      x: point.subarray(1, 33).toString('base64url'),
+      y: point.subarray(33).toString('base64url')
+    };
+    const keys = {
+      privateKey: crypto.createPrivateKey({ key: { ...jwk, d: d.toString('base64url') }, format: 'jwk' }),
+      publicKey: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+      jwk
+    };
+
+    if (this.keys.size >= MAX_CACHED_KEYS) this.keys.clear();
+    this.keys.set(id, keys);
+    return keys;
+  }
+
+  /**
+   * Public key scanners use to verify an event's tickets offline
+   * @param {ObjectId|string} eventId - Event ID
+   * @returns {object} - { pem, jwk }
+   */
+  getPublicKey(eventId) {
+    const { publicKey, jwk } = this.getEventKeys(eventId);
+    return { pem: publicKey.export({ type: 'spki', format: 'pem' }), jwk };
+  }
+
+  /**
+   * Sign a ticket for a going RSVP. Claims are kept short so the QR code stays easy to scan:
+   * e (event), r (RSVP), g (guests), o (occurrence day for series).
+   * @param {object} rsvp - RSVP document
+   * @param {Date} startsAt - When the event (or occurrence) starts
+   * @returns {object} - { token, expiresAt }
+   */
+  issue(rsvp, startsAt) {
+    if (rsvp.status !== 'going') {
+      throw new ApiError('Tickets are only issued for confirmed (going) RSVPs', 400);
+    }
+
+    const expiresAt = new Date(new Date(startsAt).getTime() + TICKET_SETTINGS.VALID_HOURS_AFTER_START * HOUR_MS);
+    if (expiresAt <= new Date()) {
+      throw new ApiError('This event has already taken place', 400);
+    }
+
+    const claims = { e: rsvp.event.toString(), r: rsvp._id.toString(), g: rsvp.guestsCount || 0 };
+    if (rsvp.occurrence) claims.o = rsvp.occurrence;
+
+    const token = jwt.sign(
+      { ...claims, exp: Math.floor(expiresAt.getTime() / 1000) },
+      this.getEventKeys(claims.e).privateKey,
+      { algorithm: TICKET_SETTINGS.ALGORITHM, issuer: TICKET_SETTINGS.ISSUER, noTimestamp: true }
+    );
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Check a ticket's signature and expiry without touching the database
+   * @param {string} token - Ticket token from the QR code
+   * @param {Date} at - When it was scanned, for scans uploaded after the fact
+   * @returns {object} - { eventId, rsvpId, guestsCount, occurrence }
+   */
+  verify(token, at = new Date()) {
+    const unverified = jwt.decode(token);
+    if (!unverified || !unverified.e) {
+      throw new ApiError('Invalid ticket', 400);
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, this.getEventKeys(unverified.e).publicKey, {
+        algorithms: [TICKET_SETTINGS.ALGORITHM],
+        issuer: TICKET_SETTINGS.ISSUER,
+        clockTimestamp: Math.floor(at.getTime() / 1000)
+      });
+    } catch (error) {
+      throw new ApiError(error.name === 'TokenExpiredError' ? 'Ticket has expired' : 'Invalid ticket', 400);
+    }
+
+    return {
+      eventId: claims.e,
+      rsvpId: claims.r,
+      guestsCount: claims.g,
+      occurrence: claims.o || null
+    };
+  }
+
+  /**
+   * Render a ticket as a QR code
+   * @param {string} token - Ticket token
+   * @param {string} format - png or svg
+   * @returns {Promise<Buffer|string>} - PNG buffer or SVG markup
+   */
+  renderQr(token, format = 'png') {
+    const options = { errorCorrectionLevel: 'M', margin: 2, width: TICKET_SETTINGS.QR_WIDTH };
+    if (format === 'svg') {
+      return QRCode.toString(token, { ...options, type: 'svg' });
+    }
+    return QRCode.toBuffer(token, { ...options, type: 'png' });
+  }
+}
+
+module.exports = new TicketService();
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const VendorOrganization = require('../models/VendorOrganization');
+const ApiError = require('../utils/apiError');
+const { VENDOR_MEMBER_ROLES } = require('../config/constants');
+
+const { OWNER, MANAGER, STAFF } = VENDOR_MEMBER_ROLES;
+
+const getId = value => (value && value._id ? value._id : value);
+
+// Roles each role may add, change or remove
+const MANAGEABLE_ROLES = {
+  [OWNER]: [MANAGER, STAFF],
+  [MANAGER]: [STAFF],
+  [STAFF]: []
+};
+
+class VendorOrganizationService {
+  // A user's role in an active organization, or null
+  async getMemberRole(organizationId, userId) {
+    if (!organizationId || !userId) return null;
+    const organization = await VendorOrganization.findOne({ _id: getId(organizationId), isActive: true })
+      .select('members')
+      .lean();
+    if (!organization) return null;
+
+    const member = organization.members.find(m => m.user.toString() === getId(userId).toString());
+    return member ? member.role : null;
+  }
+
+  // 'vendor' for the provider and their organization's owner and managers, 'staff' for its staff
+  async getVendorRole(vendorId, organizationId, user) {
+    if (getId(vendorId).toString() === user._id.toString()) return 'vendor';
+
+    const memberRole = await this.getMemberRole(organizationId, user._id);
+    if (memberRole === STAFF) return 'staff';
+    return memberRole ? 'vendor' : null;
+  }
+
+  // Ids of the active organizations a user belongs to, optionally only with some roles
+  async getOrganizationIds(userId, roles) {
+    const organizations = await VendorOrganization.findForMember(userId, roles).select('_id').lean();
+    return organizations.map(o => o._id);
+  }
+
+  /**
+   * Booking filter for the vendor side: the user's own bookings plus their teams'.
+   * With an organization id, only that organization's bookings (members only).
+   * @returns {object} - { filter, organizationIds }
+   */
+  async getVendorScope(user, organizationId) {
+    if (organizationId) {
+      const role = await this.getMemberRole(organizationId, user._id);
+      if (!role) {
+        throw new ApiError('Not a member of this organization', 403);
+      }
+      // Cast so the filter also works in aggregations
+      const id = new mongoose.Types.ObjectId(getId(organizationId).toString());
+      return { filter: { vendorOrganization: id }, organizationIds: [id] };
+    }
+
+    const organizationIds = await this.getOrganizationIds(user._id);
+    return {
+      filter: { $or: [{ vendor: user._id }, { vendorOrganization: { $in: organizationIds } }] },
+      organizationIds
+    };
+  }
+
+  // Load an organization the user belongs to with one of the given roles
+  async getForMember(organizationId, user, roles = Object.values(VENDOR_MEMBER_ROLES)) {
+    const organization = await VendorOrganization.findById(organizationId);
+    if (!organization || !organization.isActive) {
+      throw new ApiError('Organization not found', 404);
+    }
+
+    const role = organization.getMemberRole(user._id);
+    if (!role && user.role !== 'admin') {
+      throw new ApiError('Organization not found', 404);
+    }
+    if (user.role !== 'admin' && !roles.includes(role)) {
+      throw new ApiError('Not allowed to do this in the organization', 403);
+    }
+
+    return { organization, role };
+  }
+
+  canManage(actorRole, targetRole) {
+    return (MANAGEABLE_ROLES[actorRole] || []).includes(targetRole);
+  }
+
+  addMember(organization, { user, role }, actor) {
+    if (!this.canManage(actor.role, role)) {
+      throw new ApiError(`Not allowed to add a ${role}`, 403);
+    }
+    if (organization.getMember(user)) {
+      throw new ApiError('User is already a member', 400);
+    }
+    organization.members.push({ user: getId(user), role, addedBy: actor.user });
+    return organization.members[organization.members.length - 1];
+  }
+
+  changeRole(organization, userId, role, actor) {
+    const member = organization.getMember(userId);
+    if (!member) {
+      throw new ApiError('Member not found', 404);
+    }
+    if (!this.canManage(actor.role, member.role) || !this.canManage(actor.role, role)) {
+      throw new ApiError('Not allowed to change this member\'s role', 403);
+    }
+    member.role = role;
+    return member;
+  }
+
+  // Managers remove staff, the owner removes anyone but themself, and members may leave
+  removeMember(organization, userId, actor) {
+    const member = organization.getMember(userId);
+    if (!member) {
+      throw new ApiError('Member not found', 404);
+    }
+    if (member.role === OWNER) {
+      throw new ApiError('The owner cannot leave the organization', 400);
+    }
+
+    const leaving = getId(userId).toString() === actor.user.toString();
+    if (!leaving && !this.canManage(actor.role, member.role)) {
+      throw new ApiError('Not allowed to remove this member', 403);
+    }
+
+    organization.members.pull(member._id);
+    return member;
+  }
+}
+
+module.exports = new VendorOrganizationService();
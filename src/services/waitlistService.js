@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const RSVP = require('../models/RSVP');
+const Event = require('../models/Event');
+const Notification = require('../models/Notification');
+const eventSeriesService = require('./eventSeriesService');
+const ApiError = require('../utils/apiError');
+const { WAITLIST_SETTINGS } = require('../config/constants');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class WaitlistService {
+  // Seats an RSVP takes or holds: the attendee plus their guests
+  getSeats(rsvp) {
+    if (!WAITLIST_SETTINGS.SEAT_STATUSES.includes(rsvp.status)) return 0;
+    if (rsvp.status === 'offered' && !(rsvp.offerExpiresAt > new Date())) return 0;
+    return 1 + (rsvp.guestsCount || 0);
+  }
+
+  // Scope queries to one occurrence of a series, or the whole event
+  getScope(eventId, occurrence) {
+    return occurrence ? { event: eventId, occurrence } : { event: eventId };
+  }
+
+  // The occurrence (for series) or event being filled
+  getTarget(event, occurrence) {
+    if (!occurrence) {
+      return { maxAttendees: event.maxAttendees, startsAt: event.date, cancelled: false };
+    }
+    return eventSeriesService.getOccurrence(event, occurrence);
+  }
+
+  /**
+   * Seats left at an event or occurrence. Going RSVPs, unpaid holds and waitlist offers all take seats.
+   * @param {object} event - Event document
+   * @param {string} occurrence - Occurrence day for series
+   * @param {ObjectId} excludeAttendeeId - Leave out this attendee's own seats
+   * @returns {Promise<object>} - { taken, maxAttendees, available } (available is Infinity without a limit)
+   */
+  async getCapacity(event, occurrence = null, excludeAttendeeId = null) {
+    const target = this.getTarget(event, occurrence);
+    const maxAttendees = target ? target.maxAttendees : event.maxAttendees;
+
+    const [going, held] = await Promise.all([
+      RSVP.countGoingSeats(event._id, excludeAttendeeId, occurrence),
+      RSVP.getHeldSeats(event._id, excludeAttendeeId, occurrence)
+    ]);
+    const taken = going + held;
+
+    return {
+      taken,
+      maxAttendees,
+      available: maxAttendees ? Math.max(0, maxAttendees - taken) : Infinity
+    };
+  }
+
+  // Whether someone other than the attendee is already waiting
+  async hasQueue(eventId, occurrence = null, excludeAttendeeId = null) {
+    const query = { ...this.getScope(eventId, occurrence), status: 'waitlisted' };
+    if (excludeAttendeeId) query.attendee = { $ne: excludeAttendeeId };
+    return Boolean(await RSVP.exists(query));
+  }
+
+  // Put an RSVP at the back of the waitlist; anyone already on it keeps their place
+  async join(rsvp) {
+    if (rsvp.status !== 'waitlisted' || !rsvp.waitlistPosition) {
+      const last = await RSVP.findOne({
+        ...this.getScope(rsvp.event, rsvp.occurrence),
+        status: { $in: ['waitlisted', 'offered'] },
+        waitlistPosition: { $ne: null }
+      }).sort('-waitlistPosition').select('waitlistPosition');
+
+      rsvp.status = 'waitlisted';
+      rsvp.waitlistPosition = last ? last.waitlistPosition + 1 : 1;
+    }
+    rsvp.paymentExpiresAt = undefined;
+    rsvp.offerExpiresAt = undefined;
+    await rsvp.save();
+    return rsvp;
+  }
+
+  // Waiting and offered RSVPs in the order they are promoted
+  getWaitlist(eventId, occurrence = null) {
+    return RSVP.find({
+      ...this.getScope(eventId, occurrence),
+      status: { $in: ['waitlisted', 'offered'] }
+    }).sort('waitlistPosition createdAt');
+  }
+
+  // 1-based place in the queue among those still waiting
+  async getPosition(rsvp) {
+    if (rsvp.status !== 'waitlisted') return null;
+    const ahead = await RSVP.countDocuments({
+      ...this.getScope(rsvp.event, rsvp.occurrence),
+      status: 'waitlisted',
+      waitlistPosition: { $lt: rsvp.waitlistPosition }
+    });
+    return ahead + 1;
+  }
+
+  // Seats taken by going RSVPs, payment holds and live offers, leaving out offers behind
+  // this RSVP in the queue. Of two promotions racing for the same seats, the later entry gives way.
+  async countSeatsAhead(rsvp, occurrence = null, now = new Date()) {
+    const match = {
+      event: new mongoose.Types.ObjectId(rsvp.event),
+      $or: [
+        { status: 'going' },
+        { status: 'pending_payment', paymentExpiresAt: { $gt: now } },
+        {
+          status: 'offered',
+          offerExpiresAt: { $gt: now },
+          $or: [
+            { waitlistPosition: { $lt: rsvp.waitlistPosition } },
+            { waitlistPosition: rsvp.waitlistPosition, _id: { $lte: rsvp._id } }
+          ]
+        }
+      ]
+    };
+    if (occurrence) match.occurrence = occurrence;
+
+    const [result] = await RSVP.aggregate([
+      { $match: match },
+      { $group: { _id: null, seats: { $sum: { $add: [1, '$guestsCount'] } } } }
+    ]);
+    return result ? result.seats : 0;
+  }
+
+  /**
+   * Offer freed seats to the waitlist in order. The queue is strictly first in, first out:
+   * when the next party doesn't fit, nobody behind them jumps ahead.
+   * @returns {Promise<Array>} - RSVPs that were offered a seat
+   */
+  async promote(event, occurrence = null, now = new Date()) {
+    const offered = [];
+    if (['completed', 'cancelled'].includes(event.status)) return offered;
+
+    const target = this.getTarget(event, occurrence);
+    if (!target || target.cancelled || target.startsAt <= now) return offered;
+
+    let { available, maxAttendees } = await this.getCapacity(event, occurrence);
+
+    while (available > 0) {
+      const next = await RSVP.findOne({ ...this.getScope(event._id, occurrence), status: 'waitlisted' })
+        .sort('waitlistPosition createdAt');
+      if (!next || 1 + next.guestsCount > available) break;
+
+      // Claim the entry so a concurrent promotion can't offer it twice
+      const offerExpiresAt = new Date(Math.min(now.getTime() + WAITLIST_SETTINGS.OFFER_HOURS * HOUR_MS, target.startsAt.getTime()));
+      const rsvp = await RSVP.findOneAndUpdate(
+        { _id: next._id, status: 'waitlisted' },
+        { status: 'offered', offerExpiresAt },
+        { new: true }
+      );
+      if (!rsvp) continue;
+
+      // Check again now the offer is in: a concurrent promotion may have used the same free seats
+      const seatsAhead = maxAttendees ? await this.countSeatsAhead(rsvp, occurrence, now) : 0;
+      if (maxAttendees && seatsAhead > maxAttendees) {
+        await RSVP.updateOne(
+          { _id: rsvp._id, status: 'offered' },
+          { status: 'waitlisted', $unset: { offerExpiresAt: 1 } }
+        );
+        break;
+      }
+
+      available = maxAttendees ? maxAttendees - seatsAhead : Infinity;
+      offered.push(rsvp);
+
+      await Notification.createNotification({
+        recipient: rsvp.attendee,
+        type: 'rsvp',
+        title: 'A Spot Opened Up',
+        message: `A spot for ${1 + rsvp.guestsCount} opened up at "${target.title || event.title}"${occurrence ? ` on ${target.startsAt.toDateString()}` : ''}. Confirm your RSVP by ${offerExpiresAt.toUTCString()} or it goes to the next person on the waitlist.`,
+        relatedEvent: event._id,
+        actionUrl: `/events/${event._id}`,
+        priority: 'high'
+      });
+    }
+
+    return offered;
+  }
+
+  // Promote across the event, or each occurrence of a series that has people waiting
+  async promoteAll(event, now = new Date()) {
+    if (!eventSeriesService.isRecurring(event)) {
+      return this.promote(event, null, now);
+    }
+
+    const occurrences = await RSVP.distinct('occurrence', { event: event._id, status: 'waitlisted' });
+    const offered = [];
+    for (const occurrence of occurrences) {
+      offered.push(...await this.promote(event, occurrence, now));
+    }
+    return offered;
+  }
+
+  // Move a waiting RSVP to a new 1-based place in the queue, renumbering the rest
+  async reorder(rsvp, position) {
+    if (rsvp.status !== 'waitlisted') {
+      throw new ApiError('Only waitlisted RSVPs can be reordered', 400);
+    }
+
+    const queue = await RSVP.find({ ...this.getScope(rsvp.event, rsvp.occurrence), status: 'waitlisted' })
+      .sort('waitlistPosition createdAt');
+    const others = queue.filter(r => !r._id.equals(rsvp._id));
+    const index = Math.min(Math.max(position, 1), others.length + 1) - 1;
+    others.splice(index, 0, rsvp);
+
+    // Offered RSVPs keep positions below everyone still waiting
+    const offeredMax = await RSVP.findOne({ ...this.getScope(rsvp.event, rsvp.occurrence), status: 'offered' })
+      .sort('-waitlistPosition').select('waitlistPosition');
+    const base = offeredMax && offeredMax.waitlistPosition ? offeredMax.waitlistPosition : 0;
+
+    await RSVP.bulkWrite(others.map((r, i) => ({
+      updateOne: { filter: { _id: r._id }, update: { waitlistPosition: base + i + 1 } }
+    })));
+
+    return others.map((r, i) => ({ _id: r._id, attendee: r.attendee, guestsCount: r.guestsCount, position: i + 1 }));
+  }
+
+  /**
+   * Let lapsed offers go and pass their seats on
+   * @returns {Promise<number>} - Number of offers expired
+   */
+  async expireOffers(now = new Date()) {
+    const lapsed = await RSVP.find({ status: 'offered', offerExpiresAt: { $lte: now } }).select('_id');
+
+    const scopes = new Map();
+    let expired = 0;
+    for (const { _id } of lapsed) {
+      // Claim the offer so an attendee confirming at the same moment isn't overwritten
+      const rsvp = await RSVP.findOneAndUpdate(
+        { _id, status: 'offered', offerExpiresAt: { $lte: now } },
+        { status: 'cancelled', $unset: { offerExpiresAt: 1 } },
+        { new: true }
+      );
+      if (!rsvp) continue;
+      expired += 1;
+
+      scopes.set(`${rsvp.event}:${rsvp.occurrence || ''}`, { eventId: rsvp.event, occurrence: rsvp.occurrence });
+
+      await Notification.createNotification({
+        recipient: rsvp.attendee,
+        type: 'rsvp',
+        title: 'Waitlist Offer Expired',
+        message: 'Your waitlist spot was passed on because the RSVP was not confirmed in time',
+        relatedEvent: rsvp.event,
+        actionUrl: `/events/${rsvp.event}`
+      });
+    }
+
+    for (const { eventId, occurrence } of scopes.values()) {
+      const event = await Event.findById(eventId);
+      if (event) await this.promote(event, occurrence || null, now);
+    }
+
+    return expired;
+  }
+}
+
+module.exports = new WaitlistService();
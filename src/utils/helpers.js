@@ -56,6 +56,15 @@ exports.generateSlug = (text) => {
     .replace(/ +/g, '-');
 };
 
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - Text to match literally
+ * @returns {string} - Escaped pattern
+ */
+exports.escapeRegex = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
 /**
  * Calculate distance between two coordinates (Haversine formula)
  * @param {number} lat1 - Latitude 1
@@ -131,3 +140,86 @@ exports.sanitizePhone = (phone) => {
 
   return phone;
 };
+
+/**
+ * Get the wall-clock parts of a date in a timezone
+ * @param {Date} date - Date to convert
+ * @param {string} timeZone - IANA timezone (e.g. Asia/Kolkata)
+ * @returns {object} - { year, month, day, hour, minute, second }
+ */
+exports.getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(date));
+
+  const values = {};
+  parts.forEach(({ type, value }) => {
+    if (type !== 'literal') values[type] = Number(value);
+  });
+  return values;
+};
+
+/**
+ * Format a date as YYYY-MM-DD in a timezone
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - Local calendar day
+ */
+exports.formatDayInZone = (date, timeZone) => {
+  const { year, month, day } = exports.getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Convert a local day and time in a timezone to a UTC date
+ * @param {string} day - Local day (YYYY-MM-DD)
+ * @param {string} time - Local time (HH:mm, default 00:00)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} - The matching instant
+ */
+exports.zonedTimeToUtc = (day, time = '00:00', timeZone) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, date, hour, minute);
+
+  // Offset of the zone at that moment; recheck once for DST changes
+  let result = asUtc;
+  for (let i = 0; i < 2; i++) {
+    const p = exports.getZonedParts(new Date(result), timeZone);
+    const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - result;
+    result = asUtc - offset;
+  }
+  return new Date(result);
+};
+
+/**
+ * Parse a free-text time of day ("19:00", "7:30 PM", "7pm - 11pm"); the first time found is used
+ * @param {string} value - Time text
+ * @returns {string|null} - HH:mm, or null when there is no usable time
+ */
+exports.parseTimeOfDay = (value) => {
+  const match = String(value || '').trim().match(/^(\d{1,2})(?:[:.](\d{2}))?\s*([ap]\.?m\.?)?/i);
+  if (!match) return null;
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  const meridiem = match[3] && match[3][0].toLowerCase();
+
+  // A bare number without minutes or am/pm is not a time
+  if (!match[2] && !meridiem) return null;
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    if (meridiem === 'p' && hour !== 12) hour += 12;
+    if (meridiem === 'a' && hour === 12) hour = 0;
+  }
+  if (hour > 23 || minute > 59) return null;
+
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
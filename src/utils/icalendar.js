@@ -0,0 +1,440 @@
+const { getZonedParts, zonedTimeToUtc } = require('./helpers');
+const { parseRule, expand } = require('./rrule');
+
+const PRODUCT_ID = '-//Festivo//Festivo Events//EN';
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// TEXT values: escape backslash, semicolon, comma and newlines (RFC 5545 3.3.11)
+const escapeText = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded with CRLF + space (RFC 5545 3.1)
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+// 20261201T133000Z
+const formatUtc = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20261201T190000 - wall-clock time in a timezone, used with TZID
+const formatLocal = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}${pad(p.month)}${pad(p.day)}T${pad(p.hour)}${pad(p.minute)}${pad(p.second)}`;
+};
+
+// 20261201 - VALUE=DATE
+const formatDay = day => day.replace(/-/g, '');
+
+// Offset of a timezone from UTC in minutes at an instant
+const getOffsetMinutes = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+};
+
+// Offset transitions (e.g. DST changes) within a range of years
+const findTransitions = (timeZone, fromYear, toYear) => {
+  const transitions = [];
+  let previousTime = Date.UTC(fromYear, 0, 1);
+  let previousOffset = getOffsetMinutes(new Date(previousTime), timeZone);
+  const end = Date.UTC(toYear + 1, 0, 1);
+
+  for (let time = previousTime + DAY_MS; time <= end; time += DAY_MS) {
+    const offset = getOffsetMinutes(new Date(time), timeZone);
+    if (offset !== previousOffset) {
+      // Narrow the change down to the minute
+      let low = time - DAY_MS;
+      let high = time;
+      while (high - low > 60000) {
+        const mid = low + Math.floor((high - low) / 120000) * 60000;
+        if (getOffsetMinutes(new Date(mid), timeZone) === previousOffset) low = mid;
+        else high = mid;
+      }
+      transitions.push({ at: new Date(high), from: previousOffset, to: offset });
+      previousOffset = offset;
+    }
+    previousTime = time;
+  }
+
+  return transitions;
+};
+
+/**
+ * Build a VTIMEZONE for the years a calendar covers
+ * Each offset change becomes its own observance, so no recurrence rules are needed
+ * @param {string} timeZone - IANA timezone
+ * @param {number} fromYear - First year covered
+ * @param {number} toYear - Last year covered
+ * @returns {string[]} - Content lines
+ */
+const buildTimezone = (timeZone, fromYear, toYear) => {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  const transitions = findTransitions(timeZone, fromYear, toYear);
+  const initialOffset = getOffsetMinutes(new Date(Date.UTC(fromYear, 0, 1)), timeZone);
+
+  // Offset in force at the start of the range
+  const startOffset = transitions.length > 0 ? transitions[0].from : initialOffset;
+  const startIsDaylight = transitions.length > 0 && startOffset > transitions[0].to;
+  const startType = startIsDaylight ? 'DAYLIGHT' : 'STANDARD';
+  lines.push(
+    `BEGIN:${startType}`,
+    `DTSTART:${fromYear - 1}0101T000000`,
+    `TZOFFSETFROM:${formatOffset(startOffset)}`,
+    `TZOFFSETTO:${formatOffset(startOffset)}`,
+    `END:${startType}`
+  );
+
+  transitions.forEach(({ at, from, to }) => {
+    const type = to > from ? 'DAYLIGHT' : 'STANDARD';
+    // DTSTART is the local time just before the change, in the old offset
+    const local = new Date(at.getTime() + from * 60000);
+    const dtstart = `${local.getUTCFullYear()}${pad(local.getUTCMonth() + 1)}${pad(local.getUTCDate())}` +
+      `T${pad(local.getUTCHours())}${pad(local.getUTCMinutes())}00`;
+
+    lines.push(
+      `BEGIN:${type}`,
+      `DTSTART:${dtstart}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `END:${type}`
+    );
+  });
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+/**
+ * Build a VEVENT
+ * @param {object} event - { uid, stamp, start, end, allDay, timeZone, summary, description,
+ *   location, url, status, geo: [lng, lat], sequence }
+ *   Timed events use Dates (start, end); all-day events use YYYY-MM-DD strings
+ * @returns {string[]} - Content lines
+ */
+const buildEvent = (event) => {
+  const lines = ['BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${formatUtc(event.stamp || new Date())}`];
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDay(event.start)}`);
+    if (event.end) lines.push(`DTEND;VALUE=DATE:${formatDay(event.end)}`);
+  } else if (event.timeZone) {
+    lines.push(`DTSTART;TZID=${event.timeZone}:${formatLocal(event.start, event.timeZone)}`);
+    if (event.end) lines.push(`DTEND;TZID=${event.timeZone}:${formatLocal(event.end, event.timeZone)}`);
+  } else {
+    lines.push(`DTSTART:${formatUtc(event.start)}`);
+    if (event.end) lines.push(`DTEND:${formatUtc(event.end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.geo && (event.geo[0] || event.geo[1])) lines.push(`GEO:${event.geo[1]};${event.geo[0]}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.sequence !== undefined) lines.push(`SEQUENCE:${event.sequence}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatUtc(event.lastModified)}`);
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a VCALENDAR document
+ * @param {object} options - { name, events: [] (see buildEvent), refreshHours }
+ * @returns {string} - iCalendar text with CRLF line endings
+ */
+const buildCalendar = ({ name, events = [], refreshHours }) => {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (refreshHours) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshHours}H`, `X-PUBLISHED-TTL:PT${refreshHours}H`);
+  }
+
+  // One VTIMEZONE per zone used, covering the years its events fall in
+  const years = {};
+  events.filter(e => e.timeZone && !e.allDay).forEach((e) => {
+    [e.start, e.end].filter(Boolean).forEach((date) => {
+      const year = new Date(date).getUTCFullYear();
+      const range = years[e.timeZone] || { from: year, to: year };
+      years[e.timeZone] = { from: Math.min(range.from, year), to: Math.max(range.to, year) };
+    });
+  });
+  Object.keys(years).forEach((zone) => {
+    lines.push(...buildTimezone(zone, years[zone].from, years[zone].to));
+  });
+
+  events.forEach((event) => {
+    lines.push(...buildEvent(event));
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Undo line folding and split into content lines
+const unfoldLines = text => String(text || '')
+  .replace(/\r?\n[ \t]/g, '')
+  .split(/\r?\n/)
+  .filter(line => line.trim() !== '');
+
+const unescapeText = value => value
+  .replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// NAME;PARAM=VALUE;PARAM="QUOTED:VALUE":value
+const parseLine = (line) => {
+  let inQuotes = false;
+  let split = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) {
+      split = i;
+      break;
+    }
+  }
+  if (split === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, split).split(';');
+  const params = {};
+  rawParams.forEach((param) => {
+    const index = param.indexOf('=');
+    if (index > 0) params[param.slice(0, index).toUpperCase()] = param.slice(index + 1).replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// TZIDs are usually IANA names, sometimes with a vendor prefix ("/mozilla.org/20050126_1/Europe/London")
+const resolveTimeZone = (tzid, fallback) => {
+  if (!tzid) return fallback;
+  const segments = tzid.replace(/^\//, '').split('/');
+  for (let i = 0; i < segments.length; i++) {
+    const candidate = segments.slice(i).join('/');
+    if (isValidTimeZone(candidate)) return candidate;
+  }
+  return fallback;
+};
+
+/**
+ * Parse a DATE or DATE-TIME property into an instant
+ * @param {object} property - Parsed content line
+ * @param {string} timeZone - Zone for floating times and dates
+ * @returns {object} - { date, allDay, day, time, timeZone }
+ */
+const parseDateValue = (property, timeZone) => {
+  const match = property.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) throw new Error(`Invalid date value: ${property.value}`);
+
+  const day = `${match[1]}-${match[2]}-${match[3]}`;
+  if (!match[4] || property.params.VALUE === 'DATE') {
+    return { date: zonedTimeToUtc(day, '00:00', timeZone), allDay: true, day, time: '00:00', timeZone };
+  }
+
+  const time = `${match[4]}:${match[5]}`;
+  if (match[7]) {
+    return { date: new Date(`${day}T${time}:${match[6]}Z`), allDay: false, day, time, timeZone: 'UTC' };
+  }
+
+  const zone = resolveTimeZone(property.params.TZID, timeZone);
+  return { date: zonedTimeToUtc(day, time, zone), allDay: false, day, time, timeZone: zone };
+};
+
+// P1W, P2D, PT1H30M, P1DT12H, -PT15M
+const parseDuration = (value) => {
+  const match = String(value).trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) throw new Error(`Invalid duration: ${value}`);
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+/**
+ * Parse the VEVENTs of an iCalendar document
+ * @param {string} text - iCalendar text
+ * @param {object} options - { timeZone: zone for floating times and all-day events }
+ * @returns {Array} - [{ uid, summary, status, transparent, start, end, allDay, rrule, exdates, recurrenceId }]
+ */
+const parseEvents = (text, { timeZone = 'UTC' } = {}) => {
+  const lines = unfoldLines(text);
+  if (!lines.length || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+    throw new Error('Not an iCalendar file');
+  }
+
+  // Calendar-wide default zone (Google and Apple export X-WR-TIMEZONE)
+  let calendarZone = timeZone;
+  const events = [];
+  const stack = [];
+  let current = null;
+
+  lines.forEach((line) => {
+    const property = parseLine(line);
+    if (!property) return;
+
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') current = { props: [] };
+      return;
+    }
+    if (property.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && current) {
+        events.push(current.props);
+        current = null;
+      }
+      return;
+    }
+
+    if (stack.length === 1 && property.name === 'X-WR-TIMEZONE') {
+      calendarZone = resolveTimeZone(property.value.trim(), timeZone);
+    }
+    // Properties of nested components (VALARM) are ignored
+    if (current && stack[stack.length - 1] === 'VEVENT') current.props.push(property);
+  });
+
+  return events.map((props) => {
+    const get = name => props.find(p => p.name === name);
+    const dtstart = get('DTSTART');
+    if (!dtstart) throw new Error('Event without DTSTART');
+
+    const start = parseDateValue(dtstart, calendarZone);
+    let end;
+    if (get('DTEND')) {
+      end = parseDateValue(get('DTEND'), start.timeZone).date;
+    } else if (get('DURATION')) {
+      end = new Date(start.date.getTime() + parseDuration(get('DURATION').value));
+    } else {
+      // RFC 5545: a date lasts one day, a date-time has no duration
+      end = start.allDay ? zonedTimeToUtc(addDays(start.day, 1), '00:00', start.timeZone) : start.date;
+    }
+
+    const exdates = props
+      .filter(p => p.name === 'EXDATE')
+      .reduce((dates, p) => dates.concat(p.value.split(',').map(value =>
+        parseDateValue({ ...p, value }, start.timeZone).date
+      )), []);
+
+    const status = get('STATUS');
+    const transp = get('TRANSP');
+    const summary = get('SUMMARY');
+    const uid = get('UID');
+    const rrule = get('RRULE');
+    const recurrenceId = get('RECURRENCE-ID');
+
+    return {
+      uid: uid ? uid.value.trim() : undefined,
+      summary: summary ? unescapeText(summary.value) : undefined,
+      status: status ? status.value.trim().toUpperCase() : 'CONFIRMED',
+      transparent: transp ? transp.value.trim().toUpperCase() === 'TRANSPARENT' : false,
+      start: start.date,
+      end,
+      allDay: start.allDay,
+      day: start.day,
+      time: start.time,
+      timeZone: start.timeZone,
+      rrule: rrule ? rrule.value.trim() : undefined,
+      exdates,
+      recurrenceId: recurrenceId ? parseDateValue(recurrenceId, start.timeZone).date : undefined
+    };
+  });
+};
+
+/**
+ * Busy periods of an iCalendar document within a window
+ * Cancelled and free (TRANSP:TRANSPARENT) events are skipped, recurring events are expanded
+ * and moved occurrences (RECURRENCE-ID) replace the ones they override
+ * @param {string} text - iCalendar text
+ * @param {object} options - { timeZone, from: Date, until: Date, limit }
+ * @returns {Array} - [{ uid, start, end }] sorted by start
+ */
+const getBusyPeriods = (text, { timeZone = 'UTC', from = new Date(), until, limit = 2000 } = {}) => {
+  const events = parseEvents(text, { timeZone });
+  const overrides = events.filter(e => e.recurrenceId);
+  const periods = [];
+
+  events.forEach((event) => {
+    const duration = event.end - event.start;
+    let starts = [event.start];
+
+    if (event.rrule && !event.recurrenceId) {
+      const moved = overrides.filter(o => o.uid === event.uid).map(o => o.recurrenceId);
+      starts = expand(parseRule(event.rrule), {
+        day: event.day,
+        time: event.time,
+        timeZone: event.timeZone,
+        // Occurrences that started before the window but are still running are busy too
+        from: new Date(from.getTime() - duration),
+        until,
+        limit,
+        exclude: [...event.exdates, ...moved]
+      }).map(o => o.startsAt);
+    }
+
+    if (event.status === 'CANCELLED' || event.transparent) return;
+
+    starts.forEach((start) => {
+      const end = new Date(start.getTime() + duration);
+      if (end > from && (!until || start < until) && duration > 0) {
+        periods.push({ uid: event.uid, start, end });
+      }
+    });
+  });
+
+  return periods.sort((a, b) => a.start - b.start).slice(0, limit);
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatUtc,
+  formatLocal,
+  formatDay,
+  buildTimezone,
+  buildEvent,
+  buildCalendar,
+  parseEvents,
+  getBusyPeriods
+};
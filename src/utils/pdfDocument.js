@@ -0,0 +1,111 @@
+/**
+ * Minimal PDF writer for simple text documents (invoices, receipts).
+ * Uses the standard Helvetica fonts and writes no timestamps or ids,
+ * so the same input always produces byte-identical output.
+ */
+
+// Helvetica glyph widths (1/1000 em) for ASCII 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+
+class PdfDocument {
+  constructor(title = 'Document') {
+    this.title = title;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this;
+  }
+
+  // Keep to characters the built-in fonts can draw
+  sanitize(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/₹/g, 'INR ')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^\x20-\x7E]/g, '?');
+  }
+
+  escape(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+  }
+
+  widthOf(text, size = 10) {
+    const units = this.sanitize(text)
+      .split('')
+      .reduce((sum, ch) => sum + HELVETICA_WIDTHS[ch.charCodeAt(0) - 32], 0);
+    return (units * size) / 1000;
+  }
+
+  // Draw text. Options: size, bold, align ('left' | 'right'), where x is the right edge for 'right'
+  text(text, x, y, { size = 10, bold = false, align = 'left' } = {}) {
+    const clean = this.sanitize(text);
+    const left = align === 'right' ? x - this.widthOf(clean, size) : x;
+    this.current.push(
+      `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td (${this.escape(clean)}) Tj ET`
+    );
+    return this;
+  }
+
+  line(x1, y1, x2, y2, width = 0.5) {
+    this.current.push(`${width} w ${x1} ${y1} m ${x2} ${y2} l S`);
+    return this;
+  }
+
+  toBuffer() {
+    const objects = [];
+    const pageCount = this.pages.length;
+    const firstPageObj = 6;
+
+    const kids = this.pages.map((_, i) => `${firstPageObj + i * 2} 0 R`).join(' ');
+
+    objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+    objects.push(`<< /Type /Pages /Kids [${kids}] /Count ${pageCount} >>`);
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    objects.push(`<< /Title (${this.escape(this.sanitize(this.title))}) /Producer (Festivo) >>`);
+
+    this.pages.forEach((commands, i) => {
+      const content = commands.join('\n');
+      objects.push(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${firstPageObj + i * 2 + 1} 0 R >>`
+      );
+      objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    });
+
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((obj, i) => {
+      offsets.push(Buffer.byteLength(output, 'latin1'));
+      output += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach((offset) => {
+      output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+PdfDocument.PAGE_WIDTH = PAGE_WIDTH;
+PdfDocument.PAGE_HEIGHT = PAGE_HEIGHT;
+
+module.exports = PdfDocument;
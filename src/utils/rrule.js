@@ -0,0 +1,247 @@
+const { zonedTimeToUtc } = require('./helpers');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+// Periods scanned per expansion, whatever the rule's COUNT, so a rule that rarely or never
+// matches (e.g. BYMONTH=2;BYMONTHDAY=30) can't hold up the event loop
+const MAX_PERIODS = 10000;
+
+const pad = value => String(value).padStart(2, '0');
+
+const toDay = date => date.toISOString().slice(0, 10);
+
+const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDay(date);
+};
+
+const getWeekday = day => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const makeDay = (year, month, date) => `${year}-${pad(month)}-${pad(date)}`;
+
+/**
+ * Parse an RRULE value (RFC 5545 3.3.10), e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10"
+ * Supports FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY and BYMONTH
+ * @param {string} value - Rule text, with or without the "RRULE:" prefix
+ * @returns {object} - { freq, interval, count, until, byDay: [{ weekday, ordinal }], byMonthDay, byMonth }
+ */
+const parseRule = (value) => {
+  const parts = String(value || '').replace(/^RRULE:/i, '').split(';').filter(Boolean);
+  const rule = { interval: 1, byDay: [], byMonthDay: [], byMonth: [] };
+
+  parts.forEach((part) => {
+    const [key, raw = ''] = part.split('=');
+    const name = key.trim().toUpperCase();
+    const val = raw.trim().toUpperCase();
+
+    if (name === 'FREQ') rule.freq = val;
+    else if (name === 'INTERVAL') rule.interval = parseInt(val, 10);
+    else if (name === 'COUNT') rule.count = parseInt(val, 10);
+    else if (name === 'UNTIL') rule.until = val;
+    else if (name === 'BYDAY') {
+      rule.byDay = val.split(',').map((d) => {
+        const match = d.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+        if (!match) throw new Error(`Invalid BYDAY value: ${d}`);
+        return { weekday: WEEKDAYS.indexOf(match[2]), ordinal: match[1] ? parseInt(match[1], 10) : undefined };
+      });
+    } else if (name === 'BYMONTHDAY') rule.byMonthDay = val.split(',').map(Number);
+    else if (name === 'BYMONTH') rule.byMonth = val.split(',').map(Number);
+  });
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw new Error(`Unsupported recurrence frequency: ${rule.freq || 'none'}`);
+  }
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+    throw new Error('Recurrence interval must be a positive integer');
+  }
+  if (rule.count !== undefined && (!Number.isInteger(rule.count) || rule.count < 1)) {
+    throw new Error('Recurrence count must be a positive integer');
+  }
+  if (rule.byMonthDay.some(d => !Number.isInteger(d) || d === 0 || d < -31 || d > 31)) {
+    throw new Error('Invalid BYMONTHDAY value');
+  }
+  if (rule.byMonth.some(m => !Number.isInteger(m) || m < 1 || m > 12)) {
+    throw new Error('Invalid BYMONTH value');
+  }
+
+  return rule;
+};
+
+/**
+ * Format a rule back into RRULE text
+ * @param {object} rule - Parsed rule (see parseRule)
+ * @returns {string} - e.g. "FREQ=MONTHLY;BYDAY=-1FR"
+ */
+const formatRule = (rule) => {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay && rule.byDay.length) {
+    parts.push(`BYDAY=${rule.byDay.map(d => `${d.ordinal || ''}${WEEKDAYS[d.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay && rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byMonth && rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until}`);
+  return parts.join(';');
+};
+
+// UNTIL is a UTC date-time, a floating date-time or a date (inclusive)
+const resolveUntil = (until, timeZone) => {
+  if (!until) return null;
+  const match = until.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) throw new Error(`Invalid UNTIL value: ${until}`);
+
+  const day = `${match[1]}-${match[2]}-${match[3]}`;
+  if (!match[4]) return new Date(zonedTimeToUtc(addDays(day, 1), '00:00', timeZone).getTime() - 1);
+  if (match[7]) return new Date(`${day}T${match[4]}:${match[5]}:${match[6]}Z`);
+  return zonedTimeToUtc(day, `${match[4]}:${match[5]}`, timeZone);
+};
+
+// Days in a month matching BYDAY (with optional ordinals) or BYMONTHDAY
+const getMonthDays = (rule, year, month, defaultDate) => {
+  const total = daysInMonth(year, month);
+
+  if (rule.byDay.length > 0) {
+    const days = [];
+    rule.byDay.forEach(({ weekday, ordinal }) => {
+      const matching = [];
+      for (let date = 1; date <= total; date++) {
+        if (getWeekday(makeDay(year, month, date)) === weekday) matching.push(date);
+      }
+      if (ordinal === undefined) days.push(...matching);
+      else {
+        const date = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+        if (date) days.push(date);
+      }
+    });
+    const filtered = rule.byMonthDay.length > 0
+      ? days.filter(date => rule.byMonthDay.some(d => (d > 0 ? d : total + d + 1) === date))
+      : days;
+    return filtered.sort((a, b) => a - b).map(date => makeDay(year, month, date));
+  }
+
+  const dates = rule.byMonthDay.length > 0
+    ? rule.byMonthDay.map(d => (d > 0 ? d : total + d + 1))
+    : [defaultDate];
+
+  return dates
+    .filter(date => date >= 1 && date <= total)
+    .sort((a, b) => a - b)
+    .map(date => makeDay(year, month, date));
+};
+
+// Candidate days for the n-th period of the rule
+const getPeriodDays = (rule, startDay, period) => {
+  const [startYear, startMonth, startDate] = startDay.split('-').map(Number);
+  const step = period * rule.interval;
+
+  if (rule.freq === 'DAILY') {
+    const day = addDays(startDay, step);
+    const [, month, date] = day.split('-').map(Number);
+    if (rule.byMonth.length && !rule.byMonth.includes(month)) return [];
+    if (rule.byMonthDay.length && !rule.byMonthDay.includes(date)) return [];
+    if (rule.byDay.length && !rule.byDay.some(d => d.weekday === getWeekday(day))) return [];
+    return [day];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    // Weeks start on Monday (WKST=MO)
+    const weekStart = addDays(startDay, -((getWeekday(startDay) + 6) % 7) + step * 7);
+    const weekdays = rule.byDay.length ? rule.byDay.map(d => d.weekday) : [getWeekday(startDay)];
+    return [...new Set(weekdays)]
+      .map(weekday => addDays(weekStart, (weekday + 6) % 7))
+      .filter(day => !rule.byMonth.length || rule.byMonth.includes(Number(day.slice(5, 7))))
+      .sort();
+  }
+
+  if (rule.freq === 'MONTHLY') {
+    const monthIndex = startMonth - 1 + step;
+    const year = startYear + Math.floor(monthIndex / 12);
+    const month = (monthIndex % 12) + 1;
+    if (rule.byMonth.length && !rule.byMonth.includes(month)) return [];
+    return getMonthDays(rule, year, month, startDate);
+  }
+
+  // YEARLY
+  const year = startYear + step;
+  const months = rule.byMonth.length ? [...rule.byMonth].sort((a, b) => a - b) : [startMonth];
+  return months.reduce((days, month) => days.concat(getMonthDays(rule, year, month, startDate)), []);
+};
+
+// First period that can have days on or after a day. Rules without COUNT can start there,
+// since nothing before it is returned; COUNT rules have to count from the first occurrence.
+const getFirstPeriod = (rule, startDay, fromDay) => {
+  if (rule.count || fromDay <= startDay) return 0;
+
+  const [startYear, startMonth] = startDay.split('-').map(Number);
+  const [fromYear, fromMonth] = fromDay.split('-').map(Number);
+  const daysBetween = (a, b) => Math.round((new Date(`${b}T00:00:00Z`) - new Date(`${a}T00:00:00Z`)) / 86400000);
+  let periods;
+
+  if (rule.freq === 'DAILY') {
+    periods = daysBetween(startDay, fromDay) / rule.interval;
+  } else if (rule.freq === 'WEEKLY') {
+    const weekStart = addDays(startDay, -((getWeekday(startDay) + 6) % 7));
+    periods = daysBetween(weekStart, fromDay) / (7 * rule.interval);
+  } else if (rule.freq === 'MONTHLY') {
+    periods = ((fromYear - startYear) * 12 + (fromMonth - startMonth)) / rule.interval;
+  } else {
+    periods = (fromYear - startYear) / rule.interval;
+  }
+
+  return Math.max(0, Math.floor(periods));
+};
+
+/**
+ * Expand a recurrence rule into occurrences
+ * Occurrences keep the same wall-clock time in the timezone, across DST changes
+ * @param {object} rule - Parsed rule (see parseRule)
+ * @param {object} options - { day: first occurrence (YYYY-MM-DD), time: HH:mm, timeZone,
+ *   from: skip occurrences starting before this Date (they don't count towards limit),
+ *   until: stop after this Date, limit: max occurrences, exclude: Dates to skip (EXDATE) }
+ * @returns {Array} - [{ day, startsAt }] in chronological order
+ */
+const expand = (rule, { day, time = '00:00', timeZone, from, until, limit = 500, exclude = [] }) => {
+  const ruleUntil = resolveUntil(rule.until, timeZone);
+  const excluded = new Set(exclude.map(d => new Date(d).getTime()));
+  const occurrences = [];
+  let count = 0;
+
+  if (!rule.count && !ruleUntil && !until) {
+    throw new Error('Open-ended recurrences need an end date to expand');
+  }
+
+  // A day's margin either side of from covers any timezone offset
+  const firstPeriod = from ? getFirstPeriod(rule, day, addDays(toDay(from), -2)) : 0;
+  const lastPeriod = firstPeriod + MAX_PERIODS;
+
+  for (let period = firstPeriod; period < lastPeriod; period++) {
+    const days = getPeriodDays(rule, day, period).filter(d => d >= day);
+
+    for (const candidate of days) {
+      const startsAt = zonedTimeToUtc(candidate, time, timeZone);
+      if (ruleUntil && startsAt > ruleUntil) return occurrences;
+      if (until && startsAt > until) return occurrences;
+
+      // COUNT includes excluded occurrences and those before from
+      count += 1;
+      if (!excluded.has(startsAt.getTime()) && !(from && startsAt < from)) {
+        occurrences.push({ day: candidate, startsAt });
+        if (occurrences.length >= limit) return occurrences;
+      }
+      if (rule.count && count >= rule.count) return occurrences;
+    }
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  WEEKDAYS,
+  parseRule,
+  formatRule,
+  expand
+};
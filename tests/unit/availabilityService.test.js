@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const Booking = require('../../src/models/Booking');
+const Service = require('../../src/models/Service');
+const availabilityService = require('../../src/services/availabilityService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A caterer with lunch and dinner slots in Kolkata and an hour of setup either side
+const service = (calendar = {}) => ({
+  _id: id(),
+  calendarVersion: 4,
+  calendar: {
+    mode: 'slot',
+    timezone: 'Asia/Kolkata',
+    bufferBeforeMinutes: 60,
+    bufferAfterMinutes: 60,
+    slots: [{ start: '12:00', end: '15:00', capacity: 1 }, { start: '19:00', end: '23:00', capacity: 2 }],
+    ...calendar
+  },
+  blackoutDates: []
+});
+
+const day = new Date('2026-12-05T00:00:00Z');
+const now = new Date('2026-11-01T00:00:00Z');
+
+describe('availabilityService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('resolveInterval', () => {
+    it('blocks the slot plus its buffers in the vendor time zone', () => {
+      expect(availabilityService.resolveInterval(service(), day, '12:00')).toEqual({
+        day: '2026-12-05',
+        slot: { start: '12:00', end: '15:00' },
+        capacity: 1,
+        startsAt: new Date('2026-12-05T06:30:00Z'),
+        endsAt: new Date('2026-12-05T09:30:00Z'),
+        blockedFrom: new Date('2026-12-05T05:30:00Z'),
+        blockedUntil: new Date('2026-12-05T10:30:00Z')
+      });
+    });
+
+    it('refuses a slot the vendor does not offer', () => {
+      expect(() => availabilityService.resolveInterval(service(), day, '16:00'))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+  });
+
+  describe('summarize', () => {
+    const interval = availabilityService.resolveInterval(service(), day, '19:00');
+    const at = (status, hours, extra = {}) => ({
+      status,
+      blockedFrom: new Date(interval.blockedFrom.getTime() + hours * 3600000),
+      blockedUntil: new Date(interval.blockedUntil.getTime() + hours * 3600000),
+      ...extra
+    });
+
+    it('is booked once confirmed bookings fill the capacity', () => {
+      expect(availabilityService.summarize(interval, [at('confirmed', 0), at('in_progress', 1)], now).status).toBe('booked');
+    });
+
+    it('counts live holds but not plain requests', () => {
+      const held = at('pending', 0, { hold: { placedAt: now, expiresAt: new Date('2026-11-02') } });
+      const lapsed = at('pending', 0, { hold: { placedAt: now, expiresAt: new Date('2026-10-31') } });
+
+      expect(availabilityService.summarize(interval, [at('confirmed', 0), held], now).status).toBe('held');
+      expect(availabilityService.summarize(interval, [at('confirmed', 0), lapsed, at('pending', 0)], now))
+        .toEqual({ booked: 1, held: 0, requested: 2, capacity: 2, status: 'free' });
+    });
+
+    it('ignores bookings that end before the buffer starts', () => {
+      expect(availabilityService.summarize(interval, [at('confirmed', -6), at('confirmed', -6)], now).status).toBe('free');
+    });
+  });
+
+  describe('reserve', () => {
+    let vendorService;
+    let booking;
+
+    beforeEach(() => {
+      vendorService = service();
+      booking = new Booking({
+        event: id(),
+        service: vendorService._id,
+        vendor: id(),
+        organizer: id(),
+        eventDate: day,
+        slot: { start: '12:00', end: '15:00' },
+        priceAgreed: 1000,
+        status: 'pending'
+      });
+      jest.spyOn(Service, 'findById').mockReturnValue({ select: () => Promise.resolve(vendorService) });
+      jest.spyOn(availabilityService, 'getExternalBusy').mockResolvedValue([]);
+      jest.spyOn(booking, 'save').mockResolvedValue(booking);
+    });
+
+    it('confirms the booking and bumps the calendar version', async () => {
+      jest.spyOn(availabilityService, 'getOverlappingBookings').mockResolvedValue([]);
+      jest.spyOn(Service, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await availabilityService.reserve(booking, { status: 'confirmed' }, { role: 'vendor' });
+
+      expect(booking.status).toBe('confirmed');
+      expect(booking.blockedFrom).toEqual(new Date('2026-12-05T05:30:00Z'));
+      expect(Service.updateOne).toHaveBeenCalledWith(
+        { _id: vendorService._id, calendarVersion: 4 },
+        { $set: { calendarVersion: 5 } }
+      );
+    });
+
+    it('refuses to double-book a slot that is already taken', async () => {
+      jest.spyOn(availabilityService, 'getOverlappingBookings').mockResolvedValue([{
+        status: 'confirmed',
+        blockedFrom: new Date('2026-12-05T05:30:00Z'),
+        blockedUntil: new Date('2026-12-05T10:30:00Z')
+      }]);
+      jest.spyOn(Service, 'updateOne');
+
+      await expect(availabilityService.reserve(booking, { status: 'confirmed' }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'The vendor is already booked at this time' });
+      expect(booking.save).not.toHaveBeenCalled();
+      expect(booking.status).toBe('pending');
+    });
+
+    it('undoes its write and checks again when another booking took the calendar meanwhile', async () => {
+      const taken = {
+        status: 'confirmed',
+        blockedFrom: new Date('2026-12-05T05:30:00Z'),
+        blockedUntil: new Date('2026-12-05T10:30:00Z')
+      };
+      jest.spyOn(availabilityService, 'getOverlappingBookings')
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([taken]);
+      jest.spyOn(Service, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(availabilityService.reserve(booking, { status: 'confirmed' }))
+        .rejects.toMatchObject({ statusCode: 409, message: 'The vendor is already booked at this time' });
+      expect(booking.save).toHaveBeenCalledTimes(2);
+      expect(booking.status).toBe('pending');
+      expect(booking.statusHistory).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Booking = require('../../src/models/Booking');
+const Service = require('../../src/models/Service');
+const Notification = require('../../src/models/Notification');
+const refundService = require('../../src/services/refundService');
+const expireBookingHolds = require('../../src/jobs/expireBookingHolds');
+const { bookingValidations } = require('../../src/middlewares/validation');
+
+const HOUR_MS = 60 * 60 * 1000;
+const id = () => new mongoose.Types.ObjectId();
+
+const heldBooking = (expiresAt = new Date(Date.now() + HOUR_MS)) => new Booking({
+  event: id(),
+  service: id(),
+  vendor: id(),
+  organizer: id(),
+  eventDate: new Date('2026-11-20'),
+  priceAgreed: 1000,
+  hold: { placedAt: new Date(), expiresAt }
+});
+
+const pay = (booking, payment) => {
+  booking.payments.push({ status: 'captured', ...payment });
+  booking.recalculatePaymentTotals();
+};
+
+beforeEach(() => {
+  // Saves run the real hooks and validation without a database
+  jest.spyOn(Booking.collection, 'insertOne').mockResolvedValue({ acknowledged: true });
+  jest.spyOn(Booking.collection, 'updateOne').mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+  jest.spyOn(Service, 'findByIdAndUpdate').mockResolvedValue(null);
+  jest.spyOn(Notification, 'createNotification').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('booking holds', () => {
+  it('are not secured by payments the organizer reports themselves', async () => {
+    const booking = heldBooking();
+    pay(booking, { amount: 1000, recordedBy: 'organizer' });
+
+    await booking.save();
+
+    expect(booking.totalPaid).toBe(1000);
+    expect(booking.hold.securedAt).toBeUndefined();
+  });
+
+  it('are secured by a deposit the vendor records', async () => {
+    const booking = heldBooking();
+    pay(booking, { amount: booking.getDepositAmount(), recordedBy: 'vendor' });
+
+    await booking.save();
+
+    expect(booking.hold.securedAt).toBeInstanceOf(Date);
+  });
+
+  it('are secured by a deposit paid through Razorpay', async () => {
+    const booking = heldBooking();
+    pay(booking, { amount: booking.getDepositAmount(), razorpayPaymentId: 'pay_1' });
+
+    await booking.save();
+
+    expect(booking.hold.securedAt).toBeInstanceOf(Date);
+  });
+
+  it('are not secured by a verified payment short of the deposit', async () => {
+    const booking = heldBooking();
+    pay(booking, { amount: booking.getDepositAmount() - 1, razorpayPaymentId: 'pay_1' });
+
+    await booking.save();
+
+    expect(booking.hold.securedAt).toBeUndefined();
+    expect(booking.hasActiveHold()).toBe(true);
+    expect(booking.hasActiveHold(new Date(Date.now() + 2 * HOUR_MS))).toBe(false);
+  });
+
+  describe('expireBookingHolds', () => {
+    it('expires unsecured holds past their time and refunds what was paid', async () => {
+      const booking = heldBooking(new Date(Date.now() - HOUR_MS));
+      pay(booking, { amount: 100, recordedBy: 'organizer' });
+      booking.isNew = false;
+      booking.$locals.storedStatus = 'pending';
+
+      jest.spyOn(Booking, 'find')
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([booking]);
+      jest.spyOn(refundService, 'issueRefund').mockResolvedValue({ refunded: 100 });
+
+      expect(await expireBookingHolds()).toBe(1);
+      expect(booking.status).toBe('expired');
+      expect(booking.hold.expiredAt).toBeInstanceOf(Date);
+      expect(refundService.issueRefund).toHaveBeenCalledWith(booking, 100, 'Booking hold expired');
+      expect(Notification.createNotification).toHaveBeenCalledTimes(2);
+    });
+
+    it('only looks at unsecured pending holds', async () => {
+      const find = jest.spyOn(Booking, 'find').mockResolvedValue([]);
+
+      await expireBookingHolds();
+
+      find.mock.calls.forEach(([query]) => {
+        expect(query).toEqual(expect.objectContaining({ status: 'pending', 'hold.securedAt': null, 'hold.expiredAt': null }));
+      });
+    });
+  });
+});
+
+describe('bookingValidations.payment', () => {
+  const check = async (body) => {
+    const req = { body };
+    await Promise.all(bookingValidations.payment.map(rule => rule.run(req)));
+    return validationResult(req).array().map(error => error.path);
+  };
+
+  it.each([[undefined], [0], [-500], ['NaN'], ['abc']])('rejects an amount of %p', async (amount) => {
+    expect(await check({ amount })).toContain('amount');
+  });
+
+  it('accepts a positive amount and a known method', async () => {
+    expect(await check({ amount: '250.50', paymentMethod: 'upi' })).toEqual([]);
+    expect(await check({ amount: 250, paymentMethod: 'cheque' })).toEqual(['paymentMethod']);
+  });
+});
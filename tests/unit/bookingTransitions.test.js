@@ -0,0 +1,85 @@
+const { BOOKING_TRANSITIONS } = require('../../src/config/constants');
+const Booking = require('../../src/models/Booking');
+const bookingStatusService = require('../../src/services/bookingStatusService');
+
+const STATUSES = Booking.schema.path('status').enumValues;
+const TERMINAL = ['completed', 'refunded', 'expired'];
+
+const booking = (status, fields = {}) => ({
+  status,
+  eventDate: new Date('2026-11-20T00:00:00Z'),
+  getOpenOffer: () => null,
+  ...fields
+});
+
+describe('BOOKING_TRANSITIONS', () => {
+  it('covers every booking status and only moves to known statuses', () => {
+    expect(Object.keys(BOOKING_TRANSITIONS).sort()).toEqual([...STATUSES].sort());
+    Object.values(BOOKING_TRANSITIONS).forEach((transitions) => {
+      Object.keys(transitions).forEach(to => expect(STATUSES).toContain(to));
+    });
+  });
+
+  it('has no way out of terminal statuses', () => {
+    TERMINAL.forEach(status => expect(BOOKING_TRANSITIONS[status]).toEqual({}));
+  });
+
+  it('only lets the vendor confirm and only the system expire', () => {
+    expect(BOOKING_TRANSITIONS.pending.confirmed).toEqual(['vendor']);
+    expect(BOOKING_TRANSITIONS.pending.expired).toEqual(['system']);
+  });
+
+  it('only refunds cancelled bookings', () => {
+    const refundable = Object.keys(BOOKING_TRANSITIONS).filter(from => BOOKING_TRANSITIONS[from].refunded);
+    expect(refundable).toEqual(['cancelled']);
+  });
+});
+
+describe('bookingStatusService', () => {
+  const now = new Date('2026-11-10T10:00:00Z');
+
+  describe('assertTransition', () => {
+    it('refuses transitions missing from the table', () => {
+      expect(() => bookingStatusService.assertTransition(booking('completed'), 'cancelled', { role: 'admin', now }))
+        .toThrow(expect.objectContaining({ statusCode: 400 }));
+    });
+
+    it('refuses roles the table does not allow', () => {
+      expect(() => bookingStatusService.assertTransition(booking('pending'), 'confirmed', { role: 'organizer', now }))
+        .toThrow(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('refuses users with no role on the booking', () => {
+      expect(() => bookingStatusService.assertTransition(booking('pending'), 'cancelled', { role: null, now }))
+        .toThrow(expect.objectContaining({ statusCode: 403 }));
+    });
+
+    it('applies the guards', () => {
+      const withOffer = booking('pending', { getOpenOffer: () => ({ status: 'open' }) });
+      expect(() => bookingStatusService.assertTransition(withOffer, 'confirmed', { role: 'vendor', now }))
+        .toThrow('open quote');
+      expect(() => bookingStatusService.assertTransition(booking('confirmed'), 'in_progress', { role: 'vendor', now }))
+        .toThrow('only be started on the event date');
+    });
+
+    it('allows a valid transition', () => {
+      expect(() => bookingStatusService.assertTransition(booking('pending'), 'confirmed', { role: 'vendor', now }))
+        .not.toThrow();
+    });
+  });
+
+  describe('getAllowedTransitions', () => {
+    it('lists what the role can do now', () => {
+      expect(bookingStatusService.getAllowedTransitions(booking('pending'), 'vendor', now).sort())
+        .toEqual(['cancelled', 'confirmed']);
+      expect(bookingStatusService.getAllowedTransitions(booking('confirmed'), 'organizer', now))
+        .toEqual(['cancelled']);
+    });
+
+    it('opens up starting and completing on the event date', () => {
+      const onTheDay = new Date('2026-11-20T06:00:00Z');
+      expect(bookingStatusService.getAllowedTransitions(booking('confirmed'), 'organizer', onTheDay).sort())
+        .toEqual(['cancelled', 'completed', 'in_progress']);
+    });
+  });
+});
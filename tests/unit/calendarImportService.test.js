@@ -0,0 +1,41 @@
+const calendarImportService = require('../../src/services/calendarImportService');
+
+describe('calendarImportService', () => {
+  describe('normalizeUrl', () => {
+    it('turns webcal links into https', () => {
+      expect(calendarImportService.normalizeUrl('webcal://example.com/cal.ics')).toBe('https://example.com/cal.ics');
+    });
+
+    it('refuses other schemes', () => {
+      expect(() => calendarImportService.normalizeUrl('file:///etc/passwd')).toThrow('http, https or webcal');
+      expect(() => calendarImportService.normalizeUrl('not a url')).toThrow('Invalid calendar URL');
+    });
+  });
+
+  describe('isPublicAddress', () => {
+    it.each([
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1'
+    ])('refuses %s', (address) => {
+      expect(calendarImportService.isPublicAddress(address)).toBe(false);
+    });
+
+    it.each(['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111'])('allows %s', (address) => {
+      expect(calendarImportService.isPublicAddress(address)).toBe(true);
+    });
+  });
+
+  it('refuses IP literal hosts that are not public', () => {
+    expect(() => calendarImportService.assertPublicHost('169.254.169.254')).toThrow('public address');
+    expect(() => calendarImportService.assertPublicHost('[::1]')).toThrow('public address');
+    expect(() => calendarImportService.assertPublicHost('calendar.example.com')).not.toThrow();
+  });
+
+  it('does not pass on network details from fetch errors', () => {
+    const error = Object.assign(new Error('connect ECONNREFUSED 10.0.0.5:443'), { code: 'ECONNREFUSED' });
+
+    expect(calendarImportService.describeFetchError(error)).toBe('The calendar server could not be reached');
+    expect(calendarImportService.describeFetchError({ response: { status: 404 } }))
+      .toBe('The calendar server answered with HTTP 404');
+  });
+});
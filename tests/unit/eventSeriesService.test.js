@@ -0,0 +1,78 @@
+const eventSeriesService = require('../../src/services/eventSeriesService');
+
+// A weekly Monday series at 19:00 in Kolkata that has been running for years
+const series = (occurrenceOverrides = []) => ({
+  title: 'Monday Quiz',
+  date: new Date('2020-01-06T13:30:00Z'),
+  time: '19:00',
+  timezone: 'Asia/Kolkata',
+  recurrence: 'FREQ=WEEKLY;BYDAY=MO',
+  maxAttendees: 40,
+  occurrenceOverrides
+});
+
+const from = new Date('2026-11-01T00:00:00Z');
+
+describe('eventSeriesService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('getOccurrences', () => {
+    it('expands from the window start with a bounded limit', () => {
+      const expandRule = jest.spyOn(eventSeriesService, 'expandRule');
+
+      const occurrences = eventSeriesService.getOccurrences(series(), { from, limit: 3 });
+
+      expect(occurrences.map(o => o.day)).toEqual(['2026-11-02', '2026-11-09', '2026-11-16']);
+      expect(occurrences[0].startsAt).toEqual(new Date('2026-11-02T13:30:00Z'));
+      expect(expandRule).toHaveBeenCalledWith(expect.anything(), expect.anything(), expect.objectContaining({ from, limit: 3 }));
+    });
+
+    it('still fills the limit when occurrences are cancelled', () => {
+      const event = series([{ day: '2026-11-02', cancelled: true }, { day: '2026-11-09', cancelled: true }]);
+
+      const occurrences = eventSeriesService.getOccurrences(event, { from, limit: 2, includeCancelled: false });
+
+      expect(occurrences.map(o => o.day)).toEqual(['2026-11-16', '2026-11-23']);
+    });
+
+    it('includes occurrences moved into the window from before or after it', () => {
+      const event = series([
+        { day: '2026-10-26', date: new Date('2026-11-03T00:00:00Z') },
+        { day: '2027-03-01', date: new Date('2026-11-04T00:00:00Z'), time: '10:00' }
+      ]);
+
+      const occurrences = eventSeriesService.getOccurrences(event, { from, limit: 3 });
+
+      expect(occurrences.map(o => [o.day, o.startsAt.toISOString()])).toEqual([
+        ['2026-11-02', '2026-11-02T13:30:00.000Z'],
+        ['2026-10-26', '2026-11-03T13:30:00.000Z'],
+        ['2027-03-01', '2026-11-04T04:30:00.000Z']
+      ]);
+    });
+
+    it('leaves out occurrences moved out of the window', () => {
+      const event = series([{ day: '2026-11-02', date: new Date('2026-10-28T00:00:00Z') }]);
+
+      expect(eventSeriesService.getOccurrences(event, { from, limit: 1 })[0].day).toBe('2026-11-09');
+    });
+  });
+
+  describe('getOccurrence', () => {
+    it('finds the occurrence for a day with its override applied', () => {
+      const event = series([{ day: '2026-11-09', title: 'Quiz Finals', maxAttendees: 80 }]);
+
+      expect(eventSeriesService.getOccurrence(event, '2026-11-09')).toEqual(expect.objectContaining({
+        day: '2026-11-09',
+        startsAt: new Date('2026-11-09T13:30:00Z'),
+        title: 'Quiz Finals',
+        maxAttendees: 80,
+        overridden: true
+      }));
+    });
+
+    it('returns null for a day the series does not run', () => {
+      expect(eventSeriesService.getOccurrence(series(), '2026-11-10')).toBeNull();
+      expect(eventSeriesService.getOccurrence(series(), '2019-12-30')).toBeNull();
+    });
+  });
+});
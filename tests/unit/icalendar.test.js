@@ -0,0 +1,115 @@
+const { buildCalendar, parseEvents, getBusyPeriods } = require('../../src/utils/icalendar');
+
+const calendar = lines => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+describe('icalendar', () => {
+  describe('buildCalendar / parseEvents round trip', () => {
+    const summary = `Sangeet, dinner; dance\nnight ${'x'.repeat(80)}`;
+    const text = buildCalendar({
+      name: 'Festivo - Test',
+      events: [
+        {
+          uid: 'zoned@festivo',
+          summary,
+          location: 'Pune',
+          start: new Date('2026-11-20T13:30:00Z'),
+          end: new Date('2026-11-20T17:30:00Z'),
+          timeZone: 'Asia/Kolkata'
+        },
+        { uid: 'allday@festivo', summary: 'Haldi', allDay: true, start: '2026-11-19', end: '2026-11-20' },
+        {
+          uid: 'utc@festivo',
+          summary: 'Cancelled',
+          start: new Date('2026-11-21T10:00:00Z'),
+          end: new Date('2026-11-21T11:00:00Z'),
+          status: 'CANCELLED'
+        }
+      ]
+    });
+    const events = parseEvents(text);
+    const byUid = uid => events.find(e => e.uid === uid);
+
+    it('folds long lines to 75 octets', () => {
+      text.split('\r\n').forEach((line) => {
+        expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+      });
+    });
+
+    it('keeps escaped text and zoned times', () => {
+      const event = byUid('zoned@festivo');
+
+      expect(event.summary).toBe(summary);
+      expect(event.timeZone).toBe('Asia/Kolkata');
+      expect(event.time).toBe('19:00');
+      expect(event.start.toISOString()).toBe('2026-11-20T13:30:00.000Z');
+      expect(event.end.toISOString()).toBe('2026-11-20T17:30:00.000Z');
+    });
+
+    it('keeps all-day events as dates', () => {
+      const event = byUid('allday@festivo');
+
+      expect(event.allDay).toBe(true);
+      expect(event.day).toBe('2026-11-19');
+      expect(event.end - event.start).toBe(24 * 60 * 60 * 1000);
+    });
+
+    it('keeps the status', () => {
+      expect(byUid('utc@festivo').status).toBe('CANCELLED');
+      expect(byUid('zoned@festivo').status).toBe('CONFIRMED');
+    });
+  });
+
+  it('rejects text that is not a calendar', () => {
+    expect(() => parseEvents('hello')).toThrow('Not an iCalendar file');
+  });
+
+  describe('getBusyPeriods', () => {
+    const window = { from: new Date('2026-10-19T00:00:00Z'), until: new Date('2026-10-21T00:00:00Z') };
+
+    it('finds current occurrences of a series that started years ago', () => {
+      const text = calendar([
+        'BEGIN:VEVENT', 'UID:daily', 'DTSTART:20150101T090000Z', 'DTEND:20150101T100000Z',
+        'RRULE:FREQ=DAILY', 'END:VEVENT'
+      ]);
+
+      expect(getBusyPeriods(text, window).map(p => p.start.toISOString()))
+        .toEqual(['2026-10-19T09:00:00.000Z', '2026-10-20T09:00:00.000Z']);
+    });
+
+    it('includes an occurrence that started before the window and is still running', () => {
+      const text = calendar([
+        'BEGIN:VEVENT', 'UID:overnight', 'DTSTART:20260101T220000Z', 'DTEND:20260102T040000Z',
+        'RRULE:FREQ=DAILY;UNTIL=20261231T000000Z', 'END:VEVENT'
+      ]);
+
+      expect(getBusyPeriods(text, window)[0].start.toISOString()).toBe('2026-10-18T22:00:00.000Z');
+    });
+
+    it('skips cancelled, free and excluded occurrences and applies moved ones', () => {
+      const text = calendar([
+        'BEGIN:VEVENT', 'UID:series', 'DTSTART:20261001T090000Z', 'DTEND:20261001T100000Z',
+        'RRULE:FREQ=DAILY;COUNT=30', 'EXDATE:20261019T090000Z', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:series', 'RECURRENCE-ID:20261020T090000Z',
+        'DTSTART:20261020T150000Z', 'DTEND:20261020T160000Z', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:free', 'DTSTART:20261019T120000Z', 'DTEND:20261019T130000Z',
+        'TRANSP:TRANSPARENT', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:cancelled', 'DTSTART:20261019T140000Z', 'DTEND:20261019T150000Z',
+        'STATUS:CANCELLED', 'END:VEVENT'
+      ]);
+
+      expect(getBusyPeriods(text, window).map(p => [p.uid, p.start.toISOString()]))
+        .toEqual([['series', '2026-10-20T15:00:00.000Z']]);
+    });
+
+    it('gives up quickly on a rule that never matches, however large its COUNT', () => {
+      const text = calendar([
+        'BEGIN:VEVENT', 'UID:never', 'DTSTART:20150101T090000Z', 'DTEND:20150101T100000Z',
+        'RRULE:FREQ=DAILY;COUNT=2000000000;BYMONTH=2;BYMONTHDAY=30', 'END:VEVENT'
+      ]);
+
+      const started = Date.now();
+      expect(getBusyPeriods(text, window)).toEqual([]);
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+  });
+});
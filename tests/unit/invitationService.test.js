@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Invitation = require('../../src/models/Invitation');
+const User = require('../../src/models/User');
+const invitationService = require('../../src/services/invitationService');
+const { hashToken } = require('../../src/utils/helpers');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const guest = fields => ({ _id: id(), role: 'user', email: 'Guest@Example.com', phone: '+919876543210', ...fields });
+
+const privateEvent = () => ({ _id: id(), isPublic: false, organizer: id(), coOrganizers: [] });
+
+const invitation = fields => {
+  const doc = new Invitation({ event: id(), invitedBy: id(), status: 'sent', ...fields });
+  jest.spyOn(doc, 'save').mockResolvedValue(doc);
+  return doc;
+};
+
+// Stored invitations, matched against the $or filters the service builds
+let stored;
+const matchesGuestFilter = (doc, query) => query.$or.some((condition) => {
+  if (condition.user) return doc.user && doc.user.toString() === condition.user.toString();
+  if (condition.email) return doc.email === condition.email;
+  if (condition.phone) return condition.phone.$in.includes(doc.phone);
+  return false;
+});
+
+beforeEach(() => {
+  stored = [];
+  jest.spyOn(Invitation, 'findOne').mockImplementation((query) => {
+    const found = query.tokenHash
+      ? stored.find(doc => doc.tokenHash === query.tokenHash)
+      : stored.find(doc => doc.event.toString() === query.event.toString() && matchesGuestFilter(doc, query));
+    const result = Promise.resolve(found || null);
+    result.sort = () => result;
+    return result;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('invitationService', () => {
+  describe('canAttend', () => {
+    it('lets in a guest whose verified email was invited and links the invitation', async () => {
+      const event = privateEvent();
+      const invite = invitation({ event: event._id, email: 'guest@example.com' });
+      stored.push(invite);
+      const user = guest({ emailVerified: true });
+
+      expect(await invitationService.canAttend(event, user)).toBe(true);
+      expect(invite.user.toString()).toBe(user._id.toString());
+    });
+
+    it('does not match an unverified email or phone', async () => {
+      const event = privateEvent();
+      stored.push(
+        invitation({ event: event._id, email: 'guest@example.com' }),
+        invitation({ event: event._id, phone: '9876543210' })
+      );
+
+      expect(await invitationService.canAttend(event, guest({ emailVerified: false, phoneVerified: false }))).toBe(false);
+      expect(stored.every(doc => !doc.user)).toBe(true);
+    });
+
+    it('matches another spelling of a verified phone number', async () => {
+      const event = privateEvent();
+      stored.push(invitation({ event: event._id, phone: '9876543210' }));
+
+      expect(await invitationService.canAttend(event, guest({ phoneVerified: true }))).toBe(true);
+    });
+
+    it('always lets in hosts and anyone for public events', async () => {
+      const event = privateEvent();
+      const host = guest();
+      event.coOrganizers.push(host._id);
+
+      expect(await invitationService.canAttend(event, host)).toBe(true);
+      expect(await invitationService.canAttend({ ...privateEvent(), isPublic: true }, guest())).toBe(true);
+      expect(await invitationService.canAttend(privateEvent(), guest())).toBe(false);
+    });
+  });
+
+  describe('isGuest', () => {
+    it('needs the account the invitation is linked to, or a verified contact', () => {
+      const user = guest();
+      expect(invitationService.isGuest(invitation({ user: user._id }), user)).toBe(true);
+      expect(invitationService.isGuest(invitation({ user: id() }), { ...user, emailVerified: true })).toBe(false);
+      expect(invitationService.isGuest(invitation({ email: 'guest@example.com' }), user)).toBe(false);
+      expect(invitationService.isGuest(invitation({ email: 'guest@example.com' }), { ...user, emailVerified: true })).toBe(true);
+    });
+  });
+
+  describe('redeem', () => {
+    it('lets whoever holds the token claim an unlinked invitation', async () => {
+      const invite = invitation({ email: 'guest@example.com', tokenHash: hashToken('secret') });
+      stored.push(invite);
+      const user = guest({ email: 'other@example.com' });
+
+      const { invitation: redeemed } = await invitationService.redeem('secret', user);
+
+      expect(redeemed.user.toString()).toBe(user._id.toString());
+      expect(redeemed.status).toBe('opened');
+    });
+
+    it('refuses a token for an invitation another account has claimed', async () => {
+      stored.push(invitation({ user: id(), tokenHash: hashToken('secret') }));
+
+      await expect(invitationService.redeem('secret', guest())).rejects.toThrow('sent to someone else');
+    });
+  });
+
+  it('only links invitees to accounts that verified the address', async () => {
+    const findOne = jest.spyOn(User, 'findOne').mockReturnValue({ select: () => Promise.resolve(null) });
+
+    await invitationService.resolveInvitee({ email: 'Guest@Example.com' });
+    await invitationService.resolveInvitee({ phone: '98765 43210' });
+
+    expect(findOne.mock.calls[0][0]).toEqual({ email: 'guest@example.com', emailVerified: true });
+    expect(findOne.mock.calls[1][0]).toEqual(expect.objectContaining({ phoneVerified: true }));
+  });
+});
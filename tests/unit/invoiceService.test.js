@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const Booking = require('../../src/models/Booking');
+const Counter = require('../../src/models/Counter');
+const Event = require('../../src/models/Event');
+const Service = require('../../src/models/Service');
+const User = require('../../src/models/User');
+const invoiceService = require('../../src/services/invoiceService');
+
+// Booking as the invoice endpoint loads it, with service, vendor, organizer and event populated
+const newBooking = ({ gstNumber = '27ABCDE1234F1Z5' } = {}) => {
+  const booking = new Booking({
+    event: new mongoose.Types.ObjectId(),
+    service: new mongoose.Types.ObjectId(),
+    vendor: new mongoose.Types.ObjectId(),
+    organizer: new mongoose.Types.ObjectId(),
+    eventDate: new Date('2026-11-20'),
+    status: 'confirmed',
+    priceAgreed: 1180,
+    currency: 'INR'
+  });
+
+  booking.event = new Event({ title: 'Annual Gala', city: 'Mumbai' });
+  booking.service = new Service({
+    serviceName: 'Stage Lighting',
+    businessName: 'Bright Lights',
+    category: 'lighting',
+    priceUnit: 'per_event',
+    city: 'Mumbai',
+    gstNumber
+  });
+  booking.vendor = new User({ name: 'Ravi', email: 'ravi@example.com' });
+  booking.organizer = new User({ name: 'Asha', email: 'asha@example.com', phone: '+919800000000' });
+  booking.payments.push({ amount: 500, status: 'captured', paymentMethod: 'upi', transactionId: 'T1', paidAt: new Date('2026-10-01') });
+  booking.recalculatePaymentTotals();
+
+  return booking;
+};
+
+const pdfText = pdf => pdf.toString('latin1');
+
+describe('invoiceService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('calculateGst', () => {
+    it('splits tax into CGST and SGST within a state', () => {
+      expect(invoiceService.calculateGst(1180, '27ABCDE1234F1Z5', '27PQRSX5678K1Z2')).toEqual({
+        registered: true,
+        interState: false,
+        taxableValue: 1000,
+        total: 1180,
+        lines: [{ label: 'CGST @ 9%', amount: 90 }, { label: 'SGST @ 9%', amount: 90 }]
+      });
+    });
+
+    it('charges IGST across states', () => {
+      expect(invoiceService.calculateGst(1180, '27ABCDE1234F1Z5', '29PQRSX5678K1Z2').lines)
+        .toEqual([{ label: 'IGST @ 18%', amount: 180 }]);
+    });
+
+    it('charges no tax for an unregistered supplier', () => {
+      expect(invoiceService.calculateGst(1000, null, '29PQRSX5678K1Z2'))
+        .toEqual({ registered: false, taxableValue: 1000, total: 1000, lines: [] });
+    });
+  });
+
+  it('numbers documents by Indian financial year', () => {
+    expect(invoiceService.getFinancialYear(new Date('2027-03-31T18:00:00Z'))).toBe('2026-27');
+    expect(invoiceService.getFinancialYear(new Date('2027-03-31T18:30:00Z'))).toBe('2027-28');
+  });
+
+  describe('assignInvoiceNumber', () => {
+    it('freezes the buyer GSTIN, line items and tax breakdown with the number', async () => {
+      const booking = newBooking();
+      jest.spyOn(Counter, 'next').mockResolvedValue(7);
+      const save = jest.spyOn(booking, 'save').mockResolvedValue(booking);
+
+      await invoiceService.assignInvoiceNumber(booking, { buyerGstin: '29PQRSX5678K1Z2' });
+
+      expect(booking.invoiceNumber).toMatch(/^FES\/\d{4}-\d{2}\/000007$/);
+      expect(booking.$where).toEqual({ invoiceNumber: null });
+      expect(save).toHaveBeenCalledTimes(1);
+      expect(booking.invoiceDetails.toObject()).toEqual(expect.objectContaining({
+        buyer: expect.objectContaining({ name: 'Asha', gstin: '29PQRSX5678K1Z2' }),
+        supplier: expect.objectContaining({ name: 'Bright Lights', contact: 'Ravi', gstin: '27ABCDE1234F1Z5' }),
+        lineItems: [{ description: 'Stage Lighting (lighting, per event)', note: '', amount: 1000 }],
+        taxableValue: 1000,
+        taxes: [{ label: 'IGST @ 18%', amount: 180 }],
+        total: 1180,
+        placeOfSupply: 'Mumbai'
+      }));
+    });
+
+    it('keeps the number and details of an issued invoice', async () => {
+      const booking = newBooking();
+      jest.spyOn(Counter, 'next').mockResolvedValue(7);
+      jest.spyOn(booking, 'save').mockResolvedValue(booking);
+      await invoiceService.assignInvoiceNumber(booking, { buyerGstin: '29PQRSX5678K1Z2' });
+
+      await invoiceService.assignInvoiceNumber(booking, { buyerGstin: '27PQRSX5678K1Z2' });
+
+      expect(Counter.next).toHaveBeenCalledTimes(1);
+      expect(booking.invoiceDetails.buyer.gstin).toBe('29PQRSX5678K1Z2');
+    });
+
+    it('refuses to issue a second invoice when another download issued one first', async () => {
+      const booking = newBooking();
+      jest.spyOn(Counter, 'next').mockResolvedValue(8);
+      jest.spyOn(booking, 'save').mockRejectedValue(new mongoose.Error.DocumentNotFoundError('Booking'));
+
+      await expect(invoiceService.assignInvoiceNumber(booking))
+        .rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('buildInvoice', () => {
+    const issue = async (booking, options) => {
+      jest.spyOn(Counter, 'next').mockResolvedValue(1);
+      jest.spyOn(booking, 'save').mockResolvedValue(booking);
+      await invoiceService.assignInvoiceNumber(booking, options);
+      return booking;
+    };
+
+    it('prints the issued tax breakdown and payments', async () => {
+      const booking = await issue(newBooking(), { buyerGstin: '27PQRSX5678K1Z2' });
+      const text = pdfText(invoiceService.buildInvoice(booking));
+
+      expect(text).toContain('(TAX INVOICE) Tj');
+      expect(text).toContain('(GSTIN: 27PQRSX5678K1Z2) Tj');
+      expect(text).toContain('(CGST @ 9%) Tj');
+      expect(text).toContain('(SGST @ 9%) Tj');
+      expect(text).toContain('(INR 1,180.00) Tj');
+      expect(text).toContain('(Balance due) Tj');
+      expect(text).toContain('(INR 680.00) Tj');
+    });
+
+    it('prints the same invoice after the booking price or supplier changes', async () => {
+      const booking = await issue(newBooking(), { buyerGstin: '29PQRSX5678K1Z2' });
+      const issued = invoiceService.buildInvoice(booking);
+
+      booking.priceAgreed = 2360;
+      booking.service.gstNumber = '29ZZZZZ9999Z1Z9';
+      booking.organizer.name = 'Someone Else';
+
+      expect(invoiceService.buildInvoice(booking).equals(issued)).toBe(true);
+    });
+
+    it('prints a plain invoice without tax for an unregistered supplier', async () => {
+      const booking = await issue(newBooking({ gstNumber: null }));
+      const text = pdfText(invoiceService.buildInvoice(booking));
+
+      expect(text).toContain('(INVOICE) Tj');
+      expect(text).toContain('(Not registered under GST) Tj');
+      expect(text).not.toContain('GST @');
+    });
+  });
+
+  it('prints receipts with the parties of the issued invoice', async () => {
+    const booking = newBooking();
+    jest.spyOn(Counter, 'next').mockResolvedValue(3);
+    jest.spyOn(booking, 'save').mockResolvedValue(booking);
+    await invoiceService.assignInvoiceNumber(booking, { buyerGstin: '27PQRSX5678K1Z2' });
+    const payment = booking.payments[0];
+    await invoiceService.assignReceiptNumber(booking, payment);
+
+    const text = pdfText(invoiceService.buildReceipt(booking, payment));
+
+    expect(text).toContain('(PAYMENT RECEIPT) Tj');
+    expect(text).toContain('(GSTIN: 27PQRSX5678K1Z2) Tj');
+    expect(text).toContain(`(Against invoice: ${booking.invoiceNumber}) Tj`);
+    expect(text).toContain('(Balance after this payment) Tj');
+  });
+});
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../../src/models/LedgerEntry');
+const Payout = require('../../src/models/Payout');
+const ledgerService = require('../../src/services/ledgerService');
+
+// Just enough of the query language for the payout batching queries
+const matches = (entry, query) => Object.entries(query).every(([key, condition]) => {
+  const value = entry[key];
+  if (condition === null) return value === null || value === undefined;
+  if (condition && condition.$lte !== undefined) return value <= condition.$lte;
+  if (condition && condition.$in) return condition.$in.includes(value);
+  return String(value) === String(condition);
+});
+
+const vendorA = new mongoose.Types.ObjectId();
+const vendorB = new mongoose.Types.ObjectId();
+let entries;
+
+// One payment (or refund, with negative amounts) split into its three ledger lines
+const post = (vendor, period, entryType, gross, fee, currency = 'INR') => {
+  const sign = gross < 0 ? -1 : 1;
+  const line = (account, debit, credit) => ({
+    vendor, period, entryType, currency, account, debit, credit, payout: null, createdAt: new Date('2026-01-01')
+  });
+  const [g, f] = [Math.abs(gross), Math.abs(fee)];
+  entries.push(
+    sign > 0 ? line('gateway_clearing', g, 0) : line('gateway_clearing', 0, g),
+    sign > 0 ? line('platform_fees', 0, f) : line('platform_fees', f, 0),
+    sign > 0 ? line('vendor_payable', 0, g - f) : line('vendor_payable', g - f, 0)
+  );
+};
+
+beforeEach(() => {
+  entries = [];
+
+  jest.spyOn(LedgerEntry, 'aggregate').mockImplementation(async ([{ $match }]) => {
+    const groups = {};
+    entries.filter(e => matches(e, $match)).forEach((e) => {
+      const key = `${e.vendor}|${e.currency}|${e.account}`;
+      const group = groups[key] || { _id: { vendor: e.vendor, currency: e.currency, account: e.account }, debit: 0, credit: 0, count: 0 };
+      group.debit += e.debit;
+      group.credit += e.credit;
+      group.count += 1;
+      groups[key] = group;
+    });
+    return Object.values(groups);
+  });
+
+  jest.spyOn(LedgerEntry, 'updateMany').mockImplementation(async (query, update) => {
+    const matched = entries.filter(e => matches(e, query));
+    matched.forEach((e) => { Object.assign(e, update); });
+    return { modifiedCount: matched.length };
+  });
+
+  jest.spyOn(Payout, 'create').mockImplementation(async data => data);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ledgerService.createPayoutBatches', () => {
+  it('pays each vendor their net earnings for the period and claims the entries', async () => {
+    post(vendorA, '2026-01', 'payment', 1000, 100);
+    post(vendorA, '2026-01', 'payment', 500, 50);
+    post(vendorB, '2026-01', 'payment', 200, 20);
+
+    const payouts = await ledgerService.createPayoutBatches('2026-01');
+    const forA = payouts.find(p => p.vendor === vendorA);
+
+    expect(payouts).toHaveLength(2);
+    expect(forA).toEqual(expect.objectContaining({ grossAmount: 1500, platformFee: 150, amount: 1350, entryCount: 6 }));
+    expect(entries.every(e => e.payout)).toBe(true);
+  });
+
+  it('nets refunds against earnings', async () => {
+    post(vendorA, '2026-01', 'payment', 1000, 100);
+    post(vendorA, '2026-01', 'refund', -400, -40);
+
+    const [payout] = await ledgerService.createPayoutBatches('2026-01');
+
+    expect(payout.amount).toBe(540);
+    expect(payout.grossAmount).toBe(600);
+  });
+
+  it('carries an unbatched refund from an earlier period into the next batch', async () => {
+    post(vendorA, '2025-12', 'refund', -300, -30);
+    post(vendorA, '2026-01', 'payment', 1000, 100);
+
+    const [payout] = await ledgerService.createPayoutBatches('2026-01');
+
+    expect(payout.amount).toBe(630);
+  });
+
+  it('releases the entries when nothing is owed so they carry forward', async () => {
+    post(vendorA, '2026-01', 'payment', 200, 20);
+    post(vendorA, '2026-01', 'refund', -500, -50);
+
+    const payouts = await ledgerService.createPayoutBatches('2026-01');
+
+    expect(payouts).toEqual([]);
+    expect(Payout.create).not.toHaveBeenCalled();
+    expect(entries.every(e => e.payout === null)).toBe(true);
+  });
+
+  it('batches each currency separately and leaves later periods alone', async () => {
+    post(vendorA, '2026-01', 'payment', 1000, 100, 'INR');
+    post(vendorA, '2026-01', 'payment', 50, 5, 'USD');
+    post(vendorA, '2026-02', 'payment', 700, 70, 'INR');
+
+    const payouts = await ledgerService.createPayoutBatches('2026-01');
+
+    expect(payouts.map(p => [p.currency, p.amount]).sort()).toEqual([['INR', 900], ['USD', 45]]);
+    expect(entries.filter(e => e.period === '2026-02').every(e => e.payout === null)).toBe(true);
+  });
+
+  it('does not batch entries twice', async () => {
+    post(vendorA, '2026-01', 'payment', 1000, 100);
+
+    await ledgerService.createPayoutBatches('2026-01');
+    const again = await ledgerService.createPayoutBatches('2026-01');
+
+    expect(again).toEqual([]);
+  });
+});
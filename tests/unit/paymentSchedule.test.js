@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Booking = require('../../src/models/Booking');
+const bookingChangeService = require('../../src/services/bookingChangeService');
+const { bookingValidations } = require('../../src/middlewares/validation');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const newBooking = (fields = {}) => new Booking({
+  event: id(),
+  service: id(),
+  vendor: id(),
+  organizer: id(),
+  eventDate: new Date('2026-11-20'),
+  priceAgreed: 1000,
+  ...fields
+});
+
+const milestone = (label, value, dueDate) => ({ label, dueDate: new Date(dueDate), ...value });
+
+describe('payment schedules', () => {
+  describe('setPaymentSchedule', () => {
+    it('splits percentages of the price and gives the rounding to the last milestone', () => {
+      const booking = newBooking({ priceAgreed: 1001 });
+      booking.setPaymentSchedule([
+        milestone('Final', { percentage: 70 }, '2026-11-20'),
+        milestone('Advance', { percentage: 30 }, '2026-10-01')
+      ]);
+
+      expect(booking.paymentSchedule.map(m => [m.label, m.percentage, m.amount]))
+        .toEqual([['Advance', 30, 300], ['Final', 70, 701]]);
+    });
+
+    it('accepts fixed amounts that come to the price', () => {
+      const booking = newBooking();
+      booking.setPaymentSchedule([
+        milestone('Advance', { amount: 250 }, '2026-10-01'),
+        milestone('Final', { amount: 750 }, '2026-11-20')
+      ]);
+
+      expect(booking.paymentSchedule.map(m => m.amount)).toEqual([250, 750]);
+      expect(booking.validateSync()).toBeUndefined();
+    });
+
+    it.each([
+      ['percentages short of 100%', [{ percentage: 30 }, { percentage: 60 }], '90%, not 100%'],
+      ['amounts short of the price', [{ amount: 250 }, { amount: 500 }], 'not the agreed price of 1000'],
+      ['amounts over the price', [{ amount: 250 }, { percentage: 80 }], 'not the agreed price of 1000'],
+      ['a milestone with no value', [{ amount: 1000 }, {}], 'needs an amount or a percentage'],
+      ['a milestone of 0', [{ amount: 0 }, { amount: 1000 }], 'more than 0']
+    ])('refuses %s without changing the schedule', (name, values, message) => {
+      const booking = newBooking();
+      booking.setPaymentSchedule([milestone('Full', { percentage: 100 }, '2026-11-01')]);
+
+      expect(() => booking.setPaymentSchedule(values.map((value, i) => milestone(`M${i}`, value, `2026-1${i}-01`))))
+        .toThrow(expect.objectContaining({ statusCode: 400, message: expect.stringContaining(message) }));
+      expect(booking.paymentSchedule.map(m => m.label)).toEqual(['Full']);
+    });
+  });
+
+  describe('setPriceAgreed', () => {
+    it('moves percentage milestones with the price and keeps fixed ones', () => {
+      const booking = newBooking();
+      booking.setPaymentSchedule([
+        milestone('Advance', { amount: 200 }, '2026-10-01'),
+        milestone('Final', { amount: 800 }, '2026-11-20')
+      ]);
+
+      booking.setPriceAgreed(1500);
+
+      expect(booking.paymentSchedule.map(m => m.amount)).toEqual([200, 1300]);
+      expect(booking.priceAgreed).toBe(1500);
+    });
+
+    it('refuses a price below the earlier milestones without changing anything', () => {
+      const booking = newBooking();
+      booking.setPaymentSchedule([
+        milestone('Advance', { amount: 600 }, '2026-10-01'),
+        milestone('Final', { amount: 400 }, '2026-11-20')
+      ]);
+
+      expect(() => booking.setPriceAgreed(500)).toThrow('more than the new price');
+      expect(booking.priceAgreed).toBe(1000);
+    });
+  });
+
+  describe('change requests', () => {
+    const user = { _id: id() };
+    const confirmed = () => {
+      const booking = newBooking({ status: 'confirmed' });
+      booking.setPaymentSchedule([
+        milestone('Advance', { percentage: 30 }, '2026-10-01'),
+        milestone('Final', { percentage: 70 }, '2026-11-20')
+      ]);
+      return booking;
+    };
+    const newSchedule = [
+      milestone('Advance', { percentage: 50 }, '2026-10-01'),
+      milestone('Final', { percentage: 50 }, '2026-11-20')
+    ];
+
+    it('apply a new schedule only once the other side accepts', async () => {
+      const booking = confirmed();
+      const request = await bookingChangeService.propose(
+        booking,
+        { changes: { paymentSchedule: newSchedule } },
+        { user, role: 'organizer' }
+      );
+
+      expect(booking.paymentSchedule.map(m => m.amount)).toEqual([300, 700]);
+
+      await bookingChangeService.respond(booking, request, true, { user: { _id: id() }, role: 'vendor' });
+
+      expect(booking.paymentSchedule.map(m => m.amount)).toEqual([500, 500]);
+    });
+
+    it('check a proposed schedule against the proposed price', async () => {
+      const booking = confirmed();
+
+      await expect(bookingChangeService.propose(
+        booking,
+        { changes: { priceAgreed: 2000, paymentSchedule: [milestone('All', { amount: 1000 }, '2026-11-01')] } },
+        { user, role: 'vendor' }
+      )).rejects.toThrow('not the agreed price of 2000');
+    });
+
+    it('apply a new price and schedule together', async () => {
+      const booking = confirmed();
+      const request = await bookingChangeService.propose(
+        booking,
+        { changes: { priceAgreed: 2000, paymentSchedule: [milestone('All', { amount: 2000 }, '2026-11-01')] } },
+        { user, role: 'vendor' }
+      );
+
+      await bookingChangeService.respond(booking, request, true, { user, role: 'organizer' });
+
+      expect(booking.priceAgreed).toBe(2000);
+      expect(booking.paymentSchedule.map(m => m.amount)).toEqual([2000]);
+      expect(booking.priceLockedAt).toBeInstanceOf(Date);
+    });
+  });
+});
+
+describe('bookingValidations.schedule', () => {
+  const check = async (paymentSchedule) => {
+    const req = { body: { paymentSchedule } };
+    await Promise.all(bookingValidations.schedule.map(rule => rule.run(req)));
+    return validationResult(req).array().map(error => error.msg);
+  };
+
+  it('requires an amount or a percentage above 0 on each milestone', async () => {
+    expect(await check([
+      { label: 'Advance', dueDate: '2026-10-01' },
+      { label: 'Final', dueDate: '2026-11-20', amount: 0 }
+    ])).toEqual([
+      'Milestone amount must be greater than 0',
+      'Each milestone needs an amount or a percentage'
+    ]);
+  });
+
+  it('accepts milestones with an amount or a percentage', async () => {
+    expect(await check([
+      { label: 'Advance', dueDate: '2026-10-01', percentage: 30 },
+      { label: 'Final', dueDate: '2026-11-20', amount: 700 }
+    ])).toEqual([]);
+  });
+});
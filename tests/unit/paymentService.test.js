@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const Booking = require('../../src/models/Booking');
+const RSVP = require('../../src/models/RSVP');
+const Event = require('../../src/models/Event');
+const Notification = require('../../src/models/Notification');
+const ledgerService = require('../../src/services/ledgerService');
+const refundService = require('../../src/services/refundService');
+const waitlistService = require('../../src/services/waitlistService');
+const paymentService = require('../../src/services/paymentService');
+
+const payment = (id = 'pay_1', amount = 50000) => ({
+  id,
+  amount,
+  currency: 'INR',
+  method: 'upi',
+  order_id: 'order_1',
+  created_at: 1793000000
+});
+
+const newBooking = () => {
+  const booking = new Booking({
+    event: new mongoose.Types.ObjectId(),
+    service: new mongoose.Types.ObjectId(),
+    vendor: new mongoose.Types.ObjectId(),
+    organizer: new mongoose.Types.ObjectId(),
+    eventDate: new Date('2026-11-20'),
+    priceAgreed: 1000,
+    status: 'confirmed'
+  });
+  jest.spyOn(booking, 'save').mockResolvedValue(booking);
+  return booking;
+};
+
+const newRsvp = fields => new RSVP({
+  event: new mongoose.Types.ObjectId(),
+  attendee: new mongoose.Types.ObjectId(),
+  status: 'pending_payment',
+  ...fields
+});
+
+beforeEach(() => {
+  jest.spyOn(ledgerService, 'recordBookingPayment').mockResolvedValue([]);
+  jest.spyOn(paymentService, 'notifyPaymentParties').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('paymentService.applyCapturedPayment', () => {
+  it('records a captured booking payment once and posts it to the ledger', async () => {
+    const booking = newBooking();
+
+    const result = await paymentService.applyCapturedPayment({ type: 'booking', doc: booking }, payment());
+
+    expect(result).toEqual(expect.objectContaining({ status: 'captured', paymentId: 'pay_1' }));
+    expect(booking.payments).toHaveLength(1);
+    expect(booking.payments[0].amount).toBe(500);
+    expect(booking.totalPaid).toBe(500);
+    expect(ledgerService.recordBookingPayment).toHaveBeenCalledWith(booking, 500, expect.any(Number), 'pay_1', expect.any(Date));
+  });
+
+  it('ignores the same payment reported again by the webhook and the client', async () => {
+    const booking = newBooking();
+    const target = { type: 'booking', doc: booking };
+
+    await paymentService.applyCapturedPayment(target, payment());
+    const again = await paymentService.applyCapturedPayment(target, payment());
+
+    expect(again.status).toBe('duplicate');
+    expect(booking.payments).toHaveLength(1);
+    expect(booking.totalPaid).toBe(500);
+    expect(booking.save).toHaveBeenCalledTimes(1);
+    expect(ledgerService.recordBookingPayment).toHaveBeenCalledTimes(1);
+    expect(paymentService.notifyPaymentParties).toHaveBeenCalledTimes(1);
+  });
+
+  it('records a second, different payment', async () => {
+    const booking = newBooking();
+    const target = { type: 'booking', doc: booking };
+
+    await paymentService.applyCapturedPayment(target, payment('pay_1'));
+    const second = await paymentService.applyCapturedPayment(target, payment('pay_2'));
+
+    expect(second.status).toBe('captured');
+    expect(booking.totalPaid).toBe(1000);
+  });
+
+  it('refunds a payment captured for a cancelled booking without paying the vendor', async () => {
+    const booking = newBooking();
+    booking.status = 'cancelled';
+    jest.spyOn(refundService, 'issueRefund').mockResolvedValue({ refunded: 500, pending: 0, failed: [] });
+
+    const result = await paymentService.applyCapturedPayment({ type: 'booking', doc: booking }, payment());
+
+    expect(result.refund.refunded).toBe(500);
+    expect(refundService.issueRefund).toHaveBeenCalledWith(booking, 500, expect.stringContaining('cancelled'), { paymentId: 'pay_1' });
+    expect(ledgerService.recordBookingPayment).not.toHaveBeenCalled();
+    expect(paymentService.notifyPaymentParties).toHaveBeenCalledWith(expect.anything(), 'Payment Refunded', expect.any(String));
+  });
+
+  it('settles against the latest RSVP when its hold changed while the payment was in flight', async () => {
+    const stale = newRsvp();
+    const current = newRsvp({ _id: stale._id });
+    current.payments.push({ amount: 500, status: 'captured', razorpayPaymentId: 'pay_1' });
+
+    const notFound = new mongoose.Error.DocumentNotFoundError({ _id: stale._id });
+    jest.spyOn(stale, 'save').mockRejectedValue(notFound);
+    jest.spyOn(paymentService, 'settleRsvpSeat').mockImplementation(async (rsvp) => {
+      rsvp.status = 'going';
+      return 'confirmed';
+    });
+    jest.spyOn(RSVP, 'findById').mockResolvedValue(current);
+
+    const result = await paymentService.applyCapturedPayment({ type: 'rsvp', doc: stale }, payment());
+
+    expect(stale.$where).toEqual({ status: 'pending_payment' });
+    expect(RSVP.findById).toHaveBeenCalledWith(stale._id);
+    expect(result.status).toBe('duplicate');
+    expect(paymentService.notifyPaymentParties).not.toHaveBeenCalled();
+  });
+});
+
+describe('paymentService.settleRsvpSeat', () => {
+  const paid = (amount, fields) => {
+    const rsvp = newRsvp(fields);
+    rsvp.payments.push({ amount, status: 'captured', razorpayPaymentId: 'pay_1' });
+    rsvp.recalculatePaymentTotals();
+    return rsvp;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Event, 'findById').mockResolvedValue({ _id: 'event', title: 'Gala', entryFee: 500, status: 'active' });
+  });
+
+  it('confirms a held seat once the whole party is paid for', async () => {
+    const rsvp = paid(1000, { guestsCount: 1, paymentExpiresAt: new Date() });
+
+    expect(await paymentService.settleRsvpSeat(rsvp)).toBe('confirmed');
+    expect(rsvp.status).toBe('going');
+    expect(rsvp.paymentExpiresAt).toBeUndefined();
+  });
+
+  it('keeps holding the seat while part of the party is unpaid', async () => {
+    const rsvp = paid(500, { guestsCount: 1 });
+
+    expect(await paymentService.settleRsvpSeat(rsvp)).toBe('underpaid');
+    expect(rsvp.status).toBe('pending_payment');
+  });
+
+  it('refunds a payment that lands after the seat was released and given away', async () => {
+    const rsvp = paid(500, { status: 'cancelled' });
+    jest.spyOn(waitlistService, 'getTarget').mockReturnValue({ startsAt: new Date(Date.now() + 86400000) });
+    jest.spyOn(waitlistService, 'getCapacity').mockResolvedValue({ available: 0 });
+    jest.spyOn(refundService, 'issueRefund').mockResolvedValue({ refunded: 500 });
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue();
+
+    expect(await paymentService.settleRsvpSeat(rsvp)).toBe('refunded');
+    expect(refundService.issueRefund).toHaveBeenCalledWith(rsvp, 500, expect.any(String));
+    expect(rsvp.status).toBe('cancelled');
+  });
+
+  it('gives the seat back when there is still room', async () => {
+    const rsvp = paid(500, { status: 'cancelled' });
+    jest.spyOn(waitlistService, 'getTarget').mockReturnValue({ startsAt: new Date(Date.now() + 86400000) });
+    jest.spyOn(waitlistService, 'getCapacity').mockResolvedValue({ available: 3 });
+
+    expect(await paymentService.settleRsvpSeat(rsvp)).toBe('restored');
+    expect(rsvp.status).toBe('going');
+  });
+});
+
+describe('refundService.issueRefund', () => {
+  beforeEach(() => {
+    jest.spyOn(paymentService, 'initiateRefund').mockImplementation(async paymentId => ({ id: `rfnd_${paymentId}` }));
+    jest.spyOn(paymentService, 'recordRefundEntry').mockImplementation(async (doc, entry) => {
+      doc.payments.push(entry);
+      return true;
+    });
+    jest.spyOn(ledgerService, 'recordBookingRefund').mockResolvedValue([]);
+  });
+
+  const paidBooking = () => {
+    const booking = newBooking();
+    booking.payments.push(
+      { amount: 300, status: 'captured', razorpayPaymentId: 'pay_1', paidAt: new Date('2026-01-01') },
+      { amount: 200, status: 'captured', razorpayPaymentId: 'pay_2', paidAt: new Date('2026-01-02') }
+    );
+    booking.recalculatePaymentTotals();
+    return booking;
+  };
+
+  it('only refunds the given payment', async () => {
+    const booking = paidBooking();
+    jest.spyOn(ledgerService, 'isPosted').mockResolvedValue(true);
+
+    const result = await refundService.issueRefund(booking, 500, 'Test', { paymentId: 'pay_1' });
+
+    expect(result).toEqual(expect.objectContaining({ refunded: 300, pending: 200 }));
+    expect(paymentService.initiateRefund).toHaveBeenCalledTimes(1);
+    expect(paymentService.initiateRefund).toHaveBeenCalledWith('pay_1', 300, { reason: 'Test' }, 'INR');
+  });
+
+  it('only reverses payments that were posted to the ledger', async () => {
+    const booking = paidBooking();
+    jest.spyOn(ledgerService, 'isPosted').mockImplementation(async (type, reference) => reference === 'pay_2');
+
+    await refundService.issueRefund(booking, 500, 'Test');
+
+    expect(ledgerService.recordBookingRefund).toHaveBeenCalledTimes(1);
+    expect(ledgerService.recordBookingRefund).toHaveBeenCalledWith(booking, 200, expect.any(Number), 'rfnd_pay_2');
+    expect(booking.totalPaid).toBe(0);
+  });
+});
+
+describe('paymentService.calculatePlatformFee', () => {
+  it('rounds the fee to the minor unit of the currency', () => {
+    expect(paymentService.calculatePlatformFee(9.99, 'USD')).toBe(0.5);
+    expect(paymentService.calculatePlatformFee(1234.5, 'INR')).toBe(61.73);
+    expect(paymentService.calculatePlatformFee(1999, 'JPY')).toBe(100);
+  });
+
+  it('pays the vendor what is left after the fee', () => {
+    expect(paymentService.calculateVendorPayout(9.99, 'USD')).toBe(9.49);
+  });
+});
@@ -0,0 +1,52 @@
+const PdfDocument = require('../../src/utils/pdfDocument');
+
+describe('PdfDocument', () => {
+  const draw = () => new PdfDocument('Invoice FES/2026-27/000001')
+    .text('Festivo', 50, 790, { size: 18, bold: true })
+    .text('INR 1,180.00', 545, 600, { align: 'right' })
+    .line(50, 745, 545, 745);
+
+  it('produces byte-identical output for the same input', () => {
+    expect(draw().toBuffer().equals(draw().toBuffer())).toBe(true);
+  });
+
+  it('points the xref table at every object', () => {
+    const pdf = draw().toBuffer().toString('latin1');
+    const offsets = pdf.match(/^\d{10} 00000 n $/gm).map(line => Number(line.slice(0, 10)));
+
+    offsets.forEach((offset, i) => {
+      expect(pdf.slice(offset)).toMatch(new RegExp(`^${i + 1} 0 obj\n`));
+    });
+    expect(Number(pdf.match(/startxref\n(\d+)/)[1])).toBe(pdf.indexOf('xref\n'));
+  });
+
+  it('keeps text to what the built-in fonts can draw', () => {
+    const doc = new PdfDocument();
+
+    expect(doc.sanitize('₹500')).toBe('INR 500');
+    expect(doc.sanitize('Café Noël')).toBe('Cafe Noel');
+    expect(doc.sanitize('मुंबई')).toMatch(/^\?+$/);
+    expect(doc.sanitize(null)).toBe('');
+  });
+
+  it('escapes parentheses and backslashes in text', () => {
+    const pdf = new PdfDocument().text('Catering (veg) \\ bar', 50, 700).toBuffer().toString('latin1');
+
+    expect(pdf).toContain('(Catering \\(veg\\) \\\\ bar) Tj');
+  });
+
+  it('right-aligns text so it ends at x', () => {
+    const doc = new PdfDocument();
+    doc.text('Total', 545, 600, { align: 'right' });
+
+    expect(doc.widthOf('Total')).toBeCloseTo(22.23);
+    expect(doc.current[0]).toContain('522.77 600.00 Td');
+  });
+
+  it('writes one page object per page', () => {
+    const pdf = draw().addPage().text('Page two', 50, 790).toBuffer().toString('latin1');
+
+    expect(pdf).toContain('/Kids [6 0 R 8 0 R] /Count 2');
+    expect(pdf.match(/\/Type \/Page /g)).toHaveLength(2);
+  });
+});
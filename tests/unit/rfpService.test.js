@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Booking = require('../../src/models/Booking');
+const Notification = require('../../src/models/Notification');
+const RequestForProposal = require('../../src/models/RequestForProposal');
+const Service = require('../../src/models/Service');
+const availabilityService = require('../../src/services/availabilityService');
+const rfpService = require('../../src/services/rfpService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const newRfp = () => {
+  const rfp = new RequestForProposal({
+    event: id(),
+    organizer: id(),
+    title: 'Wedding catering',
+    category: 'food',
+    eventDate: new Date('2026-12-12'),
+    city: 'Pune',
+    responseDeadline: new Date('2026-11-01')
+  });
+  [1000, 1200].forEach((unitPrice) => rfp.submitProposal({
+    service: id(),
+    vendor: id(),
+    submittedBy: id(),
+    lineItems: [{ description: 'Buffet', unitPrice }],
+    currency: 'INR'
+  }));
+  return rfp;
+};
+
+describe('rfpService.convertToBooking', () => {
+  const user = { _id: id() };
+  let rfp;
+  let proposal;
+
+  beforeEach(() => {
+    rfp = newRfp();
+    proposal = rfp.proposals[0];
+    jest.spyOn(RequestForProposal, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Service, 'findById').mockResolvedValue(new Service({ _id: proposal.service, provider: proposal.vendor, isActive: true }));
+    jest.spyOn(Booking, 'findOne').mockResolvedValue(null);
+    jest.spyOn(availabilityService, 'resolveInterval').mockReturnValue({});
+    jest.spyOn(availabilityService, 'checkInterval').mockResolvedValue({ available: true });
+    jest.spyOn(availabilityService, 'assertAvailable').mockReturnValue(undefined);
+    jest.spyOn(availabilityService, 'applyInterval').mockReturnValue(undefined);
+    jest.spyOn(Booking.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(rfp, 'save').mockResolvedValue(rfp);
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('claims the open request before booking the proposal', async () => {
+    jest.spyOn(RequestForProposal, 'findOneAndUpdate').mockResolvedValue(rfp);
+
+    const booking = await rfpService.convertToBooking(rfp, proposal, user);
+
+    expect(RequestForProposal.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: rfp._id, status: 'open' },
+      { status: 'awarding' }
+    );
+    expect(booking.priceAgreed).toBe(1000);
+    expect(rfp.status).toBe('awarded');
+    expect(rfp.booking).toEqual(booking._id);
+    expect(rfp.proposals.map(p => p.status)).toEqual(['accepted', 'declined']);
+    expect(RequestForProposal.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('books nothing when another proposal claimed the request first', async () => {
+    jest.spyOn(RequestForProposal, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await expect(rfpService.convertToBooking(rfp, proposal, user))
+      .rejects.toMatchObject({ statusCode: 400, message: 'This request is no longer open' });
+    expect(Booking.prototype.save).not.toHaveBeenCalled();
+    expect(rfp.save).not.toHaveBeenCalled();
+  });
+
+  it('reopens the request when the booking cannot be made', async () => {
+    jest.spyOn(RequestForProposal, 'findOneAndUpdate').mockResolvedValue(rfp);
+    Service.findById.mockResolvedValue(null);
+
+    await expect(rfpService.convertToBooking(rfp, proposal, user))
+      .rejects.toThrow('Service is no longer available');
+    expect(RequestForProposal.updateOne).toHaveBeenCalledWith(
+      { _id: rfp._id, status: 'awarding' },
+      { status: 'open' }
+    );
+    expect(rfp.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,119 @@
+const { parseRule, formatRule, expand } = require('../../src/utils/rrule');
+
+const days = occurrences => occurrences.map(o => o.day);
+
+describe('rrule', () => {
+  describe('parseRule / formatRule', () => {
+    it('parses ordinal weekdays and strips the RRULE prefix', () => {
+      const rule = parseRule('RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3');
+
+      expect(rule.freq).toBe('MONTHLY');
+      expect(rule.count).toBe(3);
+      expect(rule.byDay).toEqual([{ weekday: 5, ordinal: -1 }]);
+    });
+
+    it('formats a parsed rule back to the same text', () => {
+      const text = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20261231';
+      expect(formatRule(parseRule(text))).toBe(text);
+    });
+
+    it('rejects unsupported frequencies and bad values', () => {
+      expect(() => parseRule('FREQ=HOURLY')).toThrow('Unsupported recurrence frequency');
+      expect(() => parseRule('FREQ=DAILY;INTERVAL=0')).toThrow('interval');
+      expect(() => parseRule('FREQ=WEEKLY;BYDAY=XX')).toThrow('Invalid BYDAY');
+    });
+  });
+
+  describe('expand', () => {
+    it('expands weekly days in the event time zone', () => {
+      const occurrences = expand(parseRule('FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4'), {
+        day: '2026-01-05',
+        time: '10:00',
+        timeZone: 'Asia/Kolkata'
+      });
+
+      expect(days(occurrences)).toEqual(['2026-01-05', '2026-01-07', '2026-01-12', '2026-01-14']);
+      expect(occurrences[0].startsAt.toISOString()).toBe('2026-01-05T04:30:00.000Z');
+    });
+
+    it('expands the last weekday of each month', () => {
+      const occurrences = expand(parseRule('FREQ=MONTHLY;BYDAY=-1FR;COUNT=3'), {
+        day: '2026-01-01',
+        time: '19:00',
+        timeZone: 'UTC'
+      });
+
+      expect(days(occurrences)).toEqual(['2026-01-30', '2026-02-27', '2026-03-27']);
+    });
+
+    it('counts excluded occurrences towards COUNT', () => {
+      const occurrences = expand(parseRule('FREQ=DAILY;COUNT=3'), {
+        day: '2026-01-01',
+        time: '09:00',
+        timeZone: 'UTC',
+        exclude: [new Date('2026-01-02T09:00:00Z')]
+      });
+
+      expect(days(occurrences)).toEqual(['2026-01-01', '2026-01-03']);
+    });
+
+    it('stops scanning a rule that never matches instead of counting to its COUNT', () => {
+      const occurrences = expand(parseRule('FREQ=DAILY;COUNT=2000000000;BYMONTH=2;BYMONTHDAY=30'), {
+        day: '2026-01-01',
+        timeZone: 'UTC'
+      });
+
+      expect(occurrences).toEqual([]);
+    });
+
+    it('refuses to expand an open-ended rule without an end', () => {
+      expect(() => expand(parseRule('FREQ=DAILY'), { day: '2026-01-01', timeZone: 'UTC' }))
+        .toThrow('Open-ended recurrences need an end date');
+    });
+
+    describe('from', () => {
+      it('skips earlier occurrences but still counts them towards COUNT', () => {
+        const occurrences = expand(parseRule('FREQ=DAILY;COUNT=5'), {
+          day: '2026-01-01',
+          time: '09:00',
+          timeZone: 'UTC',
+          from: new Date('2026-01-04T00:00:00Z')
+        });
+
+        expect(days(occurrences)).toEqual(['2026-01-04', '2026-01-05']);
+      });
+
+      it('reaches the window of a long-running series without using up the limit', () => {
+        const occurrences = expand(parseRule('FREQ=DAILY'), {
+          day: '2015-01-01',
+          time: '09:00',
+          timeZone: 'UTC',
+          from: new Date('2026-10-19T00:00:00Z'),
+          until: new Date('2030-01-01T00:00:00Z'),
+          limit: 3
+        });
+
+        expect(days(occurrences)).toEqual(['2026-10-19', '2026-10-20', '2026-10-21']);
+      });
+
+      it('keeps the weekly pattern when skipping ahead', () => {
+        const occurrences = expand(parseRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=TU'), {
+          day: '2020-01-07',
+          time: '18:00',
+          timeZone: 'UTC',
+          from: new Date('2026-10-19T00:00:00Z'),
+          until: new Date('2026-12-01T00:00:00Z'),
+          limit: 2
+        });
+
+        occurrences.forEach((o) => {
+          expect(new Date(`${o.day}T00:00:00Z`).getUTCDay()).toBe(2);
+          const weeks = (new Date(`${o.day}T00:00:00Z`) - new Date('2020-01-07T00:00:00Z')) / (7 * 24 * 60 * 60 * 1000);
+          expect(weeks % 2).toBe(0);
+        });
+        expect(occurrences).toHaveLength(2);
+        expect(occurrences[0].startsAt >= new Date('2026-10-19T00:00:00Z')).toBe(true);
+      });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const ticketService = require('../../src/services/ticketService');
+const { TICKET_SETTINGS } = require('../../src/config/constants');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const rsvp = (fields = {}) => ({ _id: id(), event: id(), status: 'going', guestsCount: 2, ...fields });
+
+// Re-sign a ticket's claims with another key, keeping everything else the same
+const resign = (token, key) => jwt.sign(jwt.decode(token), key, { algorithm: TICKET_SETTINGS.ALGORITHM });
+
+// The same claims signed as HS256 with the public key as the shared secret
+const resignWithHmac = (token, secret) => {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = token.split('.')[1];
+  const signature = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+describe('ticketService', () => {
+  const startsAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const originalSecret = process.env.TICKET_SECRET;
+
+  beforeAll(() => {
+    process.env.TICKET_SECRET = 'test-ticket-secret';
+  });
+
+  afterAll(() => {
+    process.env.TICKET_SECRET = originalSecret;
+  });
+
+  it('signs tickets that verify back to the same RSVP', () => {
+    const going = rsvp({ occurrence: '2026-11-09' });
+    const { token, expiresAt } = ticketService.issue(going, startsAt);
+
+    expect(ticketService.verify(token)).toEqual({
+      eventId: going.event.toString(),
+      rsvpId: going._id.toString(),
+      guestsCount: 2,
+      occurrence: '2026-11-09'
+    });
+    expect(expiresAt.getTime()).toBe(startsAt.getTime() + TICKET_SETTINGS.VALID_HOURS_AFTER_START * 60 * 60 * 1000);
+  });
+
+  it('lets scanners verify offline with the published public key', () => {
+    const going = rsvp();
+    const { token } = ticketService.issue(going, startsAt);
+    const { pem } = ticketService.getPublicKey(going.event);
+
+    expect(jwt.verify(token, pem, { algorithms: [TICKET_SETTINGS.ALGORITHM] }).r).toBe(going._id.toString());
+  });
+
+  it('derives the same keys for an event every time', () => {
+    const eventId = id();
+    const { jwk } = ticketService.getPublicKey(eventId);
+    ticketService.keys.clear();
+
+    expect(ticketService.getPublicKey(eventId).jwk).toEqual(jwk);
+    expect(ticketService.getPublicKey(id()).jwk).not.toEqual(jwk);
+  });
+
+  it('rejects a ticket whose party size was changed', () => {
+    const { token } = ticketService.issue(rsvp(), startsAt);
+    const [header, payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const tampered = Buffer.from(JSON.stringify({ ...claims, g: 9 })).toString('base64url');
+
+    expect(() => ticketService.verify(`${header}.${tampered}.${signature}`)).toThrow('Invalid ticket');
+  });
+
+  it('rejects tickets not signed with the event key', () => {
+    const { token } = ticketService.issue(rsvp(), startsAt);
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const { pem } = ticketService.getPublicKey(jwt.decode(token).e);
+
+    expect(() => ticketService.verify(resign(token, privateKey))).toThrow('Invalid ticket');
+    expect(() => ticketService.verify(resignWithHmac(token, pem))).toThrow('Invalid ticket');
+    expect(() => ticketService.verify('not-a-ticket')).toThrow('Invalid ticket');
+  });
+
+  it('rejects a ticket presented for another event', () => {
+    const { token } = ticketService.issue(rsvp(), startsAt);
+    const [header, payload, signature] = token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const moved = Buffer.from(JSON.stringify({ ...claims, e: id().toString() })).toString('base64url');
+
+    expect(() => ticketService.verify(`${header}.${moved}.${signature}`)).toThrow('Invalid ticket');
+  });
+
+  it('expires tickets after the event but accepts scans uploaded late', () => {
+    const { token, expiresAt } = ticketService.issue(rsvp(), startsAt);
+    const after = new Date(expiresAt.getTime() + 1000);
+
+    expect(() => ticketService.verify(token, after)).toThrow('Ticket has expired');
+    expect(ticketService.verify(token, startsAt).guestsCount).toBe(2);
+  });
+
+  it('only issues tickets for going RSVPs to events still to come', () => {
+    expect(() => ticketService.issue(rsvp({ status: 'pending_payment' }), startsAt))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => ticketService.issue(rsvp(), new Date('2020-01-01')))
+      .toThrow('This event has already taken place');
+  });
+});
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const RSVP = require('../../src/models/RSVP');
+const Event = require('../../src/models/Event');
+const Notification = require('../../src/models/Notification');
+const waitlistService = require('../../src/services/waitlistService');
+
+const id = () => new mongoose.Types.ObjectId();
+const now = new Date('2026-11-01T10:00:00Z');
+
+const entry = (guestsCount = 0) => ({ _id: id(), attendee: id(), guestsCount, waitlistPosition: 1 });
+
+// RSVP.findOne(...).sort(...) yielding the next waiting entry on each call
+const queue = (entries) => {
+  const remaining = [...entries];
+  jest.spyOn(RSVP, 'findOne').mockImplementation(() => ({
+    sort: () => Promise.resolve(remaining.shift() || null)
+  }));
+};
+
+describe('waitlistService', () => {
+  beforeEach(() => {
+    jest.spyOn(Notification, 'createNotification').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('promote', () => {
+    const event = { _id: id(), title: 'Jazz Night', status: 'published', date: new Date('2026-11-10'), maxAttendees: 10 };
+
+    const seatsTaken = (taken) => {
+      jest.spyOn(RSVP, 'countGoingSeats').mockResolvedValue(taken);
+      jest.spyOn(RSVP, 'getHeldSeats').mockResolvedValue(0);
+    };
+
+    it('offers freed seats in queue order and lets nobody jump a party that does not fit', async () => {
+      seatsTaken(7);
+      const first = entry(1);
+      const second = entry(2);
+      const third = entry(0);
+      queue([first, second, third]);
+      jest.spyOn(RSVP, 'findOneAndUpdate').mockImplementation(({ _id }, update) => Promise.resolve({ _id, attendee: id(), guestsCount: 1, ...update }));
+      jest.spyOn(waitlistService, 'countSeatsAhead').mockResolvedValue(9);
+
+      const offered = await waitlistService.promote(event, null, now);
+
+      expect(offered.map(r => r._id)).toEqual([first._id]);
+      expect(RSVP.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(RSVP.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: first._id, status: 'waitlisted' },
+        { status: 'offered', offerExpiresAt: expect.any(Date) },
+        { new: true }
+      );
+      expect(Notification.createNotification).toHaveBeenCalledWith(expect.objectContaining({ title: 'A Spot Opened Up' }));
+    });
+
+    it('moves on when another promotion already offered the entry', async () => {
+      seatsTaken(8);
+      const taken = entry();
+      const next = entry();
+      queue([taken, next]);
+      jest.spyOn(RSVP, 'findOneAndUpdate')
+        .mockResolvedValueOnce(null)
+        .mockImplementationOnce(({ _id }, update) => Promise.resolve({ _id, attendee: id(), guestsCount: 0, ...update }));
+      jest.spyOn(waitlistService, 'countSeatsAhead').mockResolvedValue(10);
+
+      const offered = await waitlistService.promote(event, null, now);
+
+      expect(offered.map(r => r._id)).toEqual([next._id]);
+    });
+
+    it('puts the entry back when a concurrent promotion used the same seats', async () => {
+      seatsTaken(9);
+      const waiting = entry();
+      queue([waiting]);
+      jest.spyOn(RSVP, 'findOneAndUpdate').mockImplementation(({ _id }, update) => Promise.resolve({ _id, guestsCount: 0, ...update }));
+      jest.spyOn(RSVP, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(waitlistService, 'countSeatsAhead').mockResolvedValue(11);
+
+      const offered = await waitlistService.promote(event, null, now);
+
+      expect(offered).toEqual([]);
+      expect(RSVP.updateOne).toHaveBeenCalledWith(
+        { _id: waiting._id, status: 'offered' },
+        { status: 'waitlisted', $unset: { offerExpiresAt: 1 } }
+      );
+      expect(Notification.createNotification).not.toHaveBeenCalled();
+    });
+
+    it('offers nothing once the event has started', async () => {
+      jest.spyOn(RSVP, 'findOne');
+
+      expect(await waitlistService.promote({ ...event, date: new Date('2026-10-31') }, null, now)).toEqual([]);
+      expect(RSVP.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('expireOffers', () => {
+    it('cancels lapsed offers it claims and passes their seats on', async () => {
+      const lapsed = entry();
+      const confirmed = entry();
+      const event = { _id: id() };
+      jest.spyOn(RSVP, 'find').mockReturnValue({ select: () => Promise.resolve([lapsed, confirmed]) });
+      jest.spyOn(RSVP, 'findOneAndUpdate')
+        .mockResolvedValueOnce({ ...lapsed, event: event._id, status: 'cancelled' })
+        .mockResolvedValueOnce(null);
+      jest.spyOn(Event, 'findById').mockResolvedValue(event);
+      jest.spyOn(waitlistService, 'promote').mockResolvedValue([]);
+
+      expect(await waitlistService.expireOffers(now)).toBe(1);
+
+      expect(RSVP.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: confirmed._id, status: 'offered', offerExpiresAt: { $lte: now } },
+        { status: 'cancelled', $unset: { offerExpiresAt: 1 } },
+        { new: true }
+      );
+      expect(Notification.createNotification).toHaveBeenCalledTimes(1);
+      expect(Notification.createNotification).toHaveBeenCalledWith(expect.objectContaining({ recipient: lapsed.attendee }));
+      expect(waitlistService.promote).toHaveBeenCalledWith(event, null, now);
+    });
+  });
+});